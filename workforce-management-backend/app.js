@@ -0,0 +1,334 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const compression = require('compression');
+require('dotenv').config();
+
+// Import middleware
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { authenticateToken, authorize } = require('./middleware/auth');
+
+// Import routes
+const authRoutes = require('./routes/auth');
+const taskRoutes = require('./routes/tasks');
+const boardRoutes = require('./routes/boards');
+const teamRoutes = require('./routes/teams');
+const userRoutes = require('./routes/users');
+const shiftRoutes = require('./routes/shifts');
+const shiftTradeRoutes = require('./routes/shiftTrades');
+const chatRoutes = require('./routes/chat');
+const auditRoutes = require('./routes/audit');
+const timeRoutes = require('./routes/time');
+const attendanceRoutes = require('./routes/attendance');
+const leaveRoutes = require('./routes/leave');
+
+// CORS configuration
+const corsOptions = {
+  origin: function (origin, callback) {
+    const allowedOrigins = process.env.ALLOWED_ORIGINS
+      ? process.env.ALLOWED_ORIGINS.split(',')
+      : [
+          'http://localhost:3000',
+          'http://localhost:3001',
+          'http://localhost:5173',
+        ];
+
+    if (!origin || allowedOrigins.includes(origin)) {
+      callback(null, true);
+    } else {
+      callback(new Error('Not allowed by CORS'));
+    }
+  },
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+};
+
+/**
+ * createApp({ logRequests })
+ * Builds the Express app: middleware, routes and error handling. server.js adds
+ * the HTTP server, Socket.IO and background jobs; tests use the app directly.
+ */
+function createApp({ logRequests = true } = {}) {
+  const app = express();
+
+  // Security middleware
+  app.use(
+    helmet({
+      crossOriginEmbedderPolicy: false,
+      contentSecurityPolicy: {
+        directives: {
+          defaultSrc: ["'self'"],
+          styleSrc: ["'self'", "'unsafe-inline'"],
+          scriptSrc: ["'self'"],
+          imgSrc: ["'self'", 'data:', 'https:'],
+        },
+      },
+    })
+  );
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    message: {
+      error: 'Too many requests from this IP, please try again later.',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+  app.use(limiter);
+
+  // Compression middleware
+  app.use(compression());
+
+  app.use(cors(corsOptions));
+
+  // Body parsing middleware (✅ fixed)
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Request logging middleware
+  if (logRequests) {
+    app.use((req, res, next) => {
+      const timestamp = new Date().toISOString();
+      console.log(`${timestamp} - ${req.method} ${req.path} - ${req.ip}`);
+      next();
+    });
+  }
+
+  // API Routes
+  app.use('/api/auth', authRoutes);
+  app.use('/api/tasks', authenticateToken, taskRoutes);
+  app.use('/api/boards', authenticateToken, boardRoutes);
+  app.use('/api/teams', authenticateToken, teamRoutes);
+  app.use('/api/users', authenticateToken, authorize('admin'), userRoutes);
+  app.use('/api/shifts/trades', authenticateToken, shiftTradeRoutes);
+  app.use('/api/shifts', authenticateToken, shiftRoutes);
+  app.use('/api/chat', authenticateToken, chatRoutes);
+  app.use('/api/time', authenticateToken, timeRoutes);
+  app.use('/api/attendance', authenticateToken, attendanceRoutes);
+  app.use('/api/leave', authenticateToken, leaveRoutes);
+  app.use('/api/audit', authenticateToken, authorize('admin'), auditRoutes);
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'WorkFlow Pro API is running!',
+      version: '1.0.0',
+      docs: '/api',
+      health: '/health',
+    });
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      database: 'connected',
+      uptime: Math.floor(process.uptime()),
+      memory: {
+        used:
+          Math.round((process.memoryUsage().heapUsed / 1024 / 1024) * 100) / 100,
+        total:
+          Math.round((process.memoryUsage().heapTotal / 1024 / 1024) * 100) / 100,
+      },
+    });
+  });
+
+  // API info endpoint
+  app.get('/api', (req, res) => {
+    res.json({
+      name: 'WorkFlow Pro API',
+      version: '1.0.0',
+      status: 'running',
+      endpoints: {
+        auth: {
+          register: 'POST /api/auth/register',
+          login: 'POST /api/auth/login',
+          profile: 'GET /api/auth/profile (requires auth)',
+          updateProfile: 'PUT /api/auth/profile (requires auth)',
+          changePassword: 'POST /api/auth/change-password (requires auth)',
+          verifyEmail: 'GET|POST /api/auth/verify-email',
+          resendVerification: 'POST /api/auth/resend-verification',
+          forgotPassword: 'POST /api/auth/forgot-password',
+          resetPassword: 'POST /api/auth/reset-password',
+          refresh: 'POST /api/auth/refresh',
+          logout: 'POST /api/auth/logout',
+          logoutAll: 'POST /api/auth/logout-all (requires auth)',
+        },
+        tasks: {
+          list:
+            'GET /api/tasks?status=&priority=&assignedTo=&boardId=&columnId=&parentId=&tag=&dueFrom=&dueTo=&overdue=&q=&sort=&order=&limit=&cursor= (requires auth)',
+          create: 'POST /api/tasks (requires auth)',
+          replace: 'PUT /api/tasks/:id?force= (requires auth)',
+          update: 'PATCH /api/tasks/:id?force= (requires auth)',
+          delete: 'DELETE /api/tasks/:id (moves to trash, requires auth)',
+          restore: 'POST /api/tasks/:id/restore (requires auth)',
+          move: 'POST /api/tasks/:id/move?force= (body: columnId, index, requires auth)',
+          get: 'GET /api/tasks/:id (requires auth)',
+          activity: 'GET /api/tasks/:id/activity?limit=&cursor= (requires auth)',
+          comments: 'GET/POST /api/tasks/:id/comments?page=&limit= (requires auth)',
+          comment: 'PUT/DELETE /api/tasks/:id/comments/:commentId (requires auth)',
+          attachments: 'GET/POST /api/tasks/:id/attachments (multipart field "file", requires auth)',
+          downloadAttachment: 'GET /api/tasks/:id/attachments/:attachmentId/download (requires auth)',
+          deleteAttachment: 'DELETE /api/tasks/:id/attachments/:attachmentId (requires auth)',
+          checklist: 'GET/POST /api/tasks/:id/checklist (requires auth)',
+          checklistItem: 'PATCH/DELETE /api/tasks/:id/checklist/:itemId (requires auth)',
+          reorderChecklist: 'PUT /api/tasks/:id/checklist/reorder (requires auth)',
+          dependencies: 'GET/POST /api/tasks/:id/dependencies (body: dependsOnId, requires auth)',
+          deleteDependency: 'DELETE /api/tasks/:id/dependencies/:dependsOnId (requires auth)',
+        },
+        boards: {
+          list: 'GET /api/boards?teamId=&includeArchived= (requires auth)',
+          create: 'POST /api/boards (requires auth)',
+          get: 'GET /api/boards/:id (requires auth)',
+          update: 'PUT /api/boards/:id (requires auth)',
+          archive: 'DELETE /api/boards/:id (requires auth)',
+          trash: 'GET /api/boards/:id/trash (requires auth)',
+          columns: 'GET/POST /api/boards/:id/columns (requires auth)',
+          reorderColumns: 'PUT /api/boards/:id/columns/reorder (requires auth)',
+          updateColumn: 'PUT /api/boards/:id/columns/:columnId (requires auth)',
+          deleteColumn:
+            'DELETE /api/boards/:id/columns/:columnId?moveTo=|deleteTasks= (requires auth)',
+        },
+        teams: {
+          list: 'GET /api/teams?userId= (requires auth)',
+          create: 'POST /api/teams (requires auth)',
+          get: 'GET /api/teams/:id (requires auth)',
+          update: 'PUT /api/teams/:id (requires auth)',
+          assignManager: 'PUT /api/teams/:id/manager (requires auth)',
+          members: 'GET/POST /api/teams/:id/members (requires auth)',
+          removeMember: 'DELETE /api/teams/:id/members/:userId (requires auth)',
+        },
+        users: {
+          list: 'GET /api/users?search=&role=&status=&page=&limit= (admin)',
+          get: 'GET /api/users/:id (admin)',
+          changeRole: 'PUT /api/users/:id/role (admin)',
+          suspend: 'POST /api/users/:id/suspend (admin)',
+          reactivate: 'POST /api/users/:id/reactivate (admin)',
+        },
+        shifts: {
+          list: 'GET /api/shifts?teamId=&userId=&status=&from=&to= (requires auth)',
+          create: 'POST /api/shifts (requires auth)',
+          get: 'GET /api/shifts/:id (requires auth)',
+          update: 'PUT /api/shifts/:id (requires auth)',
+          delete: 'DELETE /api/shifts/:id (requires auth)',
+          check: 'POST /api/shifts/check (requires auth)',
+          templates: 'GET/POST /api/shifts/templates, PUT/DELETE /api/shifts/templates/:templateId (requires auth)',
+          availability: 'GET/PUT /api/shifts/availability (requires auth)',
+          schedule: 'GET /api/shifts/schedules?teamId=&weekStart= (requires auth)',
+          draftSchedule: 'POST /api/shifts/schedules/draft (requires auth)',
+          publishSchedule: 'POST /api/shifts/schedules/:scheduleId/publish (requires auth)',
+        },
+        shiftTrades: {
+          list: 'GET /api/shifts/trades?status=&teamId=&type= (requires auth)',
+          openShifts: 'GET /api/shifts/trades/open-shifts?teamId= (requires auth)',
+          create: 'POST /api/shifts/trades (requires auth)',
+          check: 'GET /api/shifts/trades/:id/check?swapShiftId= (requires auth)',
+          claim: 'POST /api/shifts/trades/:id/claim (requires auth)',
+          cancel: 'POST /api/shifts/trades/:id/cancel (requires auth)',
+          review: 'POST /api/shifts/trades/:id/approve|reject (team manager)',
+        },
+        time: {
+          timer: 'GET /api/time/timer (requires auth)',
+          startTimer: 'POST /api/time/timer/start (requires auth)',
+          stopTimer: 'POST /api/time/timer/stop (requires auth)',
+          entries: 'GET /api/time/entries?from=&to=&taskId=&userId= (requires auth)',
+          createEntry: 'POST /api/time/entries (requires auth)',
+          entry: 'PATCH/DELETE /api/time/entries/:id (requires auth)',
+          timesheet: 'GET /api/time/timesheets?weekStart=&userId= (requires auth)',
+          submitTimesheet: 'POST /api/time/timesheets/submit (requires auth)',
+          pendingTimesheets: 'GET /api/time/timesheets/pending (requires auth)',
+          reviewTimesheet: 'POST /api/time/timesheets/:id/approve|reject (requires auth)',
+        },
+        attendance: {
+          clock: 'GET /api/attendance/clock (requires auth)',
+          clockIn: 'POST /api/attendance/clock-in (requires auth)',
+          clockOut: 'POST /api/attendance/clock-out (requires auth)',
+          history: 'GET /api/attendance?from=&to=&userId= (requires auth)',
+          roster: 'GET /api/attendance/roster?teamId=&date= (team manager)',
+          edit: 'PUT /api/attendance/shifts/:shiftId (team manager)',
+        },
+        leave: {
+          policies: 'GET /api/leave/policies (requires auth)',
+          updatePolicy: 'PUT /api/leave/policies/:type (admin)',
+          balances: 'GET /api/leave/balances?userId= (requires auth)',
+          adjustBalance: 'POST /api/leave/balances/adjust (admin)',
+          requests: 'GET /api/leave/requests?status=&from=&to=&userId= (requires auth)',
+          createRequest: 'POST /api/leave/requests (requires auth)',
+          pendingRequests: 'GET /api/leave/requests/pending (requires auth)',
+          reviewRequest: 'POST /api/leave/requests/:id/approve|reject (requires auth)',
+          cancelRequest: 'POST /api/leave/requests/:id/cancel (requires auth)',
+          calendar: 'GET /api/leave/calendar?teamId=&from=&to=&format=ics (requires auth)',
+        },
+        chat: {
+          channels: 'GET/POST /api/chat/channels (requires auth)',
+          direct: 'POST /api/chat/channels/direct (requires auth)',
+          history: 'GET /api/chat/channels/:id/messages?before=&limit= (requires auth)',
+          send: 'POST /api/chat/channels/:id/messages (requires auth)',
+          markRead: 'POST /api/chat/channels/:id/read (requires auth)',
+        },
+        audit: {
+          list: 'GET /api/audit?entityType=&entityId=&actorId=&action=&from=&to=&limit=&cursor= (admin)',
+        },
+        system: {
+          health: 'GET /health',
+          docs: 'GET /api',
+        },
+      },
+      database: {
+        status: 'connected',
+        type: 'Turso (LibSQL)',
+      },
+      authentication: 'JWT Bearer Token required for protected routes',
+      realtime: {
+        transport: 'Socket.IO on the same port, auth: { token: <access token> }',
+        clientEvents: ['board:join', 'board:leave'],
+        serverEvents: [
+          'task:created',
+          'task:updated',
+          'task:deleted',
+          'task:restored',
+          'task:moved',
+          'dependency:created',
+          'dependency:deleted',
+          'checklist:created',
+          'checklist:updated',
+          'checklist:reordered',
+          'checklist:deleted',
+          'comment:created',
+          'comment:updated',
+          'comment:deleted',
+          'comment:mentioned',
+          'attachment:created',
+          'attachment:deleted',
+          'message:created',
+          'channel:read',
+          'timer:started',
+          'timer:stopped',
+          'timesheet:reviewed',
+          'attendance:updated',
+          'leave:reviewed',
+          'trade:updated',
+        ],
+      },
+    });
+  });
+
+  // 404 handler
+  app.use(notFound);
+
+  // Error handler
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+  corsOptions,
+};
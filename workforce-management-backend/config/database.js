@@ -36,6 +36,28 @@ async function executeQuery(sql, params = []) {
   }
 }
 
+/**
+ * executeBatch(statements)
+ * Runs several { sql, args } statements atomically in one write transaction.
+ * Returns the normalized result of each statement, in order.
+ */
+async function executeBatch(statements) {
+  try {
+    const results = await client.batch(
+      statements.map(({ sql, args = [] }) => ({ sql, args })),
+      'write'
+    );
+    return results.map(result => ({
+      rows: result.rows || [],
+      lastInsertRowid: result.lastInsertRowid || null,
+      rowsAffected: result.rowsAffected || 0,
+    }));
+  } catch (err) {
+    console.error(`❌ DB Batch Error: ${err.message}`);
+    throw err;
+  }
+}
+
 /**
  * initializeDatabase()
  * Simple health check to verify DB connectivity at startup
@@ -53,6 +75,7 @@ async function initializeDatabase() {
 module.exports = {
   client,
   executeQuery,
+  executeBatch,
   initializeDatabase, // ✅ exported now
 };
 
@@ -0,0 +1,63 @@
+// config/mailer.js
+require('dotenv').config();
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing mail transport, chosen by MAIL_TRANSPORT:
+ *   smtp   SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ *          (point it at a local SMTP stand-in such as MailHog for testing)
+ *   json   nodemailer's JSON transport: nothing is sent, messages are logged
+ * Defaults to smtp when SMTP_HOST is set, json otherwise.
+ */
+function createTransport() {
+  const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+  if (type === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  if (type === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+}
+
+let transport = createTransport();
+
+/**
+ * setTransport(customTransport)
+ * Swap in another nodemailer transport (or any object with sendMail), e.g. in tests
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * sendMail({ to, subject, text, html })
+ */
+async function sendMail(message) {
+  const info = await transport.sendMail({
+    from: process.env.MAIL_FROM || 'WorkFlow Pro <no-reply@workflowpro.local>',
+    ...message,
+  });
+
+  // JSON transport only serializes the message; show it so links can be followed in development
+  if (info && info.message && process.env.NODE_ENV !== 'production') {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+
+  return info;
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+};
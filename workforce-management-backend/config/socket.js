@@ -0,0 +1,109 @@
+// config/socket.js
+const { Server } = require('socket.io');
+const { verifyAccessToken, loadSessionUser } = require('../middleware/auth');
+const { findAccessibleBoard } = require('../utils/teamScope');
+
+let io = null;
+
+/**
+ * initSocket(httpServer, corsOptions)
+ * Attaches Socket.IO to the HTTP server. Clients authenticate with the same
+ * access token as the REST API, passed as `auth: { token }` (or a Bearer
+ * Authorization header), and are put in a personal `user:<id>` room.
+ *
+ * Client events:
+ *   board:join  (boardId, ack)  start receiving a board's task events
+ *   board:leave (boardId, ack)
+ *
+ * Board access is checked on join; routes that revoke it call leaveBoards.
+ */
+function initSocket(httpServer, corsOptions) {
+  io = new Server(httpServer, { cors: corsOptions });
+
+  io.use(async (socket, next) => {
+    const authHeader = socket.handshake.headers['authorization'];
+    const token =
+      (socket.handshake.auth && socket.handshake.auth.token) ||
+      (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      return next(new Error('Access token required'));
+    }
+
+    let payload;
+    try {
+      payload = verifyAccessToken(token);
+    } catch (err) {
+      return next(new Error('Invalid or expired token'));
+    }
+
+    try {
+      socket.user = await loadSessionUser(payload);
+    } catch (err) {
+      return next(new Error('Authentication failed'));
+    }
+    if (!socket.user) return next(new Error('Account is not active'));
+    next();
+  });
+
+  io.on('connection', socket => {
+    socket.join(`user:${socket.user.userId}`);
+
+    // Clients may emit without a callback, or with something else in its place
+    socket.on('board:join', async (boardId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const board = await findAccessibleBoard(boardId, socket.user);
+        if (!board) return reply({ ok: false, error: 'Board not found' });
+
+        socket.join(`board:${board.id}`);
+        reply({ ok: true });
+      } catch (err) {
+        console.error('Socket board:join error:', err);
+        reply({ ok: false, error: 'Failed to join board' });
+      }
+    });
+
+    socket.on('board:leave', (boardId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      socket.leave(`board:${boardId}`);
+      reply({ ok: true });
+    });
+  });
+
+  return io;
+}
+
+/**
+ * emitToBoard(boardId, event, payload)
+ * Broadcast to everyone viewing a board. No-op before initSocket (e.g. scripts).
+ */
+function emitToBoard(boardId, event, payload) {
+  if (!io || !boardId) return;
+  io.to(`board:${boardId}`).emit(event, payload);
+}
+
+/**
+ * leaveBoards(userId, boardIds)
+ * Take all of a user's sockets out of the given board rooms, e.g. once they
+ * lost access to those boards. No-op before initSocket.
+ */
+function leaveBoards(userId, boardIds) {
+  if (!io || !userId || boardIds.length === 0) return;
+  io.in(`user:${userId}`).socketsLeave(boardIds.map(boardId => `board:${boardId}`));
+}
+
+/**
+ * emitToUser(userId, event, payload)
+ */
+function emitToUser(userId, event, payload) {
+  if (!io || !userId) return;
+  io.to(`user:${userId}`).emit(event, payload);
+}
+
+module.exports = {
+  initSocket,
+  emitToBoard,
+  emitToUser,
+  leaveBoards,
+};
@@ -0,0 +1,170 @@
+// config/storage.js
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * File storage backend, chosen by STORAGE_DRIVER:
+ *   local  files under UPLOAD_DIR (default ./uploads)
+ *   s3     any S3-compatible API: S3_ENDPOINT / S3_REGION / S3_BUCKET /
+ *          S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY, path-style URLs
+ *          (point it at a local stand-in such as MinIO for testing)
+ * Defaults to local.
+ *
+ * Every driver implements:
+ *   put(key, buffer, { contentType })  store an object
+ *   get(key)                           readable stream, or null if missing
+ *   remove(key)                        delete (missing objects are ignored)
+ */
+
+function createLocalStorage(root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')) {
+  const resolve = key => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async get(key) {
+      const file = resolve(key);
+      try {
+        await fs.promises.access(file);
+      } catch (err) {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+function createS3Storage({
+  endpoint = process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+  region = process.env.S3_REGION || 'us-east-1',
+  bucket = process.env.S3_BUCKET,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint);
+
+  // AWS Signature Version 4 request signing
+  function signedRequest(method, key, { body, contentType, responseType } = {}) {
+    const url = new URL(base.href);
+    url.pathname = `${base.pathname.replace(/\/$/, '')}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalHeaders = signedHeaders.map(name => `${name}:${headers[name]}\n`).join('');
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      canonicalHeaders,
+      signedHeaders.join(';'),
+      payloadHash,
+    ].join('\n');
+
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete headers.host;
+    headers.Authorization =
+      `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+
+    return axios({
+      method,
+      url: url.href,
+      headers,
+      data: body,
+      responseType,
+      maxBodyLength: Infinity,
+      validateStatus: status => (status >= 200 && status < 300) || status === 404,
+    });
+  }
+
+  return {
+    async put(key, buffer, { contentType } = {}) {
+      await signedRequest('PUT', key, { body: buffer, contentType });
+    },
+
+    async get(key) {
+      const response = await signedRequest('GET', key, { responseType: 'stream' });
+      if (response.status === 404) {
+        response.data.resume();
+        return null;
+      }
+      return response.data;
+    },
+
+    async remove(key) {
+      await signedRequest('DELETE', key);
+    },
+  };
+}
+
+function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') return createLocalStorage();
+  if (driver === 's3') return createS3Storage();
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+let storage = null;
+
+/**
+ * getStorage() -> the configured driver (created on first use)
+ */
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+/**
+ * setStorage(customStorage)
+ * Swap in another backend implementing put/get/remove, e.g. in tests
+ */
+function setStorage(customStorage) {
+  storage = customStorage;
+}
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createLocalStorage,
+  createS3Storage,
+};
@@ -1,4 +1,8 @@
 const jwt = require('jsonwebtoken');
+const { executeQuery } = require('../config/database');
+
+// Roles allowed by the users.role CHECK constraint
+const ROLES = ['admin', 'manager', 'employee'];
 
 // Generate short-lived access token
 function generateToken(user) {
@@ -13,15 +17,20 @@ function generateToken(user) {
   );
 }
 
-// Generate long-lived refresh token
-function generateRefreshToken(user) {
+// Generate long-lived refresh token. tokenId/familyId tie it to its
+// refresh_tokens row (see utils/refreshTokens.js).
+function generateRefreshToken(user, { tokenId, familyId }) {
   return jwt.sign(
     {
       userId: user.id,
-      type: 'refresh'
+      type: 'refresh',
+      family: familyId
     },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+      jwtid: tokenId
+    }
   );
 }
 
@@ -30,8 +39,24 @@ function verifyRefreshToken(token) {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 }
 
+// Verify access token (shared by HTTP middleware and Socket.IO handshake)
+function verifyAccessToken(token) {
+  return jwt.verify(token, process.env.JWT_SECRET);
+}
+
+// Apply the user's current account state to a verified token payload.
+// Access tokens outlive suspensions and role changes, so role and status are
+// read from the users table on every request rather than trusted from the token.
+// Returns the session user, or null if the account is gone or not active.
+async function loadSessionUser(payload) {
+  const result = await executeQuery('SELECT email, role, status FROM users WHERE id = ?', [payload.userId]);
+  const user = result.rows[0];
+  if (!user || user.status !== 'active') return null;
+  return { ...payload, email: user.email, role: user.role };
+}
+
 // Middleware: verify access token
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Expect: Bearer <token>
 
@@ -39,19 +64,46 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (err) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    req.user = await loadSessionUser(payload);
+  } catch (err) {
+    return next(err);
+  }
+  if (!req.user) {
+    return res.status(401).json({ error: 'Account is not active' });
+  }
+  next();
+}
+
+// Middleware factory: only let through users whose role is listed.
+// Must run after authenticateToken.
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
     }
-    req.user = decoded;
     next();
-  });
+  };
 }
 
 module.exports = {
+  ROLES,
   generateToken,
   generateRefreshToken,
   verifyRefreshToken,
-  authenticateToken
+  verifyAccessToken,
+  loadSessionUser,
+  authenticateToken,
+  authorize
 };
 
@@ -18,6 +18,15 @@ const errorHandler = (err, req, res, next) => {
   let statusCode = res.statusCode === 200 ? 500 : res.statusCode;
   let message = err.message;
 
+  // Client errors raised by middleware (e.g. body-parser: malformed JSON, body too large)
+  if (err.status >= 400 && err.status < 500) {
+    statusCode = err.status;
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    message = 'Malformed JSON in request body';
+  }
+
   // Handle specific error types
   if (err.name === 'CastError') {
     statusCode = 400;
@@ -0,0 +1,299 @@
+// middleware/validate.js
+const { checkSchema, validationResult } = require('express-validator');
+
+/**
+ * Declarative request body validation shared by the routers.
+ *
+ * A schema maps the camelCase API fields to their column and type:
+ *
+ *   const boardSchema = {
+ *     name:     { column: 'name', type: 'string', required: true, maxLength: 100 },
+ *     color:    { column: 'color', type: 'color', default: '#6366f1' },
+ *     isActive: { column: 'is_active', type: 'boolean' },
+ *     id:       { readOnly: true }
+ *   };
+ *
+ * Field options:
+ *   column     DB column (defaults to the field name)
+ *   type       string | id | integer | number | boolean | enum | date | datetime |
+ *              color | url | array | list
+ *   required   must be present on create/replace (never null)
+ *   nullable   null is accepted (and stored as NULL)
+ *   default    value used on create/replace when the field is omitted
+ *   values     allowed values (enum)
+ *   min, max   bounds (integer, number); maxLength (string); maxItems (array, list)
+ *   allowEmpty accept '' (string)
+ *   trim       false keeps surrounding whitespace, e.g. in passwords (string)
+ *   validate   extra check (value) => true | error message
+ *   toDb       convert the validated value for storage
+ *   message    error message used for any failure of the field
+ *   readOnly   accepted in the body (so GET output can be sent back) but ignored
+ *
+ * `array` is a list of strings; `list` accepts any items, to be checked by `validate`.
+ *
+ * Fields not in the schema are rejected. On success the cleaned camelCase values
+ * are in req.validated; use toColumns / buildUpdate to turn them into SQL.
+ */
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function typeRules(field, def) {
+  const msg = text => def.message || text;
+
+  switch (def.type) {
+    case 'string': {
+      const rules = {
+        isString: { errorMessage: msg(`${field} must be a string`), bail: true },
+        trim: def.trim !== false,
+      };
+      if (!def.allowEmpty) rules.notEmpty = { errorMessage: msg(`${field} cannot be empty`) };
+      if (def.maxLength) {
+        rules.isLength = {
+          options: { max: def.maxLength },
+          errorMessage: msg(`${field} must be at most ${def.maxLength} characters`),
+        };
+      }
+      return rules;
+    }
+    case 'id':
+      return {
+        isInt: { options: { min: 1 }, errorMessage: msg(`${field} must be a positive integer ID`) },
+        toInt: true,
+      };
+    case 'integer':
+      return {
+        isInt: {
+          options: bounds(def),
+          errorMessage: msg(`${field} must be an integer${boundsText(def)}`),
+        },
+        toInt: true,
+      };
+    case 'number':
+      return {
+        isFloat: {
+          options: bounds(def),
+          errorMessage: msg(`${field} must be a number${boundsText(def)}`),
+        },
+        toFloat: true,
+      };
+    case 'boolean':
+      return {
+        isBooleanValue: {
+          custom: value => typeof value === 'boolean',
+          errorMessage: msg(`${field} must be a boolean`),
+        },
+      };
+    case 'enum':
+      return {
+        isIn: {
+          options: [def.values],
+          errorMessage: msg(`Invalid ${field}. Allowed: ${def.values.join(', ')}`),
+        },
+      };
+    case 'date':
+      return {
+        isDateString: {
+          custom: value => typeof value === 'string' && DATE_PATTERN.test(value),
+          errorMessage: msg(`${field} must be a date (YYYY-MM-DD)`),
+          bail: true,
+        },
+        isISO8601: { options: { strict: true }, errorMessage: msg(`${field} must be a valid date`) },
+      };
+    case 'datetime':
+      return {
+        isISO8601: {
+          options: { strict: true },
+          errorMessage: msg(`${field} must be an ISO 8601 date or date-time`),
+        },
+      };
+    case 'color':
+      return {
+        matches: { options: [COLOR_PATTERN], errorMessage: msg(`${field} must be a hex value like #6366f1`) },
+      };
+    case 'url':
+      return {
+        isURL: {
+          options: { protocols: ['http', 'https'], require_protocol: true, require_tld: false },
+          errorMessage: msg(`${field} must be an http(s) URL`),
+        },
+      };
+    case 'array':
+      return {
+        isStringArray: {
+          custom: value =>
+            Array.isArray(value) &&
+            value.every(item => typeof item === 'string' && item.trim()) &&
+            (!def.maxItems || value.length <= def.maxItems),
+          errorMessage: msg(`${field} must be an array of non-empty strings${
+            def.maxItems ? ` (at most ${def.maxItems})` : ''
+          }`),
+        },
+        trimItems: {
+          customSanitizer: value => (Array.isArray(value) ? [...new Set(value.map(item => item.trim()))] : value),
+        },
+      };
+    case 'list':
+      return {
+        isList: {
+          custom: value => Array.isArray(value) && (!def.maxItems || value.length <= def.maxItems),
+          errorMessage: msg(`${field} must be an array${def.maxItems ? ` of at most ${def.maxItems} items` : ''}`),
+        },
+      };
+    default:
+      throw new Error(`Unknown validation type for ${field}: ${def.type}`);
+  }
+}
+
+// validator.js treats an explicit `max: undefined` as a failed bound
+function bounds(def) {
+  const options = {};
+  if (def.min !== undefined) options.min = def.min;
+  if (def.max !== undefined) options.max = def.max;
+  return options;
+}
+
+function boundsText(def) {
+  if (def.min !== undefined && def.max !== undefined) return ` between ${def.min} and ${def.max}`;
+  if (def.min !== undefined) return ` of at least ${def.min}`;
+  if (def.max !== undefined) return ` of at most ${def.max}`;
+  return '';
+}
+
+/**
+ * Compile a schema into express-validator's checkSchema format
+ */
+function compileSchema(schema, partial) {
+  const compiled = {};
+
+  for (const [field, def] of Object.entries(schema)) {
+    if (def.readOnly) continue;
+
+    const rules = { in: ['body'] };
+    if (def.required && !partial) {
+      rules.exists = {
+        options: { values: 'null' },
+        errorMessage: def.message || `${field} is required`,
+        bail: true,
+      };
+    } else {
+      // Skip validation when absent; null is skipped only for nullable fields
+      rules.optional = { options: { values: def.nullable ? 'null' : 'undefined' } };
+    }
+
+    Object.assign(rules, typeRules(field, def));
+
+    if (def.validate) {
+      // Runs only once the type checks passed
+      rules.typeChecked = { custom: () => true, bail: true };
+      rules.fieldCheck = {
+        custom: value => {
+          const result = def.validate(value);
+          if (result !== true) throw new Error(def.message || result || `Invalid ${field}`);
+          return true;
+        },
+      };
+    }
+
+    compiled[field] = rules;
+  }
+
+  return compiled;
+}
+
+/**
+ * validateBody(schema, { partial })
+ * Middleware chain validating req.body against `schema`.
+ * partial: PATCH semantics, every field optional and no defaults applied.
+ */
+function validateBody(schema, { partial = false } = {}) {
+  const checks = checkSchema(compileSchema(schema, partial), ['body']);
+
+  const finish = (req, res, next) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Request body must be a JSON object' });
+    }
+
+    const unknown = Object.keys(req.body).filter(field => !schema[field]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}` });
+    }
+
+    const result = validationResult(req);
+    if (!result.isEmpty()) {
+      const details = result.array({ onlyFirstError: true }).map(err => ({ field: err.path, message: err.msg }));
+      return res.status(400).json({ error: details[0].message, details });
+    }
+
+    const validated = {};
+    for (const [field, def] of Object.entries(schema)) {
+      if (def.readOnly) continue;
+      if (req.body[field] !== undefined) {
+        validated[field] = req.body[field];
+      } else if (!partial) {
+        validated[field] = def.default !== undefined ? def.default : null;
+      }
+    }
+
+    if (partial && Object.keys(validated).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    req.validated = validated;
+    next();
+  };
+
+  return [...checks, finish];
+}
+
+/**
+ * toColumns(schema, data) -> { column: value } ready for SQL
+ */
+function toColumns(schema, data) {
+  const columns = {};
+  for (const [field, value] of Object.entries(data)) {
+    const def = schema[field];
+    if (!def || def.readOnly) continue;
+
+    let dbValue = value;
+    if (value !== null && value !== undefined) {
+      if (def.toDb) dbValue = def.toDb(value);
+      else if (def.type === 'boolean') dbValue = value ? 1 : 0;
+      else if (def.type === 'array' || def.type === 'list') dbValue = JSON.stringify(value);
+    }
+    columns[def.column || field] = dbValue === undefined ? null : dbValue;
+  }
+  return columns;
+}
+
+/**
+ * buildUpdate(schema, data) -> { sql: 'a = ?, b = ?', params }
+ * Column names only ever come from the schema, never from the request.
+ */
+function buildUpdate(schema, data) {
+  const columns = toColumns(schema, data);
+  return {
+    sql: Object.keys(columns).map(column => `${column} = ?`).join(', '),
+    params: Object.values(columns),
+  };
+}
+
+/**
+ * buildInsert(schema, data, extra) -> { columns: 'a, b', placeholders: '?, ?', params }
+ * `extra` adds server-controlled columns (e.g. { created_by: userId }).
+ */
+function buildInsert(schema, data, extra = {}) {
+  const columns = { ...toColumns(schema, data), ...extra };
+  return {
+    columns: Object.keys(columns).join(', '),
+    placeholders: Object.keys(columns).map(() => '?').join(', '),
+    params: Object.values(columns),
+  };
+}
+
+module.exports = {
+  validateBody,
+  toColumns,
+  buildUpdate,
+  buildInsert,
+};
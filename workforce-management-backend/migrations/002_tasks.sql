@@ -1,4 +1,4 @@
--- 003_tasks.sql
+-- 002_tasks.sql
 PRAGMA foreign_keys = ON;
 
 -- BOARDS
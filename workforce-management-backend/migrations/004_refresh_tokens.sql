@@ -0,0 +1,19 @@
+-- 004_refresh_tokens.sql
+PRAGMA foreign_keys = ON;
+
+-- REFRESH TOKENS
+-- One row per issued refresh token (id = the JWT's jti). Tokens issued by
+-- rotating each other share a family_id, so a reused token can revoke its family.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    replaced_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
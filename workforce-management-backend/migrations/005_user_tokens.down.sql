@@ -0,0 +1,3 @@
+-- 005_user_tokens.down.sql
+DROP TABLE IF EXISTS user_tokens;
+ALTER TABLE users DROP COLUMN email_verified_at;
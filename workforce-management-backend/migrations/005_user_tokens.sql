@@ -0,0 +1,21 @@
+-- 005_user_tokens.sql
+PRAGMA foreign_keys = ON;
+
+-- Email verification timestamp; existing active accounts count as verified
+ALTER TABLE users ADD COLUMN email_verified_at DATETIME;
+UPDATE users SET email_verified_at = created_at WHERE status = 'active';
+
+-- USER TOKENS
+-- Single-use, expiring tokens mailed to users. Only a SHA-256 hash is stored.
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT CHECK(type IN ('email_verification', 'password_reset')) NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_type ON user_tokens(user_id, type);
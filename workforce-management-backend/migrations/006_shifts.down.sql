@@ -0,0 +1,9 @@
+-- 006_shifts.down.sql
+DROP TRIGGER IF EXISTS update_shift_templates_timestamp;
+DROP TRIGGER IF EXISTS update_schedules_timestamp;
+DROP TRIGGER IF EXISTS update_shifts_timestamp;
+
+DROP TABLE IF EXISTS employee_availability;
+DROP TABLE IF EXISTS shifts;
+DROP TABLE IF EXISTS schedules;
+DROP TABLE IF EXISTS shift_templates;
@@ -0,0 +1,92 @@
+-- 006_shifts.sql
+PRAGMA foreign_keys = ON;
+
+-- Shift times are wall-clock 'YYYY-MM-DD HH:MM:SS' values in the team's local time.
+-- Template and availability times are 'HH:MM'; an end earlier than the start wraps past midnight.
+
+-- SHIFT TEMPLATES
+CREATE TABLE IF NOT EXISTS shift_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    color TEXT DEFAULT '#6366f1',
+    created_by INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- SCHEDULES (one per team per week, weeks start on Monday)
+CREATE TABLE IF NOT EXISTS schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    week_start DATE NOT NULL,
+    status TEXT CHECK(status IN ('draft', 'published')) DEFAULT 'draft',
+    published_at DATETIME,
+    published_by INTEGER REFERENCES users(id),
+    created_by INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(team_id, week_start)
+);
+
+-- SHIFTS (user_id NULL = open shift)
+CREATE TABLE IF NOT EXISTS shifts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id INTEGER NOT NULL REFERENCES schedules(id) ON DELETE CASCADE,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id),
+    template_id INTEGER REFERENCES shift_templates(id) ON DELETE SET NULL,
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    notes TEXT,
+    status TEXT CHECK(status IN ('draft', 'published', 'cancelled')) DEFAULT 'draft',
+    created_by INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- EMPLOYEE AVAILABILITY (recurring weekly windows; day_of_week 0 = Sunday)
+CREATE TABLE IF NOT EXISTS employee_availability (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    day_of_week INTEGER NOT NULL CHECK(day_of_week BETWEEN 0 AND 6),
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_shifts_user_time ON shifts(user_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_shifts_team_time ON shifts(team_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_shifts_schedule ON shifts(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_availability_user ON employee_availability(user_id, day_of_week);
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS update_shift_templates_timestamp;
+CREATE TRIGGER update_shift_templates_timestamp
+AFTER UPDATE ON shift_templates
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE shift_templates SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+DROP TRIGGER IF EXISTS update_schedules_timestamp;
+CREATE TRIGGER update_schedules_timestamp
+AFTER UPDATE ON schedules
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE schedules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+DROP TRIGGER IF EXISTS update_shifts_timestamp;
+CREATE TRIGGER update_shifts_timestamp
+AFTER UPDATE ON shifts
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE shifts SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,8 @@
+-- 007_chat.down.sql
+DROP TRIGGER IF EXISTS create_general_channel;
+DROP TRIGGER IF EXISTS update_channels_timestamp;
+
+DROP TABLE IF EXISTS channel_reads;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS channel_members;
+DROP TABLE IF EXISTS channels;
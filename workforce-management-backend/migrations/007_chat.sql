@@ -0,0 +1,76 @@
+-- 007_chat.sql
+PRAGMA foreign_keys = ON;
+
+-- CHANNELS
+-- Team channels are visible to every member of the team. Direct channels are
+-- between the users listed in channel_members; direct_key ('<lowId>:<highId>')
+-- keeps one channel per pair.
+CREATE TABLE IF NOT EXISTS channels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT CHECK(type IN ('team', 'direct')) NOT NULL,
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    name TEXT,
+    description TEXT,
+    direct_key TEXT UNIQUE,
+    created_by INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- DIRECT CHANNEL MEMBERS
+CREATE TABLE IF NOT EXISTS channel_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel_id INTEGER NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(channel_id, user_id)
+);
+
+-- MESSAGES
+CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel_id INTEGER NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id),
+    content TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- READ CURSORS (per user per channel, for unread counts)
+CREATE TABLE IF NOT EXISTS channel_reads (
+    channel_id INTEGER NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    last_read_message_id INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (channel_id, user_id)
+);
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_channels_team ON channels(team_id);
+CREATE INDEX IF NOT EXISTS idx_channel_members_user ON channel_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_messages_channel ON messages(channel_id, id);
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS update_channels_timestamp;
+CREATE TRIGGER update_channels_timestamp
+AFTER UPDATE ON channels
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE channels SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+-- Every team gets a #general channel
+DROP TRIGGER IF EXISTS create_general_channel;
+CREATE TRIGGER create_general_channel
+AFTER INSERT ON teams
+FOR EACH ROW
+BEGIN
+  INSERT INTO channels (type, team_id, name, description, created_by)
+  VALUES ('team', NEW.id, 'general', 'Team-wide announcements and chat', NEW.manager_id);
+END;
+
+-- Existing teams get one too
+INSERT INTO channels (type, team_id, name, description, created_by)
+SELECT 'team', t.id, 'general', 'Team-wide announcements and chat', t.manager_id
+FROM teams t
+WHERE NOT EXISTS (SELECT 1 FROM channels c WHERE c.team_id = t.id AND c.name = 'general');
@@ -0,0 +1,19 @@
+-- 008_task_comments.down.sql
+-- Restores the 002_tasks shape of task_comments (no updated_at). task_id keeps
+-- referencing tasks rather than the _tasks_old table the original pointed at.
+DROP TABLE IF EXISTS comment_mentions;
+
+CREATE TABLE IF NOT EXISTS task_comments_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id),
+    content TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO task_comments_old (id, task_id, user_id, content, created_at)
+SELECT id, task_id, user_id, content, created_at
+FROM task_comments;
+
+DROP TABLE task_comments;
+ALTER TABLE task_comments_old RENAME TO task_comments;
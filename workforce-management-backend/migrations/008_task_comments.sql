@@ -0,0 +1,33 @@
+-- 008_task_comments.sql
+PRAGMA foreign_keys = ON;
+
+-- Rebuild task_comments: 003_alter_tasks_tags renamed tasks to _tasks_old, which
+-- left task_id referencing the dropped table. Also adds updated_at for edits.
+CREATE TABLE IF NOT EXISTS task_comments_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id),
+    content TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME
+);
+
+INSERT INTO task_comments_new (id, task_id, user_id, content, created_at)
+SELECT id, task_id, user_id, content, created_at
+FROM task_comments
+WHERE task_id IN (SELECT id FROM tasks);
+
+DROP TABLE task_comments;
+ALTER TABLE task_comments_new RENAME TO task_comments;
+
+-- COMMENT MENTIONS (users @mentioned in a comment)
+CREATE TABLE IF NOT EXISTS comment_mentions (
+    comment_id INTEGER NOT NULL REFERENCES task_comments(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (comment_id, user_id)
+);
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_task_comments_task ON task_comments(task_id, id);
+CREATE INDEX IF NOT EXISTS idx_comment_mentions_user ON comment_mentions(user_id);
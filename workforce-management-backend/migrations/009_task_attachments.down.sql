@@ -0,0 +1,20 @@
+-- 009_task_attachments.down.sql
+-- Restores the 002_tasks shape of task_attachments (nullable task_id, no index).
+-- task_id keeps referencing tasks rather than the _tasks_old table the original pointed at.
+CREATE TABLE IF NOT EXISTS task_attachments_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    filename TEXT NOT NULL,
+    original_filename TEXT NOT NULL,
+    file_size INTEGER,
+    mime_type TEXT,
+    uploaded_by INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO task_attachments_old (id, task_id, filename, original_filename, file_size, mime_type, uploaded_by, created_at)
+SELECT id, task_id, filename, original_filename, file_size, mime_type, uploaded_by, created_at
+FROM task_attachments;
+
+DROP TABLE task_attachments;
+ALTER TABLE task_attachments_old RENAME TO task_attachments;
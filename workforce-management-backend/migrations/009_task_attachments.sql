@@ -0,0 +1,27 @@
+-- 009_task_attachments.sql
+PRAGMA foreign_keys = ON;
+
+-- Rebuild task_attachments: like task_comments (008), task_id was left
+-- referencing the _tasks_old table dropped by 003_alter_tasks_tags.
+-- filename is the storage key; original_filename is what the uploader sent.
+CREATE TABLE IF NOT EXISTS task_attachments_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    filename TEXT NOT NULL,
+    original_filename TEXT NOT NULL,
+    file_size INTEGER,
+    mime_type TEXT,
+    uploaded_by INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO task_attachments_new (id, task_id, filename, original_filename, file_size, mime_type, uploaded_by, created_at)
+SELECT id, task_id, filename, original_filename, file_size, mime_type, uploaded_by, created_at
+FROM task_attachments
+WHERE task_id IN (SELECT id FROM tasks);
+
+DROP TABLE task_attachments;
+ALTER TABLE task_attachments_new RENAME TO task_attachments;
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_task_attachments_task ON task_attachments(task_id);
@@ -0,0 +1,10 @@
+-- 010_tasks_search.down.sql
+DROP TRIGGER IF EXISTS tasks_fts_insert;
+DROP TRIGGER IF EXISTS tasks_fts_delete;
+DROP TRIGGER IF EXISTS tasks_fts_update;
+
+DROP INDEX IF EXISTS idx_tasks_column;
+DROP INDEX IF EXISTS idx_tasks_priority;
+DROP INDEX IF EXISTS idx_tasks_created_at;
+
+DROP TABLE IF EXISTS tasks_fts;
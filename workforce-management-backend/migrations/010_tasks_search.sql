@@ -0,0 +1,45 @@
+-- 010_tasks_search.sql
+PRAGMA foreign_keys = ON;
+
+-- FULL-TEXT SEARCH over task title/description (external content: rows live in tasks)
+CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+    title,
+    description,
+    content='tasks',
+    content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2'
+);
+
+-- Index existing tasks
+INSERT INTO tasks_fts(tasks_fts) VALUES ('rebuild');
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_tasks_column ON tasks(column_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
+CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
+
+-- TRIGGERS: keep tasks_fts in sync with tasks
+DROP TRIGGER IF EXISTS tasks_fts_insert;
+CREATE TRIGGER tasks_fts_insert
+AFTER INSERT ON tasks
+FOR EACH ROW
+BEGIN
+  INSERT INTO tasks_fts (rowid, title, description) VALUES (NEW.id, NEW.title, NEW.description);
+END;
+
+DROP TRIGGER IF EXISTS tasks_fts_delete;
+CREATE TRIGGER tasks_fts_delete
+AFTER DELETE ON tasks
+FOR EACH ROW
+BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description) VALUES ('delete', OLD.id, OLD.title, OLD.description);
+END;
+
+DROP TRIGGER IF EXISTS tasks_fts_update;
+CREATE TRIGGER tasks_fts_update
+AFTER UPDATE OF title, description ON tasks
+FOR EACH ROW
+BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description) VALUES ('delete', OLD.id, OLD.title, OLD.description);
+  INSERT INTO tasks_fts (rowid, title, description) VALUES (NEW.id, NEW.title, NEW.description);
+END;
@@ -0,0 +1,5 @@
+-- 011_task_soft_delete.down.sql
+-- Trashed tasks become visible again
+DROP INDEX IF EXISTS idx_tasks_deleted_at;
+ALTER TABLE tasks DROP COLUMN deleted_by;
+ALTER TABLE tasks DROP COLUMN deleted_at;
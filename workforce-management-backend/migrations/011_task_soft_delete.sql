@@ -0,0 +1,11 @@
+-- 011_task_soft_delete.sql
+PRAGMA foreign_keys = ON;
+
+-- Soft delete for tasks. 003_tasks.sql had deleted_at, but the table rebuild in
+-- 003_alter_tasks_tags.sql dropped it. Trashed tasks are purged after the
+-- retention period (TRASH_RETENTION_DAYS) by the scheduled job in utils/trash.js.
+ALTER TABLE tasks ADD COLUMN deleted_at DATETIME;
+ALTER TABLE tasks ADD COLUMN deleted_by INTEGER REFERENCES users(id);
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at);
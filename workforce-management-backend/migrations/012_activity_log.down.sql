@@ -0,0 +1,4 @@
+-- 012_activity_log.down.sql
+DROP TRIGGER IF EXISTS activity_log_no_update;
+DROP TRIGGER IF EXISTS activity_log_no_delete;
+DROP TABLE IF EXISTS activity_log;
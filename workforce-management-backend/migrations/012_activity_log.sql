@@ -0,0 +1,34 @@
+-- 012_activity_log.sql
+PRAGMA foreign_keys = ON;
+
+-- ACTIVITY LOG (append-only audit trail)
+-- changes holds field-level diffs as JSON: {"field": {"from": ..., "to": ...}}
+CREATE TABLE IF NOT EXISTS activity_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT CHECK(entity_type IN ('task', 'board', 'user')) NOT NULL,
+    entity_id INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    actor_id INTEGER REFERENCES users(id),
+    changes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_activity_entity ON activity_log(entity_type, entity_id, id);
+CREATE INDEX IF NOT EXISTS idx_activity_actor ON activity_log(actor_id, id);
+CREATE INDEX IF NOT EXISTS idx_activity_created_at ON activity_log(created_at);
+
+-- TRIGGERS: entries can never be changed or removed
+DROP TRIGGER IF EXISTS activity_log_no_update;
+CREATE TRIGGER activity_log_no_update
+BEFORE UPDATE ON activity_log
+BEGIN
+  SELECT RAISE(ABORT, 'activity_log is append-only');
+END;
+
+DROP TRIGGER IF EXISTS activity_log_no_delete;
+CREATE TRIGGER activity_log_no_delete
+BEFORE DELETE ON activity_log
+BEGIN
+  SELECT RAISE(ABORT, 'activity_log is append-only');
+END;
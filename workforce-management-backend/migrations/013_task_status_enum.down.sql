@@ -0,0 +1,71 @@
+-- 013_task_status_enum.down.sql
+-- Back to the 003_alter_tasks_tags enum; 'review' tasks become 'in-progress'.
+CREATE TABLE tasks_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    board_id INTEGER REFERENCES boards(id) ON DELETE CASCADE,
+    column_id INTEGER REFERENCES task_columns(id) ON DELETE SET NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    assigned_to INTEGER REFERENCES users(id),
+    created_by INTEGER REFERENCES users(id),
+    priority TEXT CHECK(priority IN ('low', 'medium', 'high', 'urgent')) DEFAULT 'medium',
+    due_date DATETIME,
+    estimated_hours DECIMAL(5,2),
+    actual_hours DECIMAL(5,2) DEFAULT 0,
+    status TEXT CHECK(status IN ('todo','in-progress','completed','cancelled')) DEFAULT 'todo',
+    position INTEGER,
+    tags TEXT DEFAULT '[]',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME,
+    deleted_by INTEGER REFERENCES users(id)
+);
+
+INSERT INTO tasks_new (
+    id, board_id, column_id, title, description, assigned_to, created_by,
+    priority, due_date, estimated_hours, actual_hours, status, position, tags,
+    created_at, updated_at, deleted_at, deleted_by
+)
+SELECT
+    id, board_id, column_id, title, description, assigned_to, created_by,
+    priority, due_date, estimated_hours, actual_hours,
+    CASE WHEN status IN ('in_progress', 'review') THEN 'in-progress' ELSE status END,
+    position, tags, created_at, updated_at, deleted_at, deleted_by
+FROM tasks;
+
+DROP TABLE tasks;
+ALTER TABLE tasks_new RENAME TO tasks;
+
+INSERT INTO tasks_fts(tasks_fts) VALUES ('rebuild');
+
+-- INDEXES (as before 013)
+CREATE INDEX IF NOT EXISTS idx_tasks_column ON tasks(column_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
+CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at);
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS tasks_fts_insert;
+CREATE TRIGGER tasks_fts_insert
+AFTER INSERT ON tasks
+FOR EACH ROW
+BEGIN
+  INSERT INTO tasks_fts (rowid, title, description) VALUES (NEW.id, NEW.title, NEW.description);
+END;
+
+DROP TRIGGER IF EXISTS tasks_fts_delete;
+CREATE TRIGGER tasks_fts_delete
+AFTER DELETE ON tasks
+FOR EACH ROW
+BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description) VALUES ('delete', OLD.id, OLD.title, OLD.description);
+END;
+
+DROP TRIGGER IF EXISTS tasks_fts_update;
+CREATE TRIGGER tasks_fts_update
+AFTER UPDATE OF title, description ON tasks
+FOR EACH ROW
+BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description) VALUES ('delete', OLD.id, OLD.title, OLD.description);
+  INSERT INTO tasks_fts (rowid, title, description) VALUES (NEW.id, NEW.title, NEW.description);
+END;
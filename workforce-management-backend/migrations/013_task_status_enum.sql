@@ -0,0 +1,97 @@
+-- 013_task_status_enum.sql
+PRAGMA foreign_keys = ON;
+
+-- Reconcile the task status enum with the API (routes/tasks.js ALLOWED_STATUS).
+-- 002_tasks allowed pending/in_progress, 003_alter_tasks_tags todo/in-progress;
+-- the API uses todo/in_progress/review. SQLite cannot alter a CHECK constraint,
+-- so tasks is rebuilt. The rebuild also restores what 003_alter_tasks_tags lost:
+-- the update_tasks_timestamp trigger and the original indexes.
+-- Run with foreign keys off (scripts/migrate.js does) so dropping the old table
+-- does not cascade to comments and attachments.
+CREATE TABLE tasks_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    board_id INTEGER REFERENCES boards(id) ON DELETE CASCADE,
+    column_id INTEGER REFERENCES task_columns(id) ON DELETE SET NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    assigned_to INTEGER REFERENCES users(id),
+    created_by INTEGER REFERENCES users(id),
+    priority TEXT CHECK(priority IN ('low', 'medium', 'high', 'urgent')) DEFAULT 'medium',
+    due_date DATETIME,
+    estimated_hours DECIMAL(5,2),
+    actual_hours DECIMAL(5,2) DEFAULT 0,
+    status TEXT CHECK(status IN ('todo', 'in_progress', 'review', 'completed', 'cancelled')) DEFAULT 'todo',
+    position INTEGER,
+    tags TEXT DEFAULT '[]',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME,
+    deleted_by INTEGER REFERENCES users(id)
+);
+
+INSERT INTO tasks_new (
+    id, board_id, column_id, title, description, assigned_to, created_by,
+    priority, due_date, estimated_hours, actual_hours, status, position, tags,
+    created_at, updated_at, deleted_at, deleted_by
+)
+SELECT
+    id, board_id, column_id, title, description, assigned_to, created_by,
+    priority, due_date, estimated_hours, actual_hours,
+    CASE status
+        WHEN 'in-progress' THEN 'in_progress'
+        WHEN 'pending' THEN 'todo'
+        ELSE status
+    END,
+    position, tags, created_at, updated_at, deleted_at, deleted_by
+FROM tasks;
+
+DROP TABLE tasks;
+ALTER TABLE tasks_new RENAME TO tasks;
+
+-- Re-index the external content table against the rebuilt tasks
+INSERT INTO tasks_fts(tasks_fts) VALUES ('rebuild');
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_tasks_assigned ON tasks(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+CREATE INDEX IF NOT EXISTS idx_tasks_board ON tasks(board_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_column ON tasks(column_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
+CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at);
+
+-- TRIGGERS (dropped with the old table)
+DROP TRIGGER IF EXISTS update_tasks_timestamp;
+CREATE TRIGGER update_tasks_timestamp
+AFTER UPDATE ON tasks
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+DROP TRIGGER IF EXISTS tasks_fts_insert;
+CREATE TRIGGER tasks_fts_insert
+AFTER INSERT ON tasks
+FOR EACH ROW
+BEGIN
+  INSERT INTO tasks_fts (rowid, title, description) VALUES (NEW.id, NEW.title, NEW.description);
+END;
+
+DROP TRIGGER IF EXISTS tasks_fts_delete;
+CREATE TRIGGER tasks_fts_delete
+AFTER DELETE ON tasks
+FOR EACH ROW
+BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description) VALUES ('delete', OLD.id, OLD.title, OLD.description);
+END;
+
+DROP TRIGGER IF EXISTS tasks_fts_update;
+CREATE TRIGGER tasks_fts_update
+AFTER UPDATE OF title, description ON tasks
+FOR EACH ROW
+BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description) VALUES ('delete', OLD.id, OLD.title, OLD.description);
+  INSERT INTO tasks_fts (rowid, title, description) VALUES (NEW.id, NEW.title, NEW.description);
+END;
@@ -0,0 +1,2 @@
+-- 014_task_dependencies.down.sql
+DROP TABLE IF EXISTS task_dependencies;
@@ -0,0 +1,4 @@
+-- 015_subtasks_checklists.down.sql
+DROP TABLE IF EXISTS task_checklist_items;
+DROP INDEX IF EXISTS idx_tasks_parent;
+ALTER TABLE tasks DROP COLUMN parent_id;
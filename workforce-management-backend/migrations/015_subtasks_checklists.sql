@@ -0,0 +1,23 @@
+-- 015_subtasks_checklists.sql
+PRAGMA foreign_keys = ON;
+
+-- SUBTASKS (one level: a subtask's parent is never itself a subtask)
+ALTER TABLE tasks ADD COLUMN parent_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL;
+
+-- CHECKLIST ITEMS (ordered by position, 1..n within a task)
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    is_completed BOOLEAN DEFAULT 0,
+    completed_at DATETIME,
+    completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_id);
+CREATE INDEX IF NOT EXISTS idx_checklist_items_task ON task_checklist_items(task_id, position);
@@ -0,0 +1,17 @@
+-- 016_task_ordering.down.sql
+-- Task positions keep their 1024 spacing; only their order matters
+DROP INDEX IF EXISTS idx_tasks_column_position;
+
+DROP TRIGGER IF EXISTS create_default_columns;
+CREATE TRIGGER create_default_columns
+AFTER INSERT ON boards
+FOR EACH ROW
+BEGIN
+  INSERT INTO task_columns (board_id, name, position, color) VALUES
+    (NEW.id, 'Pending', 1, '#f1f5f9'),
+    (NEW.id, 'In Progress', 2, '#fef3c7'),
+    (NEW.id, 'Completed', 3, '#d1fae5'),
+    (NEW.id, 'Cancelled', 4, '#fecaca');
+END;
+
+ALTER TABLE task_columns DROP COLUMN status;
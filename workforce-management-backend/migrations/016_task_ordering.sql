@@ -0,0 +1,60 @@
+-- 016_task_ordering.sql
+PRAGMA foreign_keys = ON;
+
+-- Column -> task status: tasks moved into a column take its status (NULL: no change)
+ALTER TABLE task_columns ADD COLUMN status TEXT
+    CHECK (status IS NULL OR status IN ('todo', 'in_progress', 'review', 'completed', 'cancelled'));
+
+UPDATE task_columns SET status = CASE LOWER(TRIM(name))
+    WHEN 'pending' THEN 'todo'
+    WHEN 'to do' THEN 'todo'
+    WHEN 'todo' THEN 'todo'
+    WHEN 'backlog' THEN 'todo'
+    WHEN 'in progress' THEN 'in_progress'
+    WHEN 'doing' THEN 'in_progress'
+    WHEN 'review' THEN 'review'
+    WHEN 'in review' THEN 'review'
+    WHEN 'completed' THEN 'completed'
+    WHEN 'done' THEN 'completed'
+    WHEN 'cancelled' THEN 'cancelled'
+    WHEN 'canceled' THEN 'cancelled'
+END;
+
+-- Task positions are fractional (see utils/tasks.js): respace each column's tasks
+-- 1024 apart, keeping their order. The timestamp trigger is dropped meanwhile so
+-- updated_at is left alone.
+DROP TRIGGER IF EXISTS update_tasks_timestamp;
+
+UPDATE tasks SET position = (
+    SELECT ordered.rank * 1024 FROM (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY board_id, column_id ORDER BY COALESCE(position, 0), id
+        ) AS rank
+        FROM tasks
+    ) ordered
+    WHERE ordered.id = tasks.id
+);
+
+CREATE TRIGGER update_tasks_timestamp
+AFTER UPDATE ON tasks
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS create_default_columns;
+CREATE TRIGGER create_default_columns
+AFTER INSERT ON boards
+FOR EACH ROW
+BEGIN
+  INSERT INTO task_columns (board_id, name, position, color, status) VALUES
+    (NEW.id, 'Pending', 1, '#f1f5f9', 'todo'),
+    (NEW.id, 'In Progress', 2, '#fef3c7', 'in_progress'),
+    (NEW.id, 'Completed', 3, '#d1fae5', 'completed'),
+    (NEW.id, 'Cancelled', 4, '#fecaca', 'cancelled');
+END;
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_tasks_column_position ON tasks(column_id, position);
@@ -0,0 +1,4 @@
+-- 017_time_tracking.down.sql
+-- tasks.actual_hours keeps the last values computed from the entries
+DROP TABLE IF EXISTS timesheets;
+DROP TABLE IF EXISTS time_entries;
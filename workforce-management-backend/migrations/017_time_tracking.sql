@@ -0,0 +1,59 @@
+-- 017_time_tracking.sql
+PRAGMA foreign_keys = ON;
+
+-- Times are 'YYYY-MM-DD HH:MM:SS' wall-clock values, like shift times.
+
+-- TIME ENTRIES (ended_at NULL = running timer; minutes is set once it has ended)
+CREATE TABLE IF NOT EXISTS time_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    started_at DATETIME NOT NULL,
+    ended_at DATETIME,
+    minutes INTEGER,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+-- TIMESHEETS (one per user per week, weeks start on Monday; created on submit)
+CREATE TABLE IF NOT EXISTS timesheets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    week_start DATE NOT NULL,
+    status TEXT CHECK(status IN ('submitted', 'approved', 'rejected')) DEFAULT 'submitted',
+    submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME,
+    reviewed_by INTEGER REFERENCES users(id),
+    review_note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, week_start)
+);
+
+-- INDEXES
+-- At most one running timer per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_time_entries_user_time ON time_entries(user_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_time_entries_task ON time_entries(task_id);
+CREATE INDEX IF NOT EXISTS idx_timesheets_status ON timesheets(status, week_start);
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS update_time_entries_timestamp;
+CREATE TRIGGER update_time_entries_timestamp
+AFTER UPDATE ON time_entries
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE time_entries SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+DROP TRIGGER IF EXISTS update_timesheets_timestamp;
+CREATE TRIGGER update_timesheets_timestamp
+AFTER UPDATE ON timesheets
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE timesheets SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,2 @@
+-- 018_attendance.down.sql
+DROP TABLE IF EXISTS attendance_records;
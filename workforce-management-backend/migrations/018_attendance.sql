@@ -0,0 +1,35 @@
+-- 018_attendance.sql
+PRAGMA foreign_keys = ON;
+
+-- Punches are 'YYYY-MM-DD HH:MM:SS' wall-clock values, like shift times.
+-- Late / early departure / overtime / no-show are worked out from the shift when read.
+
+-- ATTENDANCE RECORDS (one per shift and person; clock_out_at NULL = still clocked in)
+CREATE TABLE IF NOT EXISTS attendance_records (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    clock_in_at DATETIME NOT NULL,
+    clock_out_at DATETIME,
+    notes TEXT,
+    edited_by INTEGER REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(shift_id, user_id),
+    CHECK (clock_out_at IS NULL OR clock_out_at >= clock_in_at)
+);
+
+-- INDEXES
+-- At most one open punch per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_open ON attendance_records(user_id) WHERE clock_out_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_attendance_user_time ON attendance_records(user_id, clock_in_at);
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS update_attendance_records_timestamp;
+CREATE TRIGGER update_attendance_records_timestamp
+AFTER UPDATE ON attendance_records
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE attendance_records SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
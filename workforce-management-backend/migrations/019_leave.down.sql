@@ -0,0 +1,4 @@
+-- 019_leave.down.sql
+DROP TABLE IF EXISTS leave_requests;
+DROP TABLE IF EXISTS leave_balances;
+DROP TABLE IF EXISTS leave_policies;
@@ -0,0 +1,61 @@
+-- 019_leave.sql
+PRAGMA foreign_keys = ON;
+
+-- Leave is counted in whole calendar days; start_date and end_date are inclusive 'YYYY-MM-DD'.
+
+-- LEAVE POLICIES (one per leave type; balances accrue on the 1st of each month)
+CREATE TABLE IF NOT EXISTS leave_policies (
+    leave_type TEXT PRIMARY KEY CHECK(leave_type IN ('vacation', 'sick', 'personal')),
+    accrual_days_per_month REAL NOT NULL DEFAULT 0 CHECK(accrual_days_per_month >= 0),
+    max_balance REAL CHECK(max_balance IS NULL OR max_balance >= 0),
+    requires_balance BOOLEAN DEFAULT 1,
+    updated_by INTEGER REFERENCES users(id),
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO leave_policies (leave_type, accrual_days_per_month, max_balance, requires_balance) VALUES
+    ('vacation', 1.25, 30, 1),
+    ('sick', 0.5, 12, 0),
+    ('personal', 0.25, 3, 1);
+
+-- LEAVE BALANCES (accrued_through: first day of the last month credited)
+CREATE TABLE IF NOT EXISTS leave_balances (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    leave_type TEXT NOT NULL REFERENCES leave_policies(leave_type),
+    balance REAL NOT NULL DEFAULT 0,
+    accrued_through DATE NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, leave_type)
+);
+
+-- LEAVE REQUESTS
+CREATE TABLE IF NOT EXISTS leave_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    leave_type TEXT NOT NULL REFERENCES leave_policies(leave_type),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    days REAL NOT NULL,
+    reason TEXT,
+    status TEXT CHECK(status IN ('pending', 'approved', 'rejected', 'cancelled')) DEFAULT 'pending',
+    reviewed_at DATETIME,
+    reviewed_by INTEGER REFERENCES users(id),
+    review_note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
+-- INDEXES
+CREATE INDEX IF NOT EXISTS idx_leave_requests_user_dates ON leave_requests(user_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status, start_date);
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS update_leave_requests_timestamp;
+CREATE TRIGGER update_leave_requests_timestamp
+AFTER UPDATE ON leave_requests
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE leave_requests SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,3 @@
+-- 020_shift_trades.down.sql
+DROP TABLE IF EXISTS shift_trades;
+ALTER TABLE teams DROP COLUMN max_weekly_hours;
@@ -0,0 +1,43 @@
+-- 020_shift_trades.sql
+PRAGMA foreign_keys = ON;
+
+-- Weekly hour limit per person for a team's shifts (NULL = no limit)
+ALTER TABLE teams ADD COLUMN max_weekly_hours REAL CHECK(max_weekly_hours IS NULL OR max_weekly_hours > 0);
+
+-- SHIFT TRADES
+-- swap:   offered_by gives shift_id and takes the claimer's swap_shift_id in return
+-- drop:   offered_by gives shift_id away
+-- pickup: claimed_by takes an open shift (user_id NULL); there is no offerer
+-- open -> claimed -> approved | rejected by the team manager; cancelled by the offerer or picker
+CREATE TABLE IF NOT EXISTS shift_trades (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK(type IN ('swap', 'drop', 'pickup')),
+    offered_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    claimed_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    swap_shift_id INTEGER REFERENCES shifts(id) ON DELETE CASCADE,
+    status TEXT CHECK(status IN ('open', 'claimed', 'approved', 'rejected', 'cancelled')) DEFAULT 'open',
+    note TEXT,
+    claimed_at DATETIME,
+    reviewed_at DATETIME,
+    reviewed_by INTEGER REFERENCES users(id),
+    review_note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- INDEXES
+-- At most one open or claimed trade per shift
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shift_trades_active ON shift_trades(shift_id) WHERE status IN ('open', 'claimed');
+CREATE INDEX IF NOT EXISTS idx_shift_trades_team_status ON shift_trades(team_id, status);
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS update_shift_trades_timestamp;
+CREATE TRIGGER update_shift_trades_timestamp
+AFTER UPDATE ON shift_trades
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE shift_trades SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,37 @@
+-- 021_time_entries_nullable_task.down.sql
+-- Back to a required task_id; entries kept from purged tasks have none and are dropped.
+CREATE TABLE time_entries_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    started_at DATETIME NOT NULL,
+    ended_at DATETIME,
+    minutes INTEGER,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+INSERT INTO time_entries_new (id, user_id, task_id, started_at, ended_at, minutes, notes, created_at, updated_at)
+SELECT id, user_id, task_id, started_at, ended_at, minutes, notes, created_at, updated_at
+FROM time_entries
+WHERE task_id IS NOT NULL;
+
+DROP TABLE time_entries;
+ALTER TABLE time_entries_new RENAME TO time_entries;
+
+-- INDEXES
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_time_entries_user_time ON time_entries(user_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_time_entries_task ON time_entries(task_id);
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS update_time_entries_timestamp;
+CREATE TRIGGER update_time_entries_timestamp
+AFTER UPDATE ON time_entries
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE time_entries SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,41 @@
+-- 021_time_entries_nullable_task.sql
+PRAGMA foreign_keys = ON;
+
+-- time_entries.task_id becomes nullable: when a trashed task is purged, its entries
+-- in submitted or approved weeks are kept without a task (utils/trash.js) so those
+-- timesheets keep their totals. SQLite cannot alter a column, so the table is rebuilt.
+-- Run with foreign keys off (scripts/migrate.js does).
+CREATE TABLE time_entries_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+    started_at DATETIME NOT NULL,
+    ended_at DATETIME,
+    minutes INTEGER,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+INSERT INTO time_entries_new (id, user_id, task_id, started_at, ended_at, minutes, notes, created_at, updated_at)
+SELECT id, user_id, task_id, started_at, ended_at, minutes, notes, created_at, updated_at
+FROM time_entries;
+
+DROP TABLE time_entries;
+ALTER TABLE time_entries_new RENAME TO time_entries;
+
+-- INDEXES (dropped with the old table)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_time_entries_user_time ON time_entries(user_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_time_entries_task ON time_entries(task_id);
+
+-- TRIGGERS
+DROP TRIGGER IF EXISTS update_time_entries_timestamp;
+CREATE TRIGGER update_time_entries_timestamp
+AFTER UPDATE ON time_entries
+FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE time_entries SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,281 @@
+const express = require('express');
+const { addDays } = require('date-fns');
+const { executeQuery } = require('../config/database');
+const { managesUser } = require('../utils/teamScope');
+const { can, isAdmin } = require('../utils/permissions');
+const { validateBody } = require('../middleware/validate');
+const { emitToUser } = require('../config/socket');
+const { parseDate, parseDateTime, toDbDate, toDbDateTime, weekStartOf } = require('../utils/scheduling');
+const {
+  CLOCK_IN_WINDOW_MINUTES,
+  ATTENDANCE_SELECT,
+  normalizeAttendance,
+  summarizeAttendance,
+  findAttendance,
+  findOpenAttendance,
+  findClockInShifts
+} = require('../utils/attendance');
+const router = express.Router();
+
+const MAX_PUNCH_MINUTES = 24 * 60;
+
+// Request body fields (see middleware/validate.js)
+const clockInSchema = {
+  shiftId: { type: 'id' },
+  notes: { type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 }
+};
+const clockOutSchema = {
+  notes: clockInSchema.notes
+};
+const recordSchema = {
+  clockInAt: { type: 'datetime', required: true },
+  clockOutAt: { type: 'datetime', nullable: true },
+  notes: clockInSchema.notes
+};
+
+async function findTeam(id) {
+  const result = await executeQuery('SELECT * FROM teams WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Tell the person and their team's manager that a shift's attendance changed
+ */
+async function notifyAttendance(attendance, actorId) {
+  const team = await findTeam(attendance.teamId);
+  emitToUser(attendance.userId, 'attendance:updated', { attendance, actorId });
+  if (team && team.manager_id && Number(team.manager_id) !== Number(attendance.userId)) {
+    emitToUser(team.manager_id, 'attendance:updated', { attendance, actorId });
+  }
+}
+
+/**
+ * Validate corrected punches (clockOut null: still clocked in).
+ * Returns an error message or null.
+ */
+function validatePunches(clockIn, clockOut) {
+  const now = new Date();
+  if (clockIn > now) return 'clockInAt cannot be in the future';
+  if (clockOut === null) return null;
+  if (clockOut < clockIn) return 'clockOutAt must be after clockInAt';
+  if (clockOut > now) return 'clockOutAt cannot be in the future';
+  if ((clockOut - clockIn) / 60000 > MAX_PUNCH_MINUTES) return 'Attendance cannot be longer than 24 hours';
+  return null;
+}
+
+/* ------------------------------------------------------------------ */
+/* Clocking in and out                                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET the caller's clock: the shift they are clocked in to (or null) and the
+ * shifts they can clock in to right now
+ */
+router.get('/clock', async (req, res) => {
+  try {
+    const [open, available] = await Promise.all([
+      findOpenAttendance(req.user.userId),
+      findClockInShifts(req.user.userId)
+    ]);
+    res.json({
+      clockedIn: open ? normalizeAttendance(open) : null,
+      available: available.map(row => normalizeAttendance(row))
+    });
+  } catch (err) {
+    console.error('Error fetching clock:', err);
+    res.status(500).json({ error: 'Failed to fetch clock' });
+  }
+});
+
+/**
+ * CLOCK IN to one of the caller's published shifts: { shiftId?, notes? }.
+ * Without shiftId the earliest shift open for clocking in is used.
+ */
+router.post('/clock-in', validateBody(clockInSchema), async (req, res) => {
+  try {
+    const { shiftId, notes } = req.validated;
+
+    const open = await findOpenAttendance(req.user.userId);
+    if (open) {
+      return res.status(409).json({ error: 'You are already clocked in', attendance: normalizeAttendance(open) });
+    }
+
+    const now = new Date();
+    const shifts = await findClockInShifts(req.user.userId, now);
+    const shift = shiftId ? shifts.find(row => Number(row.shift_id) === Number(shiftId)) : shifts[0];
+    if (!shift) {
+      return res.status(409).json({
+        error: `No shift to clock in to. Clocking in opens ${CLOCK_IN_WINDOW_MINUTES} minutes before ` +
+          'one of your published shifts starts and closes when it ends.'
+      });
+    }
+
+    await executeQuery(
+      'INSERT INTO attendance_records (shift_id, user_id, clock_in_at, notes) VALUES (?, ?, ?, ?)',
+      [shift.shift_id, req.user.userId, toDbDateTime(now), notes]
+    );
+
+    const attendance = normalizeAttendance(await findAttendance(shift.shift_id));
+    await notifyAttendance(attendance, req.user.userId);
+    res.status(201).json(attendance);
+  } catch (err) {
+    console.error('Error clocking in:', err);
+    res.status(500).json({ error: 'Failed to clock in' });
+  }
+});
+
+/**
+ * CLOCK OUT of the shift the caller is clocked in to: { notes? }
+ */
+router.post('/clock-out', validateBody(clockOutSchema), async (req, res) => {
+  try {
+    const open = await findOpenAttendance(req.user.userId);
+    if (!open) return res.status(404).json({ error: 'You are not clocked in' });
+
+    const { notes } = req.validated;
+    await executeQuery(
+      `UPDATE attendance_records SET clock_out_at = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [toDbDateTime(new Date()), notes !== undefined ? notes : open.notes, open.record_id]
+    );
+
+    const attendance = normalizeAttendance(await findAttendance(open.shift_id));
+    await notifyAttendance(attendance, req.user.userId);
+    res.json(attendance);
+  } catch (err) {
+    console.error('Error clocking out:', err);
+    res.status(500).json({ error: 'Failed to clock out' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* History and roster                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET attendance for a user's published shifts, with a summary.
+ * Query: from/to (YYYY-MM-DD, default the current week), userId (managers).
+ */
+router.get('/', async (req, res) => {
+  try {
+    let userId = req.user.userId;
+    if (req.query.userId && Number(req.query.userId) !== Number(req.user.userId)) {
+      userId = parseInt(req.query.userId);
+      if (!userId) return res.status(400).json({ error: 'userId must be a user ID' });
+      if (!(await managesUser(req.user, userId))) {
+        return res.status(403).json({ error: 'You can only view the attendance of people on teams you manage' });
+      }
+    }
+
+    const thisWeek = weekStartOf(new Date());
+    const from = req.query.from ? parseDate(req.query.from) : thisWeek;
+    const to = req.query.to ? parseDate(req.query.to) : addDays(thisWeek, 6);
+    if (!from || !to) return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+
+    const result = await executeQuery(
+      `${ATTENDANCE_SELECT}
+       WHERE s.user_id = ? AND s.status = 'published' AND s.start_time >= ? AND s.start_time < ?
+       ORDER BY s.start_time`,
+      [userId, toDbDate(from), toDbDate(addDays(to, 1))]
+    );
+
+    const now = new Date();
+    const attendance = result.rows.map(row => normalizeAttendance(row, now));
+    res.json({ attendance, summary: summarizeAttendance(attendance) });
+  } catch (err) {
+    console.error('Error fetching attendance:', err);
+    res.status(500).json({ error: 'Failed to fetch attendance' });
+  }
+});
+
+/**
+ * GET a team's attendance roster for a day (team manager or admin).
+ * Query: teamId (required), date (YYYY-MM-DD, default today). Covers the
+ * published, assigned shifts starting that day.
+ */
+router.get('/roster', async (req, res) => {
+  try {
+    if (!req.query.teamId) return res.status(400).json({ error: 'teamId is required' });
+    const team = await findTeam(req.query.teamId);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can view the attendance roster' });
+    }
+
+    const date = req.query.date ? parseDate(req.query.date) : new Date();
+    if (!date) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+
+    const result = await executeQuery(
+      `${ATTENDANCE_SELECT}
+       WHERE s.team_id = ? AND s.status = 'published' AND s.start_time >= ? AND s.start_time < ?
+       ORDER BY s.start_time, u.last_name, u.first_name`,
+      [team.id, toDbDate(date), toDbDate(addDays(date, 1))]
+    );
+
+    const now = new Date();
+    const roster = result.rows.map(row => normalizeAttendance(row, now));
+    res.json({ teamId: team.id, date: toDbDate(date), summary: summarizeAttendance(roster), roster });
+  } catch (err) {
+    console.error('Error fetching attendance roster:', err);
+    res.status(500).json({ error: 'Failed to fetch attendance roster' });
+  }
+});
+
+/**
+ * SET the punches of a shift by hand (team manager or admin), e.g. for a missed
+ * clock-out: { clockInAt, clockOutAt?, notes? }. Managers cannot edit their own.
+ */
+router.put('/shifts/:shiftId', validateBody(recordSchema), async (req, res) => {
+  try {
+    const shift = await findAttendance(req.params.shiftId);
+    if (!shift) return res.status(404).json({ error: 'Shift not found' });
+    const team = await findTeam(shift.team_id);
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can edit attendance' });
+    }
+    if (Number(shift.user_id) === Number(req.user.userId) && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'You cannot edit your own attendance' });
+    }
+    if (shift.shift_status === 'draft') {
+      return res.status(400).json({ error: 'Attendance can only be recorded for published shifts' });
+    }
+
+    const clockIn = parseDateTime(req.validated.clockInAt);
+    const clockOut = req.validated.clockOutAt ? parseDateTime(req.validated.clockOutAt) : null;
+    const timeError = validatePunches(clockIn, clockOut);
+    if (timeError) return res.status(400).json({ error: timeError });
+
+    if (!clockOut) {
+      const open = await findOpenAttendance(shift.user_id);
+      if (open && Number(open.shift_id) !== Number(shift.shift_id)) {
+        return res.status(409).json({ error: `${shift.first_name} ${shift.last_name} is clocked in to another shift` });
+      }
+    }
+
+    const notes = req.validated.notes !== undefined ? req.validated.notes : shift.notes;
+    await executeQuery(
+      `INSERT INTO attendance_records (shift_id, user_id, clock_in_at, clock_out_at, notes, edited_by)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (shift_id, user_id) DO UPDATE SET
+         clock_in_at = excluded.clock_in_at, clock_out_at = excluded.clock_out_at,
+         notes = excluded.notes, edited_by = excluded.edited_by, updated_at = CURRENT_TIMESTAMP`,
+      [
+        shift.shift_id,
+        shift.user_id,
+        toDbDateTime(clockIn),
+        clockOut ? toDbDateTime(clockOut) : null,
+        notes || null,
+        req.user.userId
+      ]
+    );
+
+    const attendance = normalizeAttendance(await findAttendance(shift.shift_id));
+    await notifyAttendance(attendance, req.user.userId);
+    res.json(attendance);
+  } catch (err) {
+    console.error('Error updating attendance:', err);
+    res.status(500).json({ error: 'Failed to update attendance' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const { ENTITY_TYPES, listActivity } = require('../utils/activity');
+const router = express.Router();
+
+// Admin-only audit trail; app.js mounts this behind authorize('admin')
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const isId = value => /^[1-9]\d*$/.test(String(value));
+
+/**
+ * GET audit entries across tasks, boards and users (newest first, cursor paginated)
+ * Filters: entityType, entityId, actorId, action, from, to (YYYY-MM-DD, inclusive)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { entityType, entityId, actorId, action, from, to, limit, cursor } = req.query;
+
+    if (entityType && !ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ error: `Invalid entityType. Allowed: ${ENTITY_TYPES.join(', ')}` });
+    }
+    if (entityId && !entityType) {
+      return res.status(400).json({ error: 'entityId requires an entityType' });
+    }
+    for (const [name, value] of Object.entries({ entityId, actorId, cursor })) {
+      if (value !== undefined && !isId(value)) {
+        return res.status(400).json({ error: `${name} must be a positive integer` });
+      }
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && !DATE_PATTERN.test(value)) {
+        return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+      }
+    }
+
+    const page = await listActivity(
+      { entityType, entityId, actorId, action, from, to },
+      { limit, before: cursor }
+    );
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,106 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { executeQuery } = require('../config/database');
+const { executeQuery, executeBatch } = require('../config/database');
+const { sendMail } = require('../config/mailer');
+const { generateToken, authenticateToken } = require('../middleware/auth');
+const { validateBody, buildUpdate } = require('../middleware/validate');
 const {
-  generateToken,
-  generateRefreshToken,
-  verifyRefreshToken
-} = require('../middleware/auth');
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} = require('../utils/refreshTokens');
+const { createUserToken, consumeUserToken } = require('../utils/userTokens');
+const { normalizeUser, findUserById, isValidTimezone } = require('../utils/users');
+const { diffChanges, activityStatement, recordActivity } = require('../utils/activity');
 
 const router = express.Router();
 
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const MIN_PASSWORD_LENGTH = 8;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{5,20}$/;
+
+// Editable profile fields -> columns (see middleware/validate.js)
+const profileSchema = {
+  firstName: { column: 'first_name', type: 'string', required: true, maxLength: 100 },
+  lastName: { column: 'last_name', type: 'string', required: true, maxLength: 100 },
+  avatarUrl: { column: 'avatar_url', type: 'url', nullable: true, message: 'Avatar URL must be an http(s) URL' },
+  phone: {
+    column: 'phone',
+    type: 'string',
+    nullable: true,
+    validate: value => PHONE_PATTERN.test(value),
+    message: 'Invalid phone number'
+  },
+  timezone: { column: 'timezone', type: 'string', validate: isValidTimezone, message: 'Invalid timezone' }
+};
+
+// Passwords are taken as sent: never trimmed
+const newPasswordField = {
+  type: 'string',
+  required: true,
+  trim: false,
+  validate: value => value.length >= MIN_PASSWORD_LENGTH || `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+};
+
+// Request body fields of the account and session endpoints
+const registerSchema = {
+  email: { type: 'string', required: true, maxLength: 255 },
+  password: newPasswordField,
+  firstName: profileSchema.firstName,
+  lastName: profileSchema.lastName,
+  // Self-registered accounts are always employees
+  role: { readOnly: true }
+};
+const resetPasswordSchema = {
+  token: { type: 'string', required: true },
+  password: newPasswordField
+};
+const changePasswordSchema = {
+  currentPassword: { type: 'string', required: true, trim: false },
+  newPassword: newPasswordField
+};
+const emailSchema = {
+  email: { type: 'string', required: true, maxLength: 255 }
+};
+const verifySchema = {
+  token: { type: 'string', required: true }
+};
+// refreshToken, or token for older clients
+const refreshSchema = {
+  refreshToken: { type: 'string' },
+  token: { type: 'string' }
+};
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(user.id, 'email_verification');
+  const link = `${APP_URL}/api/auth/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your WorkFlow Pro email',
+    text: `Hi ${user.first_name},\n\nConfirm your email address by opening this link:\n${link}\n\nIf you did not sign up, you can ignore this email.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createUserToken(user.id, 'password_reset');
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your WorkFlow Pro password',
+    text: `Hi ${user.first_name},\n\nReset your password with this link:\n${link}\n\nIf you did not ask for a reset, you can ignore this email.`
+  });
+}
+
 /**
  * REGISTER new user
+ * Self-registered accounts are always employees; roles are granted by an admin.
+ * The account stays inactive until the emailed verification link is used.
  */
-router.post('/register', async (req, res) => {
+router.post('/register', validateBody(registerSchema), async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role = 'user' } = req.body;
-
-    if (!email || !password || !firstName || !lastName) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const { email, password, firstName, lastName } = req.validated;
+    const role = 'employee';
 
     // Check if email already exists
     const existing = await executeQuery(
@@ -38,19 +119,17 @@ router.post('/register', async (req, res) => {
     const result = await executeQuery(
       `INSERT INTO users (email, password_hash, first_name, last_name, role, status)
        VALUES (?, ?, ?, ?, ?, ?) RETURNING id, email, role, first_name, last_name`,
-      [email, hashed, firstName, lastName, role, 'active']
+      [email, hashed, firstName, lastName, role, 'inactive']
     );
 
     const user = result.rows[0];
+    await recordActivity({ entityType: 'user', entityId: user.id, action: 'created', actorId: user.id });
 
-    // Generate tokens
-    const accessToken = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    await sendVerificationEmail(user);
 
     res.status(201).json({
       user,
-      accessToken,
-      refreshToken
+      message: 'Registration successful. Check your email to verify your account.'
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -63,9 +142,10 @@ router.post('/register', async (req, res) => {
  */
 router.post('/login', async (req, res) => {
   try {
+    // No schema: clients commonly post their whole sign-in form here
     const { email, password } = req.body;
 
-    if (!email || !password) {
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
       return res.status(400).json({ error: 'Email and password required' });
     }
 
@@ -87,13 +167,18 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (user.status === 'inactive' && !user.email_verified_at) {
+      return res.status(403).json({ error: 'Please verify your email before logging in' });
+    }
     if (user.status !== 'active') {
       return res.status(403).json({ error: 'Account is not active' });
     }
 
+    await executeQuery('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+
     // Generate tokens
     const accessToken = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    const refreshToken = await issueRefreshToken(user);
 
     res.json({
       user: {
@@ -113,41 +198,253 @@ router.post('/login', async (req, res) => {
 });
 
 /**
- * REFRESH TOKEN
+ * VERIFY EMAIL (GET for the emailed link, POST for API clients)
  */
-router.post('/refresh', (req, res) => {
+async function verifyEmail(req, res) {
   try {
-    const { token } = req.body;
+    const token = req.method === 'GET' ? req.query.token : req.validated.token;
 
-    if (!token) {
-      return res.status(400).json({ error: 'Refresh token required' });
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Verification token required' });
     }
 
-    const decoded = verifyRefreshToken(token);
+    const userId = await consumeUserToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
 
-    const newAccessToken = jwt.sign(
+    await executeBatch([
       {
-        userId: decoded.userId,
-        type: 'access'
+        sql: `UPDATE users SET email_verified_at = CURRENT_TIMESTAMP,
+                status = CASE WHEN status = 'inactive' THEN 'active' ELSE status END
+              WHERE id = ?`,
+        args: [userId]
       },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+      activityStatement({ entityType: 'user', entityId: userId, action: 'email_verified', actorId: userId })
+    ]);
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+}
+
+router.get('/verify-email', verifyEmail);
+router.post('/verify-email', validateBody(verifySchema), verifyEmail);
+
+/**
+ * RESEND verification email
+ * Always answers the same way so it cannot be used to probe for accounts.
+ */
+router.post('/resend-verification', validateBody(emailSchema), async (req, res) => {
+  try {
+    const { email } = req.validated;
+
+    const result = await executeQuery(
+      'SELECT id, email, first_name, email_verified_at FROM users WHERE email = ?',
+      [email]
+    );
+    const user = result.rows[0];
+
+    if (user && !user.email_verified_at) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({ message: 'If that account needs verification, an email has been sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+/**
+ * FORGOT PASSWORD
+ * Always answers the same way so it cannot be used to probe for accounts.
+ */
+router.post('/forgot-password', validateBody(emailSchema), async (req, res) => {
+  try {
+    const { email } = req.validated;
+
+    const result = await executeQuery(
+      'SELECT id, email, first_name, status FROM users WHERE email = ?',
+      [email]
     );
+    const user = result.rows[0];
+
+    if (user && user.status !== 'suspended') {
+      await sendPasswordResetEmail(user);
+    }
 
-    res.json({ accessToken: newAccessToken });
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process request' });
+  }
+});
+
+/**
+ * RESET PASSWORD
+ * Sets the new password and signs the user out of every session.
+ */
+router.post('/reset-password', validateBody(resetPasswordSchema), async (req, res) => {
+  try {
+    const { token, password } = req.validated;
+
+    const userId = await consumeUserToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const hashed = await bcrypt.hash(password, 12);
+    await executeBatch([
+      { sql: 'UPDATE users SET password_hash = ? WHERE id = ?', args: [hashed, userId] },
+      activityStatement({ entityType: 'user', entityId: userId, action: 'password_reset', actorId: userId })
+    ]);
+    await revokeAllRefreshTokens(userId);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * REFRESH TOKEN
+ * Rotates the refresh token: the old one is revoked and a new one returned.
+ */
+router.post('/refresh', validateBody(refreshSchema), async (req, res) => {
+  try {
+    const token = req.validated.refreshToken || req.validated.token;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const rotated = await rotateRefreshToken(token);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      accessToken: generateToken(rotated.user),
+      refreshToken: rotated.refreshToken
+    });
   } catch (error) {
     console.error('Refresh error:', error);
-    res.status(401).json({ error: 'Invalid or expired refresh token' });
+    res.status(500).json({ error: 'Failed to refresh token' });
   }
 });
 
 /**
- * LOGOUT (optional, just client-side delete)
+ * LOGOUT
+ * Revokes the session the given refresh token belongs to.
+ * Access tokens already issued stay valid until they expire.
  */
-router.post('/logout', (req, res) => {
-  // If storing refresh tokens in DB, delete it here.
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout', validateBody(refreshSchema), async (req, res) => {
+  try {
+    const token = req.validated.refreshToken || req.validated.token;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    await revokeRefreshToken(token);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
 });
 
-module.exports = router;
+/**
+ * LOGOUT ALL SESSIONS
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllRefreshTokens(req.user.userId);
+    res.json({ message: 'Logged out of all sessions', sessionsRevoked: revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
 
+/**
+ * GET current user's profile
+ */
+router.get('/profile', authenticateToken, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(normalizeUser(user));
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+/**
+ * UPDATE current user's profile
+ * Email, role and status are not editable here.
+ */
+router.put('/profile', authenticateToken, validateBody(profileSchema, { partial: true }), async (req, res) => {
+  try {
+    const user = await findUserById(req.user.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const update = buildUpdate(profileSchema, req.validated);
+    const statements = [{
+      sql: `UPDATE users SET ${update.sql}, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`,
+      args: [...update.params, user.id]
+    }];
+    const diff = diffChanges(profileSchema, user, req.validated);
+    if (diff) {
+      statements.push(activityStatement({
+        entityType: 'user', entityId: user.id, action: 'updated', actorId: user.id, changes: diff
+      }));
+    }
+    const [result] = await executeBatch(statements);
+    res.json(normalizeUser(result.rows[0]));
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+/**
+ * CHANGE PASSWORD
+ * Other sessions are signed out; the caller gets a fresh token pair.
+ */
+router.post('/change-password', authenticateToken, validateBody(changePasswordSchema), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.validated;
+
+    const user = await findUserById(req.user.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const valid = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!valid) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const hashed = await bcrypt.hash(newPassword, 12);
+    await executeBatch([
+      { sql: 'UPDATE users SET password_hash = ? WHERE id = ?', args: [hashed, user.id] },
+      activityStatement({ entityType: 'user', entityId: user.id, action: 'password_changed', actorId: user.id })
+    ]);
+    await revokeAllRefreshTokens(user.id);
+
+    res.json({
+      message: 'Password changed successfully',
+      accessToken: generateToken(user),
+      refreshToken: await issueRefreshToken(user)
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+module.exports = router;
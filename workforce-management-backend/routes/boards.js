@@ -0,0 +1,509 @@
+const express = require('express');
+const { executeQuery, executeBatch } = require('../config/database');
+const { boardScope, isTeamMember, findAccessibleBoard } = require('../utils/teamScope');
+const { can, isAdmin, isManager } = require('../utils/permissions');
+const { validateBody, buildUpdate } = require('../middleware/validate');
+const { emitToBoard } = require('../config/socket');
+const { TASK_STATUSES, POSITION_GAP, endOfColumn, normalizeTask, withProgress } = require('../utils/tasks');
+const { BLOCKED_STATUSES, countUnfinishedBlockers } = require('../utils/dependencies');
+const { purgeAtSql } = require('../utils/trash');
+const { diffChanges, activityStatement, recordActivity } = require('../utils/activity');
+const router = express.Router();
+
+// Request body fields -> columns (see middleware/validate.js)
+const boardFields = {
+  name: { column: 'name', type: 'string', required: true, maxLength: 100 },
+  description: { column: 'description', type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 },
+  color: { column: 'color', type: 'color', default: '#6366f1' }
+};
+const boardCreateSchema = {
+  teamId: { column: 'team_id', type: 'id', nullable: true },
+  ...boardFields
+};
+const boardUpdateSchema = {
+  ...boardFields,
+  isActive: { column: 'is_active', type: 'boolean' }
+};
+const columnSchema = {
+  name: { column: 'name', type: 'string', required: true, maxLength: 50 },
+  color: { column: 'color', type: 'color', default: '#f1f5f9' },
+  // Tasks moved into the column take this status (null: left unchanged)
+  status: { column: 'status', type: 'enum', values: TASK_STATUSES, nullable: true },
+  position: { type: 'integer', min: 1, nullable: true }
+};
+const columnUpdateSchema = {
+  name: columnSchema.name,
+  color: columnSchema.color,
+  status: columnSchema.status
+};
+const columnOrderSchema = {
+  columnIds: {
+    type: 'list',
+    required: true,
+    validate: ids => ids.length > 0 && ids.every(id => Number.isInteger(id) && id > 0),
+    message: 'columnIds must be a non-empty array of column IDs'
+  }
+};
+
+/**
+ * Normalize a board row from the DB
+ */
+function normalizeBoard(board) {
+  return {
+    id: board.id,
+    teamId: board.team_id || null,
+    name: board.name,
+    description: board.description || '',
+    color: board.color,
+    isActive: Boolean(board.is_active),
+    createdBy: board.created_by || null,
+    createdAt: board.created_at,
+    updatedAt: board.updated_at
+  };
+}
+
+/**
+ * Normalize a task column row from the DB
+ */
+function normalizeColumn(column) {
+  return {
+    id: column.id,
+    boardId: column.board_id,
+    name: column.name,
+    position: column.position,
+    color: column.color,
+    status: column.status || null,
+    taskCount: column.task_count || 0,
+    createdAt: column.created_at
+  };
+}
+
+async function listColumns(boardId) {
+  const result = await executeQuery(
+    `SELECT c.*, COUNT(t.id) AS task_count
+     FROM task_columns c
+     LEFT JOIN tasks t ON t.column_id = c.id AND t.deleted_at IS NULL
+     WHERE c.board_id = ?
+     GROUP BY c.id
+     ORDER BY c.position`,
+    [boardId]
+  );
+  return result.rows.map(normalizeColumn);
+}
+
+/**
+ * GET boards visible to the caller (optionally for one team)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { teamId, includeArchived } = req.query;
+    const scope = boardScope(req.user);
+    const conditions = [scope.sql];
+    const params = [...scope.params];
+
+    if (teamId) {
+      conditions.push('b.team_id = ?');
+      params.push(teamId);
+    }
+    if (includeArchived !== 'true') {
+      conditions.push('b.is_active = 1');
+    }
+
+    const result = await executeQuery(
+      `SELECT b.* FROM boards b WHERE ${conditions.join(' AND ')} ORDER BY b.name`,
+      params
+    );
+    res.json(result.rows.map(normalizeBoard));
+  } catch (err) {
+    console.error('Error fetching boards:', err);
+    res.status(500).json({ error: 'Failed to fetch boards' });
+  }
+});
+
+/**
+ * GET board by ID, with its columns
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const board = await findAccessibleBoard(req.params.id, req.user);
+    if (!board) return res.status(404).json({ error: 'Board not found' });
+
+    const columns = await listColumns(board.id);
+    res.json({ ...normalizeBoard(board), columns });
+  } catch (err) {
+    console.error('Error fetching board:', err);
+    res.status(500).json({ error: 'Failed to fetch board' });
+  }
+});
+
+/**
+ * CREATE board (default columns are seeded by the create_default_columns trigger)
+ */
+router.post('/', validateBody(boardCreateSchema), async (req, res) => {
+  try {
+    const { teamId, name, description, color } = req.validated;
+
+    if (teamId && !isAdmin(req.user) && !(await isTeamMember(req.user.userId, teamId))) {
+      return res.status(403).json({ error: 'You are not a member of this team' });
+    }
+    if (!can(req.user, 'board:create', { team_id: teamId })) {
+      return res.status(403).json({ error: 'Only managers can create team boards' });
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO boards (team_id, name, description, color, created_by)
+       VALUES (?, ?, ?, ?, ?) RETURNING *`,
+      [teamId, name, description || null, color, req.user.userId]
+    );
+
+    const board = result.rows[0];
+    await recordActivity({ entityType: 'board', entityId: board.id, action: 'created', actorId: req.user.userId });
+    const columns = await listColumns(board.id);
+    res.status(201).json({ ...normalizeBoard(board), columns });
+  } catch (err) {
+    console.error('Error creating board:', err);
+    res.status(500).json({ error: 'Failed to create board' });
+  }
+});
+
+/**
+ * UPDATE board (rename, recolor, archive/unarchive)
+ */
+router.put('/:id', validateBody(boardUpdateSchema, { partial: true }), async (req, res) => {
+  try {
+    const update = buildUpdate(boardUpdateSchema, req.validated);
+
+    const board = await findAccessibleBoard(req.params.id, req.user);
+    if (!board) return res.status(404).json({ error: 'Board not found' });
+    if (!can(req.user, 'board:update', board)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this board' });
+    }
+
+    const statements = [{
+      sql: `UPDATE boards SET ${update.sql}, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`,
+      args: [...update.params, board.id]
+    }];
+    const diff = diffChanges(boardUpdateSchema, board, req.validated);
+    if (diff) {
+      statements.push(activityStatement({
+        entityType: 'board', entityId: board.id, action: 'updated', actorId: req.user.userId, changes: diff
+      }));
+    }
+    const [result] = await executeBatch(statements);
+
+    res.json(normalizeBoard(result.rows[0]));
+  } catch (err) {
+    console.error('Error updating board:', err);
+    res.status(500).json({ error: 'Failed to update board' });
+  }
+});
+
+/**
+ * ARCHIVE board (sets is_active = 0; tasks and columns are kept)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const board = await findAccessibleBoard(req.params.id, req.user);
+    if (!board) return res.status(404).json({ error: 'Board not found' });
+    if (!can(req.user, 'board:update', board)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this board' });
+    }
+
+    const [result] = await executeBatch([
+      { sql: 'UPDATE boards SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *', args: [board.id] },
+      activityStatement({
+        entityType: 'board',
+        entityId: board.id,
+        action: 'archived',
+        actorId: req.user.userId,
+        changes: { isActive: { from: Boolean(board.is_active), to: false } }
+      })
+    ]);
+    res.json({ message: 'Board archived successfully', board: normalizeBoard(result.rows[0]) });
+  } catch (err) {
+    console.error('Error archiving board:', err);
+    res.status(500).json({ error: 'Failed to archive board' });
+  }
+});
+
+/**
+ * GET the board's trash: deleted tasks, most recent first, with their purge date
+ */
+router.get('/:id/trash', async (req, res) => {
+  try {
+    const board = await findAccessibleBoard(req.params.id, req.user);
+    if (!board) return res.status(404).json({ error: 'Board not found' });
+
+    const result = await executeQuery(
+      `SELECT t.*, ${purgeAtSql('t')} AS purge_at
+       FROM tasks t
+       WHERE t.board_id = ? AND t.deleted_at IS NOT NULL
+       ORDER BY t.deleted_at DESC, t.id DESC`,
+      [board.id]
+    );
+
+    res.json(result.rows.map(task => ({
+      ...normalizeTask(task),
+      deletedAt: task.deleted_at,
+      deletedBy: task.deleted_by || null,
+      purgeAt: task.purge_at
+    })));
+  } catch (err) {
+    console.error('Error fetching trash:', err);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+/**
+ * GET columns of a board
+ */
+router.get('/:id/columns', async (req, res) => {
+  try {
+    const board = await findAccessibleBoard(req.params.id, req.user);
+    if (!board) return res.status(404).json({ error: 'Board not found' });
+
+    res.json(await listColumns(board.id));
+  } catch (err) {
+    console.error('Error fetching columns:', err);
+    res.status(500).json({ error: 'Failed to fetch columns' });
+  }
+});
+
+/**
+ * ADD column. Without a position it is appended; with one, later columns shift right.
+ */
+router.post('/:id/columns', validateBody(columnSchema), async (req, res) => {
+  try {
+    const { name, color, status, position } = req.validated;
+
+    const board = await findAccessibleBoard(req.params.id, req.user);
+    if (!board) return res.status(404).json({ error: 'Board not found' });
+    if (!can(req.user, 'board:update', board)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this board' });
+    }
+
+    const max = await executeQuery(
+      'SELECT COALESCE(MAX(position), 0) AS max_position FROM task_columns WHERE board_id = ?',
+      [board.id]
+    );
+    const maxPosition = Number(max.rows[0].max_position);
+
+    const target = position ? Math.min(position, maxPosition + 1) : maxPosition + 1;
+
+    const [, inserted] = await executeBatch([
+      {
+        sql: 'UPDATE task_columns SET position = position + 1 WHERE board_id = ? AND position >= ?',
+        args: [board.id, target]
+      },
+      {
+        sql: `INSERT INTO task_columns (board_id, name, position, color, status)
+              VALUES (?, ?, ?, ?, ?) RETURNING *`,
+        args: [board.id, name, target, color, status]
+      }
+    ]);
+
+    res.status(201).json(normalizeColumn(inserted.rows[0]));
+  } catch (err) {
+    console.error('Error creating column:', err);
+    res.status(500).json({ error: 'Failed to create column' });
+  }
+});
+
+/**
+ * REORDER columns. Body: { columnIds: [...] } listing every column of the board in its new order.
+ */
+router.put('/:id/columns/reorder', validateBody(columnOrderSchema), async (req, res) => {
+  try {
+    const { columnIds } = req.validated;
+
+    const board = await findAccessibleBoard(req.params.id, req.user);
+    if (!board) return res.status(404).json({ error: 'Board not found' });
+    if (!can(req.user, 'board:update', board)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this board' });
+    }
+
+    const existing = await executeQuery('SELECT id FROM task_columns WHERE board_id = ?', [board.id]);
+    const existingIds = existing.rows.map(row => Number(row.id)).sort((a, b) => a - b);
+    const requestedIds = columnIds.map(Number).sort((a, b) => a - b);
+
+    if (
+      existingIds.length !== requestedIds.length ||
+      existingIds.some((id, index) => id !== requestedIds[index])
+    ) {
+      return res.status(400).json({ error: 'columnIds must list every column of the board exactly once' });
+    }
+
+    await executeBatch(
+      columnIds.map((columnId, index) => ({
+        sql: 'UPDATE task_columns SET position = ? WHERE id = ? AND board_id = ?',
+        args: [index + 1, columnId, board.id]
+      }))
+    );
+
+    res.json(await listColumns(board.id));
+  } catch (err) {
+    console.error('Error reordering columns:', err);
+    res.status(500).json({ error: 'Failed to reorder columns' });
+  }
+});
+
+/**
+ * UPDATE column (rename, recolor, change the status it gives tasks)
+ */
+router.put('/:id/columns/:columnId', validateBody(columnUpdateSchema, { partial: true }), async (req, res) => {
+  try {
+    const update = buildUpdate(columnUpdateSchema, req.validated);
+
+    const board = await findAccessibleBoard(req.params.id, req.user);
+    if (!board) return res.status(404).json({ error: 'Board not found' });
+    if (!can(req.user, 'board:update', board)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this board' });
+    }
+
+    const result = await executeQuery(
+      `UPDATE task_columns SET ${update.sql} WHERE id = ? AND board_id = ? RETURNING *`,
+      [...update.params, req.params.columnId, board.id]
+    );
+
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Column not found' });
+    res.json(normalizeColumn(result.rows[0]));
+  } catch (err) {
+    console.error('Error updating column:', err);
+    res.status(500).json({ error: 'Failed to update column' });
+  }
+});
+
+/**
+ * DELETE column. Orphaned tasks are handled by query parameter:
+ *   ?moveTo=<columnId>  append them, in order, to another column of the same board,
+ *                       taking its status like /api/tasks/:id/move (blocked tasks
+ *                       refuse the delete unless a manager passes ?force=true)
+ *   ?deleteTasks=true   move them to the board's trash
+ *   (neither)           keep them on the board without a column
+ */
+router.delete('/:id/columns/:columnId', async (req, res) => {
+  try {
+    const { id, columnId } = req.params;
+    const { moveTo, deleteTasks } = req.query;
+
+    if (moveTo && deleteTasks === 'true') {
+      return res.status(400).json({ error: 'Use either moveTo or deleteTasks, not both' });
+    }
+
+    const board = await findAccessibleBoard(id, req.user);
+    if (!board) return res.status(404).json({ error: 'Board not found' });
+    if (!can(req.user, 'board:update', board)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this board' });
+    }
+
+    const columnResult = await executeQuery(
+      'SELECT * FROM task_columns WHERE id = ? AND board_id = ?',
+      [columnId, id]
+    );
+    if (columnResult.rows.length === 0) return res.status(404).json({ error: 'Column not found' });
+    const column = columnResult.rows[0];
+
+    let taskStatement;
+    const moveStatements = [];
+    const activities = [];
+    let trashedIds = [];
+    if (moveTo) {
+      if (String(moveTo) === String(columnId)) {
+        return res.status(400).json({ error: 'Cannot move tasks into the column being deleted' });
+      }
+      const targetResult = await executeQuery(
+        'SELECT * FROM task_columns WHERE id = ? AND board_id = ?',
+        [moveTo, id]
+      );
+      const target = targetResult.rows[0];
+      if (!target) return res.status(400).json({ error: 'Target column not found on this board' });
+
+      const tasks = await executeQuery(
+        `SELECT * FROM tasks WHERE column_id = ? AND deleted_at IS NULL ORDER BY COALESCE(position, 0), id`,
+        [columnId]
+      );
+      const statusOf = task => target.status || task.status;
+
+      if (BLOCKED_STATUSES.includes(target.status) && !(req.query.force === 'true' && isManager(req.user))) {
+        const blocked = [];
+        for (const task of tasks.rows) {
+          if (task.status !== target.status && (await countUnfinishedBlockers(task.id)) > 0) blocked.push(task.id);
+        }
+        if (blocked.length > 0) {
+          return res.status(409).json({
+            error: `${blocked.length} task(s) in this column are blocked by unfinished tasks`,
+            taskIds: blocked
+          });
+        }
+      }
+
+      let position = await endOfColumn(target.id);
+      for (const task of tasks.rows) {
+        const changes = { columnId: { from: task.column_id, to: target.id } };
+        if (statusOf(task) !== task.status) changes.status = { from: task.status, to: statusOf(task) };
+        moveStatements.push({
+          sql: `UPDATE tasks SET column_id = ?, position = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? RETURNING *`,
+          args: [target.id, position, statusOf(task), task.id]
+        });
+        activities.push(
+          activityStatement({ entityType: 'task', entityId: task.id, action: 'moved', actorId: req.user.userId, changes })
+        );
+        position += POSITION_GAP;
+      }
+
+      // Trashed tasks follow too, so they are restored into the target column
+      taskStatement = {
+        sql: 'UPDATE tasks SET column_id = ? WHERE column_id = ? AND deleted_at IS NOT NULL',
+        args: [target.id, columnId]
+      };
+    } else if (deleteTasks === 'true') {
+      // Logged and broadcast like a single task delete (routes/tasks.js)
+      const live = await executeQuery('SELECT id FROM tasks WHERE column_id = ? AND deleted_at IS NULL', [columnId]);
+      trashedIds = live.rows.map(task => task.id);
+      for (const taskId of trashedIds) {
+        activities.push(activityStatement({ entityType: 'task', entityId: taskId, action: 'deleted', actorId: req.user.userId }));
+      }
+      taskStatement = {
+        sql: `UPDATE tasks SET column_id = NULL,
+                deleted_at = COALESCE(deleted_at, CURRENT_TIMESTAMP), deleted_by = COALESCE(deleted_by, ?)
+              WHERE column_id = ?`,
+        args: [req.user.userId, columnId]
+      };
+    } else {
+      taskStatement = {
+        sql: 'UPDATE tasks SET column_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE column_id = ?',
+        args: [columnId]
+      };
+    }
+
+    const results = await executeBatch([
+      ...moveStatements,
+      ...activities,
+      taskStatement,
+      { sql: 'DELETE FROM task_columns WHERE id = ?', args: [columnId] },
+      {
+        sql: 'UPDATE task_columns SET position = position - 1 WHERE board_id = ? AND position > ?',
+        args: [id, column.position]
+      }
+    ]);
+
+    const moved = await withProgress(results.slice(0, moveStatements.length).map(result => normalizeTask(result.rows[0])));
+    for (const task of moved) {
+      emitToBoard(board.id, 'task:updated', { task, actorId: req.user.userId });
+    }
+    for (const taskId of trashedIds) {
+      emitToBoard(board.id, 'task:deleted', { id: taskId, boardId: board.id, actorId: req.user.userId });
+    }
+
+    res.json({
+      message: 'Column deleted successfully',
+      tasksAffected: moved.length + results[moveStatements.length + activities.length].rowsAffected
+    });
+  } catch (err) {
+    console.error('Error deleting column:', err);
+    res.status(500).json({ error: 'Failed to delete column' });
+  }
+});
+
+module.exports = router;
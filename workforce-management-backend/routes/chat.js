@@ -0,0 +1,308 @@
+const express = require('express');
+const { executeQuery, executeBatch } = require('../config/database');
+const { channelScope, isTeamMember } = require('../utils/teamScope');
+const { emitToUser } = require('../config/socket');
+const { validateBody } = require('../middleware/validate');
+const router = express.Router();
+
+const MAX_MESSAGE_LENGTH = 4000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Request body fields (see middleware/validate.js)
+const channelSchema = {
+  teamId: { type: 'id', required: true },
+  name: {
+    type: 'string',
+    required: true,
+    maxLength: 100,
+    validate: name => name.replace(/^#/, '') !== '' || 'name cannot be empty'
+  },
+  description: { type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 }
+};
+const directChannelSchema = {
+  userId: { type: 'id', required: true }
+};
+const messageSchema = {
+  content: { type: 'string', required: true, maxLength: MAX_MESSAGE_LENGTH }
+};
+const readSchema = {
+  messageId: { type: 'id', nullable: true }
+};
+
+/**
+ * Normalize a channel row from the DB
+ */
+function normalizeChannel(channel) {
+  return {
+    id: channel.id,
+    type: channel.type,
+    teamId: channel.team_id || null,
+    name: channel.name || null,
+    directUserId: channel.direct_user_id || null,
+    description: channel.description || '',
+    unreadCount: channel.unread_count || 0,
+    lastMessageAt: channel.last_message_at || null,
+    createdBy: channel.created_by || null,
+    createdAt: channel.created_at
+  };
+}
+
+/**
+ * Normalize a message row (messages joined with users)
+ */
+function normalizeMessage(message) {
+  return {
+    id: message.id,
+    channelId: message.channel_id,
+    userId: message.user_id,
+    author: message.first_name ? `${message.first_name} ${message.last_name}` : null,
+    content: message.content,
+    createdAt: message.created_at
+  };
+}
+
+/**
+ * Channel list query: visible channels with the caller's unread count
+ */
+function channelListQuery(user, extraCondition = '') {
+  const scope = channelScope(user);
+  return {
+    sql: `SELECT c.*,
+            (SELECT COUNT(*) FROM messages m
+              WHERE m.channel_id = c.id AND m.id > COALESCE(r.last_read_message_id, 0)
+                AND (m.user_id IS NULL OR m.user_id != ?)) AS unread_count,
+            (SELECT MAX(m.created_at) FROM messages m WHERE m.channel_id = c.id) AS last_message_at,
+            (SELECT cm.user_id FROM channel_members cm
+              WHERE cm.channel_id = c.id AND cm.user_id != ?) AS direct_user_id
+          FROM channels c
+          LEFT JOIN channel_reads r ON r.channel_id = c.id AND r.user_id = ?
+          WHERE ${scope.sql} ${extraCondition}`,
+    params: [user.userId, user.userId, user.userId, ...scope.params]
+  };
+}
+
+async function findAccessibleChannel(channelId, user) {
+  const query = channelListQuery(user, 'AND c.id = ?');
+  const result = await executeQuery(query.sql, [...query.params, channelId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * User IDs that should receive a channel's live events
+ */
+async function channelRecipients(channel) {
+  const result = channel.type === 'team'
+    ? await executeQuery('SELECT user_id FROM team_members WHERE team_id = ?', [channel.team_id])
+    : await executeQuery('SELECT user_id FROM channel_members WHERE channel_id = ?', [channel.id]);
+  return result.rows.map(row => row.user_id);
+}
+
+/**
+ * GET channels the caller belongs to, with unread counts
+ */
+router.get('/channels', async (req, res) => {
+  try {
+    const query = channelListQuery(req.user);
+    const result = await executeQuery(
+      `${query.sql} ORDER BY c.type DESC, COALESCE(last_message_at, c.created_at) DESC`,
+      query.params
+    );
+    res.json(result.rows.map(normalizeChannel));
+  } catch (err) {
+    console.error('Error fetching channels:', err);
+    res.status(500).json({ error: 'Failed to fetch channels' });
+  }
+});
+
+/**
+ * CREATE team channel
+ */
+router.post('/channels', validateBody(channelSchema), async (req, res) => {
+  try {
+    const { teamId, name, description } = req.validated;
+
+    if (!(await isTeamMember(req.user.userId, teamId))) {
+      return res.status(403).json({ error: 'You are not a member of this team' });
+    }
+
+    const channelName = name.replace(/^#/, '').toLowerCase();
+    const existing = await executeQuery(
+      `SELECT id FROM channels WHERE type = 'team' AND team_id = ? AND name = ?`,
+      [teamId, channelName]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'A channel with that name already exists' });
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO channels (type, team_id, name, description, created_by)
+       VALUES ('team', ?, ?, ?, ?) RETURNING *`,
+      [teamId, channelName, description || null, req.user.userId]
+    );
+    res.status(201).json(normalizeChannel(result.rows[0]));
+  } catch (err) {
+    console.error('Error creating channel:', err);
+    res.status(500).json({ error: 'Failed to create channel' });
+  }
+});
+
+/**
+ * OPEN direct channel with another user (returns the existing one if any)
+ */
+router.post('/channels/direct', validateBody(directChannelSchema), async (req, res) => {
+  try {
+    const { userId } = req.validated;
+
+    if (Number(userId) === Number(req.user.userId)) {
+      return res.status(400).json({ error: 'Cannot open a direct channel with yourself' });
+    }
+
+    const other = await executeQuery(`SELECT id FROM users WHERE id = ? AND status = 'active'`, [userId]);
+    if (other.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const ids = [Number(userId), Number(req.user.userId)].sort((a, b) => a - b);
+    const directKey = ids.join(':');
+
+    const existing = await executeQuery('SELECT id FROM channels WHERE direct_key = ?', [directKey]);
+    if (existing.rows.length > 0) {
+      return res.json(normalizeChannel(await findAccessibleChannel(existing.rows[0].id, req.user)));
+    }
+
+    await executeBatch([
+      {
+        sql: `INSERT INTO channels (type, direct_key, created_by) VALUES ('direct', ?, ?)`,
+        args: [directKey, req.user.userId]
+      },
+      {
+        sql: `INSERT INTO channel_members (channel_id, user_id)
+              SELECT id, ? FROM channels WHERE direct_key = ?
+              UNION ALL SELECT id, ? FROM channels WHERE direct_key = ?`,
+        args: [ids[0], directKey, ids[1], directKey]
+      }
+    ]);
+
+    const created = await executeQuery('SELECT id FROM channels WHERE direct_key = ?', [directKey]);
+    res.status(201).json(normalizeChannel(await findAccessibleChannel(created.rows[0].id, req.user)));
+  } catch (err) {
+    console.error('Error opening direct channel:', err);
+    res.status(500).json({ error: 'Failed to open direct channel' });
+  }
+});
+
+/**
+ * GET message history, newest first.
+ * Cursor pagination: pass the returned nextCursor as ?before= to get older messages.
+ */
+router.get('/channels/:id/messages', async (req, res) => {
+  try {
+    const channel = await findAccessibleChannel(req.params.id, req.user);
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const before = parseInt(req.query.before) || null;
+
+    const result = await executeQuery(
+      `SELECT m.*, u.first_name, u.last_name
+       FROM messages m
+       LEFT JOIN users u ON u.id = m.user_id
+       WHERE m.channel_id = ? AND (? IS NULL OR m.id < ?)
+       ORDER BY m.id DESC
+       LIMIT ?`,
+      [channel.id, before, before, limit + 1]
+    );
+
+    const hasMore = result.rows.length > limit;
+    const messages = result.rows.slice(0, limit).map(normalizeMessage);
+
+    res.json({
+      messages,
+      nextCursor: hasMore ? messages[messages.length - 1].id : null
+    });
+  } catch (err) {
+    console.error('Error fetching messages:', err);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+/**
+ * POST message. Delivered live as `message:created` to every channel member.
+ */
+router.post('/channels/:id/messages', validateBody(messageSchema), async (req, res) => {
+  try {
+    const { content } = req.validated;
+
+    const channel = await findAccessibleChannel(req.params.id, req.user);
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+
+    const [inserted] = await executeBatch([
+      {
+        sql: 'INSERT INTO messages (channel_id, user_id, content) VALUES (?, ?, ?) RETURNING *',
+        args: [channel.id, req.user.userId, content]
+      },
+      // The author has read their own message
+      {
+        sql: `INSERT INTO channel_reads (channel_id, user_id, last_read_message_id)
+              VALUES (?, ?, last_insert_rowid())
+              ON CONFLICT(channel_id, user_id) DO UPDATE SET
+                last_read_message_id = excluded.last_read_message_id, updated_at = CURRENT_TIMESTAMP`,
+        args: [channel.id, req.user.userId]
+      }
+    ]);
+
+    const author = await executeQuery('SELECT first_name, last_name FROM users WHERE id = ?', [req.user.userId]);
+    const message = normalizeMessage({ ...inserted.rows[0], ...author.rows[0] });
+
+    for (const userId of await channelRecipients(channel)) {
+      emitToUser(userId, 'message:created', message);
+    }
+
+    res.status(201).json(message);
+  } catch (err) {
+    console.error('Error posting message:', err);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
+
+/**
+ * MARK channel read, up to messageId or the latest message
+ */
+router.post('/channels/:id/read', validateBody(readSchema), async (req, res) => {
+  try {
+    const channel = await findAccessibleChannel(req.params.id, req.user);
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+
+    let { messageId } = req.validated;
+    if (messageId) {
+      const message = await executeQuery('SELECT id FROM messages WHERE id = ? AND channel_id = ?', [messageId, channel.id]);
+      if (message.rows.length === 0) {
+        return res.status(400).json({ error: 'messageId must be a message in this channel' });
+      }
+    } else {
+      const latest = await executeQuery(
+        'SELECT COALESCE(MAX(id), 0) AS id FROM messages WHERE channel_id = ?',
+        [channel.id]
+      );
+      messageId = latest.rows[0].id;
+    }
+
+    // Read cursors only move forward
+    await executeQuery(
+      `INSERT INTO channel_reads (channel_id, user_id, last_read_message_id)
+       VALUES (?, ?, ?)
+       ON CONFLICT(channel_id, user_id) DO UPDATE SET
+         last_read_message_id = MAX(last_read_message_id, excluded.last_read_message_id),
+         updated_at = CURRENT_TIMESTAMP`,
+      [channel.id, req.user.userId, messageId]
+    );
+
+    const updated = await findAccessibleChannel(channel.id, req.user);
+    emitToUser(req.user.userId, 'channel:read', { channelId: channel.id, unreadCount: updated.unread_count });
+    res.json(normalizeChannel(updated));
+  } catch (err) {
+    console.error('Error marking channel read:', err);
+    res.status(500).json({ error: 'Failed to mark channel read' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,443 @@
+const express = require('express');
+const { addDays, addMonths, endOfMonth, startOfMonth } = require('date-fns');
+const { executeQuery, executeBatch } = require('../config/database');
+const { isTeamMember, managesUser } = require('../utils/teamScope');
+const { can, isAdmin } = require('../utils/permissions');
+const { validateBody, buildUpdate } = require('../middleware/validate');
+const { activityStatement } = require('../utils/activity');
+const { emitToUser } = require('../config/socket');
+const { findOverlappingShifts, parseDate, toDbDate } = require('../utils/scheduling');
+const {
+  LEAVE_TYPES,
+  normalizeLeaveRequest,
+  normalizePolicy,
+  leaveDays,
+  listPolicies,
+  getBalances,
+  balanceStatement,
+  findOverlappingLeave,
+  toICalendar
+} = require('../utils/leave');
+const router = express.Router();
+
+// Request body fields (see middleware/validate.js)
+const requestSchema = {
+  type: { type: 'enum', values: LEAVE_TYPES, required: true },
+  startDate: { type: 'date', required: true },
+  endDate: { type: 'date', required: true },
+  reason: { type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 }
+};
+const reviewSchema = {
+  note: { type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 }
+};
+const policySchema = {
+  accrualDaysPerMonth: { column: 'accrual_days_per_month', type: 'number', min: 0, max: 31 },
+  maxBalance: { column: 'max_balance', type: 'number', min: 0, nullable: true },
+  requiresBalance: { column: 'requires_balance', type: 'boolean' }
+};
+const adjustSchema = {
+  userId: { type: 'id', required: true },
+  type: requestSchema.type,
+  days: { type: 'number', required: true, validate: value => value !== 0 || 'days cannot be 0' }
+};
+
+const REQUEST_SELECT = `
+  SELECT r.*, u.first_name, u.last_name
+  FROM leave_requests r
+  JOIN users u ON u.id = r.user_id`;
+
+async function findRequest(id) {
+  const result = await executeQuery(`${REQUEST_SELECT} WHERE r.id = ?`, [id]);
+  return result.rows[0] || null;
+}
+
+async function findTeam(id) {
+  const result = await executeQuery('SELECT * FROM teams WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Whose leave a GET is about: ?userId= (someone on a team the caller manages) or the caller.
+ * Returns { userId } or { status, error }.
+ */
+async function resolveUser(req) {
+  if (!req.query.userId || Number(req.query.userId) === Number(req.user.userId)) {
+    return { userId: req.user.userId };
+  }
+  const userId = parseInt(req.query.userId);
+  if (!userId) return { status: 400, error: 'userId must be a user ID' };
+  if (!(await managesUser(req.user, userId))) {
+    return { status: 403, error: 'You can only view the leave of people on teams you manage' };
+  }
+  return { userId };
+}
+
+/**
+ * Whether a request of `days` fits the user's available balance for `type`.
+ * Returns an error message or null.
+ */
+function checkBalance(balances, type, days) {
+  const balance = balances.find(entry => entry.type === type);
+  if (!balance || !balance.requiresBalance || days <= balance.available) return null;
+  return `Not enough ${type} leave: ${balance.available} day(s) available, ${days} requested`;
+}
+
+/* ------------------------------------------------------------------ */
+/* Policies and balances                                               */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET leave policies
+ */
+router.get('/policies', async (req, res) => {
+  try {
+    res.json((await listPolicies()).map(normalizePolicy));
+  } catch (err) {
+    console.error('Error fetching leave policies:', err);
+    res.status(500).json({ error: 'Failed to fetch leave policies' });
+  }
+});
+
+/**
+ * UPDATE a leave policy (admin). Applies to accrual from the next month on.
+ */
+router.put('/policies/:type', validateBody(policySchema, { partial: true }), async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) return res.status(403).json({ error: 'Only admins can change leave policies' });
+    if (!LEAVE_TYPES.includes(req.params.type)) return res.status(404).json({ error: 'Leave policy not found' });
+
+    const update = buildUpdate(policySchema, req.validated);
+    const result = await executeQuery(
+      `UPDATE leave_policies SET ${update.sql}, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE leave_type = ? RETURNING *`,
+      [...update.params, req.user.userId, req.params.type]
+    );
+    res.json(normalizePolicy(result.rows[0]));
+  } catch (err) {
+    console.error('Error updating leave policy:', err);
+    res.status(500).json({ error: 'Failed to update leave policy' });
+  }
+});
+
+/**
+ * GET leave balances: ?userId= (managers), default the caller
+ */
+router.get('/balances', async (req, res) => {
+  try {
+    const { userId, status, error } = await resolveUser(req);
+    if (!userId) return res.status(status).json({ error });
+
+    const balances = await getBalances(userId);
+    if (!balances) return res.status(404).json({ error: 'User not found' });
+    res.json(balances);
+  } catch (err) {
+    console.error('Error fetching leave balances:', err);
+    res.status(500).json({ error: 'Failed to fetch leave balances' });
+  }
+});
+
+/**
+ * ADJUST a balance by hand (admin): { userId, type, days }, e.g. for a
+ * starting allowance or carry-over. Recorded in the user's activity.
+ */
+router.post('/balances/adjust', validateBody(adjustSchema), async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) return res.status(403).json({ error: 'Only admins can adjust leave balances' });
+
+    const { userId, type, days } = req.validated;
+    const before = await getBalances(userId);
+    if (!before) return res.status(404).json({ error: 'User not found' });
+    const from = before.find(entry => entry.type === type).balance;
+
+    await executeBatch([
+      balanceStatement(userId, type, days),
+      activityStatement({
+        entityType: 'user',
+        entityId: userId,
+        action: 'leave_adjusted',
+        actorId: req.user.userId,
+        changes: { [`${type}Balance`]: { from, to: Math.round((from + days) * 100) / 100 } }
+      })
+    ]);
+
+    res.json(await getBalances(userId));
+  } catch (err) {
+    console.error('Error adjusting leave balance:', err);
+    res.status(500).json({ error: 'Failed to adjust leave balance' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* Requests                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET leave requests, newest first.
+ * Filters: status, from/to (dates the leave overlaps), userId (managers).
+ */
+router.get('/requests', async (req, res) => {
+  try {
+    const { userId, status, error } = await resolveUser(req);
+    if (!userId) return res.status(status).json({ error });
+
+    const conditions = ['r.user_id = ?'];
+    const params = [userId];
+    if (req.query.status) {
+      conditions.push('r.status = ?');
+      params.push(req.query.status);
+    }
+    if (req.query.from) {
+      if (!parseDate(req.query.from)) return res.status(400).json({ error: 'from must be a date (YYYY-MM-DD)' });
+      conditions.push('r.end_date >= ?');
+      params.push(req.query.from);
+    }
+    if (req.query.to) {
+      if (!parseDate(req.query.to)) return res.status(400).json({ error: 'to must be a date (YYYY-MM-DD)' });
+      conditions.push('r.start_date <= ?');
+      params.push(req.query.to);
+    }
+
+    const result = await executeQuery(
+      `${REQUEST_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY r.start_date DESC, r.id DESC`,
+      params
+    );
+    res.json(result.rows.map(normalizeLeaveRequest));
+  } catch (err) {
+    console.error('Error fetching leave requests:', err);
+    res.status(500).json({ error: 'Failed to fetch leave requests' });
+  }
+});
+
+/**
+ * GET pending requests awaiting the caller's review (people on teams they manage)
+ */
+router.get('/requests/pending', async (req, res) => {
+  try {
+    const conditions = [`r.status = 'pending'`, 'r.user_id != ?'];
+    const params = [req.user.userId];
+    if (!isAdmin(req.user)) {
+      conditions.push(`r.user_id IN (
+        SELECT tm.user_id FROM team_members tm JOIN teams t ON t.id = tm.team_id WHERE t.manager_id = ?)`);
+      params.push(req.user.userId);
+    }
+
+    const result = await executeQuery(
+      `${REQUEST_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY r.start_date, r.created_at`,
+      params
+    );
+    res.json(result.rows.map(normalizeLeaveRequest));
+  } catch (err) {
+    console.error('Error fetching pending leave requests:', err);
+    res.status(500).json({ error: 'Failed to fetch pending leave requests' });
+  }
+});
+
+/**
+ * REQUEST time off: { type, startDate, endDate, reason? }
+ */
+router.post('/requests', validateBody(requestSchema), async (req, res) => {
+  try {
+    const { type, startDate, endDate, reason } = req.validated;
+    const start = parseDate(startDate);
+    const end = parseDate(endDate);
+    if (end < start) return res.status(400).json({ error: 'endDate cannot be before startDate' });
+    const days = leaveDays(start, end);
+
+    const overlaps = await findOverlappingLeave(req.user.userId, startDate, endDate);
+    if (overlaps.length > 0) {
+      const other = overlaps[0];
+      return res.status(409).json({
+        error: `Overlaps your ${other.status} leave request ${other.id} (${other.start_date} - ${other.end_date})`
+      });
+    }
+
+    const balanceError = checkBalance(await getBalances(req.user.userId), type, days);
+    if (balanceError) return res.status(400).json({ error: balanceError });
+
+    const inserted = await executeQuery(
+      `INSERT INTO leave_requests (user_id, leave_type, start_date, end_date, days, reason)
+       VALUES (?, ?, ?, ?, ?, ?) RETURNING id`,
+      [req.user.userId, type, startDate, endDate, days, reason]
+    );
+
+    res.status(201).json(normalizeLeaveRequest(await findRequest(inserted.rows[0].id)));
+  } catch (err) {
+    console.error('Error creating leave request:', err);
+    res.status(500).json({ error: 'Failed to create leave request' });
+  }
+});
+
+/**
+ * APPROVE or REJECT a pending request (a manager of one of the user's teams, or an admin).
+ * Approving takes the days off the balance; the response lists the user's shifts
+ * on those dates so they can be reassigned.
+ */
+function reviewRequest(status) {
+  return async (req, res) => {
+    try {
+      const request = await findRequest(req.params.id);
+      if (!request || !(await managesUser(req.user, request.user_id))) {
+        return res.status(404).json({ error: 'Leave request not found' });
+      }
+      if (Number(request.user_id) === Number(req.user.userId) && !isAdmin(req.user)) {
+        return res.status(403).json({ error: 'You cannot review your own leave request' });
+      }
+      if (request.status !== 'pending') {
+        return res.status(409).json({ error: `This leave request is ${request.status}, not pending` });
+      }
+
+      // The deduction goes first: it only applies while the request is still pending
+      const statements = [];
+      if (status === 'approved') {
+        // The request's own days are part of `pending`, so compare against the balance
+        const balances = await getBalances(request.user_id);
+        const balance = balances.find(entry => entry.type === request.leave_type);
+        if (balance.requiresBalance && Number(request.days) > balance.balance) {
+          return res.status(409).json({
+            error: `Not enough ${request.leave_type} leave: ${balance.balance} day(s) left, ${request.days} requested`
+          });
+        }
+        statements.push(
+          balanceStatement(request.user_id, request.leave_type, -Number(request.days), { id: request.id, status: 'pending' })
+        );
+      }
+      statements.push({
+        sql: `UPDATE leave_requests SET status = ?, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ?, review_note = ?,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND status = 'pending'`,
+        args: [status, req.user.userId, req.validated.note || null, request.id]
+      });
+
+      const results = await executeBatch(statements);
+      if (results[results.length - 1].rowsAffected === 0) {
+        return res.status(409).json({ error: 'This leave request was just reviewed or cancelled' });
+      }
+
+      const reviewed = normalizeLeaveRequest(await findRequest(request.id));
+      let shifts = [];
+      if (status === 'approved') {
+        const start = parseDate(request.start_date);
+        const end = addDays(parseDate(request.end_date), 1);
+        shifts = (await findOverlappingShifts(request.user_id, start, end)).map(shift => ({
+          id: shift.id,
+          teamId: shift.team_id,
+          startTime: shift.start_time,
+          endTime: shift.end_time,
+          status: shift.status
+        }));
+      }
+
+      emitToUser(request.user_id, 'leave:reviewed', { request: reviewed, actorId: req.user.userId });
+      res.json({ ...reviewed, shifts });
+    } catch (err) {
+      console.error('Error reviewing leave request:', err);
+      res.status(500).json({ error: 'Failed to review leave request' });
+    }
+  };
+}
+
+router.post('/requests/:id/approve', validateBody(reviewSchema), reviewRequest('approved'));
+router.post('/requests/:id/reject', validateBody(reviewSchema), reviewRequest('rejected'));
+
+/**
+ * CANCEL one of the caller's requests: pending ones at any time, approved ones
+ * before they start (the days go back on the balance)
+ */
+router.post('/requests/:id/cancel', async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request || Number(request.user_id) !== Number(req.user.userId)) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+    if (!['pending', 'approved'].includes(request.status)) {
+      return res.status(409).json({ error: `This leave request is already ${request.status}` });
+    }
+    if (request.status === 'approved' && request.start_date <= toDbDate(new Date())) {
+      return res.status(409).json({ error: 'Leave that has started cannot be cancelled; ask your manager' });
+    }
+
+    const statements = [];
+    if (request.status === 'approved') {
+      statements.push(
+        balanceStatement(request.user_id, request.leave_type, Number(request.days), { id: request.id, status: 'approved' })
+      );
+    }
+    statements.push({
+      sql: `UPDATE leave_requests SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+      args: [request.id, request.status]
+    });
+    const results = await executeBatch(statements);
+    if (results[results.length - 1].rowsAffected === 0) {
+      return res.status(409).json({ error: 'This leave request was just reviewed or cancelled' });
+    }
+
+    res.json(normalizeLeaveRequest(await findRequest(request.id)));
+  } catch (err) {
+    console.error('Error cancelling leave request:', err);
+    res.status(500).json({ error: 'Failed to cancel leave request' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* Team calendar                                                       */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET a team's leave calendar (members, the manager or admins).
+ * Query: teamId (required), from/to (YYYY-MM-DD, default this month and the next
+ * two), format=ics for an iCalendar feed. Members see approved leave without
+ * its type; the manager also sees the type and pending requests.
+ */
+router.get('/calendar', async (req, res) => {
+  try {
+    if (!req.query.teamId) return res.status(400).json({ error: 'teamId is required' });
+    const team = await findTeam(req.query.teamId);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+
+    const manages = can(req.user, 'team:manage', team);
+    if (!manages && !(await isTeamMember(req.user.userId, team.id))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const today = new Date();
+    const from = req.query.from ? parseDate(req.query.from) : startOfMonth(today);
+    const to = req.query.to ? parseDate(req.query.to) : endOfMonth(addMonths(today, 2));
+    if (!from || !to) return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+
+    const result = await executeQuery(
+      `${REQUEST_SELECT}
+       WHERE r.user_id IN (SELECT user_id FROM team_members WHERE team_id = ?)
+         AND r.status IN (${manages ? `'approved', 'pending'` : `'approved'`})
+         AND r.start_date <= ? AND r.end_date >= ?
+       ORDER BY r.start_date, u.last_name, u.first_name`,
+      [team.id, toDbDate(to), toDbDate(from)]
+    );
+
+    const events = result.rows.map(row => {
+      const request = normalizeLeaveRequest(row);
+      return {
+        id: request.id,
+        userId: request.userId,
+        user: request.user,
+        type: manages ? request.type : null,
+        startDate: request.startDate,
+        endDate: request.endDate,
+        days: request.days,
+        status: request.status
+      };
+    });
+
+    if (req.query.format === 'ics') {
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `inline; filename="team-${team.id}-leave.ics"`);
+      return res.send(toICalendar(`${team.name} leave`, events));
+    }
+
+    res.json({ teamId: team.id, from: toDbDate(from), to: toDbDate(to), events });
+  } catch (err) {
+    console.error('Error fetching leave calendar:', err);
+    res.status(500).json({ error: 'Failed to fetch leave calendar' });
+  }
+});
+
+module.exports = router;
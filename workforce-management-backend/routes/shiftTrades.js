@@ -0,0 +1,465 @@
+const express = require('express');
+const { executeQuery, executeBatch } = require('../config/database');
+const { isTeamMember } = require('../utils/teamScope');
+const { can, isAdmin } = require('../utils/permissions');
+const { validateBody } = require('../middleware/validate');
+const { emitToUser } = require('../config/socket');
+const { toDbDateTime } = require('../utils/scheduling');
+const {
+  TRADE_TYPES,
+  ACTIVE_STATUSES,
+  TRADE_SELECT,
+  normalizeTrade,
+  findTrade,
+  findActiveTrade,
+  untradeableReason,
+  hasAttendance,
+  tradeConflicts
+} = require('../utils/shiftTrades');
+
+// Mounted by app.js at /api/shifts/trades
+const router = express.Router();
+
+// Request body fields (see middleware/validate.js)
+const tradeSchema = {
+  shiftId: { type: 'id', required: true },
+  type: { type: 'enum', values: TRADE_TYPES, required: true },
+  note: { type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 }
+};
+const claimSchema = {
+  swapShiftId: { type: 'id', nullable: true }
+};
+const reviewSchema = {
+  note: tradeSchema.note
+};
+
+const PUNCHED_ERROR = 'Attendance has been recorded for this shift; it cannot be traded';
+
+async function findShift(id) {
+  const result = await executeQuery('SELECT * FROM shifts WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+async function findTeam(id) {
+  const result = await executeQuery('SELECT * FROM teams WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Whether the caller can see a team's trades: members, the manager and admins
+ */
+async function canViewTeam(user, teamId) {
+  return isAdmin(user) || (await isTeamMember(user.userId, teamId));
+}
+
+/**
+ * Tell the offerer, the claimer and the team's manager that a trade changed
+ */
+async function notifyTrade(trade, actorId) {
+  const team = await findTeam(trade.teamId);
+  const recipients = new Set([trade.offeredBy, trade.claimedBy, team && team.manager_id].filter(Boolean).map(Number));
+  for (const userId of recipients) {
+    emitToUser(userId, 'trade:updated', { trade, actorId });
+  }
+}
+
+/**
+ * The caller's shift offered in return for a swap. Returns { shift } or { status, error }.
+ */
+async function findSwapShift(req, trade) {
+  const shift = await findShift(req.validated.swapShiftId);
+  if (!shift || Number(shift.user_id) !== Number(req.user.userId)) {
+    return { status: 404, error: 'Swap shift not found' };
+  }
+  if (Number(shift.team_id) !== Number(trade.team_id)) {
+    return { status: 400, error: 'The swap shift must belong to the same team' };
+  }
+  const reason = untradeableReason(shift);
+  if (reason) return { status: 400, error: reason };
+  if (await hasAttendance(shift.id)) return { status: 409, error: PUNCHED_ERROR };
+  if (await findActiveTrade(shift.id)) {
+    return { status: 409, error: 'The swap shift is already being traded' };
+  }
+  return { shift };
+}
+
+/* ------------------------------------------------------------------ */
+/* Marketplace                                                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET trades on the caller's teams, newest first.
+ * Filters: status (e.g. open for the marketplace), teamId, type.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+    if (!isAdmin(req.user)) {
+      conditions.push('tr.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)');
+      params.push(req.user.userId);
+    }
+    for (const [field, column] of [['status', 'tr.status'], ['teamId', 'tr.team_id'], ['type', 'tr.type']]) {
+      if (req.query[field]) {
+        conditions.push(`${column} = ?`);
+        params.push(req.query[field]);
+      }
+    }
+
+    const result = await executeQuery(
+      `${TRADE_SELECT} ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY tr.created_at DESC, tr.id DESC`,
+      params
+    );
+    res.json(result.rows.map(normalizeTrade));
+  } catch (err) {
+    console.error('Error fetching shift trades:', err);
+    res.status(500).json({ error: 'Failed to fetch shift trades' });
+  }
+});
+
+/**
+ * GET open shifts (published, unassigned, not started) on the caller's teams that
+ * nobody has claimed yet. Query: teamId.
+ */
+router.get('/open-shifts', async (req, res) => {
+  try {
+    const conditions = [
+      's.user_id IS NULL',
+      `s.status = 'published'`,
+      's.start_time > ?',
+      `NOT EXISTS (SELECT 1 FROM shift_trades tr WHERE tr.shift_id = s.id AND tr.status IN ('open', 'claimed'))`
+    ];
+    const params = [toDbDateTime(new Date())];
+    if (!isAdmin(req.user)) {
+      conditions.push('s.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)');
+      params.push(req.user.userId);
+    }
+    if (req.query.teamId) {
+      conditions.push('s.team_id = ?');
+      params.push(req.query.teamId);
+    }
+
+    const result = await executeQuery(
+      `SELECT s.* FROM shifts s WHERE ${conditions.join(' AND ')} ORDER BY s.start_time`,
+      params
+    );
+    res.json(result.rows.map(shift => ({
+      id: shift.id,
+      teamId: shift.team_id,
+      startTime: shift.start_time,
+      endTime: shift.end_time,
+      notes: shift.notes || ''
+    })));
+  } catch (err) {
+    console.error('Error fetching open shifts:', err);
+    res.status(500).json({ error: 'Failed to fetch open shifts' });
+  }
+});
+
+/**
+ * CHECK whether the caller could claim a trade without conflicts.
+ * Query: swapShiftId (swaps).
+ */
+router.get('/:id/check', async (req, res) => {
+  try {
+    const trade = await findTrade(req.params.id);
+    if (!trade || !(await canViewTeam(req.user, trade.team_id))) {
+      return res.status(404).json({ error: 'Shift trade not found' });
+    }
+
+    const shift = await findShift(trade.shift_id);
+    const swapShift = req.query.swapShiftId ? await findShift(req.query.swapShiftId) : null;
+    if (req.query.swapShiftId && (!swapShift || Number(swapShift.user_id) !== Number(req.user.userId))) {
+      return res.status(404).json({ error: 'Swap shift not found' });
+    }
+    const conflicts = await tradeConflicts({
+      shift,
+      claimerId: req.user.userId,
+      swapShift,
+      offererId: trade.offered_by
+    });
+    res.json({ ok: conflicts.length === 0, conflicts });
+  } catch (err) {
+    console.error('Error checking shift trade:', err);
+    res.status(500).json({ error: 'Failed to check shift trade' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* Offering, claiming and cancelling                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * OFFER one of the caller's shifts for swap or drop, or PICK UP an open shift:
+ * { shiftId, type, note? }. A pickup is claimed straight away.
+ */
+router.post('/', validateBody(tradeSchema), async (req, res) => {
+  try {
+    const { shiftId, type, note } = req.validated;
+
+    const shift = await findShift(shiftId);
+    if (!shift || !(await canViewTeam(req.user, shift.team_id))) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+    if (type === 'pickup') {
+      if (shift.user_id) return res.status(400).json({ error: 'Only open shifts can be picked up' });
+      if (!(await isTeamMember(req.user.userId, shift.team_id))) {
+        return res.status(403).json({ error: 'Only members of the team can pick up its shifts' });
+      }
+    } else if (Number(shift.user_id) !== Number(req.user.userId)) {
+      return res.status(400).json({ error: 'You can only offer your own shifts' });
+    }
+    const reason = untradeableReason(shift);
+    if (reason) return res.status(400).json({ error: reason });
+    if (await hasAttendance(shift.id)) return res.status(409).json({ error: PUNCHED_ERROR });
+    if (await findActiveTrade(shift.id)) {
+      return res.status(409).json({ error: 'This shift is already being traded' });
+    }
+
+    let inserted;
+    if (type === 'pickup') {
+      const conflicts = await tradeConflicts({ shift, claimerId: req.user.userId });
+      if (conflicts.length > 0) return res.status(409).json({ error: 'Scheduling conflict', conflicts });
+
+      inserted = await executeQuery(
+        `INSERT INTO shift_trades (shift_id, team_id, type, claimed_by, status, note, claimed_at)
+         VALUES (?, ?, 'pickup', ?, 'claimed', ?, CURRENT_TIMESTAMP) RETURNING id`,
+        [shift.id, shift.team_id, req.user.userId, note]
+      );
+    } else {
+      inserted = await executeQuery(
+        `INSERT INTO shift_trades (shift_id, team_id, type, offered_by, note)
+         VALUES (?, ?, ?, ?, ?) RETURNING id`,
+        [shift.id, shift.team_id, type, req.user.userId, note]
+      );
+    }
+
+    const trade = normalizeTrade(await findTrade(inserted.rows[0].id));
+    if (type === 'pickup') await notifyTrade(trade, req.user.userId);
+    res.status(201).json(trade);
+  } catch (err) {
+    console.error('Error creating shift trade:', err);
+    res.status(500).json({ error: 'Failed to create shift trade' });
+  }
+});
+
+/**
+ * CLAIM an open swap or drop: { swapShiftId } (required for swaps). The trade
+ * then waits for the team manager.
+ */
+router.post('/:id/claim', validateBody(claimSchema), async (req, res) => {
+  try {
+    const trade = await findTrade(req.params.id);
+    if (!trade || !(await canViewTeam(req.user, trade.team_id))) {
+      return res.status(404).json({ error: 'Shift trade not found' });
+    }
+    if (trade.status !== 'open') return res.status(409).json({ error: `This shift trade is ${trade.status}` });
+    if (Number(trade.offered_by) === Number(req.user.userId)) {
+      return res.status(400).json({ error: 'You cannot claim your own shift' });
+    }
+    if (!(await isTeamMember(req.user.userId, trade.team_id))) {
+      return res.status(403).json({ error: 'Only members of the team can claim its shifts' });
+    }
+
+    let swapShift = null;
+    if (trade.type === 'swap') {
+      if (!req.validated.swapShiftId) return res.status(400).json({ error: 'swapShiftId is required to claim a swap' });
+      const found = await findSwapShift(req, trade);
+      if (!found.shift) return res.status(found.status).json({ error: found.error });
+      swapShift = found.shift;
+    } else if (req.validated.swapShiftId) {
+      return res.status(400).json({ error: 'swapShiftId only applies to swaps' });
+    }
+
+    const shift = await findShift(trade.shift_id);
+    const reason = untradeableReason(shift);
+    if (reason) return res.status(409).json({ error: reason });
+    if (await hasAttendance(shift.id)) return res.status(409).json({ error: PUNCHED_ERROR });
+
+    const conflicts = await tradeConflicts({ shift, claimerId: req.user.userId, swapShift, offererId: trade.offered_by });
+    if (conflicts.length > 0) return res.status(409).json({ error: 'Scheduling conflict', conflicts });
+
+    const claimed = await executeQuery(
+      `UPDATE shift_trades SET status = 'claimed', claimed_by = ?, swap_shift_id = ?, claimed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'open' RETURNING id`,
+      [req.user.userId, swapShift ? swapShift.id : null, trade.id]
+    );
+    if (claimed.rows.length === 0) return res.status(409).json({ error: 'This shift trade was just claimed' });
+
+    const updated = normalizeTrade(await findTrade(trade.id));
+    await notifyTrade(updated, req.user.userId);
+    res.json(updated);
+  } catch (err) {
+    console.error('Error claiming shift trade:', err);
+    res.status(500).json({ error: 'Failed to claim shift trade' });
+  }
+});
+
+/**
+ * CANCEL a trade that is still open or awaiting approval (the offerer, or the
+ * person picking up an open shift)
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const trade = await findTrade(req.params.id);
+    const owner = trade && (trade.type === 'pickup' ? trade.claimed_by : trade.offered_by);
+    if (!trade || Number(owner) !== Number(req.user.userId)) {
+      return res.status(404).json({ error: 'Shift trade not found' });
+    }
+    if (!ACTIVE_STATUSES.includes(trade.status)) {
+      return res.status(409).json({ error: `This shift trade is already ${trade.status}` });
+    }
+
+    await executeQuery(
+      `UPDATE shift_trades SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [trade.id]
+    );
+
+    const cancelled = normalizeTrade(await findTrade(trade.id));
+    await notifyTrade(cancelled, req.user.userId);
+    res.json(cancelled);
+  } catch (err) {
+    console.error('Error cancelling shift trade:', err);
+    res.status(500).json({ error: 'Failed to cancel shift trade' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* Manager review                                                      */
+/* ------------------------------------------------------------------ */
+
+/**
+ * APPROVE a claimed trade (the team's manager or an admin). The shifts are
+ * checked again and reassigned; other trades of the swap shift are cancelled.
+ */
+router.post('/:id/approve', validateBody(reviewSchema), async (req, res) => {
+  try {
+    const trade = await findTrade(req.params.id);
+    const team = trade && (await findTeam(trade.team_id));
+    if (!trade || !team || !(await canViewTeam(req.user, team.id))) {
+      return res.status(404).json({ error: 'Shift trade not found' });
+    }
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can approve shift trades' });
+    }
+    if (trade.status !== 'claimed') {
+      return res.status(409).json({ error: `This shift trade is ${trade.status}, not claimed` });
+    }
+
+    // The shifts may have changed since the claim
+    const shift = await findShift(trade.shift_id);
+    const swapShift = trade.swap_shift_id ? await findShift(trade.swap_shift_id) : null;
+    const expectedOwner = trade.type === 'pickup' ? null : Number(trade.offered_by);
+    const stale = (shift.user_id ? Number(shift.user_id) : null) !== expectedOwner ||
+      (swapShift && Number(swapShift.user_id) !== Number(trade.claimed_by));
+    if (stale) return res.status(409).json({ error: 'The shifts were reassigned since this trade was claimed' });
+    const reason = untradeableReason(shift) || (swapShift && untradeableReason(swapShift));
+    if (reason) return res.status(409).json({ error: reason });
+    if (await hasAttendance(shift.id, swapShift && swapShift.id)) {
+      return res.status(409).json({ error: PUNCHED_ERROR });
+    }
+
+    // Either side may have left the team since the claim
+    if (!(await isTeamMember(trade.claimed_by, team.id))) {
+      return res.status(409).json({ error: 'The claimer is no longer a member of this team' });
+    }
+    if (swapShift && !(await isTeamMember(trade.offered_by, team.id))) {
+      return res.status(409).json({ error: 'The offerer is no longer a member of this team' });
+    }
+
+    const conflicts = await tradeConflicts({
+      shift,
+      claimerId: trade.claimed_by,
+      swapShift,
+      offererId: trade.offered_by
+    });
+    if (conflicts.length > 0) return res.status(409).json({ error: 'Scheduling conflict', conflicts });
+
+    // Approve only if the trade is still claimed and its shifts were not reassigned
+    // since the checks above; the reassignments then apply only with that approval
+    const approvedByMe = `EXISTS (SELECT 1 FROM shift_trades WHERE id = ? AND status = 'approved' AND reviewed_by = ?)`;
+    const statements = [
+      {
+        sql: `UPDATE shift_trades SET status = 'approved', reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ?,
+                review_note = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND status = 'claimed'
+                AND EXISTS (SELECT 1 FROM shifts WHERE id = ? AND user_id IS ?)
+                AND (? IS NULL OR EXISTS (SELECT 1 FROM shifts WHERE id = ? AND user_id = ?))
+              RETURNING id`,
+        args: [
+          req.user.userId, req.validated.note || null, trade.id,
+          shift.id, expectedOwner,
+          trade.swap_shift_id, trade.swap_shift_id, trade.claimed_by
+        ]
+      },
+      {
+        sql: `UPDATE shifts SET user_id = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND user_id IS ? AND ${approvedByMe}`,
+        args: [trade.claimed_by, shift.id, expectedOwner, trade.id, req.user.userId]
+      }
+    ];
+    if (swapShift) {
+      statements.push(
+        {
+          sql: `UPDATE shifts SET user_id = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ? AND ${approvedByMe}`,
+          args: [trade.offered_by, swapShift.id, trade.claimed_by, trade.id, req.user.userId]
+        },
+        {
+          sql: `UPDATE shift_trades SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+                WHERE shift_id = ? AND status IN ('open', 'claimed') AND ${approvedByMe}`,
+          args: [swapShift.id, trade.id, req.user.userId]
+        }
+      );
+    }
+    const [approval] = await executeBatch(statements);
+    if (approval.rows.length === 0) {
+      return res.status(409).json({ error: 'This shift trade was just reviewed, cancelled or reassigned' });
+    }
+
+    const approved = normalizeTrade(await findTrade(trade.id));
+    await notifyTrade(approved, req.user.userId);
+    res.json(approved);
+  } catch (err) {
+    console.error('Error approving shift trade:', err);
+    res.status(500).json({ error: 'Failed to approve shift trade' });
+  }
+});
+
+/**
+ * REJECT a claimed trade (the team's manager or an admin); the shifts stay as they are
+ */
+router.post('/:id/reject', validateBody(reviewSchema), async (req, res) => {
+  try {
+    const trade = await findTrade(req.params.id);
+    const team = trade && (await findTeam(trade.team_id));
+    if (!trade || !team || !(await canViewTeam(req.user, team.id))) {
+      return res.status(404).json({ error: 'Shift trade not found' });
+    }
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can reject shift trades' });
+    }
+    if (trade.status !== 'claimed') {
+      return res.status(409).json({ error: `This shift trade is ${trade.status}, not claimed` });
+    }
+
+    const result = await executeQuery(
+      `UPDATE shift_trades SET status = 'rejected', reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ?,
+         review_note = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'claimed' RETURNING id`,
+      [req.user.userId, req.validated.note || null, trade.id]
+    );
+    if (result.rows.length === 0) return res.status(409).json({ error: 'This shift trade was just reviewed or cancelled' });
+
+    const rejected = normalizeTrade(await findTrade(trade.id));
+    await notifyTrade(rejected, req.user.userId);
+    res.json(rejected);
+  } catch (err) {
+    console.error('Error rejecting shift trade:', err);
+    res.status(500).json({ error: 'Failed to reject shift trade' });
+  }
+});
+
+module.exports = router;
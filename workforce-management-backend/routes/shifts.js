@@ -0,0 +1,812 @@
+const express = require('express');
+const { addDays, differenceInMinutes } = require('date-fns');
+const { executeQuery, executeBatch } = require('../config/database');
+const { shiftScope, isTeamMember, managesUser } = require('../utils/teamScope');
+const { can, isAdmin } = require('../utils/permissions');
+const { validateBody, buildUpdate } = require('../middleware/validate');
+const {
+  parseDateTime,
+  parseDate,
+  toDbDateTime,
+  toDbDate,
+  isValidTime,
+  weekStartOf,
+  timesOnDate,
+  validateShiftTimes,
+  weeklyShiftMinutes,
+  findShiftConflicts
+} = require('../utils/scheduling');
+const router = express.Router();
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isNullableId = value => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+
+/**
+ * Error message for an availability window, or null
+ */
+function windowError(window) {
+  if (!isPlainObject(window)) return 'windows must be objects';
+  if (!Number.isInteger(window.dayOfWeek) || window.dayOfWeek < 0 || window.dayOfWeek > 6) {
+    return 'dayOfWeek must be an integer from 0 (Sunday) to 6';
+  }
+  if (!isValidTime(window.startTime) || !isValidTime(window.endTime)) return 'startTime and endTime must be HH:MM';
+  return null;
+}
+
+/**
+ * Error message for one entry of a draft's shifts, or null
+ */
+function draftShiftError(entry, index) {
+  if (!isPlainObject(entry)) return `shifts[${index}] must be an object`;
+  if (!isNullableId(entry.userId)) return `shifts[${index}]: userId must be a positive integer ID`;
+  if (!isNullableId(entry.templateId)) return `shifts[${index}]: templateId must be a positive integer ID`;
+  if (entry.notes !== undefined && entry.notes !== null && typeof entry.notes !== 'string') {
+    return `shifts[${index}]: notes must be a string`;
+  }
+  return null;
+}
+
+// Request body fields -> columns (see middleware/validate.js)
+const templateFields = {
+  name: { column: 'name', type: 'string', required: true, maxLength: 100 },
+  startTime: { column: 'start_time', type: 'string', required: true, validate: isValidTime, message: 'startTime must be HH:MM' },
+  endTime: { column: 'end_time', type: 'string', required: true, validate: isValidTime, message: 'endTime must be HH:MM' },
+  color: { column: 'color', type: 'color', default: '#6366f1' }
+};
+const templateCreateSchema = {
+  teamId: { type: 'id', required: true },
+  ...templateFields
+};
+const availabilitySchema = {
+  userId: { type: 'id', nullable: true },
+  windows: {
+    type: 'list',
+    required: true,
+    maxItems: 50,
+    validate: windows => windows.map(windowError).find(Boolean) || true
+  }
+};
+const draftSchema = {
+  teamId: { type: 'id', required: true },
+  weekStart: { type: 'date', required: true },
+  allowUnavailable: { type: 'boolean', default: false },
+  shifts: {
+    type: 'list',
+    required: true,
+    maxItems: 500,
+    validate: shifts =>
+      (shifts.length === 0 ? 'shifts must be a non-empty array' : shifts.map(draftShiftError).find(Boolean)) || true
+  }
+};
+const conflictCheckSchema = {
+  userId: { type: 'id', required: true },
+  shiftId: { type: 'id', nullable: true },
+  teamId: { type: 'id', nullable: true },
+  startTime: { type: 'datetime', required: true },
+  endTime: { type: 'datetime', required: true }
+};
+const shiftFields = {
+  userId: { type: 'id', nullable: true },
+  startTime: { type: 'datetime', nullable: true },
+  endTime: { type: 'datetime', nullable: true },
+  notes: { type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 },
+  allowUnavailable: { type: 'boolean', default: false }
+};
+const shiftCreateSchema = {
+  teamId: { type: 'id', required: true },
+  // A template's times on `date`, instead of startTime/endTime
+  templateId: { type: 'id', nullable: true },
+  date: { type: 'date', nullable: true },
+  ...shiftFields
+};
+const shiftUpdateSchema = {
+  ...shiftFields,
+  startTime: { type: 'datetime' },
+  endTime: { type: 'datetime' }
+};
+
+/**
+ * Normalize a shift row from the DB
+ */
+function normalizeShift(shift) {
+  return {
+    id: shift.id,
+    scheduleId: shift.schedule_id,
+    teamId: shift.team_id,
+    userId: shift.user_id || null,
+    templateId: shift.template_id || null,
+    startTime: shift.start_time,
+    endTime: shift.end_time,
+    notes: shift.notes || '',
+    status: shift.status,
+    createdBy: shift.created_by || null,
+    createdAt: shift.created_at,
+    updatedAt: shift.updated_at
+  };
+}
+
+/**
+ * Normalize a shift template row from the DB
+ */
+function normalizeTemplate(template) {
+  return {
+    id: template.id,
+    teamId: template.team_id,
+    name: template.name,
+    startTime: template.start_time,
+    endTime: template.end_time,
+    color: template.color,
+    createdBy: template.created_by || null,
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+  };
+}
+
+/**
+ * Normalize a schedule row from the DB
+ */
+function normalizeSchedule(schedule) {
+  return {
+    id: schedule.id,
+    teamId: schedule.team_id,
+    weekStart: schedule.week_start,
+    status: schedule.status,
+    publishedAt: schedule.published_at || null,
+    publishedBy: schedule.published_by || null,
+    createdBy: schedule.created_by || null,
+    createdAt: schedule.created_at,
+    updatedAt: schedule.updated_at
+  };
+}
+
+/**
+ * Normalize an availability window row from the DB
+ */
+function normalizeAvailability(window) {
+  return {
+    id: window.id,
+    userId: window.user_id,
+    dayOfWeek: window.day_of_week,
+    startTime: window.start_time,
+    endTime: window.end_time
+  };
+}
+
+async function findTeam(id) {
+  const result = await executeQuery('SELECT * FROM teams WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+async function findShift(id) {
+  const result = await executeQuery('SELECT * FROM shifts WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+async function findTemplate(id) {
+  const result = await executeQuery('SELECT * FROM shift_templates WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+async function canViewTeam(user, teamId) {
+  return isAdmin(user) || (await isTeamMember(user.userId, teamId));
+}
+
+/**
+ * Fetch the team's schedule for the week containing `date`, creating a draft if needed
+ */
+async function getOrCreateSchedule(teamId, date, userId) {
+  const weekStart = toDbDate(weekStartOf(date));
+  await executeQuery(
+    'INSERT OR IGNORE INTO schedules (team_id, week_start, created_by) VALUES (?, ?, ?)',
+    [teamId, weekStart, userId]
+  );
+  const result = await executeQuery(
+    'SELECT * FROM schedules WHERE team_id = ? AND week_start = ?',
+    [teamId, weekStart]
+  );
+  return result.rows[0];
+}
+
+async function listScheduleShifts(scheduleId) {
+  const result = await executeQuery(
+    'SELECT * FROM shifts WHERE schedule_id = ? ORDER BY start_time, user_id',
+    [scheduleId]
+  );
+  return result.rows.map(normalizeShift);
+}
+
+// Conflict types the manager can override with allowUnavailable
+const OVERRIDABLE_CONFLICTS = ['unavailable', 'max_hours'];
+
+/**
+ * Conflicts for a proposed assignment. Overlaps and approved leave always block;
+ * availability and the weekly hour limit can be overridden by the manager with
+ * allowUnavailable.
+ */
+async function blockingConflicts(assignment, allowUnavailable) {
+  const conflicts = await findShiftConflicts(assignment);
+  return allowUnavailable ? conflicts.filter(c => !OVERRIDABLE_CONFLICTS.includes(c.type)) : conflicts;
+}
+
+/* ------------------------------------------------------------------ */
+/* Templates                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET templates of a team
+ */
+router.get('/templates', async (req, res) => {
+  try {
+    const { teamId } = req.query;
+    if (!teamId) return res.status(400).json({ error: 'teamId is required' });
+    if (!(await canViewTeam(req.user, teamId))) return res.status(404).json({ error: 'Team not found' });
+
+    const result = await executeQuery(
+      'SELECT * FROM shift_templates WHERE team_id = ? ORDER BY start_time, name',
+      [teamId]
+    );
+    res.json(result.rows.map(normalizeTemplate));
+  } catch (err) {
+    console.error('Error fetching shift templates:', err);
+    res.status(500).json({ error: 'Failed to fetch shift templates' });
+  }
+});
+
+/**
+ * CREATE template
+ */
+router.post('/templates', validateBody(templateCreateSchema), async (req, res) => {
+  try {
+    const { teamId, name, startTime, endTime, color } = req.validated;
+    if (startTime === endTime) return res.status(400).json({ error: 'startTime and endTime must differ' });
+
+    const team = await findTeam(teamId);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can manage shift templates' });
+    }
+
+    const result = await executeQuery(
+      `INSERT INTO shift_templates (team_id, name, start_time, end_time, color, created_by)
+       VALUES (?, ?, ?, ?, ?, ?) RETURNING *`,
+      [team.id, name, startTime, endTime, color, req.user.userId]
+    );
+    res.status(201).json(normalizeTemplate(result.rows[0]));
+  } catch (err) {
+    console.error('Error creating shift template:', err);
+    res.status(500).json({ error: 'Failed to create shift template' });
+  }
+});
+
+/**
+ * UPDATE template (existing shifts are not changed)
+ */
+router.put('/templates/:templateId', validateBody(templateFields, { partial: true }), async (req, res) => {
+  try {
+    const { startTime, endTime } = req.validated;
+
+    const template = await findTemplate(req.params.templateId);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    const team = await findTeam(template.team_id);
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can manage shift templates' });
+    }
+
+    if ((startTime || template.start_time) === (endTime || template.end_time)) {
+      return res.status(400).json({ error: 'startTime and endTime must differ' });
+    }
+
+    const update = buildUpdate(templateFields, req.validated);
+    const result = await executeQuery(
+      `UPDATE shift_templates SET ${update.sql}, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`,
+      [...update.params, template.id]
+    );
+    res.json(normalizeTemplate(result.rows[0]));
+  } catch (err) {
+    console.error('Error updating shift template:', err);
+    res.status(500).json({ error: 'Failed to update shift template' });
+  }
+});
+
+/**
+ * DELETE template (shifts created from it keep their times)
+ */
+router.delete('/templates/:templateId', async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.templateId);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    const team = await findTeam(template.team_id);
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can manage shift templates' });
+    }
+
+    await executeBatch([
+      { sql: 'UPDATE shifts SET template_id = NULL WHERE template_id = ?', args: [template.id] },
+      { sql: 'DELETE FROM shift_templates WHERE id = ?', args: [template.id] }
+    ]);
+    res.json({ message: 'Template deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting shift template:', err);
+    res.status(500).json({ error: 'Failed to delete shift template' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* Availability                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET availability windows of a user: the caller, or someone on a team they manage
+ */
+router.get('/availability', async (req, res) => {
+  try {
+    const userId = req.query.userId || req.user.userId;
+    if (Number(userId) !== Number(req.user.userId) && !(await managesUser(req.user, userId))) {
+      return res.status(403).json({ error: 'You can only view the availability of people on teams you manage' });
+    }
+
+    const result = await executeQuery(
+      'SELECT * FROM employee_availability WHERE user_id = ? ORDER BY day_of_week, start_time',
+      [userId]
+    );
+    res.json(result.rows.map(normalizeAvailability));
+  } catch (err) {
+    console.error('Error fetching availability:', err);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+/**
+ * REPLACE availability windows.
+ * Body: { userId?, windows: [{ dayOfWeek, startTime, endTime }] }. An empty list means always available.
+ */
+router.put('/availability', validateBody(availabilitySchema), async (req, res) => {
+  try {
+    const { windows } = req.validated;
+    const userId = req.validated.userId || req.user.userId;
+
+    if (Number(userId) !== Number(req.user.userId) && !(await managesUser(req.user, userId))) {
+      return res.status(403).json({ error: 'You can only change the availability of people on teams you manage' });
+    }
+
+    await executeBatch([
+      { sql: 'DELETE FROM employee_availability WHERE user_id = ?', args: [userId] },
+      ...windows.map(window => ({
+        sql: `INSERT INTO employee_availability (user_id, day_of_week, start_time, end_time)
+              VALUES (?, ?, ?, ?)`,
+        args: [userId, window.dayOfWeek, window.startTime, window.endTime]
+      }))
+    ]);
+
+    const result = await executeQuery(
+      'SELECT * FROM employee_availability WHERE user_id = ? ORDER BY day_of_week, start_time',
+      [userId]
+    );
+    res.json(result.rows.map(normalizeAvailability));
+  } catch (err) {
+    console.error('Error updating availability:', err);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* Weekly schedules                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET a team's schedule for a week, with its shifts
+ */
+router.get('/schedules', async (req, res) => {
+  try {
+    const { teamId } = req.query;
+    const weekDate = parseDate(req.query.weekStart);
+
+    if (!teamId) return res.status(400).json({ error: 'teamId is required' });
+    if (!weekDate) return res.status(400).json({ error: 'weekStart must be a date (YYYY-MM-DD)' });
+
+    const team = await findTeam(teamId);
+    if (!team || !(await canViewTeam(req.user, team.id))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const result = await executeQuery(
+      'SELECT * FROM schedules WHERE team_id = ? AND week_start = ?',
+      [team.id, toDbDate(weekStartOf(weekDate))]
+    );
+    const schedule = result.rows[0];
+    if (!schedule || (schedule.status === 'draft' && !can(req.user, 'team:manage', team))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json({ ...normalizeSchedule(schedule), shifts: await listScheduleShifts(schedule.id) });
+  } catch (err) {
+    console.error('Error fetching schedule:', err);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+/**
+ * DRAFT a week's schedule.
+ * Body: { teamId, weekStart, allowUnavailable?, shifts: [{ userId?, notes?,
+ *   templateId + date | startTime + endTime }] }
+ * Either every shift is added or, on any conflict, none are.
+ */
+router.post('/schedules/draft', validateBody(draftSchema), async (req, res) => {
+  try {
+    const { teamId, shifts, allowUnavailable } = req.validated;
+    const weekDate = parseDate(req.validated.weekStart);
+
+    const team = await findTeam(teamId);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can draft schedules' });
+    }
+
+    const weekStart = weekStartOf(weekDate);
+    const weekEnd = addDays(weekStart, 7);
+    const planned = [];
+    const conflicts = [];
+
+    for (const [index, entry] of shifts.entries()) {
+      let start;
+      let end;
+      if (entry.templateId) {
+        const template = await findTemplate(entry.templateId);
+        const date = parseDate(entry.date);
+        if (!template || Number(template.team_id) !== Number(team.id)) {
+          return res.status(400).json({ error: `shifts[${index}]: template not found for this team` });
+        }
+        if (!date) return res.status(400).json({ error: `shifts[${index}]: date must be YYYY-MM-DD` });
+        ({ start, end } = timesOnDate(date, template.start_time, template.end_time));
+      } else {
+        start = parseDateTime(entry.startTime);
+        end = parseDateTime(entry.endTime);
+      }
+
+      const timeError = validateShiftTimes(start, end);
+      if (timeError) return res.status(400).json({ error: `shifts[${index}]: ${timeError}` });
+      if (start < weekStart || start >= weekEnd) {
+        return res.status(400).json({ error: `shifts[${index}]: shift must start within the week of ${toDbDate(weekStart)}` });
+      }
+      if (entry.userId && !(await isTeamMember(entry.userId, team.id))) {
+        return res.status(400).json({ error: `shifts[${index}]: user ${entry.userId} is not a member of this team` });
+      }
+
+      const entryConflicts = await blockingConflicts({ userId: entry.userId, start, end, teamId: team.id }, allowUnavailable);
+
+      // Shifts in the same request must not overlap each other either
+      for (const other of planned) {
+        if (entry.userId && Number(other.userId) === Number(entry.userId) && other.start < end && other.end > start) {
+          entryConflicts.push({ type: 'overlap', message: `Overlaps shifts[${other.index}] in this draft` });
+        }
+      }
+
+      // ...and their hours count toward the weekly limit
+      const limit = team.max_weekly_hours;
+      const earlier = planned.filter(other => entry.userId && Number(other.userId) === Number(entry.userId));
+      if (
+        earlier.length > 0 && limit !== null && limit !== undefined && !allowUnavailable &&
+        !entryConflicts.some(conflict => conflict.type === 'max_hours')
+      ) {
+        const minutes = (await weeklyShiftMinutes(entry.userId, start)) +
+          [...earlier, { start, end }].reduce((sum, shift) => sum + differenceInMinutes(shift.end, shift.start), 0);
+        if (minutes > Number(limit) * 60) {
+          entryConflicts.push({
+            type: 'max_hours',
+            message: `Shifts in this draft would bring the employee to ${Math.round((minutes / 60) * 100) / 100} hours (limit ${Number(limit)})`
+          });
+        }
+      }
+
+      conflicts.push(...entryConflicts.map(conflict => ({ index, ...conflict })));
+      planned.push({ index, userId: entry.userId || null, templateId: entry.templateId || null, notes: entry.notes || null, start, end });
+    }
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'Scheduling conflict', conflicts });
+    }
+
+    const schedule = await getOrCreateSchedule(team.id, weekStart, req.user.userId);
+    const status = schedule.status === 'published' ? 'published' : 'draft';
+
+    await executeBatch(
+      planned.map(shift => ({
+        sql: `INSERT INTO shifts (schedule_id, team_id, user_id, template_id, start_time, end_time, notes, status, created_by)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          schedule.id,
+          team.id,
+          shift.userId,
+          shift.templateId,
+          toDbDateTime(shift.start),
+          toDbDateTime(shift.end),
+          shift.notes,
+          status,
+          req.user.userId
+        ]
+      }))
+    );
+
+    res.status(201).json({ ...normalizeSchedule(schedule), shifts: await listScheduleShifts(schedule.id) });
+  } catch (err) {
+    console.error('Error drafting schedule:', err);
+    res.status(500).json({ error: 'Failed to draft schedule' });
+  }
+});
+
+/**
+ * PUBLISH a schedule: its draft shifts become visible to the team
+ */
+router.post('/schedules/:scheduleId/publish', async (req, res) => {
+  try {
+    const result = await executeQuery('SELECT * FROM schedules WHERE id = ?', [req.params.scheduleId]);
+    const schedule = result.rows[0];
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+
+    const team = await findTeam(schedule.team_id);
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can publish schedules' });
+    }
+
+    const [published] = await executeBatch([
+      {
+        sql: `UPDATE schedules SET status = 'published', published_at = CURRENT_TIMESTAMP,
+                published_by = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? RETURNING *`,
+        args: [req.user.userId, schedule.id]
+      },
+      {
+        sql: `UPDATE shifts SET status = 'published', updated_at = CURRENT_TIMESTAMP
+              WHERE schedule_id = ? AND status = 'draft'`,
+        args: [schedule.id]
+      }
+    ]);
+
+    res.json({ ...normalizeSchedule(published.rows[0]), shifts: await listScheduleShifts(schedule.id) });
+  } catch (err) {
+    console.error('Error publishing schedule:', err);
+    res.status(500).json({ error: 'Failed to publish schedule' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* Shifts                                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * CHECK a proposed assignment for conflicts without saving anything.
+ * Pass teamId to include the team's weekly hour limit.
+ */
+router.post('/check', validateBody(conflictCheckSchema), async (req, res) => {
+  try {
+    const { userId, shiftId, teamId } = req.validated;
+    const start = parseDateTime(req.validated.startTime);
+    const end = parseDateTime(req.validated.endTime);
+
+    if (Number(userId) !== Number(req.user.userId) && !(await managesUser(req.user, userId))) {
+      return res.status(403).json({ error: 'You can only check shifts of people on teams you manage' });
+    }
+    const timeError = validateShiftTimes(start, end);
+    if (timeError) return res.status(400).json({ error: timeError });
+
+    const conflicts = await findShiftConflicts({ userId, start, end, excludeShiftId: shiftId, teamId });
+    res.json({ ok: conflicts.length === 0, conflicts });
+  } catch (err) {
+    console.error('Error checking shift:', err);
+    res.status(500).json({ error: 'Failed to check shift' });
+  }
+});
+
+/**
+ * GET shifts visible to the caller
+ * Query: teamId, userId, status, from, to (dates or date-times)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { teamId, userId, status, from, to } = req.query;
+    const scope = shiftScope(req.user);
+    const conditions = [scope.sql];
+    const params = [...scope.params];
+
+    if (teamId) {
+      conditions.push('s.team_id = ?');
+      params.push(teamId);
+    }
+    if (userId) {
+      conditions.push('s.user_id = ?');
+      params.push(userId);
+    }
+    if (status) {
+      conditions.push('s.status = ?');
+      params.push(status);
+    }
+    if (from) {
+      const fromDate = parseDateTime(from);
+      if (!fromDate) return res.status(400).json({ error: 'Invalid from date' });
+      conditions.push('s.end_time > ?');
+      params.push(toDbDateTime(fromDate));
+    }
+    if (to) {
+      const toDate = parseDateTime(to);
+      if (!toDate) return res.status(400).json({ error: 'Invalid to date' });
+      conditions.push('s.start_time < ?');
+      params.push(toDbDateTime(toDate));
+    }
+
+    const result = await executeQuery(
+      `SELECT s.* FROM shifts s WHERE ${conditions.join(' AND ')} ORDER BY s.start_time`,
+      params
+    );
+    res.json(result.rows.map(normalizeShift));
+  } catch (err) {
+    console.error('Error fetching shifts:', err);
+    res.status(500).json({ error: 'Failed to fetch shifts' });
+  }
+});
+
+/**
+ * GET shift by ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const scope = shiftScope(req.user);
+    const result = await executeQuery(
+      `SELECT s.* FROM shifts s WHERE s.id = ? AND ${scope.sql}`,
+      [req.params.id, ...scope.params]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Shift not found' });
+    res.json(normalizeShift(result.rows[0]));
+  } catch (err) {
+    console.error('Error fetching shift:', err);
+    res.status(500).json({ error: 'Failed to fetch shift' });
+  }
+});
+
+/**
+ * CREATE a single shift. It joins the team's schedule for that week
+ * (and is published immediately if the schedule already is).
+ */
+router.post('/', validateBody(shiftCreateSchema), async (req, res) => {
+  try {
+    const { teamId, userId, templateId, notes, allowUnavailable } = req.validated;
+
+    const team = await findTeam(teamId);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can create shifts' });
+    }
+
+    let start = parseDateTime(req.validated.startTime);
+    let end = parseDateTime(req.validated.endTime);
+    if (templateId) {
+      const template = await findTemplate(templateId);
+      const date = parseDate(req.validated.date);
+      if (!template || Number(template.team_id) !== Number(team.id)) {
+        return res.status(400).json({ error: 'Template not found for this team' });
+      }
+      if (!date) return res.status(400).json({ error: 'date must be YYYY-MM-DD when using a template' });
+      ({ start, end } = timesOnDate(date, template.start_time, template.end_time));
+    }
+
+    const timeError = validateShiftTimes(start, end);
+    if (timeError) return res.status(400).json({ error: timeError });
+    if (userId && !(await isTeamMember(userId, team.id))) {
+      return res.status(400).json({ error: 'User is not a member of this team' });
+    }
+
+    const conflicts = await blockingConflicts({ userId, start, end, teamId: team.id }, allowUnavailable);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'Scheduling conflict', conflicts });
+    }
+
+    const schedule = await getOrCreateSchedule(team.id, start, req.user.userId);
+    const result = await executeQuery(
+      `INSERT INTO shifts (schedule_id, team_id, user_id, template_id, start_time, end_time, notes, status, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [
+        schedule.id,
+        team.id,
+        userId || null,
+        templateId || null,
+        toDbDateTime(start),
+        toDbDateTime(end),
+        notes || null,
+        schedule.status === 'published' ? 'published' : 'draft',
+        req.user.userId
+      ]
+    );
+
+    res.status(201).json(normalizeShift(result.rows[0]));
+  } catch (err) {
+    console.error('Error creating shift:', err);
+    res.status(500).json({ error: 'Failed to create shift' });
+  }
+});
+
+/**
+ * UPDATE shift (reassign, retime, notes). Moving it to another week is not allowed.
+ */
+router.put('/:id', validateBody(shiftUpdateSchema, { partial: true }), async (req, res) => {
+  try {
+    const changes = req.validated;
+    const { notes, allowUnavailable = false } = changes;
+
+    const shift = await findShift(req.params.id);
+    if (!shift) return res.status(404).json({ error: 'Shift not found' });
+    const team = await findTeam(shift.team_id);
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can edit shifts' });
+    }
+    if (shift.status === 'cancelled') return res.status(400).json({ error: 'Cancelled shifts cannot be edited' });
+
+    const userId = changes.userId !== undefined ? changes.userId : shift.user_id;
+    const start = parseDateTime(changes.startTime || shift.start_time);
+    const end = parseDateTime(changes.endTime || shift.end_time);
+
+    const timeError = validateShiftTimes(start, end);
+    if (timeError) return res.status(400).json({ error: timeError });
+    if (toDbDate(weekStartOf(start)) !== toDbDate(weekStartOf(parseDateTime(shift.start_time)))) {
+      return res.status(400).json({ error: 'A shift cannot be moved to another week' });
+    }
+    if (userId && !(await isTeamMember(userId, team.id))) {
+      return res.status(400).json({ error: 'User is not a member of this team' });
+    }
+    if (Number(userId || 0) !== Number(shift.user_id || 0)) {
+      const punched = await executeQuery('SELECT 1 FROM attendance_records WHERE shift_id = ? LIMIT 1', [shift.id]);
+      if (punched.rows.length > 0) {
+        return res.status(409).json({ error: 'Attendance has been recorded for this shift; it cannot be reassigned' });
+      }
+    }
+
+    const conflicts = await blockingConflicts({ userId, start, end, excludeShiftId: shift.id, teamId: team.id }, allowUnavailable);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'Scheduling conflict', conflicts });
+    }
+
+    const result = await executeQuery(
+      `UPDATE shifts SET user_id = ?, start_time = ?, end_time = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? RETURNING *`,
+      [
+        userId || null,
+        toDbDateTime(start),
+        toDbDateTime(end),
+        notes !== undefined ? notes : shift.notes,
+        shift.id
+      ]
+    );
+    res.json(normalizeShift(result.rows[0]));
+  } catch (err) {
+    console.error('Error updating shift:', err);
+    res.status(500).json({ error: 'Failed to update shift' });
+  }
+});
+
+/**
+ * DELETE shift. Drafts are removed; published shifts are cancelled so the team sees the change.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const shift = await findShift(req.params.id);
+    if (!shift) return res.status(404).json({ error: 'Shift not found' });
+    const team = await findTeam(shift.team_id);
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can delete shifts' });
+    }
+
+    if (shift.status === 'draft') {
+      await executeQuery('DELETE FROM shifts WHERE id = ?', [shift.id]);
+      return res.json({ message: 'Shift deleted successfully' });
+    }
+
+    const result = await executeQuery(
+      `UPDATE shifts SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`,
+      [shift.id]
+    );
+    res.json({ message: 'Shift cancelled successfully', shift: normalizeShift(result.rows[0]) });
+  } catch (err) {
+    console.error('Error deleting shift:', err);
+    res.status(500).json({ error: 'Failed to delete shift' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { getStorage } = require('../config/storage');
+const { findAccessibleTask } = require('../utils/teamScope');
+const { can } = require('../utils/permissions');
+const { emitToBoard } = require('../config/socket');
+
+// Mounted by routes/tasks.js at /:id/attachments; req.params.id is the task ID
+const router = express.Router({ mergeParams: true });
+
+const MAX_FILE_SIZE_MB = parseFloat(process.env.UPLOAD_MAX_SIZE_MB) || 10;
+const ALLOWED_MIME_TYPES = process.env.UPLOAD_ALLOWED_TYPES
+  ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+  : [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  ];
+
+// Files are buffered in memory (bounded by the size limit) and handed to the storage driver
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Math.floor(MAX_FILE_SIZE_MB * 1024 * 1024), files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    const err = new Error(`File type ${file.mimetype} is not allowed`);
+    err.status = 415;
+    cb(err);
+  },
+}).single('file');
+
+/**
+ * Normalize an attachment row (task_attachments joined with users)
+ */
+function normalizeAttachment(attachment) {
+  return {
+    id: attachment.id,
+    taskId: attachment.task_id,
+    filename: attachment.original_filename,
+    size: attachment.file_size,
+    mimeType: attachment.mime_type,
+    uploadedBy: attachment.uploaded_by,
+    uploader: attachment.first_name ? `${attachment.first_name} ${attachment.last_name}` : null,
+    createdAt: attachment.created_at,
+    downloadUrl: `/api/tasks/${attachment.task_id}/attachments/${attachment.id}/download`
+  };
+}
+
+const ATTACHMENT_SELECT = `
+  SELECT a.*, u.first_name, u.last_name
+  FROM task_attachments a
+  LEFT JOIN users u ON u.id = a.uploaded_by`;
+
+async function findAttachment(taskId, attachmentId) {
+  const result = await executeQuery(`${ATTACHMENT_SELECT} WHERE a.task_id = ? AND a.id = ?`, [taskId, attachmentId]);
+  return result.rows[0] || null;
+}
+
+function parseUpload(req, res) {
+  return new Promise((resolve, reject) => {
+    upload(req, res, err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Storage key for a new upload. Only the extension of the client's filename is kept.
+ */
+function storageKey(taskId, originalName) {
+  const ext = path.extname(originalName || '').toLowerCase();
+  return `tasks/${taskId}/${uuidv4()}${/^\.[a-z0-9]{1,10}$/.test(ext) ? ext : ''}`;
+}
+
+/**
+ * GET attachments of a task
+ */
+router.get('/', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    const result = await executeQuery(
+      `${ATTACHMENT_SELECT} WHERE a.task_id = ? ORDER BY a.created_at DESC, a.id DESC`,
+      [task.id]
+    );
+    res.json(result.rows.map(normalizeAttachment));
+  } catch (err) {
+    console.error('Error fetching attachments:', err);
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+/**
+ * UPLOAD attachment (multipart/form-data, field "file")
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Check access before accepting the body
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    try {
+      await parseUpload(req, res);
+    } catch (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ error: `Files are limited to ${MAX_FILE_SIZE_MB} MB` });
+        }
+        return res.status(400).json({ error: err.message });
+      }
+      if (err.status === 415) {
+        return res.status(415).json({ error: err.message, allowedTypes: ALLOWED_MIME_TYPES });
+      }
+      throw err;
+    }
+
+    if (!req.file) return res.status(400).json({ error: 'A file is required (multipart field "file")' });
+
+    const key = storageKey(task.id, req.file.originalname);
+    const storage = getStorage();
+    await storage.put(key, req.file.buffer, { contentType: req.file.mimetype });
+
+    let inserted;
+    try {
+      inserted = await executeQuery(
+        `INSERT INTO task_attachments (task_id, filename, original_filename, file_size, mime_type, uploaded_by)
+         VALUES (?, ?, ?, ?, ?, ?) RETURNING *`,
+        [task.id, key, req.file.originalname, req.file.size, req.file.mimetype, req.user.userId]
+      );
+    } catch (err) {
+      // Don't leave an orphaned file behind
+      await storage.remove(key).catch(() => {});
+      throw err;
+    }
+
+    const attachment = normalizeAttachment(await findAttachment(task.id, inserted.rows[0].id));
+    emitToBoard(task.board_id, 'attachment:created', { attachment, actorId: req.user.userId });
+    res.status(201).json(attachment);
+  } catch (err) {
+    console.error('Error uploading attachment:', err);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+});
+
+/**
+ * DOWNLOAD attachment
+ */
+router.get('/:attachmentId/download', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    const attachment = await findAttachment(task.id, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+
+    const stream = await getStorage().get(attachment.filename);
+    if (!stream) return res.status(404).json({ error: 'Attachment file is missing' });
+
+    res.attachment(attachment.original_filename);
+    res.set('Content-Type', attachment.mime_type || 'application/octet-stream');
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (attachment.file_size) res.set('Content-Length', String(attachment.file_size));
+
+    stream.on('error', err => {
+      console.error('Error streaming attachment:', err);
+      if (!res.headersSent) return res.status(500).json({ error: 'Failed to download attachment' });
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error('Error downloading attachment:', err);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+/**
+ * DELETE attachment (uploader or manager)
+ */
+router.delete('/:attachmentId', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    const attachment = await findAttachment(task.id, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+    if (!can(req.user, 'attachment:delete', attachment)) {
+      return res.status(403).json({ error: 'You can only delete attachments you uploaded' });
+    }
+
+    await executeQuery('DELETE FROM task_attachments WHERE id = ?', [attachment.id]);
+    try {
+      await getStorage().remove(attachment.filename);
+    } catch (err) {
+      console.error('Error removing attachment file:', err);
+    }
+
+    emitToBoard(task.board_id, 'attachment:deleted', {
+      id: attachment.id,
+      taskId: task.id,
+      actorId: req.user.userId
+    });
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting attachment:', err);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const { executeQuery, executeBatch } = require('../config/database');
+const { findAccessibleTask } = require('../utils/teamScope');
+const { can } = require('../utils/permissions');
+const { validateBody } = require('../middleware/validate');
+const { normalizeChecklistItem, listChecklist } = require('../utils/tasks');
+const { emitToBoard } = require('../config/socket');
+
+// Mounted by routes/tasks.js at /:id/checklist; req.params.id is the task ID
+const router = express.Router({ mergeParams: true });
+
+// Request body fields (see middleware/validate.js)
+const itemSchema = {
+  content: { type: 'string', required: true, maxLength: 500 },
+  position: { type: 'integer', min: 1, nullable: true }
+};
+const itemUpdateSchema = {
+  content: itemSchema.content,
+  isCompleted: { type: 'boolean' }
+};
+const itemOrderSchema = {
+  itemIds: {
+    type: 'list',
+    required: true,
+    validate: ids => ids.length > 0 && ids.every(id => Number.isInteger(id) && id > 0),
+    message: 'itemIds must be a non-empty array of checklist item IDs'
+  }
+};
+
+/**
+ * Find the task and check the caller may edit it.
+ * Returns { task } or { status, error }.
+ */
+async function findEditableTask(req) {
+  const task = await findAccessibleTask(req.params.id, req.user);
+  if (!task) return { status: 404, error: 'Task not found' };
+  if (!can(req.user, 'task:update', task)) {
+    return { status: 403, error: 'You can only edit tasks assigned to or created by you' };
+  }
+  return { task };
+}
+
+/**
+ * GET checklist items of a task, in order
+ */
+router.get('/', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    res.json(await listChecklist(task.id));
+  } catch (err) {
+    console.error('Error fetching checklist:', err);
+    res.status(500).json({ error: 'Failed to fetch checklist' });
+  }
+});
+
+/**
+ * ADD checklist item. Without a position it is appended; with one, later items shift down.
+ */
+router.post('/', validateBody(itemSchema), async (req, res) => {
+  try {
+    const { content, position } = req.validated;
+
+    const { task, status, error } = await findEditableTask(req);
+    if (!task) return res.status(status).json({ error });
+
+    const max = await executeQuery(
+      'SELECT COALESCE(MAX(position), 0) AS max_position FROM task_checklist_items WHERE task_id = ?',
+      [task.id]
+    );
+    const maxPosition = Number(max.rows[0].max_position);
+    const target = position ? Math.min(position, maxPosition + 1) : maxPosition + 1;
+
+    const [, inserted] = await executeBatch([
+      {
+        sql: 'UPDATE task_checklist_items SET position = position + 1 WHERE task_id = ? AND position >= ?',
+        args: [task.id, target]
+      },
+      {
+        sql: `INSERT INTO task_checklist_items (task_id, content, position, created_by)
+              VALUES (?, ?, ?, ?) RETURNING *`,
+        args: [task.id, content, target, req.user.userId]
+      }
+    ]);
+
+    const item = normalizeChecklistItem(inserted.rows[0]);
+    emitToBoard(task.board_id, 'checklist:created', { item, actorId: req.user.userId });
+    res.status(201).json(item);
+  } catch (err) {
+    console.error('Error creating checklist item:', err);
+    res.status(500).json({ error: 'Failed to create checklist item' });
+  }
+});
+
+/**
+ * REORDER checklist. Body: { itemIds: [...] } listing every item of the task in its new order.
+ */
+router.put('/reorder', validateBody(itemOrderSchema), async (req, res) => {
+  try {
+    const { itemIds } = req.validated;
+
+    const { task, status, error } = await findEditableTask(req);
+    if (!task) return res.status(status).json({ error });
+
+    const existing = await executeQuery('SELECT id FROM task_checklist_items WHERE task_id = ?', [task.id]);
+    const existingIds = existing.rows.map(row => Number(row.id)).sort((a, b) => a - b);
+    const requestedIds = itemIds.map(Number).sort((a, b) => a - b);
+
+    if (
+      existingIds.length !== requestedIds.length ||
+      existingIds.some((id, index) => id !== requestedIds[index])
+    ) {
+      return res.status(400).json({ error: 'itemIds must list every checklist item of the task exactly once' });
+    }
+
+    await executeBatch(
+      itemIds.map((itemId, index) => ({
+        sql: 'UPDATE task_checklist_items SET position = ? WHERE id = ? AND task_id = ?',
+        args: [index + 1, itemId, task.id]
+      }))
+    );
+
+    const items = await listChecklist(task.id);
+    emitToBoard(task.board_id, 'checklist:reordered', { taskId: task.id, items, actorId: req.user.userId });
+    res.json(items);
+  } catch (err) {
+    console.error('Error reordering checklist:', err);
+    res.status(500).json({ error: 'Failed to reorder checklist' });
+  }
+});
+
+/**
+ * UPDATE checklist item (edit the text, tick or untick it)
+ */
+router.patch('/:itemId', validateBody(itemUpdateSchema, { partial: true }), async (req, res) => {
+  try {
+    const { content, isCompleted } = req.validated;
+
+    const { task, status, error } = await findEditableTask(req);
+    if (!task) return res.status(status).json({ error });
+
+    const sets = ['updated_at = CURRENT_TIMESTAMP'];
+    const params = [];
+    if (content !== undefined) {
+      sets.push('content = ?');
+      params.push(content);
+    }
+    if (isCompleted !== undefined) {
+      // Completion time and user are kept while the item stays ticked
+      sets.push(
+        'is_completed = ?',
+        'completed_at = CASE WHEN ? THEN COALESCE(completed_at, CURRENT_TIMESTAMP) END',
+        'completed_by = CASE WHEN ? THEN COALESCE(completed_by, ?) END'
+      );
+      params.push(isCompleted ? 1 : 0, isCompleted ? 1 : 0, isCompleted ? 1 : 0, req.user.userId);
+    }
+
+    const result = await executeQuery(
+      `UPDATE task_checklist_items SET ${sets.join(', ')} WHERE id = ? AND task_id = ? RETURNING *`,
+      [...params, req.params.itemId, task.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Checklist item not found' });
+
+    const item = normalizeChecklistItem(result.rows[0]);
+    emitToBoard(task.board_id, 'checklist:updated', { item, actorId: req.user.userId });
+    res.json(item);
+  } catch (err) {
+    console.error('Error updating checklist item:', err);
+    res.status(500).json({ error: 'Failed to update checklist item' });
+  }
+});
+
+/**
+ * DELETE checklist item; later items move up
+ */
+router.delete('/:itemId', async (req, res) => {
+  try {
+    const { task, status, error } = await findEditableTask(req);
+    if (!task) return res.status(status).json({ error });
+
+    const existing = await executeQuery(
+      'SELECT * FROM task_checklist_items WHERE id = ? AND task_id = ?',
+      [req.params.itemId, task.id]
+    );
+    if (existing.rows.length === 0) return res.status(404).json({ error: 'Checklist item not found' });
+    const item = existing.rows[0];
+
+    await executeBatch([
+      { sql: 'DELETE FROM task_checklist_items WHERE id = ?', args: [item.id] },
+      {
+        sql: 'UPDATE task_checklist_items SET position = position - 1 WHERE task_id = ? AND position > ?',
+        args: [task.id, item.position]
+      }
+    ]);
+
+    emitToBoard(task.board_id, 'checklist:deleted', { id: item.id, taskId: task.id, actorId: req.user.userId });
+    res.json({ message: 'Checklist item deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting checklist item:', err);
+    res.status(500).json({ error: 'Failed to delete checklist item' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const { executeQuery, executeBatch } = require('../config/database');
+const { findAccessibleTask } = require('../utils/teamScope');
+const { can } = require('../utils/permissions');
+const { resolveMentions } = require('../utils/mentions');
+const { emitToBoard, emitToUser } = require('../config/socket');
+const { validateBody } = require('../middleware/validate');
+
+// Mounted by routes/tasks.js at /:id/comments; req.params.id is the task ID
+const router = express.Router({ mergeParams: true });
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Request body fields (see middleware/validate.js)
+const commentSchema = {
+  content: { type: 'string', required: true, maxLength: MAX_COMMENT_LENGTH }
+};
+
+/**
+ * Normalize a comment row (task_comments joined with users)
+ */
+function normalizeComment(comment) {
+  return {
+    id: comment.id,
+    taskId: comment.task_id,
+    userId: comment.user_id,
+    author: comment.first_name ? `${comment.first_name} ${comment.last_name}` : null,
+    content: comment.content,
+    mentions: comment.mentions ? JSON.parse(comment.mentions) : [],
+    createdAt: comment.created_at,
+    updatedAt: comment.updated_at || null,
+    edited: Boolean(comment.updated_at)
+  };
+}
+
+const COMMENT_SELECT = `
+  SELECT c.*, u.first_name, u.last_name,
+    (SELECT json_group_array(cm.user_id) FROM comment_mentions cm WHERE cm.comment_id = c.id) AS mentions
+  FROM task_comments c
+  LEFT JOIN users u ON u.id = c.user_id`;
+
+async function findComment(taskId, commentId) {
+  const result = await executeQuery(`${COMMENT_SELECT} WHERE c.task_id = ? AND c.id = ?`, [taskId, commentId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Record the users mentioned in a comment, replacing any earlier set.
+ * Returns the IDs that were not mentioned before (the ones to notify).
+ */
+async function saveMentions(comment, taskId) {
+  const userIds = await resolveMentions(comment.content, taskId);
+
+  const existing = await executeQuery('SELECT user_id FROM comment_mentions WHERE comment_id = ?', [comment.id]);
+  const previous = new Set(existing.rows.map(row => Number(row.user_id)));
+
+  await executeQuery(
+    `DELETE FROM comment_mentions
+     WHERE comment_id = ? AND user_id NOT IN (SELECT value FROM json_each(?))`,
+    [comment.id, JSON.stringify(userIds)]
+  );
+  await executeQuery(
+    `INSERT OR IGNORE INTO comment_mentions (comment_id, user_id)
+     SELECT ?, value FROM json_each(?)`,
+    [comment.id, JSON.stringify(userIds)]
+  );
+
+  return userIds.filter(userId => !previous.has(Number(userId)));
+}
+
+/**
+ * Live notification for newly mentioned users (the author is never notified)
+ */
+function notifyMentioned(userIds, task, comment, actorId) {
+  for (const userId of userIds) {
+    if (Number(userId) === Number(actorId)) continue;
+    emitToUser(userId, 'comment:mentioned', {
+      taskId: task.id,
+      taskTitle: task.title,
+      boardId: task.board_id || null,
+      comment,
+      actorId
+    });
+  }
+}
+
+/**
+ * GET comments of a task, oldest first (paginated)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const count = await executeQuery('SELECT COUNT(*) AS total FROM task_comments WHERE task_id = ?', [task.id]);
+    const total = Number(count.rows[0].total);
+
+    const result = await executeQuery(
+      `${COMMENT_SELECT} WHERE c.task_id = ? ORDER BY c.created_at, c.id LIMIT ? OFFSET ?`,
+      [task.id, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      comments: result.rows.map(normalizeComment),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching comments:', err);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+/**
+ * CREATE comment. Mentioned users receive `comment:mentioned` in their user room.
+ */
+router.post('/', validateBody(commentSchema), async (req, res) => {
+  try {
+    const { content } = req.validated;
+
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    const inserted = await executeQuery(
+      'INSERT INTO task_comments (task_id, user_id, content) VALUES (?, ?, ?) RETURNING *',
+      [task.id, req.user.userId, content]
+    );
+    const mentioned = await saveMentions(inserted.rows[0], task.id);
+
+    const comment = normalizeComment(await findComment(task.id, inserted.rows[0].id));
+    emitToBoard(task.board_id, 'comment:created', { comment, actorId: req.user.userId });
+    notifyMentioned(mentioned, task, comment, req.user.userId);
+
+    res.status(201).json(comment);
+  } catch (err) {
+    console.error('Error creating comment:', err);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+/**
+ * UPDATE comment (author or manager). Only newly added mentions are notified.
+ */
+router.put('/:commentId', validateBody(commentSchema), async (req, res) => {
+  try {
+    const { content } = req.validated;
+
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    const existing = await findComment(task.id, req.params.commentId);
+    if (!existing) return res.status(404).json({ error: 'Comment not found' });
+    if (!can(req.user, 'comment:update', existing)) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    const updated = await executeQuery(
+      'UPDATE task_comments SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *',
+      [content, existing.id]
+    );
+    const mentioned = await saveMentions(updated.rows[0], task.id);
+
+    const comment = normalizeComment(await findComment(task.id, existing.id));
+    emitToBoard(task.board_id, 'comment:updated', { comment, actorId: req.user.userId });
+    notifyMentioned(mentioned, task, comment, req.user.userId);
+
+    res.json(comment);
+  } catch (err) {
+    console.error('Error updating comment:', err);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+/**
+ * DELETE comment (author or manager)
+ */
+router.delete('/:commentId', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    const existing = await findComment(task.id, req.params.commentId);
+    if (!existing) return res.status(404).json({ error: 'Comment not found' });
+    if (!can(req.user, 'comment:delete', existing)) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    await executeBatch([
+      { sql: 'DELETE FROM comment_mentions WHERE comment_id = ?', args: [existing.id] },
+      { sql: 'DELETE FROM task_comments WHERE id = ?', args: [existing.id] }
+    ]);
+    emitToBoard(task.board_id, 'comment:deleted', {
+      id: existing.id,
+      taskId: task.id,
+      actorId: req.user.userId
+    });
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting comment:', err);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+module.exports = router;
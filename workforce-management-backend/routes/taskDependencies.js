@@ -0,0 +1,137 @@
+const express = require('express');
+const { executeQuery, executeBatch } = require('../config/database');
+const { findAccessibleTask } = require('../utils/teamScope');
+const { can } = require('../utils/permissions');
+const { activityStatement } = require('../utils/activity');
+const { listDependencies, countUnfinishedBlockers, wouldCreateCycle } = require('../utils/dependencies');
+const { emitToBoard } = require('../config/socket');
+const { validateBody } = require('../middleware/validate');
+
+// Mounted by routes/tasks.js at /:id/dependencies; req.params.id is the dependent task's ID
+const router = express.Router({ mergeParams: true });
+
+// Request body fields (see middleware/validate.js)
+const dependencySchema = {
+  dependsOnId: { type: 'id', required: true, message: 'dependsOnId must be a task ID' }
+};
+
+async function dependenciesOf(task, user) {
+  const dependencies = await listDependencies(task.id, user);
+  return { ...dependencies, blocked: (await countUnfinishedBlockers(task.id)) > 0 };
+}
+
+/**
+ * GET blockers and dependents of a task
+ */
+router.get('/', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    res.json(await dependenciesOf(task, req.user));
+  } catch (err) {
+    console.error('Error fetching dependencies:', err);
+    res.status(500).json({ error: 'Failed to fetch dependencies' });
+  }
+});
+
+/**
+ * ADD a blocker: { dependsOnId }. Rejected if it would create a cycle.
+ */
+router.post('/', validateBody(dependencySchema), async (req, res) => {
+  try {
+    const { dependsOnId } = req.validated;
+
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!can(req.user, 'task:update', task)) {
+      return res.status(403).json({ error: 'You can only edit tasks assigned to or created by you' });
+    }
+    if (dependsOnId === Number(task.id)) {
+      return res.status(400).json({ error: 'A task cannot depend on itself' });
+    }
+
+    const blocker = await findAccessibleTask(dependsOnId, req.user);
+    if (!blocker) return res.status(404).json({ error: 'Blocking task not found' });
+
+    const existing = await executeQuery(
+      'SELECT 1 FROM task_dependencies WHERE task_id = ? AND depends_on_id = ?',
+      [task.id, blocker.id]
+    );
+    if (existing.rows.length > 0) return res.status(409).json({ error: 'Dependency already exists' });
+
+    if (await wouldCreateCycle(task.id, blocker.id)) {
+      return res.status(409).json({ error: `Task ${blocker.id} already depends on task ${task.id}; this would create a cycle` });
+    }
+
+    await executeBatch([
+      {
+        sql: 'INSERT INTO task_dependencies (task_id, depends_on_id, created_by) VALUES (?, ?, ?)',
+        args: [task.id, blocker.id, req.user.userId]
+      },
+      activityStatement({
+        entityType: 'task',
+        entityId: task.id,
+        action: 'dependency_added',
+        actorId: req.user.userId,
+        changes: { dependsOn: { from: null, to: blocker.id } }
+      })
+    ]);
+
+    emitToBoard(task.board_id, 'dependency:created', {
+      taskId: task.id,
+      dependsOnId: blocker.id,
+      actorId: req.user.userId
+    });
+    res.status(201).json(await dependenciesOf(task, req.user));
+  } catch (err) {
+    console.error('Error adding dependency:', err);
+    res.status(500).json({ error: 'Failed to add dependency' });
+  }
+});
+
+/**
+ * REMOVE a blocker
+ */
+router.delete('/:dependsOnId', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!can(req.user, 'task:update', task)) {
+      return res.status(403).json({ error: 'You can only edit tasks assigned to or created by you' });
+    }
+
+    const dependsOnId = Number(req.params.dependsOnId);
+    const existing = await executeQuery(
+      'SELECT 1 FROM task_dependencies WHERE task_id = ? AND depends_on_id = ?',
+      [task.id, dependsOnId]
+    );
+    if (existing.rows.length === 0) return res.status(404).json({ error: 'Dependency not found' });
+
+    await executeBatch([
+      {
+        sql: 'DELETE FROM task_dependencies WHERE task_id = ? AND depends_on_id = ?',
+        args: [task.id, dependsOnId]
+      },
+      activityStatement({
+        entityType: 'task',
+        entityId: task.id,
+        action: 'dependency_removed',
+        actorId: req.user.userId,
+        changes: { dependsOn: { from: dependsOnId, to: null } }
+      })
+    ]);
+
+    emitToBoard(task.board_id, 'dependency:deleted', {
+      taskId: task.id,
+      dependsOnId,
+      actorId: req.user.userId
+    });
+    res.json(await dependenciesOf(task, req.user));
+  } catch (err) {
+    console.error('Error removing dependency:', err);
+    res.status(500).json({ error: 'Failed to remove dependency' });
+  }
+});
+
+module.exports = router;
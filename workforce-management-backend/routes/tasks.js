@@ -1,43 +1,247 @@
 const express = require('express');
-const { executeQuery } = require('../config/database');
+const { executeQuery, executeBatch } = require('../config/database');
+const { taskScope, findAccessibleBoard, findAccessibleTask } = require('../utils/teamScope');
+const { can, isManager } = require('../utils/permissions');
+const { validateBody, buildInsert, buildUpdate } = require('../middleware/validate');
+const { emitToBoard } = require('../config/socket');
+const { parseDate } = require('../utils/scheduling');
+const {
+  TASK_STATUSES, placeAt, endOfColumn, normalizeTask, withProgress, listChecklist
+} = require('../utils/tasks');
+const { retentionDays } = require('../utils/trash');
+const { diffChanges, activityStatement, recordActivity, listActivity } = require('../utils/activity');
+const { hasTimeEntries } = require('../utils/timeTracking');
+const { BLOCKED_STATUSES, listDependencies, countUnfinishedBlockers } = require('../utils/dependencies');
+const commentRoutes = require('./taskComments');
+const attachmentRoutes = require('./taskAttachments');
+const checklistRoutes = require('./taskChecklist');
+const dependencyRoutes = require('./taskDependencies');
 const router = express.Router();
 
 // Allowed values (updated to match DB CHECK constraints)
-const ALLOWED_STATUS = ['todo', 'in_progress', 'review', 'completed', 'cancelled'];
+const ALLOWED_STATUS = TASK_STATUSES;
 const ALLOWED_PRIORITY = ['low', 'medium', 'high', 'urgent'];
 
+// Request body fields -> columns (see middleware/validate.js)
+const taskSchema = {
+  boardId: { column: 'board_id', type: 'id', nullable: true },
+  columnId: { column: 'column_id', type: 'id', nullable: true },
+  parentId: { column: 'parent_id', type: 'id', nullable: true },
+  title: { column: 'title', type: 'string', required: true, maxLength: 255 },
+  description: { column: 'description', type: 'string', nullable: true, allowEmpty: true, maxLength: 10000 },
+  assignedTo: { column: 'assigned_to', type: 'id', nullable: true },
+  priority: { column: 'priority', type: 'enum', values: ALLOWED_PRIORITY, default: 'medium' },
+  dueDate: { column: 'due_date', type: 'datetime', nullable: true },
+  estimatedHours: { column: 'estimated_hours', type: 'number', min: 0, max: 9999, nullable: true },
+  actualHours: { column: 'actual_hours', type: 'number', min: 0, max: 9999, default: 0 },
+  status: { column: 'status', type: 'enum', values: ALLOWED_STATUS, default: 'todo' },
+  position: { column: 'position', type: 'number', min: 0, nullable: true },
+  tags: { column: 'tags', type: 'array', maxItems: 20, default: [] },
+  // Server-managed; accepted so a fetched task can be sent back unchanged
+  id: { readOnly: true },
+  createdBy: { readOnly: true },
+  createdAt: { readOnly: true },
+  updatedAt: { readOnly: true }
+};
+
+// POST /tasks/:id/move
+const moveSchema = {
+  columnId: { type: 'id', required: true },
+  index: { type: 'integer', min: 0, nullable: true }
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Sortable fields -> SQL expressions (never NULL, so they work as keyset cursors)
+const SORT_FIELDS = {
+  createdAt: 't.created_at',
+  updatedAt: 't.updated_at',
+  dueDate: "COALESCE(datetime(t.due_date), '9999-12-31 23:59:59')",
+  priority: "CASE t.priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END",
+  status: "COALESCE(t.status, '')",
+  title: 'LOWER(t.title)',
+  position: 'COALESCE(t.position, 0)',
+  relevance: 'bm25(tasks_fts, 10.0, 1.0)' // title matches weigh more than description
+};
+
+const splitList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
 /**
- * Normalize a task row from the DB
+ * Turn free text into an FTS5 query: every word must match, as a prefix
  */
-function normalizeTask(task) {
-  return {
-    id: task.id,
-    boardId: task.board_id,
-    columnId: task.column_id,
-    title: task.title,
-    description: task.description || '',
-    assignedTo: task.assigned_to || null,
-    createdBy: task.created_by || null,
-    priority: task.priority || 'medium',
-    dueDate: task.due_date || null,
-    estimatedHours: task.estimated_hours || 0,
-    actualHours: task.actual_hours || 0,
-    status: task.status || 'todo',
-    position: task.position || 0,
-    tags: task.tags ? JSON.parse(task.tags) : [],
-    createdAt: task.created_at,
-    updatedAt: task.updated_at
-  };
+function toFtsQuery(text) {
+  return String(text)
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean)
+    .map(word => `"${word}"*`)
+    .join(' ');
+}
+
+const encodeCursor = data => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
 }
 
 /**
- * GET all tasks
+ * Build the WHERE clause for GET /tasks from query params.
+ * Returns { join, conditions, params } or { error }.
+ */
+function buildTaskFilters(query, user) {
+  const scope = taskScope(user);
+  const conditions = [scope.sql];
+  const params = [...scope.params];
+  let join = '';
+
+  if (query.status) {
+    const statuses = splitList(query.status);
+    const invalid = statuses.find(status => !ALLOWED_STATUS.includes(status));
+    if (invalid) return { error: `Invalid status. Allowed: ${ALLOWED_STATUS.join(', ')}` };
+    conditions.push(`t.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  if (query.priority) {
+    const priorities = splitList(query.priority);
+    const invalid = priorities.find(priority => !ALLOWED_PRIORITY.includes(priority));
+    if (invalid) return { error: `Invalid priority. Allowed: ${ALLOWED_PRIORITY.join(', ')}` };
+    conditions.push(`t.priority IN (${priorities.map(() => '?').join(', ')})`);
+    params.push(...priorities);
+  }
+
+  // assignedTo: a user ID, "me" or "none"
+  if (query.assignedTo) {
+    if (query.assignedTo === 'none') {
+      conditions.push('t.assigned_to IS NULL');
+    } else {
+      const assignee = query.assignedTo === 'me' ? user.userId : parseInt(query.assignedTo);
+      if (!assignee) return { error: 'assignedTo must be a user ID, "me" or "none"' };
+      conditions.push('t.assigned_to = ?');
+      params.push(assignee);
+    }
+  }
+
+  if (query.boardId) {
+    conditions.push('t.board_id = ?');
+    params.push(parseInt(query.boardId) || 0);
+  }
+
+  if (query.columnId) {
+    conditions.push('t.column_id = ?');
+    params.push(parseInt(query.columnId) || 0);
+  }
+
+  // parentId: a task ID (its subtasks) or "none" (top-level tasks only)
+  if (query.parentId) {
+    if (query.parentId === 'none') {
+      conditions.push('t.parent_id IS NULL');
+    } else {
+      conditions.push('t.parent_id = ?');
+      params.push(parseInt(query.parentId) || 0);
+    }
+  }
+
+  // tag=a,b matches tasks having any of the tags
+  if (query.tag) {
+    const tags = splitList(query.tag);
+    conditions.push(`EXISTS (SELECT 1 FROM json_each(COALESCE(t.tags, '[]')) jt
+      WHERE jt.value IN (${tags.map(() => '?').join(', ')}))`);
+    params.push(...tags);
+  }
+
+  for (const [param, operator] of [['dueFrom', '>='], ['dueTo', '<=']]) {
+    if (!query[param]) continue;
+    if (!parseDate(query[param])) return { error: `${param} must be a date (YYYY-MM-DD)` };
+    conditions.push(`date(t.due_date) ${operator} ?`);
+    params.push(query[param]);
+  }
+
+  if (query.overdue === 'true') {
+    conditions.push(`datetime(t.due_date) < datetime('now') AND t.status NOT IN ('completed', 'cancelled')`);
+  }
+
+  if (query.q) {
+    const match = toFtsQuery(query.q);
+    if (!match) return { error: 'Search query is empty' };
+    join = 'JOIN tasks_fts ON tasks_fts.rowid = t.id';
+    conditions.push('tasks_fts MATCH ?');
+    params.push(match);
+  }
+
+  return { join, conditions, params };
+}
+
+/**
+ * GET tasks visible to the caller.
+ *
+ * Filters: status, priority (comma-separated), assignedTo (id|me|none), boardId,
+ * columnId, parentId (id|none), tag (comma-separated, any), dueFrom/dueTo (YYYY-MM-DD), overdue=true,
+ * q (full-text search over title and description).
+ * Sorting: sort=<field> (createdAt, updatedAt, dueDate, priority, status, title,
+ * position, relevance) and order=asc|desc.
+ * Cursor pagination: pass the returned nextCursor as ?cursor= for the next page.
  */
 router.get('/', async (req, res) => {
   try {
-    const result = await executeQuery('SELECT * FROM tasks', []);
-    const tasks = result.rows.map(normalizeTask);
-    res.json(tasks);
+    const filters = buildTaskFilters(req.query, req.user);
+    if (filters.error) return res.status(400).json({ error: filters.error });
+
+    const sort = req.query.sort || (req.query.q ? 'relevance' : 'createdAt');
+    if (!SORT_FIELDS[sort] || (sort === 'relevance' && !req.query.q)) {
+      const fields = Object.keys(SORT_FIELDS).filter(field => field !== 'relevance');
+      return res.status(400).json({ error: `Invalid sort. Allowed: ${fields.join(', ')} (relevance with q)` });
+    }
+    const order = (req.query.order || (sort === 'createdAt' || sort === 'updatedAt' ? 'desc' : 'asc')).toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { join, conditions, params } = filters;
+    const from = `FROM tasks t ${join} WHERE ${conditions.join(' AND ')}`;
+
+    const count = await executeQuery(`SELECT COUNT(*) AS total ${from}`, params);
+    const total = Number(count.rows[0].total);
+
+    // Keyset pagination on (sort value, id)
+    const sortExpr = SORT_FIELDS[sort];
+    const comparator = order === 'asc' ? '>' : '<';
+    let cursorSql = '';
+    const cursorParams = [];
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || cursor.sort !== `${sort}:${order}` || cursor.id === undefined) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      cursorSql = `AND (${sortExpr} ${comparator} ? OR (${sortExpr} = ? AND t.id ${comparator} ?))`;
+      cursorParams.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    const result = await executeQuery(
+      `SELECT t.*, ${sortExpr} AS sort_value ${from} ${cursorSql}
+       ORDER BY sort_value ${order.toUpperCase()}, t.id ${order.toUpperCase()}
+       LIMIT ?`,
+      [...params, ...cursorParams, limit + 1]
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    res.json({
+      tasks: await withProgress(rows.map(normalizeTask)),
+      pagination: {
+        limit,
+        total,
+        nextCursor: hasMore ? encodeCursor({ sort: `${sort}:${order}`, value: last.sort_value, id: last.id }) : null
+      }
+    });
   } catch (err) {
     console.error('Error fetching tasks:', err);
     res.status(500).json({ error: 'Failed to fetch tasks' });
@@ -45,15 +249,29 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET task by ID
+ * GET task by ID, with its subtasks, checklist items, the tasks blocking it and the tasks it blocks
  */
 router.get('/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await executeQuery('SELECT * FROM tasks WHERE id = ?', [id]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Task not found' });
-    const task = normalizeTask(result.rows[0]);
-    res.json(task);
+    const found = await findAccessibleTask(req.params.id, req.user);
+    if (!found) return res.status(404).json({ error: 'Task not found' });
+    const [task] = await withProgress([normalizeTask(found)]);
+
+    const scope = taskScope(req.user);
+    const subtasks = await executeQuery(
+      `SELECT t.* FROM tasks t WHERE t.parent_id = ? AND ${scope.sql} ORDER BY COALESCE(t.position, 0), t.id`,
+      [task.id, ...scope.params]
+    );
+    const { blockers, dependents } = await listDependencies(task.id, req.user);
+
+    res.json({
+      ...task,
+      subtasks: await withProgress(subtasks.rows.map(normalizeTask)),
+      checklistItems: await listChecklist(task.id),
+      blockers,
+      dependents,
+      blocked: (await countUnfinishedBlockers(task.id)) > 0
+    });
   } catch (err) {
     console.error('Error fetching task:', err);
     res.status(500).json({ error: 'Failed to fetch task' });
@@ -61,40 +279,73 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * CREATE task
+ * Check the references in a task's new values: the board must be visible to the
+ * caller, the column must belong to that board, the assignee must exist and the
+ * parent must be a visible top-level task (subtasks only go one level deep).
+ * `taskId` is the task being updated, if any.
+ * Returns { status, error } or null.
  */
-router.post('/', async (req, res) => {
+async function checkTaskReferences(user, values, taskId = null) {
+  if (values.boardId && !(await findAccessibleBoard(values.boardId, user))) {
+    return { status: 404, error: 'Board not found' };
+  }
+  if (values.columnId) {
+    if (!values.boardId) return { status: 400, error: 'columnId requires a boardId' };
+    const column = await executeQuery(
+      'SELECT id FROM task_columns WHERE id = ? AND board_id = ?',
+      [values.columnId, values.boardId]
+    );
+    if (column.rows.length === 0) return { status: 400, error: 'Column does not belong to this board' };
+  }
+  if (values.assignedTo) {
+    const assignee = await executeQuery(`SELECT id FROM users WHERE id = ? AND status = 'active'`, [values.assignedTo]);
+    if (assignee.rows.length === 0) return { status: 400, error: 'Assignee not found' };
+  }
+  if (values.parentId) {
+    if (taskId && Number(values.parentId) === Number(taskId)) {
+      return { status: 400, error: 'A task cannot be its own parent' };
+    }
+    const parent = await findAccessibleTask(values.parentId, user);
+    if (!parent) return { status: 404, error: 'Parent task not found' };
+    if (parent.parent_id) return { status: 400, error: 'Subtasks cannot have subtasks of their own' };
+    if (taskId) {
+      const children = await executeQuery(
+        'SELECT 1 FROM tasks WHERE parent_id = ? AND deleted_at IS NULL LIMIT 1',
+        [taskId]
+      );
+      if (children.rows.length > 0) return { status: 400, error: 'A task with subtasks cannot become a subtask' };
+    }
+  }
+  return null;
+}
+
+/**
+ * CREATE task. A subtask created without a boardId goes on its parent's board.
+ */
+router.post('/', validateBody(taskSchema), async (req, res) => {
   try {
-    const {
-      boardId,
-      columnId,
-      title,
-      description,
-      assignedTo,
-      createdBy,
-      priority = 'medium',
-      dueDate,
-      estimatedHours,
-      status = 'todo',
-      position,
-      tags = []
-    } = req.body;
-
-    // Validation
-    if (!title) return res.status(400).json({ error: 'Title is required' });
-    if (!ALLOWED_STATUS.includes(status)) return res.status(400).json({ error: `Invalid status. Allowed: ${ALLOWED_STATUS.join(', ')}` });
-    if (!ALLOWED_PRIORITY.includes(priority)) return res.status(400).json({ error: `Invalid priority. Allowed: ${ALLOWED_PRIORITY.join(', ')}` });
-    if (!Array.isArray(tags)) return res.status(400).json({ error: 'Tags must be an array' });
-
-    const tagsString = JSON.stringify(tags);
+    const values = { ...req.validated };
+    if (values.parentId && !values.boardId) {
+      const parent = await findAccessibleTask(values.parentId, req.user);
+      if (parent) values.boardId = parent.board_id;
+    }
+
+    const problem = await checkTaskReferences(req.user, values);
+    if (problem) return res.status(problem.status).json({ error: problem.error });
 
+    if (values.columnId && values.position === null) {
+      values.position = await endOfColumn(values.columnId);
+    }
+
+    const insert = buildInsert(taskSchema, values, { created_by: req.user.userId });
     const result = await executeQuery(
-      `INSERT INTO tasks (board_id, column_id, title, description, assigned_to, created_by, priority, due_date, estimated_hours, status, position, tags)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
-      [boardId, columnId, title, description, assignedTo, createdBy, priority, dueDate, estimatedHours, status, position, tagsString]
+      `INSERT INTO tasks (${insert.columns}) VALUES (${insert.placeholders}) RETURNING *`,
+      insert.params
     );
 
-    const newTask = normalizeTask(result.rows[0]);
+    const [newTask] = await withProgress([normalizeTask(result.rows[0])]);
+    await recordActivity({ entityType: 'task', entityId: newTask.id, action: 'created', actorId: req.user.userId });
+    emitToBoard(newTask.boardId, 'task:created', { task: newTask, actorId: req.user.userId });
     res.status(201).json(newTask);
   } catch (err) {
     console.error('Error creating task:', err);
@@ -103,59 +354,266 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * UPDATE task
+ * Starting or completing a task with unfinished blockers is refused unless a
+ * manager passes ?force=true. Returns the 409 response body, or null.
  */
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updates = { ...req.body };
+async function checkBlockers(req, task, status) {
+  if (!BLOCKED_STATUSES.includes(status) || status === task.status) return null;
+  if (req.query.force === 'true' && isManager(req.user)) return null;
 
-    // Validation
-    if (updates.status && !ALLOWED_STATUS.includes(updates.status)) {
-      return res.status(400).json({ error: `Invalid status. Allowed: ${ALLOWED_STATUS.join(', ')}` });
+  const unfinished = await countUnfinishedBlockers(task.id);
+  if (unfinished === 0) return null;
+
+  const { blockers } = await listDependencies(task.id, req.user);
+  return {
+    error: `Task is blocked by ${unfinished} unfinished task(s)`,
+    blockers: blockers.filter(blocker => !blocker.finished)
+  };
+}
+
+/**
+ * Shared by PUT (replace: omitted fields reset to their defaults) and PATCH (partial).
+ * Starting or completing a task with unfinished blockers is rejected with 409;
+ * managers can override with ?force=true. Once a task has time entries its
+ * actualHours is computed from them and cannot be set directly.
+ */
+async function updateTask(req, res) {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!can(req.user, 'task:update', task)) {
+      return res.status(403).json({ error: 'You can only edit tasks assigned to or created by you' });
     }
-    if (updates.priority && !ALLOWED_PRIORITY.includes(updates.priority)) {
-      return res.status(400).json({ error: `Invalid priority. Allowed: ${ALLOWED_PRIORITY.join(', ')}` });
+
+    const changes = { ...req.validated };
+    if (changes.actualHours !== undefined && (await hasTimeEntries(task.id))) {
+      if (req.body.actualHours !== undefined && Number(req.body.actualHours) !== Number(task.actual_hours)) {
+        return res.status(400).json({ error: 'actualHours is computed from this task\'s time entries' });
+      }
+      changes.actualHours = task.actual_hours;
     }
-    if (updates.tags && !Array.isArray(updates.tags)) {
-      return res.status(400).json({ error: 'Tags must be an array' });
+    // Moving to another board leaves the old board's column behind unless a new one is given
+    if (changes.boardId !== undefined && changes.columnId === undefined &&
+        Number(changes.boardId) !== Number(task.board_id)) {
+      changes.columnId = null;
     }
 
-    if (updates.tags) updates.tags = JSON.stringify(updates.tags);
+    const current = normalizeTask(task);
+    const problem = await checkTaskReferences(req.user, {
+      boardId: changes.boardId !== undefined ? changes.boardId : current.boardId,
+      columnId: changes.columnId !== undefined ? changes.columnId : current.columnId,
+      assignedTo: changes.assignedTo,
+      parentId: changes.parentId
+    }, task.id);
+    if (problem) return res.status(problem.status).json({ error: problem.error });
 
-    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
-    const values = Object.values(updates);
+    const blocked = await checkBlockers(req, task, changes.status);
+    if (blocked) return res.status(409).json(blocked);
 
-    const result = await executeQuery(
-      `UPDATE tasks SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`,
-      [...values, id]
-    );
+    // A task put in another column without a position goes to the end of it
+    if (changes.columnId && Number(changes.columnId) !== Number(task.column_id) &&
+        (changes.position === undefined || changes.position === null)) {
+      changes.position = await endOfColumn(changes.columnId);
+    }
+
+    const update = buildUpdate(taskSchema, changes);
+    const statements = [{
+      sql: `UPDATE tasks SET ${update.sql}, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`,
+      args: [...update.params, task.id]
+    }];
+    const diff = diffChanges(taskSchema, task, changes);
+    if (diff) {
+      statements.push(activityStatement({
+        entityType: 'task', entityId: task.id, action: 'updated', actorId: req.user.userId, changes: diff
+      }));
+    }
+    const [result] = await executeBatch(statements);
 
     if (result.rows.length === 0) return res.status(404).json({ error: 'Task not found' });
 
-    const updatedTask = normalizeTask(result.rows[0]);
+    const [updatedTask] = await withProgress([normalizeTask(result.rows[0])]);
+    emitToBoard(updatedTask.boardId, 'task:updated', { task: updatedTask, actorId: req.user.userId });
+    if (task.board_id && Number(task.board_id) !== Number(updatedTask.boardId)) {
+      // Moved to another board: viewers of the old one see it disappear
+      emitToBoard(task.board_id, 'task:deleted', { id: task.id, boardId: task.board_id, actorId: req.user.userId });
+    }
     res.json(updatedTask);
   } catch (err) {
     console.error('Error updating task:', err);
     res.status(500).json({ error: 'Failed to update task' });
   }
+}
+
+/**
+ * REPLACE task
+ */
+router.put('/:id', validateBody(taskSchema), updateTask);
+
+/**
+ * UPDATE some fields of a task
+ */
+router.patch('/:id', validateBody(taskSchema, { partial: true }), updateTask);
+
+/**
+ * MOVE task (drag and drop). Body: { columnId, index } where index is the task's
+ * place among the other tasks of the target column (omitted: at the end). The
+ * column may be on another board the caller can see. Moving to another column
+ * sets the task's status to the column's, subject to the blocker check (?force=true).
+ * Usually only the moved task is written; see placeAt in utils/tasks.js.
+ */
+router.post('/:id/move', validateBody(moveSchema), async (req, res) => {
+  try {
+    const { columnId, index } = req.validated;
+
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!can(req.user, 'task:update', task)) {
+      return res.status(403).json({ error: 'You can only edit tasks assigned to or created by you' });
+    }
+
+    const columnResult = await executeQuery('SELECT * FROM task_columns WHERE id = ?', [columnId]);
+    const column = columnResult.rows[0];
+    if (!column || !(await findAccessibleBoard(column.board_id, req.user))) {
+      return res.status(404).json({ error: 'Column not found' });
+    }
+
+    const changesColumn = Number(column.id) !== Number(task.column_id);
+    const status = changesColumn && column.status ? column.status : task.status;
+    const blocked = await checkBlockers(req, task, status);
+    if (blocked) return res.status(409).json(blocked);
+
+    const siblings = await executeQuery(
+      `SELECT id, position FROM tasks
+       WHERE column_id = ? AND id != ? AND deleted_at IS NULL
+       ORDER BY COALESCE(position, 0), id`,
+      [column.id, task.id]
+    );
+    const { position, positions } = placeAt(siblings.rows, index === null ? siblings.rows.length : index);
+
+    const statements = [];
+    if (positions) {
+      for (const [id, newPosition] of positions) {
+        statements.push({ sql: 'UPDATE tasks SET position = ? WHERE id = ?', args: [newPosition, id] });
+      }
+    }
+    statements.push({
+      sql: `UPDATE tasks SET board_id = ?, column_id = ?, position = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? RETURNING *`,
+      args: [column.board_id, column.id, position, status, task.id]
+    });
+    // Reordering within a column is not worth an activity entry
+    const diff = diffChanges(taskSchema, task, { boardId: column.board_id, columnId: column.id, status });
+    if (diff) {
+      statements.push(activityStatement({
+        entityType: 'task', entityId: task.id, action: 'moved', actorId: req.user.userId, changes: diff
+      }));
+    }
+    const results = await executeBatch(statements);
+
+    const [moved] = await withProgress([normalizeTask(results[positions ? positions.size : 0].rows[0])]);
+    emitToBoard(moved.boardId, 'task:moved', {
+      task: moved,
+      fromColumnId: task.column_id,
+      index,
+      rebalanced: Boolean(positions),
+      actorId: req.user.userId
+    });
+    if (Number(task.board_id) !== Number(moved.boardId)) {
+      emitToBoard(task.board_id, 'task:deleted', { id: task.id, boardId: task.board_id, actorId: req.user.userId });
+    }
+    res.json(moved);
+  } catch (err) {
+    console.error('Error moving task:', err);
+    res.status(500).json({ error: 'Failed to move task' });
+  }
+});
+
+/**
+ * GET task activity (who changed what, newest first)
+ */
+router.get('/:id/activity', async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    if (cursor !== undefined && !/^[1-9]\d*$/.test(String(cursor))) {
+      return res.status(400).json({ error: 'cursor must be a positive integer' });
+    }
+
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+
+    const page = await listActivity(
+      { entityType: 'task', entityId: task.id },
+      { limit: req.query.limit, before: cursor === undefined ? undefined : Number(cursor) }
+    );
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching task activity:', err);
+    res.status(500).json({ error: 'Failed to fetch task activity' });
+  }
 });
 
+// Comments, attachments, checklist and dependencies:
+// /api/tasks/:id/comments, /:id/attachments, /:id/checklist, /:id/dependencies
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/attachments', attachmentRoutes);
+router.use('/:id/checklist', checklistRoutes);
+router.use('/:id/dependencies', dependencyRoutes);
+
 /**
- * DELETE task
+ * DELETE task (moves it to the board's trash; purged after the retention period)
  */
 router.delete('/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await executeQuery('DELETE FROM tasks WHERE id = ? RETURNING *', [id]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Task not found' });
-    res.json({ message: 'Task deleted successfully' });
+    const task = await findAccessibleTask(req.params.id, req.user);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!can(req.user, 'task:delete', task)) {
+      return res.status(403).json({ error: 'You can only delete tasks you created' });
+    }
+
+    await executeBatch([
+      {
+        sql: 'UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+        args: [req.user.userId, task.id]
+      },
+      activityStatement({ entityType: 'task', entityId: task.id, action: 'deleted', actorId: req.user.userId })
+    ]);
+    emitToBoard(task.board_id, 'task:deleted', { id: task.id, boardId: task.board_id, actorId: req.user.userId });
+    res.json({ message: 'Task moved to trash', retentionDays: retentionDays() });
   } catch (err) {
     console.error('Error deleting task:', err);
     res.status(500).json({ error: 'Failed to delete task' });
   }
 });
 
+/**
+ * RESTORE task from the trash
+ */
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req.params.id, req.user, { deleted: true });
+    if (!task) return res.status(404).json({ error: 'Task not found in trash' });
+    if (!can(req.user, 'task:delete', task)) {
+      return res.status(403).json({ error: 'You can only restore tasks you created' });
+    }
+
+    const [result] = await executeBatch([
+      {
+        sql: `UPDATE tasks SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? RETURNING *`,
+        args: [task.id]
+      },
+      activityStatement({ entityType: 'task', entityId: task.id, action: 'restored', actorId: req.user.userId })
+    ]);
+
+    const [restored] = await withProgress([normalizeTask(result.rows[0])]);
+    emitToBoard(restored.boardId, 'task:restored', { task: restored, actorId: req.user.userId });
+    res.json(restored);
+  } catch (err) {
+    console.error('Error restoring task:', err);
+    res.status(500).json({ error: 'Failed to restore task' });
+  }
+});
+
 module.exports = router;
 
 
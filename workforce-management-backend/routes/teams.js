@@ -0,0 +1,299 @@
+const express = require('express');
+const { executeQuery, executeBatch } = require('../config/database');
+const { isTeamMember } = require('../utils/teamScope');
+const { can, isAdmin, isManager } = require('../utils/permissions');
+const { authorize } = require('../middleware/auth');
+const { validateBody, buildUpdate } = require('../middleware/validate');
+const { leaveBoards } = require('../config/socket');
+const router = express.Router();
+
+// Request body fields -> columns (see middleware/validate.js)
+const teamUpdateSchema = {
+  name: { column: 'name', type: 'string', required: true, maxLength: 100 },
+  description: { column: 'description', type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 },
+  maxWeeklyHours: { column: 'max_weekly_hours', type: 'number', min: 1, max: 168, nullable: true }
+};
+const teamCreateSchema = {
+  ...teamUpdateSchema,
+  managerId: { column: 'manager_id', type: 'id', nullable: true }
+};
+const managerSchema = {
+  managerId: { type: 'id', required: true }
+};
+const memberSchema = {
+  userId: { type: 'id', required: true }
+};
+
+/**
+ * Normalize a team row from the DB
+ */
+function normalizeTeam(team) {
+  return {
+    id: team.id,
+    name: team.name,
+    description: team.description || '',
+    managerId: team.manager_id || null,
+    maxWeeklyHours: team.max_weekly_hours === null || team.max_weekly_hours === undefined ? null : Number(team.max_weekly_hours),
+    memberCount: team.member_count || 0,
+    createdAt: team.created_at,
+    updatedAt: team.updated_at
+  };
+}
+
+/**
+ * Normalize a team member row (team_members joined with users)
+ */
+function normalizeMember(member) {
+  return {
+    userId: member.user_id,
+    email: member.email,
+    firstName: member.first_name,
+    lastName: member.last_name,
+    role: member.role,
+    joinedAt: member.joined_at
+  };
+}
+
+const TEAM_SELECT = `
+  SELECT tm.*, (SELECT COUNT(*) FROM team_members m WHERE m.team_id = tm.id) AS member_count
+  FROM teams tm`;
+
+async function findTeam(id) {
+  const result = await executeQuery(`${TEAM_SELECT} WHERE tm.id = ?`, [id]);
+  return result.rows[0] || null;
+}
+
+async function findUser(id) {
+  const result = await executeQuery('SELECT id, status FROM users WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+async function listMembers(teamId) {
+  const result = await executeQuery(
+    `SELECT m.user_id, m.joined_at, u.email, u.first_name, u.last_name, u.role
+     FROM team_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.team_id = ?
+     ORDER BY u.first_name, u.last_name`,
+    [teamId]
+  );
+  return result.rows.map(normalizeMember);
+}
+
+async function canViewTeam(team, user) {
+  return isAdmin(user) || (await isTeamMember(user.userId, team.id));
+}
+
+/**
+ * GET teams of a user (defaults to the caller; managers and admins may look up others)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.query.userId || req.user.userId;
+    if (Number(userId) !== Number(req.user.userId) && !isManager(req.user)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const result = await executeQuery(
+      `${TEAM_SELECT}
+       JOIN team_members mine ON mine.team_id = tm.id AND mine.user_id = ?
+       ORDER BY tm.name`,
+      [userId]
+    );
+    res.json(result.rows.map(normalizeTeam));
+  } catch (err) {
+    console.error('Error fetching teams:', err);
+    res.status(500).json({ error: 'Failed to fetch teams' });
+  }
+});
+
+/**
+ * GET team by ID, with its members
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const team = await findTeam(req.params.id);
+    if (!team || !(await canViewTeam(team, req.user))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const members = await listMembers(team.id);
+    res.json({ ...normalizeTeam(team), members });
+  } catch (err) {
+    console.error('Error fetching team:', err);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+/**
+ * CREATE team (managers and admins). The manager defaults to the caller and is added as a member.
+ */
+router.post('/', authorize('admin', 'manager'), validateBody(teamCreateSchema), async (req, res) => {
+  try {
+    const { name, description, maxWeeklyHours } = req.validated;
+    const managerId = req.validated.managerId || req.user.userId;
+
+    const manager = await findUser(managerId);
+    if (!manager) return res.status(400).json({ error: 'Manager not found' });
+
+    const [created] = await executeBatch([
+      {
+        sql: 'INSERT INTO teams (name, description, manager_id, max_weekly_hours) VALUES (?, ?, ?, ?) RETURNING *',
+        args: [name, description || null, managerId, maxWeeklyHours]
+      },
+      {
+        sql: 'INSERT INTO team_members (team_id, user_id) VALUES (last_insert_rowid(), ?)',
+        args: [managerId]
+      }
+    ]);
+
+    const team = await findTeam(created.rows[0].id);
+    res.status(201).json({ ...normalizeTeam(team), members: await listMembers(team.id) });
+  } catch (err) {
+    console.error('Error creating team:', err);
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+});
+
+/**
+ * UPDATE team name, description or weekly hour limit
+ */
+router.put('/:id', validateBody(teamUpdateSchema, { partial: true }), async (req, res) => {
+  try {
+    const team = await findTeam(req.params.id);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can update the team' });
+    }
+
+    const update = buildUpdate(teamUpdateSchema, req.validated);
+    await executeQuery(
+      `UPDATE teams SET ${update.sql}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...update.params, team.id]
+    );
+
+    res.json(normalizeTeam(await findTeam(team.id)));
+  } catch (err) {
+    console.error('Error updating team:', err);
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+});
+
+/**
+ * ASSIGN manager. The new manager becomes a member if not already one.
+ */
+router.put('/:id/manager', validateBody(managerSchema), async (req, res) => {
+  try {
+    const { managerId } = req.validated;
+
+    const team = await findTeam(req.params.id);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can reassign the team' });
+    }
+
+    const manager = await findUser(managerId);
+    if (!manager) return res.status(400).json({ error: 'Manager not found' });
+
+    await executeBatch([
+      {
+        sql: 'UPDATE teams SET manager_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        args: [managerId, team.id]
+      },
+      {
+        sql: 'INSERT OR IGNORE INTO team_members (team_id, user_id) VALUES (?, ?)',
+        args: [team.id, managerId]
+      }
+    ]);
+
+    res.json(normalizeTeam(await findTeam(team.id)));
+  } catch (err) {
+    console.error('Error assigning manager:', err);
+    res.status(500).json({ error: 'Failed to assign manager' });
+  }
+});
+
+/**
+ * GET team members
+ */
+router.get('/:id/members', async (req, res) => {
+  try {
+    const team = await findTeam(req.params.id);
+    if (!team || !(await canViewTeam(team, req.user))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    res.json(await listMembers(team.id));
+  } catch (err) {
+    console.error('Error fetching members:', err);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+/**
+ * ADD member
+ */
+router.post('/:id/members', validateBody(memberSchema), async (req, res) => {
+  try {
+    const { userId } = req.validated;
+
+    const team = await findTeam(req.params.id);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    if (!can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can add members' });
+    }
+
+    const user = await findUser(userId);
+    if (!user) return res.status(400).json({ error: 'User not found' });
+
+    if (await isTeamMember(userId, team.id)) {
+      return res.status(409).json({ error: 'User is already a member of this team' });
+    }
+
+    await executeQuery('INSERT INTO team_members (team_id, user_id) VALUES (?, ?)', [team.id, userId]);
+    res.status(201).json(await listMembers(team.id));
+  } catch (err) {
+    console.error('Error adding member:', err);
+    res.status(500).json({ error: 'Failed to add member' });
+  }
+});
+
+/**
+ * REMOVE member. Members may also remove themselves; the manager cannot be removed.
+ */
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const team = await findTeam(req.params.id);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+
+    const isSelf = Number(userId) === Number(req.user.userId);
+    if (!isSelf && !can(req.user, 'team:manage', team)) {
+      return res.status(403).json({ error: 'Only the team manager can remove members' });
+    }
+    if (Number(userId) === Number(team.manager_id)) {
+      return res.status(400).json({ error: 'Assign a new manager before removing the current one' });
+    }
+
+    const result = await executeQuery(
+      'DELETE FROM team_members WHERE team_id = ? AND user_id = ?',
+      [team.id, userId]
+    );
+    if (result.rowsAffected === 0) return res.status(404).json({ error: 'Member not found' });
+
+    // Stop the team's board events reaching them (admins still see every board)
+    const member = await executeQuery('SELECT role FROM users WHERE id = ?', [userId]);
+    if (member.rows[0] && !isAdmin(member.rows[0])) {
+      const boards = await executeQuery('SELECT id FROM boards WHERE team_id = ?', [team.id]);
+      leaveBoards(userId, boards.rows.map(board => board.id));
+    }
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (err) {
+    console.error('Error removing member:', err);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+module.exports = router;
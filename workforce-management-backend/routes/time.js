@@ -0,0 +1,473 @@
+const express = require('express');
+const { addDays } = require('date-fns');
+const { executeQuery, executeBatch } = require('../config/database');
+const { findAccessibleTask, managesUser } = require('../utils/teamScope');
+const { isAdmin } = require('../utils/permissions');
+const { validateBody } = require('../middleware/validate');
+const { emitToUser } = require('../config/socket');
+const { parseDate, parseDateTime, toDbDate, toDbDateTime, weekStartOf } = require('../utils/scheduling');
+const {
+  normalizeTimeEntry,
+  normalizeTimesheet,
+  nowDb,
+  minutesBetween,
+  weekOf,
+  validateEntryTimes,
+  actualHoursStatement,
+  findRunningEntry,
+  findOverlappingEntries,
+  findTimesheet,
+  findLockingTimesheet
+} = require('../utils/timeTracking');
+const router = express.Router();
+
+// Request body fields (see middleware/validate.js)
+const entrySchema = {
+  taskId: { type: 'id', required: true },
+  startedAt: { type: 'datetime', required: true },
+  endedAt: { type: 'datetime', required: true },
+  notes: { type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 }
+};
+const timerSchema = {
+  taskId: entrySchema.taskId,
+  notes: entrySchema.notes
+};
+const submitSchema = {
+  weekStart: { type: 'date', required: true }
+};
+const reviewSchema = {
+  note: { type: 'string', nullable: true, allowEmpty: true, maxLength: 1000 }
+};
+
+const ENTRY_SELECT = `
+  SELECT e.*, t.title AS task_title
+  FROM time_entries e
+  LEFT JOIN tasks t ON t.id = e.task_id`;
+
+async function findEntry(id) {
+  const result = await executeQuery(`${ENTRY_SELECT} WHERE e.id = ?`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Whose time a GET is about: ?userId= (someone on a team the caller manages) or the caller.
+ * Returns { userId } or { status, error }.
+ */
+async function resolveUser(req) {
+  if (!req.query.userId || Number(req.query.userId) === Number(req.user.userId)) {
+    return { userId: req.user.userId };
+  }
+  const userId = parseInt(req.query.userId);
+  if (!userId) return { status: 400, error: 'userId must be a user ID' };
+  if (!(await managesUser(req.user, userId))) {
+    return { status: 403, error: 'You can only view the time of people on teams you manage' };
+  }
+  return { userId };
+}
+
+/**
+ * Checks shared by every change to the caller's entries: the task must be visible,
+ * the times valid, the week not locked by a timesheet and no other entry overlapping.
+ * Returns { status, error } or null.
+ */
+async function checkEntry(req, { taskId, start, end, excludeEntryId = null }) {
+  if (!(await findAccessibleTask(taskId, req.user))) return { status: 404, error: 'Task not found' };
+
+  const timeError = validateEntryTimes(start, end);
+  if (timeError) return { status: 400, error: timeError };
+
+  const locked = await findLockingTimesheet(req.user.userId, toDbDateTime(start));
+  if (locked) return { status: 409, error: `The timesheet for the week of ${locked.week_start} is ${locked.status}` };
+
+  const overlaps = await findOverlappingEntries(req.user.userId, start, end, excludeEntryId);
+  if (overlaps.length > 0) {
+    const other = overlaps[0];
+    return {
+      status: 409,
+      error: `Overlaps time entry ${other.id} (${other.started_at} - ${other.ended_at || 'running'})`
+    };
+  }
+  return null;
+}
+
+/**
+ * A user's week: the timesheet state, entries and minutes per day
+ */
+async function buildTimesheet(userId, weekStart) {
+  const start = parseDate(weekStart);
+  const result = await executeQuery(
+    `${ENTRY_SELECT} WHERE e.user_id = ? AND e.started_at >= ? AND e.started_at < ? ORDER BY e.started_at`,
+    [userId, weekStart, toDbDate(addDays(start, 7))]
+  );
+  const entries = result.rows.map(normalizeTimeEntry);
+
+  const days = [];
+  for (let i = 0; i < 7; i++) {
+    const date = toDbDate(addDays(start, i));
+    const minutes = entries
+      .filter(entry => entry.startedAt.startsWith(date))
+      .reduce((sum, entry) => sum + (entry.minutes || 0), 0);
+    days.push({ date, minutes });
+  }
+  const totalMinutes = days.reduce((sum, day) => sum + day.minutes, 0);
+
+  return {
+    ...normalizeTimesheet(await findTimesheet(userId, weekStart), userId, weekStart),
+    totalMinutes,
+    totalHours: Math.round((totalMinutes / 60) * 100) / 100,
+    days,
+    entries
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Timer                                                               */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET the caller's running timer (null if none)
+ */
+router.get('/timer', async (req, res) => {
+  try {
+    const running = await findRunningEntry(req.user.userId);
+    res.json(running ? normalizeTimeEntry(running) : null);
+  } catch (err) {
+    console.error('Error fetching timer:', err);
+    res.status(500).json({ error: 'Failed to fetch timer' });
+  }
+});
+
+/**
+ * START a timer on a task. Only one timer runs per user; stop it first.
+ */
+router.post('/timer/start', validateBody(timerSchema), async (req, res) => {
+  try {
+    const { taskId, notes } = req.validated;
+
+    const running = await findRunningEntry(req.user.userId);
+    if (running) {
+      return res.status(409).json({ error: 'A timer is already running', entry: normalizeTimeEntry(running) });
+    }
+
+    const problem = await checkEntry(req, { taskId, start: new Date(), end: null });
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const inserted = await executeQuery(
+      'INSERT INTO time_entries (user_id, task_id, started_at, notes) VALUES (?, ?, ?, ?) RETURNING id',
+      [req.user.userId, taskId, nowDb(), notes]
+    );
+
+    const entry = normalizeTimeEntry(await findEntry(inserted.rows[0].id));
+    emitToUser(req.user.userId, 'timer:started', { entry });
+    res.status(201).json(entry);
+  } catch (err) {
+    console.error('Error starting timer:', err);
+    res.status(500).json({ error: 'Failed to start timer' });
+  }
+});
+
+/**
+ * STOP the caller's running timer; the task's actual hours are recomputed
+ */
+router.post('/timer/stop', async (req, res) => {
+  try {
+    const running = await findRunningEntry(req.user.userId);
+    if (!running) return res.status(404).json({ error: 'No timer is running' });
+
+    const end = new Date();
+    await executeBatch([
+      {
+        sql: 'UPDATE time_entries SET ended_at = ?, minutes = ? WHERE id = ?',
+        args: [toDbDateTime(end), minutesBetween(parseDateTime(running.started_at), end), running.id]
+      },
+      actualHoursStatement(running.task_id)
+    ]);
+
+    const entry = normalizeTimeEntry(await findEntry(running.id));
+    emitToUser(req.user.userId, 'timer:stopped', { entry });
+    res.json(entry);
+  } catch (err) {
+    console.error('Error stopping timer:', err);
+    res.status(500).json({ error: 'Failed to stop timer' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* Time entries                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET time entries, newest first.
+ * Filters: from/to (YYYY-MM-DD, default the current week), taskId, userId (managers).
+ */
+router.get('/entries', async (req, res) => {
+  try {
+    const { userId, status, error } = await resolveUser(req);
+    if (!userId) return res.status(status).json({ error });
+
+    const thisWeek = weekStartOf(new Date());
+    const from = req.query.from ? parseDate(req.query.from) : thisWeek;
+    const to = req.query.to ? parseDate(req.query.to) : addDays(thisWeek, 6);
+    if (!from || !to) return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+
+    const conditions = ['e.user_id = ?', 'e.started_at >= ?', 'e.started_at < ?'];
+    const params = [userId, toDbDate(from), toDbDate(addDays(to, 1))];
+    if (req.query.taskId) {
+      conditions.push('e.task_id = ?');
+      params.push(parseInt(req.query.taskId) || 0);
+    }
+
+    const result = await executeQuery(
+      `${ENTRY_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY e.started_at DESC`,
+      params
+    );
+    const entries = result.rows.map(normalizeTimeEntry);
+    res.json({
+      entries,
+      totalMinutes: entries.reduce((sum, entry) => sum + (entry.minutes || 0), 0)
+    });
+  } catch (err) {
+    console.error('Error fetching time entries:', err);
+    res.status(500).json({ error: 'Failed to fetch time entries' });
+  }
+});
+
+/**
+ * CREATE a time entry by hand: { taskId, startedAt, endedAt, notes? }
+ */
+router.post('/entries', validateBody(entrySchema), async (req, res) => {
+  try {
+    const { taskId, notes } = req.validated;
+    const start = parseDateTime(req.validated.startedAt);
+    const end = parseDateTime(req.validated.endedAt);
+
+    const problem = await checkEntry(req, { taskId, start, end });
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const [inserted] = await executeBatch([
+      {
+        sql: `INSERT INTO time_entries (user_id, task_id, started_at, ended_at, minutes, notes)
+              VALUES (?, ?, ?, ?, ?, ?) RETURNING id`,
+        args: [req.user.userId, taskId, toDbDateTime(start), toDbDateTime(end), minutesBetween(start, end), notes]
+      },
+      actualHoursStatement(taskId)
+    ]);
+
+    res.status(201).json(normalizeTimeEntry(await findEntry(inserted.rows[0].id)));
+  } catch (err) {
+    console.error('Error creating time entry:', err);
+    res.status(500).json({ error: 'Failed to create time entry' });
+  }
+});
+
+/**
+ * UPDATE one of the caller's entries. Setting endedAt on a running timer stops it.
+ */
+router.patch('/entries/:id', validateBody(entrySchema, { partial: true }), async (req, res) => {
+  try {
+    const entry = await findEntry(req.params.id);
+    if (!entry || Number(entry.user_id) !== Number(req.user.userId)) {
+      return res.status(404).json({ error: 'Time entry not found' });
+    }
+
+    const locked = await findLockingTimesheet(entry.user_id, entry.started_at);
+    if (locked) {
+      return res.status(409).json({ error: `The timesheet for the week of ${locked.week_start} is ${locked.status}` });
+    }
+
+    const changes = req.validated;
+    const taskId = changes.taskId || entry.task_id;
+    const start = parseDateTime(changes.startedAt || entry.started_at);
+    const endValue = changes.endedAt || entry.ended_at;
+    const end = endValue ? parseDateTime(endValue) : null;
+
+    const problem = await checkEntry(req, { taskId, start, end, excludeEntryId: entry.id });
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const statements = [
+      {
+        sql: `UPDATE time_entries SET task_id = ?, started_at = ?, ended_at = ?, minutes = ?, notes = ?,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?`,
+        args: [
+          taskId,
+          toDbDateTime(start),
+          end ? toDbDateTime(end) : null,
+          end ? minutesBetween(start, end) : null,
+          changes.notes !== undefined ? changes.notes : entry.notes,
+          entry.id
+        ]
+      },
+      actualHoursStatement(taskId)
+    ];
+    if (Number(taskId) !== Number(entry.task_id)) statements.push(actualHoursStatement(entry.task_id));
+    await executeBatch(statements);
+
+    res.json(normalizeTimeEntry(await findEntry(entry.id)));
+  } catch (err) {
+    console.error('Error updating time entry:', err);
+    res.status(500).json({ error: 'Failed to update time entry' });
+  }
+});
+
+/**
+ * DELETE one of the caller's entries
+ */
+router.delete('/entries/:id', async (req, res) => {
+  try {
+    const entry = await findEntry(req.params.id);
+    if (!entry || Number(entry.user_id) !== Number(req.user.userId)) {
+      return res.status(404).json({ error: 'Time entry not found' });
+    }
+
+    const locked = await findLockingTimesheet(entry.user_id, entry.started_at);
+    if (locked) {
+      return res.status(409).json({ error: `The timesheet for the week of ${locked.week_start} is ${locked.status}` });
+    }
+
+    await executeBatch([
+      { sql: 'DELETE FROM time_entries WHERE id = ?', args: [entry.id] },
+      actualHoursStatement(entry.task_id)
+    ]);
+    res.json({ message: 'Time entry deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting time entry:', err);
+    res.status(500).json({ error: 'Failed to delete time entry' });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/* Timesheets                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET submitted timesheets awaiting the caller's review (people on teams they manage)
+ */
+router.get('/timesheets/pending', async (req, res) => {
+  try {
+    const conditions = [`ts.status = 'submitted'`, 'ts.user_id != ?'];
+    const params = [req.user.userId];
+    if (!isAdmin(req.user)) {
+      conditions.push(`ts.user_id IN (
+        SELECT tm.user_id FROM team_members tm JOIN teams t ON t.id = tm.team_id WHERE t.manager_id = ?)`);
+      params.push(req.user.userId);
+    }
+
+    const result = await executeQuery(
+      `SELECT ts.*, u.first_name, u.last_name,
+         (SELECT COALESCE(SUM(e.minutes), 0) FROM time_entries e
+          WHERE e.user_id = ts.user_id AND e.started_at >= ts.week_start
+            AND e.started_at < date(ts.week_start, '+7 days')) AS total_minutes
+       FROM timesheets ts
+       JOIN users u ON u.id = ts.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ts.week_start, ts.submitted_at`,
+      params
+    );
+
+    res.json(result.rows.map(row => ({
+      ...normalizeTimesheet(row),
+      user: `${row.first_name} ${row.last_name}`,
+      totalMinutes: Number(row.total_minutes)
+    })));
+  } catch (err) {
+    console.error('Error fetching pending timesheets:', err);
+    res.status(500).json({ error: 'Failed to fetch pending timesheets' });
+  }
+});
+
+/**
+ * GET a week's timesheet: ?weekStart= (any day of the week, default this week), ?userId= (managers)
+ */
+router.get('/timesheets', async (req, res) => {
+  try {
+    const { userId, status, error } = await resolveUser(req);
+    if (!userId) return res.status(status).json({ error });
+
+    const date = req.query.weekStart ? parseDate(req.query.weekStart) : new Date();
+    if (!date) return res.status(400).json({ error: 'weekStart must be a date (YYYY-MM-DD)' });
+
+    res.json(await buildTimesheet(userId, toDbDate(weekStartOf(date))));
+  } catch (err) {
+    console.error('Error fetching timesheet:', err);
+    res.status(500).json({ error: 'Failed to fetch timesheet' });
+  }
+});
+
+/**
+ * SUBMIT the caller's timesheet for a week; its entries are locked until it is rejected
+ */
+router.post('/timesheets/submit', validateBody(submitSchema), async (req, res) => {
+  try {
+    const weekStart = toDbDate(weekStartOf(parseDate(req.validated.weekStart)));
+
+    const existing = await findTimesheet(req.user.userId, weekStart);
+    if (existing && existing.status !== 'rejected') {
+      return res.status(409).json({ error: `This timesheet is already ${existing.status}` });
+    }
+
+    const running = await findRunningEntry(req.user.userId);
+    if (running && weekOf(running.started_at) === weekStart) {
+      return res.status(409).json({ error: 'Stop the running timer before submitting this week' });
+    }
+
+    const timesheet = await buildTimesheet(req.user.userId, weekStart);
+    if (timesheet.entries.length === 0) {
+      return res.status(400).json({ error: 'There is no time to submit for this week' });
+    }
+
+    await executeQuery(
+      `INSERT INTO timesheets (user_id, week_start) VALUES (?, ?)
+       ON CONFLICT (user_id, week_start) DO UPDATE SET
+         status = 'submitted', submitted_at = CURRENT_TIMESTAMP,
+         reviewed_at = NULL, reviewed_by = NULL, review_note = NULL, updated_at = CURRENT_TIMESTAMP`,
+      [req.user.userId, weekStart]
+    );
+
+    res.json(await buildTimesheet(req.user.userId, weekStart));
+  } catch (err) {
+    console.error('Error submitting timesheet:', err);
+    res.status(500).json({ error: 'Failed to submit timesheet' });
+  }
+});
+
+/**
+ * APPROVE or REJECT a submitted timesheet (a manager of one of the user's teams, or an admin).
+ * Rejecting unlocks the week so the user can fix it and submit again.
+ */
+function reviewTimesheet(status) {
+  return async (req, res) => {
+    try {
+      const result = await executeQuery('SELECT * FROM timesheets WHERE id = ?', [req.params.id]);
+      const timesheet = result.rows[0];
+      if (!timesheet || !(await managesUser(req.user, timesheet.user_id))) {
+        return res.status(404).json({ error: 'Timesheet not found' });
+      }
+      if (Number(timesheet.user_id) === Number(req.user.userId) && !isAdmin(req.user)) {
+        return res.status(403).json({ error: 'You cannot review your own timesheet' });
+      }
+      if (timesheet.status !== 'submitted') {
+        return res.status(409).json({ error: `This timesheet is ${timesheet.status}, not submitted` });
+      }
+
+      await executeQuery(
+        `UPDATE timesheets SET status = ?, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ?, review_note = ?,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, req.user.userId, req.validated.note || null, timesheet.id]
+      );
+
+      const reviewed = await buildTimesheet(timesheet.user_id, timesheet.week_start);
+      emitToUser(timesheet.user_id, 'timesheet:reviewed', { timesheet: reviewed, actorId: req.user.userId });
+      res.json(reviewed);
+    } catch (err) {
+      console.error('Error reviewing timesheet:', err);
+      res.status(500).json({ error: 'Failed to review timesheet' });
+    }
+  };
+}
+
+router.post('/timesheets/:id/approve', validateBody(reviewSchema), reviewTimesheet('approved'));
+router.post('/timesheets/:id/reject', validateBody(reviewSchema), reviewTimesheet('rejected'));
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const { executeQuery, executeBatch } = require('../config/database');
+const { ROLES } = require('../middleware/auth');
+const { revokeAllRefreshTokens } = require('../utils/refreshTokens');
+const { normalizeUser, findUserById } = require('../utils/users');
+const { activityStatement } = require('../utils/activity');
+const { validateBody } = require('../middleware/validate');
+const router = express.Router();
+
+// Admin-only user management; server.js mounts this behind authorize('admin')
+
+const ALLOWED_STATUS = ['active', 'inactive', 'suspended'];
+
+// Request body fields (see middleware/validate.js)
+const roleSchema = {
+  role: { type: 'enum', values: ROLES, required: true }
+};
+
+/**
+ * GET users (search by name/email, filter by role/status, paginated)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Allowed: ${ROLES.join(', ')}` });
+    }
+    if (status && !ALLOWED_STATUS.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Allowed: ${ALLOWED_STATUS.join(', ')}` });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (search) {
+      conditions.push(`(email LIKE ? OR first_name LIKE ? OR last_name LIKE ?
+        OR (first_name || ' ' || last_name) LIKE ?)`);
+      const term = `%${search}%`;
+      params.push(term, term, term, term);
+    }
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const count = await executeQuery(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+    const total = Number(count.rows[0].total);
+
+    const result = await executeQuery(
+      `SELECT * FROM users ${where} ORDER BY last_name, first_name, id LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      users: result.rows.map(normalizeUser),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+/**
+ * GET user by ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(normalizeUser(user));
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+/**
+ * CHANGE role
+ */
+router.put('/:id/role', validateBody(roleSchema), async (req, res) => {
+  try {
+    const { role } = req.validated;
+
+    if (Number(req.params.id) === Number(req.user.userId)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const [result] = await executeBatch([
+      { sql: 'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *', args: [role, user.id] },
+      activityStatement({
+        entityType: 'user',
+        entityId: user.id,
+        action: 'role_changed',
+        actorId: req.user.userId,
+        changes: { role: { from: user.role, to: role } }
+      })
+    ]);
+    res.json(normalizeUser(result.rows[0]));
+  } catch (err) {
+    console.error('Error changing role:', err);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+/**
+ * SUSPEND user (also signs them out of every session)
+ */
+router.post('/:id/suspend', async (req, res) => {
+  try {
+    if (Number(req.params.id) === Number(req.user.userId)) {
+      return res.status(400).json({ error: 'You cannot suspend yourself' });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const [result] = await executeBatch([
+      {
+        sql: `UPDATE users SET status = 'suspended', updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`,
+        args: [user.id]
+      },
+      activityStatement({
+        entityType: 'user',
+        entityId: user.id,
+        action: 'suspended',
+        actorId: req.user.userId,
+        changes: { status: { from: user.status, to: 'suspended' } }
+      })
+    ]);
+
+    await revokeAllRefreshTokens(user.id);
+    res.json(normalizeUser(result.rows[0]));
+  } catch (err) {
+    console.error('Error suspending user:', err);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+/**
+ * REACTIVATE user
+ */
+router.post('/:id/reactivate', async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.status === 'active') {
+      return res.status(409).json({ error: 'User is already active' });
+    }
+
+    const [result] = await executeBatch([
+      {
+        sql: `UPDATE users SET status = 'active', updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`,
+        args: [user.id]
+      },
+      activityStatement({
+        entityType: 'user',
+        entityId: user.id,
+        action: 'reactivated',
+        actorId: req.user.userId,
+        changes: { status: { from: user.status, to: 'active' } }
+      })
+    ]);
+
+    res.json(normalizeUser(result.rows[0]));
+  } catch (err) {
+    console.error('Error reactivating user:', err);
+    res.status(500).json({ error: 'Failed to reactivate user' });
+  }
+});
+
+module.exports = router;
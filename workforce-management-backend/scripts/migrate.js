@@ -0,0 +1,278 @@
+// scripts/migrate.js
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned SQL migrations from /migrations, tracked in schema_migrations.
+ *
+ *   NNN_name.sql        applied by `up`, in version order, once
+ *   NNN_name.down.sql   optional; reverts it for `down` (without one it is irreversible)
+ *
+ * Each migration runs in its own transaction together with its bookkeeping row,
+ * with foreign keys off so tables can be rebuilt without cascading deletes.
+ * Files must not contain BEGIN/COMMIT. Applied files are checksummed; editing one
+ * afterwards blocks `up` until the change is reverted or shipped as a new migration.
+ *
+ * Usage:
+ *   npm run migrate                       apply pending migrations
+ *   npm run migrate -- up --to 12         apply up to version 12
+ *   npm run migrate -- down               roll back the last migration
+ *   npm run migrate -- down --steps 2     roll back the last two
+ *   npm run migrate -- down --to 10       roll back everything after version 10
+ *   npm run migrate -- status             list applied/pending migrations
+ *   npm run migrate -- baseline 12        record 1..12 as applied without running them
+ *                                         (databases set up before schema_migrations existed)
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/i;
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Read the migration files -> [{ version, name, file, sql, checksum, down }] by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.sql') || file.endsWith('.down.sql')) continue;
+
+    const match = file.match(FILE_PATTERN);
+    if (!match) throw new Error(`Invalid migration filename: ${file} (expected NNN_name.sql)`);
+
+    const version = parseInt(match[1], 10);
+    const duplicate = migrations.find(migration => migration.version === version);
+    if (duplicate) throw new Error(`Duplicate migration version ${version}: ${duplicate.file}, ${file}`);
+
+    const sql = fs.readFileSync(path.join(dir, file), 'utf-8');
+    const downFile = path.join(dir, file.replace(/\.sql$/, '.down.sql'));
+
+    migrations.push({
+      version,
+      name: match[2],
+      file,
+      sql,
+      checksum: checksum(sql),
+      down: fs.existsSync(downFile) ? fs.readFileSync(downFile, 'utf-8') : null
+    });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+function defaultClient() {
+  return require('../config/database').client;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+async function appliedMigrations(client) {
+  await ensureMigrationsTable(client);
+  const result = await client.execute('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [Number(row.version), row]));
+}
+
+/**
+ * Run `sql` and the bookkeeping statement atomically with foreign keys off
+ * (PRAGMA foreign_keys cannot change inside a transaction, so it wraps it)
+ */
+async function runInTransaction(client, sql, bookkeeping) {
+  const previous = await client.execute('PRAGMA foreign_keys');
+  const enabled = Number(previous.rows[0] && previous.rows[0].foreign_keys) === 1;
+
+  try {
+    await client.executeMultiple(`PRAGMA foreign_keys = OFF;\nBEGIN;\n${sql}\n;\n${bookkeeping};\nCOMMIT;`);
+  } finally {
+    await client.execute(`PRAGMA foreign_keys = ${enabled ? 'ON' : 'OFF'}`);
+  }
+}
+
+/**
+ * status() -> [{ version, name, state, appliedAt }]
+ * state: applied | pending | changed (file edited after it was applied) | missing (no file)
+ */
+async function status({ client = defaultClient(), dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = await appliedMigrations(client);
+
+  const rows = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) state = row.checksum === migration.checksum ? 'applied' : 'changed';
+    return { version: migration.version, name: migration.name, state, appliedAt: row ? row.applied_at : null };
+  });
+
+  for (const [version, row] of applied) {
+    if (!migrations.some(migration => migration.version === version)) {
+      rows.push({ version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  }
+
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * up({ to }) -> the migrations applied
+ */
+async function up({ client = defaultClient(), dir, to = Infinity, log = () => {} } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = await appliedMigrations(client);
+
+  const changed = migrations.filter(migration => {
+    const row = applied.get(migration.version);
+    return row && row.checksum !== migration.checksum;
+  });
+  if (changed.length > 0) {
+    throw new Error(
+      `Applied migrations were modified: ${changed.map(migration => migration.file).join(', ')}. ` +
+      'Revert the edits and add a new migration instead.'
+    );
+  }
+
+  if (applied.size === 0) {
+    const existing = await client.execute(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'`);
+    if (existing.rows.length > 0) {
+      throw new Error(
+        'The database already has tables but no migration history. ' +
+        'Record the migrations it already has with `npm run migrate -- baseline <version>` first.'
+      );
+    }
+  }
+
+  const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+  for (const migration of pending) {
+    await runInTransaction(
+      client,
+      migration.sql,
+      `INSERT INTO schema_migrations (version, name, checksum)
+       VALUES (${migration.version}, '${migration.name}', '${migration.checksum}')`
+    );
+    log(`✅ Applied ${migration.file}`);
+  }
+
+  return pending;
+}
+
+/**
+ * down({ steps, to }) -> the migrations rolled back, newest first.
+ * Rolls back `steps` migrations (default 1), or every migration after version `to`.
+ */
+async function down({ client = defaultClient(), dir, steps = 1, to, log = () => {} } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = [...(await appliedMigrations(client)).keys()].sort((a, b) => b - a);
+
+  const versions = to !== undefined ? applied.filter(version => version > to) : applied.slice(0, steps);
+  const targets = versions.map(version => {
+    const migration = migrations.find(candidate => candidate.version === version);
+    if (!migration) throw new Error(`Migration ${version} is applied but its file is missing`);
+    if (!migration.down) throw new Error(`${migration.file} has no down migration and cannot be rolled back`);
+    return migration;
+  });
+
+  for (const migration of targets) {
+    await runInTransaction(
+      client,
+      migration.down,
+      `DELETE FROM schema_migrations WHERE version = ${migration.version}`
+    );
+    log(`↩️  Rolled back ${migration.file}`);
+  }
+
+  return targets;
+}
+
+/**
+ * baseline(version) -> the migrations recorded as applied without running them
+ */
+async function baseline(version, { client = defaultClient(), dir, log = () => {} } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = await appliedMigrations(client);
+
+  const recorded = migrations.filter(migration => migration.version <= version && !applied.has(migration.version));
+  for (const migration of recorded) {
+    await client.execute({
+      sql: 'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+      args: [migration.version, migration.name, migration.checksum]
+    });
+    log(`📌 Recorded ${migration.file}`);
+  }
+
+  return recorded;
+}
+
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = parseInt(args[index + 1], 10);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`--${name} requires a number`);
+  return value;
+}
+
+async function main(args) {
+  const [command = 'up', ...rest] = args;
+  const log = message => console.log(message);
+
+  switch (command) {
+    case 'up': {
+      console.log('🚀 Running migrations...');
+      const applied = await up({ to: option(rest, 'to'), log });
+      console.log(applied.length ? `🎉 Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+    case 'down': {
+      const to = option(rest, 'to');
+      const rolledBack = await down({ steps: option(rest, 'steps') || 1, to, log });
+      console.log(rolledBack.length ? `🎉 Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const rows = await status();
+      for (const row of rows) {
+        const version = String(row.version).padStart(3, '0');
+        console.log(`${version}  ${row.state.padEnd(8)} ${row.name}${row.appliedAt ? `  (${row.appliedAt})` : ''}`);
+      }
+      const pending = rows.filter(row => row.state === 'pending').length;
+      console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+      break;
+    }
+    case 'baseline': {
+      const version = parseInt(rest[0], 10);
+      if (!Number.isInteger(version)) throw new Error('Usage: migrate baseline <version>');
+      const recorded = await baseline(version, { log });
+      console.log(`🎉 Recorded ${recorded.length} migration(s) as applied`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (expected up, down, status or baseline)`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadMigrations,
+  status,
+  up,
+  down,
+  baseline
+};
@@ -0,0 +1,346 @@
+// scripts/seed.js
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { addDays } = require('date-fns');
+const { executeQuery, executeBatch } = require('../config/database');
+const { weekStartOf, timesOnDate, toDbDate, toDbDateTime } = require('../utils/scheduling');
+const { POSITION_GAP } = require('../utils/tasks');
+
+/**
+ * Demo/development data for an empty, migrated database.
+ *
+ * Output is deterministic: the same --size, --seed and --week always produce the
+ * same rows. Dates are laid out around --week (default: the current week), which
+ * gets a published schedule with shifts for every team.
+ *
+ * Usage:
+ *   npm run migrate && npm run seed
+ *   npm run seed -- --size large           small (default) | medium | large
+ *   npm run seed -- --seed 42              vary the generated data
+ *   npm run seed -- --week 2024-06-03      week to schedule (any day in it)
+ *   npm run seed -- --force                allow a non-file: database URL
+ *
+ * Every account uses SEED_PASSWORD (default Password123!).
+ */
+
+const SIZES = {
+  small: { managers: 2, employees: 8, boardsPerTeam: 2, tasksPerBoard: 12 },
+  medium: { managers: 5, employees: 45, boardsPerTeam: 3, tasksPerBoard: 40 },
+  large: { managers: 20, employees: 480, boardsPerTeam: 4, tasksPerBoard: 150 }
+};
+
+const EMAIL_DOMAIN = 'workflowpro.dev';
+const BATCH_SIZE = 200;
+
+// The people from the front-end demo come first
+const DEMO_MANAGERS = [['Sarah', 'Miller']];
+const DEMO_EMPLOYEES = [['John', 'Carter'], ['Mike', 'Johnson'], ['Lisa', 'Chen']];
+
+const FIRST_NAMES = [
+  'Emma', 'Liam', 'Olivia', 'Noah', 'Ava', 'Ethan', 'Sophia', 'Lucas', 'Mia', 'Mason',
+  'Amelia', 'James', 'Harper', 'Daniel', 'Ella', 'Henry', 'Aria', 'Leo', 'Chloe', 'Omar',
+  'Priya', 'Mateo', 'Yuki', 'Kwame', 'Fatima', 'Diego', 'Ingrid', 'Ravi', 'Zoe', 'Tomas'
+];
+const LAST_NAMES = [
+  'Smith', 'Garcia', 'Brown', 'Nguyen', 'Patel', 'Wilson', 'Martinez', 'Anderson', 'Taylor', 'Thomas',
+  'Moore', 'Jackson', 'White', 'Harris', 'Clark', 'Lewis', 'Walker', 'Young', 'King', 'Wright',
+  'Lopez', 'Hill', 'Scott', 'Adams', 'Baker', 'Kim', 'Okafor', 'Rossi', 'Novak', 'Silva'
+];
+const TEAM_NAMES = [
+  'Operations', 'Customer Support', 'Warehouse', 'Front Desk', 'Kitchen', 'Maintenance',
+  'Logistics', 'Sales Floor', 'IT Helpdesk', 'Security', 'Housekeeping', 'Marketing'
+];
+const BOARD_NAMES = ['Sprint Board', 'Backlog', 'Onboarding', 'Facilities', 'Projects', 'Training'];
+const BOARD_COLORS = ['#6366f1', '#0ea5e9', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
+const TASK_VERBS = ['Update', 'Review', 'Prepare', 'Fix', 'Schedule', 'Audit', 'Organize', 'Clean up', 'Draft', 'Restock'];
+const TASK_OBJECTS = [
+  'onboarding checklist', 'inventory report', 'weekly rota', 'safety procedures', 'supplier invoices',
+  'customer feedback', 'training materials', 'equipment log', 'holiday calendar', 'shift handover notes',
+  'storage room', 'POS terminals', 'team newsletter', 'cleaning schedule', 'budget forecast'
+];
+const TAGS = ['urgent-fix', 'customer', 'internal', 'training', 'compliance', 'inventory', 'finance', 'hr', 'it', 'quick-win'];
+const COMMENTS = [
+  'I can take this one.',
+  'Started on this, will update by end of day.',
+  'Blocked until we hear back from the supplier.',
+  'Looks good to me.',
+  'Can we move the due date?',
+  'Done, please double-check.',
+  'Added notes to the description.',
+  'Needs another pair of eyes before we close it.'
+];
+const SHIFT_TEMPLATES = [
+  { name: 'Morning', start: '08:00', end: '16:00', color: '#f59e0b' },
+  { name: 'Day', start: '09:00', end: '17:00', color: '#6366f1' },
+  { name: 'Mid', start: '10:00', end: '18:00', color: '#10b981' },
+  { name: 'Evening', start: '14:00', end: '22:00', color: '#8b5cf6' }
+];
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const random = {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: probability => next() < probability,
+    pick: items => items[Math.floor(next() * items.length)],
+    weighted: entries => {
+      let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [value, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return value;
+      }
+      return entries[entries.length - 1][0];
+    },
+    sample: (items, count) => {
+      const pool = [...items];
+      const picked = [];
+      while (picked.length < count && pool.length > 0) {
+        picked.push(pool.splice(Math.floor(next() * pool.length), 1)[0]);
+      }
+      return picked;
+    }
+  };
+  return random;
+}
+
+/**
+ * Run statements in batches; returns every statement's result, in order
+ */
+async function runBatches(statements) {
+  const results = [];
+  for (let i = 0; i < statements.length; i += BATCH_SIZE) {
+    results.push(...(await executeBatch(statements.slice(i, i + BATCH_SIZE))));
+  }
+  return results;
+}
+
+function buildPeople(size, random) {
+  const people = [{ first: 'Alex', last: 'Admin', role: 'admin', email: `admin@${EMAIL_DOMAIN}` }];
+  const used = new Set(people.map(person => person.email));
+
+  const add = (role, count, demo) => {
+    for (let i = 0; i < count; i++) {
+      const [first, last] = demo[i] || [random.pick(FIRST_NAMES), random.pick(LAST_NAMES)];
+      const base = `${first}.${last}`.toLowerCase();
+      let email = `${base}@${EMAIL_DOMAIN}`;
+      for (let n = 2; used.has(email); n++) email = `${base}${n}@${EMAIL_DOMAIN}`;
+      used.add(email);
+      people.push({ first, last, role, email });
+    }
+  };
+
+  add('manager', size.managers, DEMO_MANAGERS);
+  add('employee', size.employees, DEMO_EMPLOYEES);
+  return people;
+}
+
+async function seed({ size: sizeName = 'small', seed: seedValue = 1, week = new Date(), log = () => {} } = {}) {
+  const size = SIZES[sizeName];
+  if (!size) throw new Error(`Unknown size: ${sizeName} (expected ${Object.keys(SIZES).join(', ')})`);
+
+  const existing = await executeQuery('SELECT COUNT(*) AS total FROM users');
+  if (Number(existing.rows[0].total) > 0) {
+    throw new Error('The database already has users; seed an empty, migrated database');
+  }
+
+  const random = createRandom(seedValue);
+  const weekStart = weekStartOf(week);
+  const passwordHash = await bcrypt.hash(process.env.SEED_PASSWORD || 'Password123!', 10);
+
+  // USERS
+  const people = buildPeople(size, random);
+  const userResults = await runBatches(people.map(person => ({
+    sql: `INSERT INTO users (email, password_hash, first_name, last_name, role, status, timezone, email_verified_at)
+          VALUES (?, ?, ?, ?, ?, 'active', 'UTC', CURRENT_TIMESTAMP) RETURNING id`,
+    args: [person.email, passwordHash, person.first, person.last, person.role]
+  })));
+  people.forEach((person, i) => { person.id = userResults[i].rows[0].id; });
+  log(`👤 ${people.length} users`);
+
+  const admin = people[0];
+  const managers = people.filter(person => person.role === 'manager');
+  const employees = people.filter(person => person.role === 'employee');
+
+  // TEAMS: one per manager, employees spread round-robin
+  const teams = managers.map((manager, i) => ({
+    name: i < TEAM_NAMES.length ? TEAM_NAMES[i] : `${TEAM_NAMES[i % TEAM_NAMES.length]} ${Math.floor(i / TEAM_NAMES.length) + 1}`,
+    manager,
+    members: [manager]
+  }));
+  employees.forEach((employee, i) => teams[i % teams.length].members.push(employee));
+
+  const teamResults = await runBatches(teams.map(team => ({
+    sql: 'INSERT INTO teams (name, description, manager_id) VALUES (?, ?, ?) RETURNING id',
+    args: [team.name, `${team.name} team`, team.manager.id]
+  })));
+  teams.forEach((team, i) => { team.id = teamResults[i].rows[0].id; });
+
+  await runBatches(teams.flatMap(team => team.members.map(member => ({
+    sql: 'INSERT INTO team_members (team_id, user_id) VALUES (?, ?)',
+    args: [team.id, member.id]
+  }))));
+  log(`👥 ${teams.length} teams`);
+
+  // BOARDS (their columns come from the create_default_columns trigger)
+  const boards = teams.flatMap(team =>
+    random.sample(BOARD_NAMES, size.boardsPerTeam).map(name => ({ team, name }))
+  );
+  const boardResults = await runBatches(boards.map(board => ({
+    sql: 'INSERT INTO boards (team_id, name, description, color, created_by) VALUES (?, ?, ?, ?, ?) RETURNING id',
+    args: [board.team.id, board.name, `${board.team.name} ${board.name.toLowerCase()}`,
+      random.pick(BOARD_COLORS), board.team.manager.id]
+  })));
+  boards.forEach((board, i) => { board.id = boardResults[i].rows[0].id; });
+
+  const columns = await executeQuery('SELECT id, board_id, position, status FROM task_columns ORDER BY board_id, position');
+  for (const board of boards) {
+    board.columns = columns.rows.filter(column => Number(column.board_id) === Number(board.id));
+  }
+  log(`📋 ${boards.length} boards`);
+
+  // TASKS
+  const tasks = [];
+  for (const board of boards) {
+    const positions = {};
+    for (let i = 0; i < size.tasksPerBoard; i++) {
+      const column = random.weighted(board.columns.map(col => [col, { 1: 5, 2: 3, 3: 4, 4: 1 }[col.position] || 1]));
+      let status = column.status || 'todo';
+      if (status === 'in_progress' && random.chance(0.3)) status = 'review';
+
+      const estimated = random.int(1, 16);
+      const due = random.chance(0.8) ? addDays(weekStart, random.int(-14, 28)) : null;
+      positions[column.id] = (positions[column.id] || 0) + POSITION_GAP;
+
+      tasks.push({
+        board,
+        values: [
+          board.id,
+          column.id,
+          `${random.pick(TASK_VERBS)} ${random.pick(TASK_OBJECTS)}`,
+          random.chance(0.6) ? `Notes for ${board.team.name}: keep the team posted on progress.` : null,
+          random.chance(0.85) ? random.pick(board.team.members).id : null,
+          random.pick(board.team.members).id,
+          random.weighted([['low', 3], ['medium', 5], ['high', 3], ['urgent', 1]]),
+          due ? `${toDbDate(due)} 17:00:00` : null,
+          estimated,
+          status === 'completed' ? random.int(1, estimated + 4) : status === 'todo' ? 0 : random.int(0, estimated),
+          status,
+          positions[column.id],
+          JSON.stringify(random.sample(TAGS, random.int(0, 3)))
+        ]
+      });
+    }
+  }
+
+  const taskResults = await runBatches(tasks.map(task => ({
+    sql: `INSERT INTO tasks (board_id, column_id, title, description, assigned_to, created_by, priority,
+            due_date, estimated_hours, actual_hours, status, position, tags)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id`,
+    args: task.values
+  })));
+  tasks.forEach((task, i) => { task.id = taskResults[i].rows[0].id; });
+  log(`✅ ${tasks.length} tasks`);
+
+  // COMMENTS
+  const comments = tasks.flatMap(task =>
+    Array.from({ length: random.weighted([[0, 4], [1, 3], [2, 2], [3, 1]]) }, () => ({
+      sql: 'INSERT INTO task_comments (task_id, user_id, content) VALUES (?, ?, ?)',
+      args: [task.id, random.pick(task.board.team.members).id, random.pick(COMMENTS)]
+    }))
+  );
+  await runBatches(comments);
+  log(`💬 ${comments.length} comments`);
+
+  // SHIFTS: templates per team and a published schedule for the week
+  const shifts = [];
+  for (const team of teams) {
+    const templateResults = await runBatches(SHIFT_TEMPLATES.map(template => ({
+      sql: `INSERT INTO shift_templates (team_id, name, start_time, end_time, color, created_by)
+            VALUES (?, ?, ?, ?, ?, ?) RETURNING id`,
+      args: [team.id, template.name, template.start, template.end, template.color, team.manager.id]
+    })));
+    const templates = SHIFT_TEMPLATES.map((template, i) => ({ ...template, id: templateResults[i].rows[0].id }));
+
+    const schedule = await executeQuery(
+      `INSERT INTO schedules (team_id, week_start, status, published_at, published_by, created_by)
+       VALUES (?, ?, 'published', CURRENT_TIMESTAMP, ?, ?) RETURNING id`,
+      [team.id, toDbDate(weekStart), team.manager.id, team.manager.id]
+    );
+    const scheduleId = schedule.rows[0].id;
+
+    const addShift = (userId, day, template) => {
+      const { start, end } = timesOnDate(addDays(weekStart, day), template.start, template.end);
+      shifts.push({
+        sql: `INSERT INTO shifts (schedule_id, team_id, user_id, template_id, start_time, end_time, status, created_by)
+              VALUES (?, ?, ?, ?, ?, ?, 'published', ?)`,
+        args: [scheduleId, team.id, userId, template.id, toDbDateTime(start), toDbDateTime(end), team.manager.id]
+      });
+    };
+
+    // Managers work weekdays; everyone else five days of the week, one shift a day
+    for (const member of team.members) {
+      const days = member === team.manager ? [0, 1, 2, 3, 4] : random.sample([0, 1, 2, 3, 4, 5, 6], 5);
+      for (const day of days.sort()) addShift(member.id, day, random.pick(templates));
+    }
+    // A few open shifts to pick up
+    for (let i = 0; i < 2; i++) addShift(null, random.int(0, 6), random.pick(templates));
+  }
+  await runBatches(shifts);
+  log(`🗓️  ${shifts.length} shifts in the week of ${toDbDate(weekStart)}`);
+
+  return { admin, managers, employees, teams, boards, tasks, comments, shifts };
+}
+
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function main(args) {
+  const url = process.env.TURSO_DATABASE_URL || 'file:local.db';
+  if (!url.startsWith('file:') && !args.includes('--force')) {
+    throw new Error(`Refusing to seed ${url}; pass --force to seed a non-local database`);
+  }
+
+  const size = option(args, 'size') || process.env.SEED_SIZE || 'small';
+  const seedValue = parseInt(option(args, 'seed') || '1', 10);
+  if (!Number.isInteger(seedValue)) throw new Error('--seed requires a number');
+
+  const weekValue = option(args, 'week');
+  const week = weekValue ? new Date(`${weekValue}T00:00:00`) : new Date();
+  if (Number.isNaN(week.getTime())) throw new Error('--week must be a date (YYYY-MM-DD)');
+
+  const tables = await executeQuery(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'`);
+  if (tables.rows.length === 0) throw new Error('No schema found; run `npm run migrate` first');
+
+  console.log(`🌱 Seeding ${url} (size: ${size}, seed: ${seedValue})...`);
+  const result = await seed({ size, seed: seedValue, week, log: message => console.log(message) });
+
+  console.log('🎉 Done. Sign in with any seeded account, for example:');
+  console.log(`   admin     ${result.admin.email}`);
+  console.log(`   manager   ${result.managers[0].email}`);
+  console.log(`   employee  ${result.employees[0].email}`);
+  console.log(`   password  ${process.env.SEED_PASSWORD ? '(SEED_PASSWORD)' : 'Password123!'}`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { seed, SIZES };
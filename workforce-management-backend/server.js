@@ -1,158 +1,17 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const compression = require('compression');
+const http = require('http');
 require('dotenv').config();
 
-// Import middleware
-const { notFound, errorHandler } = require('./middleware/errorHandler');
-const { authenticateToken } = require('./middleware/auth');
-
-// Import routes
-const authRoutes = require('./routes/auth');
-const taskRoutes = require('./routes/tasks');
+const { createApp, corsOptions } = require('./app');
 
 // Import database functions
 const { initializeDatabase } = require('./config/database');
+const { initSocket } = require('./config/socket');
+const { scheduleTrashPurge } = require('./utils/trash');
 
-const app = express();
+const app = createApp();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 
-// Security middleware
-app.use(
-  helmet({
-    crossOriginEmbedderPolicy: false,
-    contentSecurityPolicy: {
-      directives: {
-        defaultSrc: ["'self'"],
-        styleSrc: ["'self'", "'unsafe-inline'"],
-        scriptSrc: ["'self'"],
-        imgSrc: ["'self'", 'data:', 'https:'],
-      },
-    },
-  })
-);
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use(limiter);
-
-// Compression middleware
-app.use(compression());
-
-// CORS configuration
-const corsOptions = {
-  origin: function (origin, callback) {
-    const allowedOrigins = process.env.ALLOWED_ORIGINS
-      ? process.env.ALLOWED_ORIGINS.split(',')
-      : [
-          'http://localhost:3000',
-          'http://localhost:3001',
-          'http://localhost:5173',
-        ];
-
-    if (!origin || allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-};
-app.use(cors(corsOptions));
-
-// Body parsing middleware (✅ fixed)
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`${timestamp} - ${req.method} ${req.path} - ${req.ip}`);
-  next();
-});
-
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/tasks', authenticateToken, taskRoutes);
-
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    message: 'WorkFlow Pro API is running!',
-    version: '1.0.0',
-    docs: '/api',
-    health: '/health',
-  });
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development',
-    database: 'connected',
-    uptime: Math.floor(process.uptime()),
-    memory: {
-      used:
-        Math.round((process.memoryUsage().heapUsed / 1024 / 1024) * 100) / 100,
-      total:
-        Math.round((process.memoryUsage().heapTotal / 1024 / 1024) * 100) / 100,
-    },
-  });
-});
-
-// API info endpoint
-app.get('/api', (req, res) => {
-  res.json({
-    name: 'WorkFlow Pro API',
-    version: '1.0.0',
-    status: 'running',
-    endpoints: {
-      auth: {
-        register: 'POST /api/auth/register',
-        login: 'POST /api/auth/login',
-        profile: 'GET /api/auth/profile (requires auth)',
-        logout: 'POST /api/auth/logout (requires auth)',
-      },
-      tasks: {
-        list: 'GET /api/tasks (requires auth)',
-        create: 'POST /api/tasks (requires auth)',
-        update: 'PUT /api/tasks/:id (requires auth)',
-        delete: 'DELETE /api/tasks/:id (requires auth)',
-        get: 'GET /api/tasks/:id (requires auth)',
-      },
-      system: {
-        health: 'GET /health',
-        docs: 'GET /api',
-      },
-    },
-    database: {
-      status: 'connected',
-      type: 'Turso (LibSQL)',
-    },
-    authentication: 'JWT Bearer Token required for protected routes',
-  });
-});
-
-// 404 handler
-app.use(notFound);
-
-// Error handler
-app.use(errorHandler);
-
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
@@ -175,8 +34,14 @@ async function startServer() {
     // Initialize database first
     await initializeDatabase();
 
+    // Attach real-time updates to the same HTTP server
+    initSocket(server, corsOptions);
+
+    // Background jobs
+    scheduleTrashPurge();
+
     // Start server
-    const server = app.listen(PORT, () => {
+    server.listen(PORT, () => {
       console.log(`📡 Server running on port ${PORT}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`📚 API Documentation: http://localhost:${PORT}/api`);
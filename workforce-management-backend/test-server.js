@@ -19,8 +19,8 @@ app.get('/health', (req, res) => {
 // Test database connection
 app.get('/test-db', async (req, res) => {
     try {
-        const db = require('./config/database');
-        await db.testConnection();
+        const { initializeDatabase } = require('./config/database');
+        await initializeDatabase();
         res.json({ success: true, message: 'Database connection successful' });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -0,0 +1,111 @@
+// A 1 KB upload limit keeps the oversized file small; read when the routes load
+process.env.UPLOAD_MAX_SIZE_MB = String(1 / 1024);
+
+const { request, setupTestApp, teardownTestApp, createUser, createTeam } = require('./helpers');
+const { getStorage } = require('../config/storage');
+
+let app;
+let manager;
+let uploader;
+let teammate;
+let outsider;
+let task;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  manager = await createUser({ role: 'manager' });
+  uploader = await createUser();
+  teammate = await createUser();
+  outsider = await createUser();
+
+  const team = await createTeam(manager, [uploader, teammate]);
+  const board = (await request(app).post('/api/boards').set('Authorization', manager.auth).send({ name: 'Docs', teamId: team.id })).body;
+  task = (await request(app).post('/api/tasks').set('Authorization', uploader.auth).send({ title: 'Invoices', boardId: board.id })).body;
+});
+
+afterAll(teardownTestApp);
+
+const upload = (user, content, filename = 'notes.txt', contentType = 'text/plain') =>
+  request(app)
+    .post(`/api/tasks/${task.id}/attachments`)
+    .set('Authorization', user.auth)
+    .attach('file', Buffer.from(content), { filename, contentType });
+const list = user => request(app).get(`/api/tasks/${task.id}/attachments`).set('Authorization', user.auth);
+const remove = (user, attachment) =>
+  request(app).delete(`/api/tasks/${task.id}/attachments/${attachment.id}`).set('Authorization', user.auth);
+
+describe('uploading', () => {
+  it('stores the file and lists it on the task', async () => {
+    const res = await upload(uploader, 'Paid in full', 'receipt.txt');
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      taskId: task.id,
+      filename: 'receipt.txt',
+      size: 12,
+      mimeType: 'text/plain',
+      uploadedBy: uploader.id,
+      downloadUrl: `/api/tasks/${task.id}/attachments/${res.body.id}/download`
+    });
+    expect(getStorage().files.size).toBe(1);
+
+    const listed = await list(teammate);
+    expect(listed.body.map(attachment => attachment.id)).toEqual([res.body.id]);
+    expect((await list(outsider)).status).toBe(404);
+  });
+
+  it('enforces the size limit', async () => {
+    const res = await upload(uploader, 'x'.repeat(2048));
+    expect(res.status).toBe(413);
+  });
+
+  it('refuses file types that are not allowed', async () => {
+    const res = await upload(uploader, 'MZ', 'setup.exe', 'application/x-msdownload');
+    expect(res.status).toBe(415);
+    expect(res.body.allowedTypes).toContain('application/pdf');
+  });
+
+  it('requires a file', async () => {
+    const res = await request(app).post(`/api/tasks/${task.id}/attachments`).set('Authorization', uploader.auth).field('note', 'none');
+    expect(res.status).toBe(400);
+  });
+
+  it('is limited to people who can see the task', async () => {
+    expect((await upload(outsider, 'Sneaky')).status).toBe(404);
+  });
+});
+
+describe('downloading', () => {
+  it('returns the stored file under its original name', async () => {
+    const attachment = (await upload(uploader, 'Quarterly totals', 'totals.csv', 'text/csv')).body;
+
+    const res = await request(app).get(attachment.downloadUrl).set('Authorization', teammate.auth);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toContain('totals.csv');
+    expect(res.text).toBe('Quarterly totals');
+
+    expect((await request(app).get(attachment.downloadUrl).set('Authorization', outsider.auth)).status).toBe(404);
+  });
+});
+
+describe('deleting', () => {
+  it('is up to the uploader', async () => {
+    const attachment = (await upload(uploader, 'Draft')).body;
+
+    const denied = await remove(teammate, attachment);
+    expect(denied.status).toBe(403);
+
+    const files = getStorage().files.size;
+    expect((await remove(uploader, attachment)).status).toBe(200);
+    expect(getStorage().files.size).toBe(files - 1);
+    expect((await request(app).get(attachment.downloadUrl).set('Authorization', uploader.auth)).status).toBe(404);
+  });
+
+  it('or a manager', async () => {
+    const attachment = (await upload(teammate, 'Old copy')).body;
+
+    expect((await remove(manager, attachment)).status).toBe(200);
+    expect((await list(manager)).body.map(entry => entry.id)).not.toContain(attachment.id);
+    expect((await remove(manager, attachment)).status).toBe(404);
+  });
+});
@@ -0,0 +1,161 @@
+const { addMinutes, format } = require('date-fns');
+const { request, setupTestApp, teardownTestApp, createUser, createTeam, createShift } = require('./helpers');
+
+let app;
+let manager;
+let team;
+
+// Date-times relative to now, truncated to the minute
+const minutesFromNow = minutes => format(addMinutes(new Date(), minutes), "yyyy-MM-dd'T'HH:mm");
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  manager = await createUser({ role: 'manager' });
+  team = await createTeam(manager, [], { name: 'Warehouse' });
+});
+
+afterAll(teardownTestApp);
+
+async function createMember(teamId = team.id) {
+  const user = await createUser();
+  await request(app).post(`/api/teams/${teamId}/members`).set('Authorization', manager.auth).send({ userId: user.id });
+  return user;
+}
+
+/**
+ * Give `user` a shift from `startOffset` to `endOffset` minutes from now,
+ * published unless `publish` is false
+ */
+const shiftFromNow = (user, startOffset, endOffset, { publish = true, teamId = team.id } = {}) =>
+  createShift(
+    manager,
+    { teamId, userId: user.id, startTime: minutesFromNow(startOffset), endTime: minutesFromNow(endOffset) },
+    { publish }
+  );
+
+const clockIn = (user, body = {}) =>
+  request(app).post('/api/attendance/clock-in').set('Authorization', user.auth).send(body);
+const clockOut = user => request(app).post('/api/attendance/clock-out').set('Authorization', user.auth).send({});
+
+describe('clocking in and out', () => {
+  it('clocks in late to the current shift and flags it', async () => {
+    const employee = await createMember();
+    const shift = await shiftFromNow(employee, -30, 180);
+
+    const res = await clockIn(employee, { notes: 'Bus was late' });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ shiftId: shift.id, status: 'clocked_in', flags: ['late'] });
+    expect(res.body.lateMinutes).toBeGreaterThanOrEqual(29);
+    expect(res.body.record).toMatchObject({ notes: 'Bus was late', clockOutAt: null });
+
+    const clock = await request(app).get('/api/attendance/clock').set('Authorization', employee.auth);
+    expect(clock.body.clockedIn.shiftId).toBe(shift.id);
+    expect(clock.body.available).toEqual([]);
+
+    const again = await clockIn(employee);
+    expect(again.status).toBe(409);
+    expect(again.body.attendance.shiftId).toBe(shift.id);
+  });
+
+  it('flags leaving before the end of the shift', async () => {
+    const employee = await createMember();
+    await shiftFromNow(employee, 0, 240);
+    expect((await clockIn(employee)).status).toBe(201);
+
+    const res = await clockOut(employee);
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('clocked_out');
+    expect(res.body.flags).toEqual(['early_departure']);
+    expect(res.body.earlyDepartureMinutes).toBeGreaterThanOrEqual(239);
+
+    expect((await clockOut(employee)).status).toBe(404);
+  });
+
+  it('only opens the clock around published shifts', async () => {
+    // A team of its own, so this week's schedule is still a draft
+    const drafts = await createTeam(manager, [], { name: 'Night crew' });
+    const employee = await createMember(drafts.id);
+    expect((await clockIn(employee)).status).toBe(409);
+
+    await shiftFromNow(employee, 0, 60, { publish: false, teamId: drafts.id });
+    const draft = await clockIn(employee);
+    expect(draft.status).toBe(409);
+    expect(draft.body.error).toMatch(/No shift to clock in to/);
+  });
+});
+
+describe('roster', () => {
+  let employee;
+  let missed;
+  let worked;
+
+  beforeAll(async () => {
+    employee = await createMember();
+    missed = await shiftFromNow(employee, -600, -480);
+    worked = await shiftFromNow(employee, -240, -60);
+  });
+
+  it('lets the manager record punches by hand and flags overtime', async () => {
+    const res = await request(app)
+      .put(`/api/attendance/shifts/${worked.id}`)
+      .set('Authorization', manager.auth)
+      .send({ clockInAt: minutesFromNow(-240), clockOutAt: minutesFromNow(-2) });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'clocked_out', flags: ['overtime'], workedMinutes: 238 });
+    expect(res.body.overtimeMinutes).toBeGreaterThanOrEqual(57);
+    expect(res.body.record.editedBy).toBe(manager.id);
+  });
+
+  it('shows the day\'s shifts with no-shows to the team manager', async () => {
+    const res = await request(app)
+      .get('/api/attendance/roster')
+      .query({ teamId: team.id, date: missed.startTime.slice(0, 10) })
+      .set('Authorization', manager.auth);
+
+    expect(res.status).toBe(200);
+    const entry = res.body.roster.find(item => item.shiftId === missed.id);
+    expect(entry).toMatchObject({ userId: employee.id, status: 'no_show', flags: ['no_show'], record: null });
+    expect(res.body.summary.noShows).toBeGreaterThanOrEqual(1);
+  });
+
+  it('is for managers only', async () => {
+    const res = await request(app)
+      .get('/api/attendance/roster')
+      .query({ teamId: team.id })
+      .set('Authorization', employee.auth);
+    expect(res.status).toBe(403);
+
+    const edit = await request(app)
+      .put(`/api/attendance/shifts/${missed.id}`)
+      .set('Authorization', employee.auth)
+      .send({ clockInAt: minutesFromNow(-600) });
+    expect(edit.status).toBe(403);
+  });
+
+  it('lists a person\'s attendance with a summary', async () => {
+    const res = await request(app)
+      .get('/api/attendance')
+      .query({ from: missed.startTime.slice(0, 10), to: worked.startTime.slice(0, 10) })
+      .set('Authorization', employee.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.attendance.map(item => item.shiftId)).toEqual([missed.id, worked.id]);
+    expect(res.body.summary).toMatchObject({ scheduled: 2, clockedOut: 1, noShows: 1, overtime: 1 });
+
+    const managerView = await request(app)
+      .get('/api/attendance')
+      .query({ userId: employee.id, from: missed.startTime.slice(0, 10), to: worked.startTime.slice(0, 10) })
+      .set('Authorization', manager.auth);
+    expect(managerView.body.attendance).toHaveLength(2);
+  });
+
+  it('keeps punched shifts from being reassigned', async () => {
+    const other = await createMember();
+    const res = await request(app)
+      .put(`/api/shifts/${worked.id}`)
+      .set('Authorization', manager.auth)
+      .send({ userId: other.id });
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,78 @@
+const { request, setupTestApp, teardownTestApp, createUser } = require('./helpers');
+
+let app;
+let admin;
+let manager;
+let board;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  admin = await createUser({ role: 'admin' });
+  manager = await createUser({ role: 'manager' });
+
+  board = (await request(app).post('/api/boards').set('Authorization', manager.auth).send({ name: 'Audited' })).body;
+  await request(app).put(`/api/boards/${board.id}`).set('Authorization', manager.auth).send({ name: 'Audited twice' });
+  await request(app).delete(`/api/boards/${board.id}`).set('Authorization', manager.auth);
+  await request(app).post('/api/boards').set('Authorization', admin.auth).send({ name: 'Admin notes' });
+});
+
+afterAll(teardownTestApp);
+
+const audit = (query = {}, user = admin) => request(app).get('/api/audit').query(query).set('Authorization', user.auth);
+
+// activity_log timestamps are UTC
+const today = () => new Date().toISOString().slice(0, 10);
+
+describe('GET /api/audit', () => {
+  it('is for admins only', async () => {
+    expect((await audit({}, manager)).status).toBe(403);
+    expect((await request(app).get('/api/audit')).status).toBe(401);
+  });
+
+  it('filters by entity, actor and action', async () => {
+    const res = await audit({ entityType: 'board', entityId: board.id });
+    expect(res.status).toBe(200);
+    expect(res.body.activity.map(entry => entry.action)).toEqual(['archived', 'updated', 'created']);
+    expect(res.body.activity[1]).toMatchObject({
+      actorId: manager.id,
+      changes: { name: { from: 'Audited', to: 'Audited twice' } }
+    });
+
+    const byAdmin = await audit({ actorId: admin.id });
+    expect(byAdmin.body.activity.map(entry => [entry.actorId, entry.action])).toEqual([[admin.id, 'created']]);
+
+    const archived = await audit({ action: 'archived' });
+    expect(archived.body.activity.map(entry => entry.entityId)).toEqual([board.id]);
+  });
+
+  it('filters by date', async () => {
+    expect((await audit({ from: today(), to: today(), entityType: 'board' })).body.activity).toHaveLength(4);
+    expect((await audit({ to: '2000-01-01' })).body.activity).toEqual([]);
+  });
+
+  it('pages through entries by cursor', async () => {
+    const first = await audit({ entityType: 'board', limit: 3 });
+    expect(first.body.activity).toHaveLength(3);
+    expect(first.body.pagination).toMatchObject({ limit: 3, nextCursor: first.body.activity[2].id });
+
+    const next = await audit({ entityType: 'board', limit: 3, cursor: first.body.pagination.nextCursor });
+    expect(next.body.activity).toHaveLength(1);
+    expect(next.body.activity[0].id).toBeLessThan(first.body.activity[2].id);
+    expect(next.body.pagination.nextCursor).toBeNull();
+  });
+
+  it('rejects invalid filters and cursors', async () => {
+    for (const query of [
+      { entityType: 'shift' },
+      { entityId: board.id },
+      { entityType: 'board', entityId: 'abc' },
+      { actorId: '-1' },
+      { cursor: '1.5' },
+      { cursor: 'next' },
+      { from: '01/02/2024' },
+      { to: 'yesterday' }
+    ]) {
+      expect((await audit(query)).status).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,230 @@
+const { request, executeQuery, setupTestApp, teardownTestApp, createUser, tokenFromMail } = require('./helpers');
+
+let app;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+});
+
+afterAll(teardownTestApp);
+
+describe('registration and email verification', () => {
+  const account = { email: 'new.hire@test.local', password: 'Sup3rSecret!', firstName: 'New', lastName: 'Hire' };
+
+  it('registers an inactive employee and emails a verification link', async () => {
+    const res = await request(app).post('/api/auth/register').send({ ...account, role: 'admin' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ email: account.email, role: 'employee' });
+    expect(res.body.user.password_hash).toBeUndefined();
+    expect(tokenFromMail(account.email)).toBeTruthy();
+  });
+
+  it('rejects a duplicate email', async () => {
+    const res = await request(app).post('/api/auth/register').send(account);
+    expect(res.status).toBe(409);
+  });
+
+  it('rejects missing fields', async () => {
+    const res = await request(app).post('/api/auth/register').send({ email: 'x@test.local' });
+    expect(res.status).toBe(400);
+  });
+
+  it('enforces the minimum password length', async () => {
+    const res = await request(app).post('/api/auth/register').send({ ...account, email: 'short@test.local', password: 'abc' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Password must be at least 8 characters');
+  });
+
+  it('blocks login until the email is verified', async () => {
+    const before = await request(app).post('/api/auth/login').send(account);
+    expect(before.status).toBe(403);
+
+    const verify = await request(app).get('/api/auth/verify-email').query({ token: tokenFromMail(account.email) });
+    expect(verify.status).toBe(200);
+
+    const after = await request(app).post('/api/auth/login').send(account);
+    expect(after.status).toBe(200);
+    expect(after.body.user).toMatchObject({ email: account.email, firstName: 'New', lastName: 'Hire' });
+  });
+
+  it('rejects a used verification token', async () => {
+    const res = await request(app).post('/api/auth/verify-email').send({ token: tokenFromMail(account.email) });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('login and sessions', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser();
+  });
+
+  const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+  it('returns an access and refresh token pair', async () => {
+    const res = await login(user.email, user.password);
+
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+
+    const profile = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${res.body.accessToken}`);
+    expect(profile.status).toBe(200);
+    expect(profile.body).toMatchObject({ id: user.id, email: user.email, role: 'employee' });
+  });
+
+  it('rejects a wrong password and an unknown email alike', async () => {
+    const wrongPassword = await login(user.email, 'not-the-password');
+    const unknownEmail = await login('nobody@test.local', 'whatever123');
+
+    expect(wrongPassword.status).toBe(401);
+    expect(unknownEmail.status).toBe(401);
+    expect(wrongPassword.body).toEqual(unknownEmail.body);
+  });
+
+  it('rejects suspended accounts', async () => {
+    const suspended = await createUser({ status: 'suspended' });
+    const res = await login(suspended.email, suspended.password);
+    expect(res.status).toBe(403);
+  });
+
+  it('stops accepting access tokens once the account is suspended', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const target = await createUser();
+    expect((await request(app).get('/api/auth/profile').set('Authorization', target.auth)).status).toBe(200);
+
+    await request(app).post(`/api/users/${target.id}/suspend`).set('Authorization', admin.auth);
+
+    const res = await request(app).get('/api/auth/profile').set('Authorization', target.auth);
+    expect(res.status).toBe(401);
+    expect((await request(app).get('/api/tasks').set('Authorization', target.auth)).status).toBe(401);
+  });
+
+  it('applies role changes to existing access tokens', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const demoted = await createUser({ role: 'admin' });
+    expect((await request(app).get('/api/users').set('Authorization', demoted.auth)).status).toBe(200);
+
+    await request(app).put(`/api/users/${demoted.id}/role`).set('Authorization', admin.auth).send({ role: 'employee' });
+
+    expect((await request(app).get('/api/users').set('Authorization', demoted.auth)).status).toBe(403);
+  });
+
+  it('rotates refresh tokens and rejects reuse of the old one', async () => {
+    const { body: session } = await login(user.email, user.password);
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refreshToken).not.toBe(session.refreshToken);
+
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(reused.status).toBe(401);
+  });
+
+  it('revokes the session on logout', async () => {
+    const { body: session } = await login(user.email, user.password);
+
+    const logout = await request(app).post('/api/auth/logout').send({ refreshToken: session.refreshToken });
+    expect(logout.status).toBe(200);
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(refreshed.status).toBe(401);
+  });
+});
+
+describe('password changes', () => {
+  it('changes the password with the current one and signs out other sessions', async () => {
+    const user = await createUser();
+    const { body: session } = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password });
+
+    const short = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', user.auth)
+      .send({ currentPassword: user.password, newPassword: 'short' });
+    expect(short.status).toBe(400);
+
+    const wrong = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', user.auth)
+      .send({ currentPassword: 'nope-nope', newPassword: 'BrandNew123!' });
+    expect(wrong.status).toBe(401);
+
+    const res = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', user.auth)
+      .send({ currentPassword: user.password, newPassword: 'BrandNew123!' });
+    expect(res.status).toBe(200);
+
+    const oldSession = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(oldSession.status).toBe(401);
+
+    const login = await request(app).post('/api/auth/login').send({ email: user.email, password: 'BrandNew123!' });
+    expect(login.status).toBe(200);
+  });
+
+  it('resets a forgotten password through the emailed token', async () => {
+    const user = await createUser();
+
+    const forgot = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    expect(forgot.status).toBe(200);
+
+    const invalid = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: tokenFromMail(user.email), password: 123456789 });
+    expect(invalid.status).toBe(400);
+
+    const reset = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: tokenFromMail(user.email), password: 'Recovered123!' });
+    expect(reset.status).toBe(200);
+
+    const login = await request(app).post('/api/auth/login').send({ email: user.email, password: 'Recovered123!' });
+    expect(login.status).toBe(200);
+  });
+});
+
+describe('profile updates', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser();
+  });
+
+  it('updates editable fields and records the change', async () => {
+    const res = await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', user.auth)
+      .send({ firstName: 'Renamed', timezone: 'Europe/Paris' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ firstName: 'Renamed', timezone: 'Europe/Paris' });
+
+    const log = await executeQuery(
+      `SELECT changes FROM activity_log WHERE entity_type = 'user' AND entity_id = ? AND action = 'updated'`,
+      [user.id]
+    );
+    expect(JSON.parse(log.rows[0].changes)).toEqual({
+      firstName: { from: 'Test', to: 'Renamed' },
+      timezone: { from: 'UTC', to: 'Europe/Paris' }
+    });
+  });
+
+  it('rejects fields that are not editable', async () => {
+    const res = await request(app).put('/api/auth/profile').set('Authorization', user.auth).send({ role: 'admin' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Unknown field/);
+  });
+
+  it('rejects invalid values with field details', async () => {
+    const res = await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', user.auth)
+      .send({ timezone: 'Mars/Olympus', avatarUrl: 'ftp://example.com/a.png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.field).sort()).toEqual(['avatarUrl', 'timezone']);
+  });
+});
@@ -0,0 +1,221 @@
+const { request, setupTestApp, teardownTestApp, createUser, createTeam } = require('./helpers');
+
+let app;
+let manager;
+let member;
+let outsider;
+let team;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  manager = await createUser({ role: 'manager' });
+  member = await createUser();
+  outsider = await createUser();
+  team = await createTeam(manager, [member]);
+});
+
+afterAll(teardownTestApp);
+
+const newBoard = async name =>
+  (await request(app).post('/api/boards').set('Authorization', manager.auth).send({ name, teamId: team.id })).body;
+const columnsOf = async board =>
+  (await request(app).get(`/api/boards/${board.id}/columns`).set('Authorization', manager.auth)).body;
+const addTask = async (board, column, title) =>
+  (await request(app)
+    .post('/api/tasks')
+    .set('Authorization', manager.auth)
+    .send({ title, boardId: board.id, columnId: column.id, status: column.status || undefined })).body;
+const getTask = task => request(app).get(`/api/tasks/${task.id}`).set('Authorization', manager.auth);
+const deleteColumn = (board, column, query = {}, user = manager) =>
+  request(app).delete(`/api/boards/${board.id}/columns/${column.id}`).query(query).set('Authorization', user.auth);
+
+describe('boards', () => {
+  it('are created with the default columns', async () => {
+    const res = await request(app).post('/api/boards').set('Authorization', manager.auth).send({ name: 'Front desk', teamId: team.id });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ name: 'Front desk', teamId: team.id, isActive: true, createdBy: manager.id });
+    expect(res.body.columns.map(column => [column.name, column.position, column.status])).toEqual([
+      ['Pending', 1, 'todo'],
+      ['In Progress', 2, 'in_progress'],
+      ['Completed', 3, 'completed'],
+      ['Cancelled', 4, 'cancelled']
+    ]);
+
+    const fetched = await request(app).get(`/api/boards/${res.body.id}`).set('Authorization', member.auth);
+    expect(fetched.body.columns).toHaveLength(4);
+  });
+
+  it('can only be created for a team by its managers', async () => {
+    const byMember = await request(app).post('/api/boards').set('Authorization', member.auth).send({ name: 'Mine', teamId: team.id });
+    expect(byMember.status).toBe(403);
+    const byOutsider = await request(app).post('/api/boards').set('Authorization', outsider.auth).send({ name: 'Theirs', teamId: team.id });
+    expect(byOutsider.status).toBe(403);
+
+    const personal = await request(app).post('/api/boards').set('Authorization', member.auth).send({ name: 'Notes' });
+    expect(personal.status).toBe(201);
+    expect(personal.body.teamId).toBeNull();
+
+    expect((await request(app).post('/api/boards').set('Authorization', member.auth).send({})).status).toBe(400);
+  });
+
+  it('are only visible to their team', async () => {
+    const board = await newBoard('Stockroom');
+
+    const listed = await request(app).get('/api/boards').query({ teamId: team.id }).set('Authorization', member.auth);
+    expect(listed.body.map(entry => entry.id)).toContain(board.id);
+
+    const hidden = await request(app).get('/api/boards').set('Authorization', outsider.auth);
+    expect(hidden.body.map(entry => entry.id)).not.toContain(board.id);
+    expect((await request(app).get(`/api/boards/${board.id}`).set('Authorization', outsider.auth)).status).toBe(404);
+  });
+
+  it('are updated and archived by managers', async () => {
+    const board = await newBoard('Deliveries');
+
+    const denied = await request(app).put(`/api/boards/${board.id}`).set('Authorization', member.auth).send({ name: 'Mine now' });
+    expect(denied.status).toBe(403);
+
+    const updated = await request(app)
+      .put(`/api/boards/${board.id}`)
+      .set('Authorization', manager.auth)
+      .send({ name: 'Inbound', color: '#0ea5e9' });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ name: 'Inbound', color: '#0ea5e9' });
+
+    const archived = await request(app).delete(`/api/boards/${board.id}`).set('Authorization', manager.auth);
+    expect(archived.body.board.isActive).toBe(false);
+
+    const active = await request(app).get('/api/boards').set('Authorization', manager.auth);
+    expect(active.body.map(entry => entry.id)).not.toContain(board.id);
+    const all = await request(app).get('/api/boards').query({ includeArchived: 'true' }).set('Authorization', manager.auth);
+    expect(all.body.map(entry => entry.id)).toContain(board.id);
+  });
+});
+
+describe('columns', () => {
+  let board;
+
+  beforeAll(async () => {
+    board = await newBoard('Kitchen');
+  });
+
+  it('are appended or inserted at a position', async () => {
+    const appended = await request(app).post(`/api/boards/${board.id}/columns`).set('Authorization', manager.auth).send({ name: 'Archive' });
+    expect(appended.status).toBe(201);
+    expect(appended.body).toMatchObject({ name: 'Archive', position: 5, status: null });
+
+    const inserted = await request(app)
+      .post(`/api/boards/${board.id}/columns`)
+      .set('Authorization', manager.auth)
+      .send({ name: 'Review', position: 3, status: 'in_progress' });
+    expect(inserted.body).toMatchObject({ position: 3, status: 'in_progress' });
+
+    expect((await columnsOf(board)).map(column => column.name))
+      .toEqual(['Pending', 'In Progress', 'Review', 'Completed', 'Cancelled', 'Archive']);
+
+    const denied = await request(app).post(`/api/boards/${board.id}/columns`).set('Authorization', member.auth).send({ name: 'Mine' });
+    expect(denied.status).toBe(403);
+  });
+
+  it('are renamed', async () => {
+    const [pending] = await columnsOf(board);
+    const res = await request(app)
+      .put(`/api/boards/${board.id}/columns/${pending.id}`)
+      .set('Authorization', manager.auth)
+      .send({ name: 'Backlog' });
+    expect(res.body).toMatchObject({ id: pending.id, name: 'Backlog', status: 'todo' });
+
+    const other = await newBoard('Bar');
+    const foreign = await request(app)
+      .put(`/api/boards/${other.id}/columns/${pending.id}`)
+      .set('Authorization', manager.auth)
+      .send({ name: 'Stolen' });
+    expect(foreign.status).toBe(404);
+  });
+
+  it('are reordered as a whole', async () => {
+    const ids = (await columnsOf(board)).map(column => column.id);
+
+    const res = await request(app)
+      .put(`/api/boards/${board.id}/columns/reorder`)
+      .set('Authorization', manager.auth)
+      .send({ columnIds: [...ids].reverse() });
+    expect(res.status).toBe(200);
+    expect(res.body.map(column => column.id)).toEqual([...ids].reverse());
+    expect(res.body.map(column => column.position)).toEqual([1, 2, 3, 4, 5, 6]);
+
+    const partial = await request(app)
+      .put(`/api/boards/${board.id}/columns/reorder`)
+      .set('Authorization', manager.auth)
+      .send({ columnIds: ids.slice(1) });
+    expect(partial.status).toBe(400);
+  });
+});
+
+describe('deleting columns', () => {
+  it('keeps the tasks on the board without a column by default', async () => {
+    const board = await newBoard('Loose ends');
+    const [pending, inProgress] = board.columns;
+    const task = await addTask(board, inProgress, 'Half done');
+
+    const res = await deleteColumn(board, inProgress);
+    expect(res.status).toBe(200);
+    expect(res.body.tasksAffected).toBe(1);
+
+    expect((await getTask(task)).body).toMatchObject({ columnId: null, status: 'in_progress' });
+    expect((await columnsOf(board)).map(column => [column.id, column.position]))
+      .toEqual([[pending.id, 1], [board.columns[2].id, 2], [board.columns[3].id, 3]]);
+    expect((await deleteColumn(board, inProgress)).status).toBe(404);
+  });
+
+  it('moves the tasks to another column of the board', async () => {
+    const board = await newBoard('Handover');
+    const [pending, inProgress] = board.columns;
+    const task = await addTask(board, pending, 'Hand over keys');
+
+    expect((await deleteColumn(board, pending, { moveTo: pending.id })).status).toBe(400);
+    expect((await deleteColumn(board, pending, { moveTo: inProgress.id, deleteTasks: 'true' })).status).toBe(400);
+    const other = await newBoard('Elsewhere');
+    expect((await deleteColumn(board, pending, { moveTo: other.columns[0].id })).status).toBe(400);
+
+    const res = await deleteColumn(board, pending, { moveTo: inProgress.id });
+    expect(res.status).toBe(200);
+    expect(res.body.tasksAffected).toBe(1);
+    expect((await getTask(task)).body).toMatchObject({ columnId: inProgress.id, status: 'in_progress' });
+  });
+
+  it('does not move blocked tasks into a working column unless a manager forces it', async () => {
+    const board = await newBoard('Blocked');
+    const [pending, inProgress] = board.columns;
+    const blocker = await addTask(board, pending, 'Order parts');
+    const blocked = await addTask(board, pending, 'Fit parts');
+    await request(app)
+      .post(`/api/tasks/${blocked.id}/dependencies`)
+      .set('Authorization', manager.auth)
+      .send({ dependsOnId: blocker.id });
+
+    const refused = await deleteColumn(board, pending, { moveTo: inProgress.id });
+    expect(refused.status).toBe(409);
+    expect(refused.body.taskIds).toEqual([blocked.id]);
+    expect((await columnsOf(board)).map(column => column.id)).toContain(pending.id);
+
+    const forced = await deleteColumn(board, pending, { moveTo: inProgress.id, force: 'true' });
+    expect(forced.status).toBe(200);
+    expect((await getTask(blocked)).body.columnId).toBe(inProgress.id);
+  });
+
+  it('trashes the tasks with deleteTasks', async () => {
+    const board = await newBoard('Scrap');
+    const cancelled = board.columns[3];
+    const task = await addTask(board, cancelled, 'Old promo');
+
+    expect((await deleteColumn(board, cancelled, { deleteTasks: 'true' }, member)).status).toBe(403);
+
+    const res = await deleteColumn(board, cancelled, { deleteTasks: 'true' });
+    expect(res.body.tasksAffected).toBe(1);
+    expect((await getTask(task)).status).toBe(404);
+
+    const trash = await request(app).get(`/api/boards/${board.id}/trash`).set('Authorization', manager.auth);
+    expect(trash.body.map(entry => [entry.id, entry.deletedBy])).toEqual([[task.id, manager.id]]);
+  });
+});
@@ -0,0 +1,52 @@
+const { request, setupTestApp, teardownTestApp, createUser, createTeam } = require('./helpers');
+
+let app;
+let manager;
+let employee;
+let channel;
+let other;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  manager = await createUser({ role: 'manager' });
+  employee = await createUser();
+
+  const team = await createTeam(manager, [employee], { name: 'Deli' });
+
+  channel = (await request(app).post('/api/chat/channels').set('Authorization', manager.auth).send({ teamId: team.id, name: '#Floor' })).body;
+  other = (await request(app).post('/api/chat/channels').set('Authorization', manager.auth).send({ teamId: team.id, name: 'rota' })).body;
+});
+
+afterAll(teardownTestApp);
+
+const post = (channelId, content) =>
+  request(app).post(`/api/chat/channels/${channelId}/messages`).set('Authorization', manager.auth).send({ content });
+const markRead = body => request(app).post(`/api/chat/channels/${channel.id}/read`).set('Authorization', employee.auth).send(body);
+
+describe('read cursors', () => {
+  it('count what arrived after the last read message', async () => {
+    expect(channel.name).toBe('floor');
+
+    const first = (await post(channel.id, 'Opening at 7')).body;
+    await post(channel.id, 'Bring the keys');
+
+    const read = await markRead({ messageId: first.id });
+    expect(read.status).toBe(200);
+    expect(read.body.unreadCount).toBe(1);
+
+    expect((await markRead({})).body.unreadCount).toBe(0);
+    await post(channel.id, 'Thanks');
+    expect((await markRead({ messageId: first.id })).body.unreadCount).toBe(1);
+  });
+
+  it('only accept messages of the channel', async () => {
+    const elsewhere = (await post(other.id, 'Swap anyone?')).body;
+
+    expect((await markRead({ messageId: 'abc' })).status).toBe(400);
+    expect((await markRead({ messageId: 1e15 })).status).toBe(400);
+    expect((await markRead({ messageId: elsewhere.id })).status).toBe(400);
+
+    const channels = await request(app).get('/api/chat/channels').set('Authorization', employee.auth);
+    expect(channels.body.find(entry => entry.id === channel.id).unreadCount).toBe(1);
+  });
+});
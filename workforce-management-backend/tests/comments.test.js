@@ -0,0 +1,107 @@
+const { request, setupTestApp, teardownTestApp, createUser, createTeam } = require('./helpers');
+
+let app;
+let manager;
+let author;
+let teammate;
+let outsider;
+let task;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  manager = await createUser({ role: 'manager' });
+  author = await createUser();
+  teammate = await createUser();
+  outsider = await createUser();
+
+  const team = await createTeam(manager, [author, teammate]);
+  const board = (await request(app).post('/api/boards').set('Authorization', manager.auth).send({ name: 'Ops', teamId: team.id })).body;
+  task = (await request(app).post('/api/tasks').set('Authorization', author.auth).send({ title: 'Restock', boardId: board.id })).body;
+});
+
+afterAll(teardownTestApp);
+
+const comments = () => request(app).get(`/api/tasks/${task.id}/comments`);
+const addComment = (user, content) =>
+  request(app).post(`/api/tasks/${task.id}/comments`).set('Authorization', user.auth).send({ content });
+const editComment = (user, comment, content) =>
+  request(app).put(`/api/tasks/${task.id}/comments/${comment.id}`).set('Authorization', user.auth).send({ content });
+const deleteComment = (user, comment) =>
+  request(app).delete(`/api/tasks/${task.id}/comments/${comment.id}`).set('Authorization', user.auth);
+
+// The part of a test user's email before the @
+const handleOf = user => user.email.split('@')[0];
+
+describe('listing', () => {
+  it('pages through comments oldest first', async () => {
+    for (const content of ['First', 'Second', 'Third']) {
+      expect((await addComment(author, content)).status).toBe(201);
+    }
+
+    const first = await comments().query({ limit: 2 }).set('Authorization', teammate.auth);
+    expect(first.body.comments.map(comment => comment.content)).toEqual(['First', 'Second']);
+    expect(first.body.pagination).toEqual({ page: 1, limit: 2, total: 3, totalPages: 2 });
+
+    const second = await comments().query({ limit: 2, page: 2 }).set('Authorization', teammate.auth);
+    expect(second.body.comments.map(comment => comment.content)).toEqual(['Third']);
+  });
+
+  it('is limited to people who can see the task', async () => {
+    expect((await comments().set('Authorization', outsider.auth)).status).toBe(404);
+    expect((await addComment(outsider, 'Hello?')).status).toBe(404);
+  });
+
+  it('rejects empty comments', async () => {
+    const res = await addComment(author, '   ');
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('editing and deleting', () => {
+  let comment;
+
+  beforeAll(async () => {
+    comment = (await addComment(author, 'Shelves are empty')).body;
+  });
+
+  it('is up to the author', async () => {
+    expect((await editComment(teammate, comment, 'Not mine')).status).toBe(403);
+    expect((await deleteComment(teammate, comment)).status).toBe(403);
+
+    const res = await editComment(author, comment, 'Shelves are half empty');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ content: 'Shelves are half empty', edited: true, userId: author.id });
+  });
+
+  it('or a manager', async () => {
+    expect((await editComment(manager, comment, 'Moderated')).body.content).toBe('Moderated');
+
+    expect((await deleteComment(manager, comment)).status).toBe(200);
+    const list = await comments().query({ limit: 100 }).set('Authorization', author.auth);
+    expect(list.body.comments.map(entry => entry.id)).not.toContain(comment.id);
+    expect((await deleteComment(manager, comment)).status).toBe(404);
+  });
+});
+
+describe('mentions', () => {
+  it('records mentioned users who can see the task', async () => {
+    const res = await addComment(
+      author,
+      `Thanks @${handleOf(teammate)}! Also @${handleOf(outsider)}, @nobody and mail@${handleOf(manager)}`
+    );
+    expect(res.status).toBe(201);
+    expect(res.body.mentions).toEqual([teammate.id]);
+  });
+
+  it('accepts full email addresses and trailing punctuation', async () => {
+    const res = await addComment(author, `cc @${manager.email}, @${handleOf(teammate)}.`);
+    expect(res.body.mentions.sort()).toEqual([manager.id, teammate.id].sort());
+  });
+
+  it('replaces the mentions when the comment is edited', async () => {
+    const comment = (await addComment(author, `@${handleOf(teammate)} can you check?`)).body;
+
+    const res = await editComment(author, comment, `@${handleOf(manager)} can you check?`);
+    expect(res.body.mentions).toEqual([manager.id]);
+  });
+});
@@ -0,0 +1,133 @@
+const { request, setupTestApp, teardownTestApp, createUser } = require('./helpers');
+
+let app;
+let manager;
+let employee;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  manager = await createUser({ role: 'manager' });
+  employee = await createUser();
+});
+
+afterAll(teardownTestApp);
+
+async function createTask(user, title) {
+  const res = await request(app).post('/api/tasks').set('Authorization', user.auth).send({ title });
+  return res.body;
+}
+
+function addBlocker(user, task, blocker) {
+  return request(app)
+    .post(`/api/tasks/${task.id}/dependencies`)
+    .set('Authorization', user.auth)
+    .send({ dependsOnId: blocker.id });
+}
+
+function setStatus(user, task, status, query = {}) {
+  return request(app).patch(`/api/tasks/${task.id}`).query(query).set('Authorization', user.auth).send({ status });
+}
+
+describe('adding dependencies', () => {
+  it('links a blocker and shows both sides on GET /tasks/:id', async () => {
+    const design = await createTask(employee, 'Design');
+    const build = await createTask(employee, 'Build');
+
+    const res = await addBlocker(employee, build, design);
+    expect(res.status).toBe(201);
+    expect(res.body.blocked).toBe(true);
+    expect(res.body.blockers.map(t => t.id)).toEqual([design.id]);
+
+    const blocked = await request(app).get(`/api/tasks/${build.id}`).set('Authorization', employee.auth);
+    expect(blocked.body).toMatchObject({ blocked: true, dependents: [] });
+    expect(blocked.body.blockers[0]).toMatchObject({ id: design.id, title: 'Design', finished: false });
+
+    const blocking = await request(app).get(`/api/tasks/${design.id}`).set('Authorization', employee.auth);
+    expect(blocking.body).toMatchObject({ blocked: false, blockers: [] });
+    expect(blocking.body.dependents.map(t => t.id)).toEqual([build.id]);
+  });
+
+  it('rejects self-dependencies, duplicates and cycles', async () => {
+    const a = await createTask(employee, 'A');
+    const b = await createTask(employee, 'B');
+    const c = await createTask(employee, 'C');
+
+    expect((await addBlocker(employee, a, a)).status).toBe(400);
+
+    expect((await addBlocker(employee, b, a)).status).toBe(201);
+    expect((await addBlocker(employee, b, a)).status).toBe(409);
+    expect((await addBlocker(employee, c, b)).status).toBe(201);
+
+    const cycle = await addBlocker(employee, a, c);
+    expect(cycle.status).toBe(409);
+    expect(cycle.body.error).toMatch(/cycle/);
+  });
+
+  it('only links tasks the caller can see and edit', async () => {
+    const mine = await createTask(employee, 'Mine');
+    const hidden = await createTask(await createUser(), 'Hidden');
+    const managers = await createTask(manager, 'Manager task');
+
+    expect((await addBlocker(employee, mine, hidden)).status).toBe(404);
+    expect((await addBlocker(employee, managers, mine)).status).toBe(404);
+  });
+});
+
+describe('blocked status changes', () => {
+  let blocker;
+  let task;
+
+  beforeAll(async () => {
+    blocker = await createTask(manager, 'Pour the foundation');
+    task = await createTask(manager, 'Raise the walls');
+    await addBlocker(manager, task, blocker);
+  });
+
+  it('refuses to start a task with unfinished blockers', async () => {
+    const res = await setStatus(manager, task, 'in_progress');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Task is blocked by 1 unfinished task(s)');
+    expect(res.body.blockers.map(t => t.id)).toEqual([blocker.id]);
+  });
+
+  it('still allows other edits', async () => {
+    const res = await setStatus(manager, task, 'review');
+    expect(res.status).toBe(200);
+  });
+
+  it('lets managers force the move', async () => {
+    const res = await setStatus(manager, task, 'in_progress', { force: 'true' });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('in_progress');
+  });
+
+  it('allows the move once blockers are finished', async () => {
+    await setStatus(manager, task, 'todo');
+    await setStatus(manager, blocker, 'completed');
+
+    const res = await setStatus(manager, task, 'completed');
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('removing dependencies', () => {
+  it('unlinks a blocker', async () => {
+    const blocker = await createTask(employee, 'Order parts');
+    const task = await createTask(employee, 'Assemble');
+    await addBlocker(employee, task, blocker);
+
+    const res = await request(app)
+      .delete(`/api/tasks/${task.id}/dependencies/${blocker.id}`)
+      .set('Authorization', employee.auth);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ blockers: [], blocked: false });
+
+    const again = await request(app)
+      .delete(`/api/tasks/${task.id}/dependencies/${blocker.id}`)
+      .set('Authorization', employee.auth);
+    expect(again.status).toBe(404);
+
+    expect((await setStatus(employee, task, 'in_progress')).status).toBe(200);
+  });
+});
@@ -0,0 +1,106 @@
+const { request, setupTestApp, teardownTestApp, createUser } = require('./helpers');
+
+let app;
+let employee;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  employee = await createUser();
+});
+
+afterAll(teardownTestApp);
+
+describe('service endpoints', () => {
+  it('reports health', async () => {
+    const res = await request(app).get('/health');
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+
+  it('describes the API', async () => {
+    const res = await request(app).get('/api');
+    expect(res.status).toBe(200);
+    expect(res.body.endpoints.tasks.list).toMatch(/^GET \/api\/tasks/);
+  });
+});
+
+describe('authentication errors', () => {
+  it('requires a token', async () => {
+    const res = await request(app).get('/api/tasks');
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Access token required');
+  });
+
+  it('rejects an invalid token', async () => {
+    const res = await request(app).get('/api/tasks').set('Authorization', 'Bearer not-a-jwt');
+    expect(res.status).toBe(403);
+  });
+
+  it('keeps admin routes to admins', async () => {
+    const denied = await request(app).get('/api/users').set('Authorization', employee.auth);
+    expect(denied.status).toBe(403);
+
+    const admin = await createUser({ role: 'admin' });
+    const allowed = await request(app).get('/api/users').set('Authorization', admin.auth);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.users.map(user => user.email)).toContain(employee.email);
+  });
+});
+
+describe('request errors', () => {
+  it('returns 404 for unknown routes', async () => {
+    const res = await request(app).get('/api/nothing-here');
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatch(/Not Found/);
+  });
+
+  it('returns 400 for malformed JSON', async () => {
+    const res = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', employee.auth)
+      .set('Content-Type', 'application/json')
+      .send('{"title": ');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Malformed JSON in request body');
+  });
+
+  it('rejects a body that is not an object', async () => {
+    const res = await request(app).post('/api/tasks').set('Authorization', employee.auth).send(['a task']);
+    expect(res.status).toBe(400);
+  });
+
+  it('validates bodies instead of failing on unexpected types', async () => {
+    const channel = await request(app).post('/api/chat/channels').set('Authorization', employee.auth).send({ teamId: 1, name: 42 });
+    expect(channel.status).toBe(400);
+    expect(channel.body.error).toBe('name must be a string');
+
+    const windows = await request(app).put('/api/shifts/availability').set('Authorization', employee.auth).send({ windows: [null] });
+    expect(windows.status).toBe(400);
+
+    const unknown = await request(app)
+      .post('/api/chat/channels/direct')
+      .set('Authorization', employee.auth)
+      .send({ userId: 1, admin: true });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown field: admin');
+  });
+
+  it('returns 404 for missing resources', async () => {
+    const task = await request(app).get('/api/tasks/999999').set('Authorization', employee.auth);
+    expect(task.status).toBe(404);
+
+    const board = await request(app).get('/api/boards/999999').set('Authorization', employee.auth);
+    expect(board.status).toBe(404);
+  });
+
+  it('answers CORS preflight for PATCH', async () => {
+    const res = await request(app)
+      .options('/api/tasks/1')
+      .set('Origin', 'http://localhost:5173')
+      .set('Access-Control-Request-Method', 'PATCH');
+
+    expect(res.status).toBe(204);
+    expect(res.headers['access-control-allow-methods']).toMatch(/PATCH/);
+  });
+});
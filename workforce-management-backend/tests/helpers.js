@@ -0,0 +1,174 @@
+// tests/helpers.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+/**
+ * Integration test harness. Every test file gets its own freshly migrated libSQL
+ * database in a temp file, the real app from app.js, captured mail and in-memory
+ * file storage. Require it before anything that loads config/database:
+ *
+ *   const { setupTestApp, teardownTestApp, createUser, request } = require('./helpers');
+ *
+ *   let app;
+ *   beforeAll(async () => { app = await setupTestApp(); });
+ *   afterAll(teardownTestApp);
+ */
+
+const DB_FILE = path.join(os.tmpdir(), `workflow-pro-test-${process.pid}-${crypto.randomBytes(6).toString('hex')}.db`);
+
+process.env.TURSO_DATABASE_URL = `file:${DB_FILE}`;
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { client, executeQuery } = require('../config/database');
+const { setTransport } = require('../config/mailer');
+const { setStorage } = require('../config/storage');
+const { generateToken } = require('../middleware/auth');
+const { createApp } = require('../app');
+const { up } = require('../scripts/migrate');
+
+// Messages "sent" through config/mailer, oldest first
+const sentMail = [];
+
+// The app of the current test file, for the fixtures below
+let app;
+
+function createMemoryStorage() {
+  const files = new Map();
+  return {
+    files,
+    async put(key, buffer) {
+      files.set(key, Buffer.from(buffer));
+    },
+    async get(key) {
+      return files.has(key) ? Readable.from([files.get(key)]) : null;
+    },
+    async remove(key) {
+      files.delete(key);
+    }
+  };
+}
+
+async function setupTestApp() {
+  await up({ client });
+
+  sentMail.length = 0;
+  setTransport({
+    sendMail: async message => {
+      sentMail.push(message);
+      return { messageId: `test-${sentMail.length}` };
+    }
+  });
+  setStorage(createMemoryStorage());
+
+  app = createApp({ logRequests: false });
+  return app;
+}
+
+async function teardownTestApp() {
+  client.close();
+  for (const suffix of ['', '-journal', '-wal', '-shm']) {
+    fs.rmSync(`${DB_FILE}${suffix}`, { force: true });
+  }
+}
+
+let userCount = 0;
+
+/**
+ * createUser({ role, status, password, firstName, lastName })
+ * Inserts an active, verified user. Returns the row plus `auth`, a ready
+ * "Bearer <token>" Authorization header, and the plain `password`.
+ */
+async function createUser({ role = 'employee', status = 'active', password = 'Password123!', firstName, lastName } = {}) {
+  userCount++;
+  const hash = await bcrypt.hash(password, 4);
+  const result = await executeQuery(
+    `INSERT INTO users (email, password_hash, first_name, last_name, role, status, email_verified_at)
+     VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP) RETURNING *`,
+    [`user${userCount}@test.local`, hash, firstName || 'Test', lastName || `User${userCount}`, role, status]
+  );
+
+  const user = result.rows[0];
+  return { ...user, password, auth: `Bearer ${generateToken(user)}` };
+}
+
+let teamCount = 0;
+
+/**
+ * createTeam(manager, members, { name })
+ * Creates a team managed by `manager` (a createUser result) through the API and
+ * adds `members` to it. Returns the team.
+ */
+async function createTeam(manager, members = [], { name } = {}) {
+  teamCount++;
+  const res = await request(app)
+    .post('/api/teams')
+    .set('Authorization', manager.auth)
+    .send({ name: name || `Team ${teamCount}` });
+  expect(res.status).toBe(201);
+
+  for (const member of members) {
+    await request(app)
+      .post(`/api/teams/${res.body.id}/members`)
+      .set('Authorization', manager.auth)
+      .send({ userId: member.id });
+  }
+  return res.body;
+}
+
+/**
+ * createShift(manager, { teamId, userId, startTime, endTime, ... }, { publish })
+ * Creates a shift through the API and, unless `publish` is false, publishes the
+ * schedule of its week. Returns the shift.
+ */
+async function createShift(manager, shift, { publish = true } = {}) {
+  const res = await request(app).post('/api/shifts').set('Authorization', manager.auth).send(shift);
+  expect(res.status).toBe(201);
+  if (!publish) return res.body;
+
+  await request(app)
+    .post(`/api/shifts/schedules/${res.body.scheduleId}/publish`)
+    .set('Authorization', manager.auth);
+  return { ...res.body, status: 'published' };
+}
+
+/**
+ * beforeNextBatch(...statements)
+ * Runs the { sql, args } statements right before the app's next executeBatch, as
+ * if a concurrent request had got there first. Returns the jest spy; restore it.
+ */
+function beforeNextBatch(...statements) {
+  const batch = client.batch.bind(client);
+  return jest.spyOn(client, 'batch').mockImplementationOnce(async (...params) => {
+    await batch(statements, 'write');
+    return batch(...params);
+  });
+}
+
+/**
+ * Token from the link in the last mail sent to `email`
+ */
+function tokenFromMail(email) {
+  const message = [...sentMail].reverse().find(mail => mail.to === email);
+  const match = message && message.text.match(/token=([^\s&]+)/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  request,
+  executeQuery,
+  sentMail,
+  setupTestApp,
+  teardownTestApp,
+  createUser,
+  createTeam,
+  createShift,
+  beforeNextBatch,
+  tokenFromMail
+};
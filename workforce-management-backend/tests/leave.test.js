@@ -0,0 +1,217 @@
+const { addDays, format } = require('date-fns');
+const {
+  request,
+  setupTestApp,
+  teardownTestApp,
+  createUser,
+  createTeam,
+  beforeNextBatch,
+  executeQuery
+} = require('./helpers');
+
+let app;
+let admin;
+let manager;
+let employee;
+let teammate;
+let team;
+
+const inDays = days => format(addDays(new Date(), days), 'yyyy-MM-dd');
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  admin = await createUser({ role: 'admin' });
+  manager = await createUser({ role: 'manager' });
+  employee = await createUser();
+  teammate = await createUser();
+
+  team = await createTeam(manager, [employee, teammate], { name: 'Front desk' });
+});
+
+afterAll(teardownTestApp);
+
+const balanceOf = async (user, type) => {
+  const res = await request(app).get('/api/leave/balances').set('Authorization', user.auth);
+  return res.body.find(entry => entry.type === type);
+};
+
+const requestLeave = (user, body) => request(app).post('/api/leave/requests').set('Authorization', user.auth).send(body);
+
+describe('balances', () => {
+  it('accrues monthly since the user joined, per policy', async () => {
+    const veteran = await createUser();
+    await executeQuery(
+      `UPDATE users SET created_at = datetime('now', 'start of month', '-3 months') WHERE id = ?`,
+      [veteran.id]
+    );
+
+    const res = await request(app).get('/api/leave/balances').set('Authorization', veteran.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.map(entry => [entry.type, entry.balance])).toEqual([
+      ['personal', 0.75],
+      ['sick', 1.5],
+      ['vacation', 3.75]
+    ]);
+
+    // Reading again does not credit the month twice
+    expect((await balanceOf(veteran, 'vacation')).balance).toBe(3.75);
+  });
+
+  it('lets admins adjust balances and policies', async () => {
+    const adjust = await request(app)
+      .post('/api/leave/balances/adjust')
+      .set('Authorization', admin.auth)
+      .send({ userId: employee.id, type: 'vacation', days: 10 });
+    expect(adjust.status).toBe(200);
+    expect(adjust.body.find(entry => entry.type === 'vacation')).toMatchObject({ balance: 10, available: 10 });
+
+    const forbidden = await request(app)
+      .post('/api/leave/balances/adjust')
+      .set('Authorization', manager.auth)
+      .send({ userId: employee.id, type: 'vacation', days: 10 });
+    expect(forbidden.status).toBe(403);
+
+    const policy = await request(app)
+      .put('/api/leave/policies/personal')
+      .set('Authorization', admin.auth)
+      .send({ maxBalance: 5 });
+    expect(policy.status).toBe(200);
+    expect(policy.body).toMatchObject({ type: 'personal', maxBalance: 5, accrualDaysPerMonth: 0.25 });
+  });
+});
+
+describe('requests', () => {
+  let vacation;
+
+  it('holds requested days against the balance', async () => {
+    expect((await requestLeave(employee, { type: 'vacation', startDate: inDays(10), endDate: inDays(30) })).status).toBe(400);
+
+    const res = await requestLeave(employee, { type: 'vacation', startDate: inDays(10), endDate: inDays(12), reason: 'Wedding' });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ type: 'vacation', days: 3, status: 'pending', reason: 'Wedding' });
+    vacation = res.body;
+
+    expect(await balanceOf(employee, 'vacation')).toMatchObject({ balance: 10, pending: 3, available: 7 });
+  });
+
+  it('rejects overlapping requests and allows sick leave without a balance', async () => {
+    const overlap = await requestLeave(employee, { type: 'personal', startDate: inDays(12), endDate: inDays(12) });
+    expect(overlap.status).toBe(409);
+
+    const sick = await requestLeave(teammate, { type: 'sick', startDate: inDays(1), endDate: inDays(2) });
+    expect(sick.status).toBe(201);
+  });
+
+  it('routes requests to the manager for approval', async () => {
+    const pending = await request(app).get('/api/leave/requests/pending').set('Authorization', manager.auth);
+    expect(pending.body.map(entry => entry.id)).toContain(vacation.id);
+
+    const notManager = await request(app)
+      .post(`/api/leave/requests/${vacation.id}/approve`)
+      .set('Authorization', teammate.auth)
+      .send({});
+    expect(notManager.status).toBe(404);
+
+    const res = await request(app)
+      .post(`/api/leave/requests/${vacation.id}/approve`)
+      .set('Authorization', manager.auth)
+      .send({ note: 'Enjoy' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'approved', reviewedBy: manager.id, reviewNote: 'Enjoy', shifts: [] });
+
+    expect(await balanceOf(employee, 'vacation')).toMatchObject({ balance: 7, pending: 0, available: 7 });
+
+    const again = await request(app)
+      .post(`/api/leave/requests/${vacation.id}/reject`)
+      .set('Authorization', manager.auth)
+      .send({});
+    expect(again.status).toBe(409);
+  });
+
+  it('blocks shift assignment on approved leave', async () => {
+    const res = await request(app)
+      .post('/api/shifts')
+      .set('Authorization', manager.auth)
+      .send({ teamId: team.id, userId: employee.id, startTime: `${inDays(11)}T09:00`, endTime: `${inDays(11)}T17:00` });
+
+    expect(res.status).toBe(409);
+    expect(res.body.conflicts[0]).toMatchObject({ type: 'leave', leaveRequestId: vacation.id });
+
+    const overridden = await request(app)
+      .post('/api/shifts')
+      .set('Authorization', manager.auth)
+      .send({
+        teamId: team.id,
+        userId: employee.id,
+        startTime: `${inDays(11)}T09:00`,
+        endTime: `${inDays(11)}T17:00`,
+        allowUnavailable: true
+      });
+    expect(overridden.status).toBe(409);
+  });
+
+  it('shows leave on the team calendar', async () => {
+    const member = await request(app)
+      .get('/api/leave/calendar')
+      .query({ teamId: team.id, from: inDays(0), to: inDays(40) })
+      .set('Authorization', teammate.auth);
+    expect(member.status).toBe(200);
+    expect(member.body.events).toHaveLength(1);
+    expect(member.body.events[0]).toMatchObject({ id: vacation.id, userId: employee.id, type: null, status: 'approved' });
+
+    const managed = await request(app)
+      .get('/api/leave/calendar')
+      .query({ teamId: team.id, from: inDays(0), to: inDays(40) })
+      .set('Authorization', manager.auth);
+    expect(managed.body.events.map(event => [event.type, event.status])).toEqual([
+      ['sick', 'pending'],
+      ['vacation', 'approved']
+    ]);
+
+    const feed = await request(app)
+      .get('/api/leave/calendar')
+      .query({ teamId: team.id, from: inDays(0), to: inDays(40), format: 'ics' })
+      .set('Authorization', teammate.auth);
+    expect(feed.headers['content-type']).toMatch(/text\/calendar/);
+    expect(feed.text).toContain(`DTSTART;VALUE=DATE:${inDays(10).replace(/-/g, '')}`);
+    expect(feed.text).toContain(`DTEND;VALUE=DATE:${inDays(13).replace(/-/g, '')}`);
+
+    const outsider = await request(app)
+      .get('/api/leave/calendar')
+      .query({ teamId: team.id })
+      .set('Authorization', (await createUser()).auth);
+    expect(outsider.status).toBe(404);
+  });
+
+  it('gives the days back when approved leave is cancelled', async () => {
+    const res = await request(app).post(`/api/leave/requests/${vacation.id}/cancel`).set('Authorization', employee.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('cancelled');
+
+    expect((await balanceOf(employee, 'vacation')).balance).toBe(10);
+  });
+});
+
+describe('concurrent reviews', () => {
+  it('deducts the balance once when another review lands first', async () => {
+    await request(app)
+      .post('/api/leave/balances/adjust')
+      .set('Authorization', admin.auth)
+      .send({ userId: teammate.id, type: 'vacation', days: 5 });
+    const leave = (await requestLeave(teammate, { type: 'vacation', startDate: inDays(40), endDate: inDays(40) })).body;
+
+    // The other approval's own batch: deduct, then mark the request approved
+    const spy = beforeNextBatch(
+      {
+        sql: `UPDATE leave_balances SET balance = balance - 1 WHERE user_id = ? AND leave_type = 'vacation'`,
+        args: [teammate.id]
+      },
+      { sql: `UPDATE leave_requests SET status = 'approved' WHERE id = ?`, args: [leave.id] }
+    );
+    const res = await request(app).post(`/api/leave/requests/${leave.id}/approve`).set('Authorization', manager.auth).send({});
+    spy.mockRestore();
+
+    expect(res.status).toBe(409);
+    expect((await balanceOf(teammate, 'vacation')).balance).toBe(4);
+  });
+});
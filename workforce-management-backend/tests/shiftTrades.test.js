@@ -0,0 +1,255 @@
+const { addDays, addMinutes, format, startOfWeek } = require('date-fns');
+const {
+  request,
+  setupTestApp,
+  teardownTestApp,
+  createUser,
+  createTeam,
+  createShift,
+  beforeNextBatch
+} = require('./helpers');
+
+let app;
+let manager;
+let alice;
+let bob;
+let carol;
+let team;
+
+// Monday two weeks ahead, so no shift has started
+const monday = addDays(startOfWeek(new Date(), { weekStartsOn: 1 }), 14);
+const day = offset => format(addDays(monday, offset), 'yyyy-MM-dd');
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  manager = await createUser({ role: 'manager' });
+  alice = await createUser({ firstName: 'Alice', lastName: 'Ng' });
+  bob = await createUser({ firstName: 'Bob', lastName: 'Ortiz' });
+  carol = await createUser({ firstName: 'Carol', lastName: 'Diaz' });
+
+  team = await createTeam(manager, [alice, bob, carol], { name: 'Kitchen' });
+});
+
+afterAll(teardownTestApp);
+
+// A published shift of `user` (null: open) on `date`
+const shiftOn = (user, date, from = '09:00', to = '17:00') =>
+  createShift(manager, { teamId: team.id, userId: user ? user.id : null, startTime: `${date}T${from}`, endTime: `${date}T${to}` });
+
+const offer = (user, shift, type) =>
+  request(app).post('/api/shifts/trades').set('Authorization', user.auth).send({ shiftId: shift.id, type });
+const claim = (user, trade, body = {}) =>
+  request(app).post(`/api/shifts/trades/${trade.id}/claim`).set('Authorization', user.auth).send(body);
+const review = (user, trade, action) =>
+  request(app).post(`/api/shifts/trades/${trade.id}/${action}`).set('Authorization', user.auth).send({});
+const assigneeOf = async shift =>
+  (await request(app).get(`/api/shifts/${shift.id}`).set('Authorization', manager.auth)).body.userId;
+
+describe('drops', () => {
+  it('hands a shift to the teammate who claims it once the manager approves', async () => {
+    const shift = await shiftOn(alice, day(0));
+
+    const offered = await offer(alice, shift, 'drop');
+    expect(offered.status).toBe(201);
+    expect(offered.body).toMatchObject({ type: 'drop', status: 'open', offeredBy: alice.id, claimedBy: null });
+
+    const market = await request(app).get('/api/shifts/trades').query({ status: 'open' }).set('Authorization', bob.auth);
+    expect(market.body.map(trade => trade.id)).toContain(offered.body.id);
+
+    expect((await offer(alice, shift, 'drop')).status).toBe(409);
+    expect((await claim(alice, offered.body)).status).toBe(400);
+
+    const claimed = await claim(bob, offered.body);
+    expect(claimed.status).toBe(200);
+    expect(claimed.body).toMatchObject({ status: 'claimed', claimedBy: bob.id, claimedByName: 'Bob Ortiz' });
+    expect(await assigneeOf(shift)).toBe(alice.id);
+
+    expect((await review(bob, offered.body, 'approve')).status).toBe(403);
+    const approved = await review(manager, offered.body, 'approve');
+    expect(approved.status).toBe(200);
+    expect(approved.body).toMatchObject({ status: 'approved', reviewedBy: manager.id });
+    expect(await assigneeOf(shift)).toBe(bob.id);
+  });
+
+  it('only lets people offer their own shifts', async () => {
+    const shift = await shiftOn(carol, day(1));
+    expect((await offer(alice, shift, 'drop')).status).toBe(400);
+  });
+});
+
+describe('swaps', () => {
+  it('exchanges the two shifts on approval', async () => {
+    const mine = await shiftOn(alice, day(2));
+    const theirs = await shiftOn(bob, day(3));
+
+    const trade = (await offer(alice, mine, 'swap')).body;
+    expect((await claim(bob, trade)).status).toBe(400);
+
+    const claimed = await claim(bob, trade, { swapShiftId: theirs.id });
+    expect(claimed.status).toBe(200);
+    expect(claimed.body.swapShift).toMatchObject({ id: theirs.id });
+
+    expect((await review(manager, trade, 'approve')).status).toBe(200);
+    expect(await assigneeOf(mine)).toBe(bob.id);
+    expect(await assigneeOf(theirs)).toBe(alice.id);
+  });
+});
+
+describe('reviewing', () => {
+  it('leaves the shifts alone when the trade is cancelled during approval', async () => {
+    const shift = await shiftOn(alice, day(15));
+    const trade = (await offer(alice, shift, 'drop')).body;
+    await claim(bob, trade);
+
+    const spy = beforeNextBatch({ sql: `UPDATE shift_trades SET status = 'cancelled' WHERE id = ?`, args: [trade.id] });
+    const res = await review(manager, trade, 'approve');
+    spy.mockRestore();
+
+    expect(res.status).toBe(409);
+    expect(await assigneeOf(shift)).toBe(alice.id);
+  });
+
+  it('does not approve a swap whose shift is reassigned during approval', async () => {
+    const mine = await shiftOn(alice, day(16));
+    const theirs = await shiftOn(bob, day(17));
+    const trade = (await offer(alice, mine, 'swap')).body;
+    await claim(bob, trade, { swapShiftId: theirs.id });
+
+    const spy = beforeNextBatch({ sql: 'UPDATE shifts SET user_id = ? WHERE id = ?', args: [carol.id, theirs.id] });
+    const res = await review(manager, trade, 'approve');
+    spy.mockRestore();
+
+    expect(res.status).toBe(409);
+    expect(await assigneeOf(mine)).toBe(alice.id);
+    expect(await assigneeOf(theirs)).toBe(carol.id);
+    const reloaded = await request(app).get('/api/shifts/trades').query({ teamId: team.id }).set('Authorization', manager.auth);
+    expect(reloaded.body.find(entry => entry.id === trade.id).status).toBe('claimed');
+  });
+});
+
+describe('eligibility', () => {
+  it('refuses claims that would overlap the claimer\'s shifts', async () => {
+    const shift = await shiftOn(alice, day(4), '08:00', '12:00');
+    await shiftOn(carol, day(4), '10:00', '14:00');
+
+    const trade = (await offer(alice, shift, 'drop')).body;
+    const check = await request(app).get(`/api/shifts/trades/${trade.id}/check`).set('Authorization', carol.auth);
+    expect(check.body.ok).toBe(false);
+
+    const res = await claim(carol, trade);
+    expect(res.status).toBe(409);
+    expect(res.body.conflicts[0]).toMatchObject({ type: 'overlap', userId: carol.id });
+  });
+
+  it('applies the team\'s weekly hour limit', async () => {
+    const updated = await request(app).put(`/api/teams/${team.id}`).set('Authorization', manager.auth).send({ maxWeeklyHours: 16 });
+    expect(updated.body.maxWeeklyHours).toBe(16);
+
+    // The week after: Carol works 4 hours, takes one 8-hour shift (12) but not a second (20)
+    await shiftOn(carol, day(8), '18:00', '22:00');
+    const first = await shiftOn(alice, day(11));
+    const second = await shiftOn(alice, day(12));
+
+    const firstTrade = (await offer(alice, first, 'drop')).body;
+    expect((await claim(carol, firstTrade)).status).toBe(200);
+    expect((await review(manager, firstTrade, 'approve')).status).toBe(200);
+
+    const secondTrade = (await offer(alice, second, 'drop')).body;
+    const res = await claim(carol, secondTrade);
+    expect(res.status).toBe(409);
+    expect(res.body.conflicts.map(conflict => conflict.type)).toEqual(['max_hours']);
+
+    const direct = await request(app)
+      .post('/api/shifts')
+      .set('Authorization', manager.auth)
+      .send({ teamId: team.id, userId: carol.id, startTime: `${day(13)}T09:00`, endTime: `${day(13)}T14:00` });
+    expect(direct.status).toBe(409);
+
+    await request(app).put(`/api/teams/${team.id}`).set('Authorization', manager.auth).send({ maxWeeklyHours: null });
+  });
+
+  it('refuses approval once the claimer has left the team', async () => {
+    const dave = await createUser({ firstName: 'Dave', lastName: 'Kim' });
+    await request(app).post(`/api/teams/${team.id}/members`).set('Authorization', manager.auth).send({ userId: dave.id });
+
+    const shift = await shiftOn(alice, day(6));
+    const trade = (await offer(alice, shift, 'drop')).body;
+    expect((await claim(dave, trade)).status).toBe(200);
+
+    const removed = await request(app).delete(`/api/teams/${team.id}/members/${dave.id}`).set('Authorization', manager.auth);
+    expect(removed.status).toBe(200);
+
+    const res = await review(manager, trade, 'approve');
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('The claimer is no longer a member of this team');
+    expect(await assigneeOf(shift)).toBe(alice.id);
+  });
+});
+
+describe('attendance', () => {
+  // A published shift of `user` starting in 30 minutes, so clock-in is open
+  const upcomingShift = user => {
+    const at = minutes => format(addMinutes(new Date(), minutes), "yyyy-MM-dd'T'HH:mm");
+    return createShift(manager, { teamId: team.id, userId: user.id, startTime: at(30), endTime: at(150) });
+  };
+  const clockIn = user => request(app).post('/api/attendance/clock-in').set('Authorization', user.auth).send({});
+
+  it('keeps a shift with its assignee once they clocked in', async () => {
+    const shift = await upcomingShift(alice);
+    const trade = (await offer(alice, shift, 'drop')).body;
+    expect((await claim(bob, trade)).status).toBe(200);
+    expect((await clockIn(alice)).status).toBe(201);
+
+    const res = await review(manager, trade, 'approve');
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Attendance has been recorded for this shift; it cannot be traded');
+    expect(await assigneeOf(shift)).toBe(alice.id);
+
+    const clock = await request(app).get('/api/attendance/clock').set('Authorization', alice.auth);
+    expect(clock.body.clockedIn.shiftId).toBe(shift.id);
+  });
+
+  it('refuses offers and claims of shifts that were clocked in for', async () => {
+    const shift = await upcomingShift(carol);
+    const trade = (await offer(carol, shift, 'drop')).body;
+    expect((await clockIn(carol)).status).toBe(201);
+
+    expect((await claim(bob, trade)).status).toBe(409);
+    await request(app).post(`/api/shifts/trades/${trade.id}/cancel`).set('Authorization', carol.auth);
+    expect((await offer(carol, shift, 'drop')).status).toBe(409);
+  });
+});
+
+describe('open shifts', () => {
+  it('can be picked up, pending the manager', async () => {
+    const open = await shiftOn(null, day(0), '18:00', '22:00');
+
+    const listed = await request(app).get('/api/shifts/trades/open-shifts').set('Authorization', carol.auth);
+    expect(listed.body.map(shift => shift.id)).toContain(open.id);
+
+    const picked = await offer(carol, open, 'pickup');
+    expect(picked.status).toBe(201);
+    expect(picked.body).toMatchObject({ type: 'pickup', status: 'claimed', offeredBy: null, claimedBy: carol.id });
+
+    const after = await request(app).get('/api/shifts/trades/open-shifts').set('Authorization', carol.auth);
+    expect(after.body.map(shift => shift.id)).not.toContain(open.id);
+
+    const rejected = await review(manager, picked.body, 'reject');
+    expect(rejected.body.status).toBe('rejected');
+    expect(await assigneeOf(open)).toBeNull();
+  });
+});
+
+describe('cancelling', () => {
+  it('withdraws an offer so the shift can be offered again', async () => {
+    const shift = await shiftOn(bob, day(5), '18:00', '22:00');
+    const trade = (await offer(bob, shift, 'drop')).body;
+
+    expect((await request(app).post(`/api/shifts/trades/${trade.id}/cancel`).set('Authorization', alice.auth)).status).toBe(404);
+    const res = await request(app).post(`/api/shifts/trades/${trade.id}/cancel`).set('Authorization', bob.auth);
+    expect(res.body.status).toBe('cancelled');
+
+    expect((await claim(alice, trade)).status).toBe(409);
+    expect((await offer(bob, shift, 'drop')).status).toBe(201);
+  });
+});
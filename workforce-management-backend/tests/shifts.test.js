@@ -0,0 +1,53 @@
+const { request, setupTestApp, teardownTestApp, createUser, createTeam } = require('./helpers');
+
+let app;
+let manager;
+let otherManager;
+let employee;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  manager = await createUser({ role: 'manager' });
+  otherManager = await createUser({ role: 'manager' });
+  employee = await createUser();
+
+  await createTeam(manager, [employee], { name: 'Warehouse' });
+});
+
+afterAll(teardownTestApp);
+
+describe('availability', () => {
+  const windows = [{ dayOfWeek: 1, startTime: '08:00', endTime: '16:00' }];
+
+  it('is managed by the user and the managers of their teams', async () => {
+    const own = await request(app).put('/api/shifts/availability').set('Authorization', employee.auth).send({ windows });
+    expect(own.status).toBe(200);
+    expect(own.body).toEqual([expect.objectContaining({ userId: employee.id, dayOfWeek: 1, startTime: '08:00' })]);
+
+    const managed = await request(app)
+      .get('/api/shifts/availability')
+      .query({ userId: employee.id })
+      .set('Authorization', manager.auth);
+    expect(managed.body).toHaveLength(1);
+  });
+
+  it('is closed to managers of other teams', async () => {
+    const read = await request(app)
+      .get('/api/shifts/availability')
+      .query({ userId: employee.id })
+      .set('Authorization', otherManager.auth);
+    expect(read.status).toBe(403);
+
+    const write = await request(app)
+      .put('/api/shifts/availability')
+      .set('Authorization', otherManager.auth)
+      .send({ userId: employee.id, windows: [] });
+    expect(write.status).toBe(403);
+
+    const check = await request(app)
+      .post('/api/shifts/check')
+      .set('Authorization', otherManager.auth)
+      .send({ userId: employee.id, startTime: '2030-01-07T09:00', endTime: '2030-01-07T17:00' });
+    expect(check.status).toBe(403);
+  });
+});
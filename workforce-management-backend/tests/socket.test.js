@@ -0,0 +1,141 @@
+const http = require('http');
+const { io: connectClient } = require('socket.io-client');
+const { request, setupTestApp, teardownTestApp, createUser, createTeam } = require('./helpers');
+const { initSocket } = require('../config/socket');
+
+let app;
+let io;
+let url;
+let manager;
+let member;
+let outsider;
+let team;
+let board;
+const clients = [];
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  const server = http.createServer(app);
+  io = initSocket(server, {});
+  await new Promise(resolve => server.listen(0, resolve));
+  url = `http://localhost:${server.address().port}`;
+
+  manager = await createUser({ role: 'manager' });
+  member = await createUser();
+  outsider = await createUser();
+  team = await createTeam(manager, [member]);
+  board = (await request(app).post('/api/boards').set('Authorization', manager.auth).send({ name: 'Live', teamId: team.id })).body;
+});
+
+afterAll(async () => {
+  clients.forEach(client => client.close());
+  await new Promise(resolve => io.close(resolve));
+  await teardownTestApp();
+});
+
+const tokenOf = user => user.auth.split(' ')[1];
+
+function connect(token) {
+  return new Promise((resolve, reject) => {
+    const client = connectClient(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+    clients.push(client);
+    client.on('connect', () => resolve(client));
+    client.on('connect_error', reject);
+  });
+}
+
+const emitWithAck = (client, event, ...args) => new Promise(resolve => client.emit(event, ...args, resolve));
+
+// Events the server sent before this returns have reached the client
+const roundTrip = client => emitWithAck(client, 'board:leave', 0);
+
+/**
+ * Connect as `user`, join the board and collect its task:created events
+ */
+async function watchBoard(user) {
+  const client = await connect(tokenOf(user));
+  const created = [];
+  client.on('task:created', event => created.push(event.task.title));
+  expect(await emitWithAck(client, 'board:join', board.id)).toEqual({ ok: true });
+  return { client, created };
+}
+
+const createTask = title =>
+  request(app).post('/api/tasks').set('Authorization', manager.auth).send({ title, boardId: board.id });
+
+describe('connecting', () => {
+  it('requires a valid access token of an active account', async () => {
+    await expect(connect()).rejects.toThrow('Access token required');
+    await expect(connect('not-a-token')).rejects.toThrow('Invalid or expired token');
+
+    const suspended = await createUser({ status: 'suspended' });
+    await expect(connect(tokenOf(suspended))).rejects.toThrow('Account is not active');
+
+    const client = await connect(tokenOf(member));
+    expect(client.connected).toBe(true);
+  });
+});
+
+describe('board rooms', () => {
+  it('deliver task events to the members who joined', async () => {
+    const { client, created } = await watchBoard(member);
+
+    const stranger = await connect(tokenOf(outsider));
+    expect(await emitWithAck(stranger, 'board:join', board.id)).toEqual({ ok: false, error: 'Board not found' });
+
+    expect((await createTask('Stock shelves')).status).toBe(201);
+    await roundTrip(client);
+    expect(created).toEqual(['Stock shelves']);
+  });
+
+  it('stop delivering after board:leave', async () => {
+    const { client, created } = await watchBoard(member);
+    expect(await emitWithAck(client, 'board:leave', board.id)).toEqual({ ok: true });
+
+    await createTask('Count till');
+    await roundTrip(client);
+    expect(created).toEqual([]);
+  });
+
+  it('accept joins without a callback', async () => {
+    const client = await connect(tokenOf(member));
+    client.emit('board:join', board.id, 'not a callback');
+    client.emit('board:leave', board.id, 42);
+
+    expect(await emitWithAck(client, 'board:join', board.id)).toEqual({ ok: true });
+  });
+
+  it('drop members removed from the board\'s team', async () => {
+    const leaver = await createUser();
+    await request(app).post(`/api/teams/${team.id}/members`).set('Authorization', manager.auth).send({ userId: leaver.id });
+    const { client, created } = await watchBoard(leaver);
+
+    await request(app).delete(`/api/teams/${team.id}/members/${leaver.id}`).set('Authorization', manager.auth);
+
+    await createTask('Lock up');
+    await roundTrip(client);
+    expect(created).toEqual([]);
+  });
+
+  it('announce the tasks trashed with their column', async () => {
+    const { client } = await watchBoard(member);
+    const deleted = [];
+    client.on('task:deleted', event => deleted.push(event.id));
+
+    const column = (await request(app)
+      .post(`/api/boards/${board.id}/columns`)
+      .set('Authorization', manager.auth)
+      .send({ name: 'Scrap' })).body;
+    const task = (await request(app)
+      .post('/api/tasks')
+      .set('Authorization', manager.auth)
+      .send({ title: 'Scrapped', boardId: board.id, columnId: column.id })).body;
+    await request(app)
+      .delete(`/api/boards/${board.id}/columns/${column.id}`)
+      .query({ deleteTasks: 'true' })
+      .set('Authorization', manager.auth);
+
+    await roundTrip(client);
+    expect(deleted).toEqual([task.id]);
+  });
+});
@@ -0,0 +1,148 @@
+const { request, setupTestApp, teardownTestApp, createUser } = require('./helpers');
+
+let app;
+let user;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  user = await createUser();
+});
+
+afterAll(teardownTestApp);
+
+async function createTask(body) {
+  const res = await request(app).post('/api/tasks').set('Authorization', user.auth).send(body);
+  return res.body;
+}
+
+const getTask = id => request(app).get(`/api/tasks/${id}`).set('Authorization', user.auth);
+
+describe('subtasks', () => {
+  let parent;
+
+  beforeAll(async () => {
+    const board = await request(app).post('/api/boards').set('Authorization', user.auth).send({ name: 'Launch' });
+    parent = await createTask({ title: 'Launch the store', boardId: board.body.id, estimatedHours: 2 });
+  });
+
+  it('puts a subtask on its parent\'s board', async () => {
+    const child = await createTask({ title: 'Print signs', parentId: parent.id, estimatedHours: 3, actualHours: 1 });
+    expect(child).toMatchObject({ parentId: parent.id, boardId: parent.boardId });
+  });
+
+  it('rolls hours and completion up to the parent', async () => {
+    const done = await createTask({ title: 'Stock shelves', parentId: parent.id, estimatedHours: 5, actualHours: 6 });
+    await request(app).patch(`/api/tasks/${done.id}`).set('Authorization', user.auth).send({ status: 'completed' });
+    await createTask({ title: 'Dropped idea', parentId: parent.id, status: 'cancelled', estimatedHours: 1 });
+
+    const res = await getTask(parent.id);
+    expect(res.status).toBe(200);
+    expect(res.body.rollup).toEqual({
+      subtasks: 3,
+      completedSubtasks: 1,
+      estimatedHours: 11,
+      actualHours: 7,
+      percentComplete: 50
+    });
+    expect(res.body.subtasks.map(t => t.title)).toEqual(['Print signs', 'Stock shelves', 'Dropped idea']);
+
+    const list = await request(app).get('/api/tasks').query({ parentId: parent.id }).set('Authorization', user.auth);
+    expect(list.body.tasks).toHaveLength(3);
+
+    const topLevel = await request(app).get('/api/tasks').query({ parentId: 'none' }).set('Authorization', user.auth);
+    expect(topLevel.body.tasks.find(t => t.id === parent.id).rollup.subtasks).toBe(3);
+  });
+
+  it('keeps subtasks one level deep', async () => {
+    const child = await createTask({ title: 'Child', parentId: parent.id });
+
+    const grandchild = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Grandchild', parentId: child.id });
+    expect(grandchild.status).toBe(400);
+
+    const other = await createTask({ title: 'Other' });
+    const nested = await request(app)
+      .patch(`/api/tasks/${parent.id}`)
+      .set('Authorization', user.auth)
+      .send({ parentId: other.id });
+    expect(nested.status).toBe(400);
+    expect(nested.body.error).toBe('A task with subtasks cannot become a subtask');
+
+    const self = await request(app).patch(`/api/tasks/${other.id}`).set('Authorization', user.auth).send({ parentId: other.id });
+    expect(self.status).toBe(400);
+  });
+});
+
+describe('checklists', () => {
+  let task;
+  const checklistUrl = () => `/api/tasks/${task.id}/checklist`;
+  const addItem = body => request(app).post(checklistUrl()).set('Authorization', user.auth).send(body);
+
+  beforeAll(async () => {
+    task = await createTask({ title: 'Open the shop' });
+  });
+
+  it('adds items in order, or at a position', async () => {
+    await addItem({ content: 'Unlock doors' });
+    await addItem({ content: 'Count the float' });
+    const first = await addItem({ content: 'Disarm alarm', position: 1 });
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ position: 1, isCompleted: false });
+
+    const res = await request(app).get(checklistUrl()).set('Authorization', user.auth);
+    expect(res.body.map(item => [item.position, item.content])).toEqual([
+      [1, 'Disarm alarm'],
+      [2, 'Unlock doors'],
+      [3, 'Count the float']
+    ]);
+  });
+
+  it('tracks completion in the task payload', async () => {
+    const [item] = (await request(app).get(checklistUrl()).set('Authorization', user.auth)).body;
+
+    const res = await request(app)
+      .patch(`${checklistUrl()}/${item.id}`)
+      .set('Authorization', user.auth)
+      .send({ isCompleted: true });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ isCompleted: true, completedBy: user.id });
+    expect(res.body.completedAt).toEqual(expect.any(String));
+
+    const fetched = await getTask(task.id);
+    expect(fetched.body.checklist).toEqual({ total: 3, completed: 1, percentComplete: 33 });
+    expect(fetched.body.checklistItems[0]).toMatchObject({ id: item.id, isCompleted: true });
+  });
+
+  it('reorders items', async () => {
+    const items = (await request(app).get(checklistUrl()).set('Authorization', user.auth)).body;
+    const reversed = items.map(item => item.id).reverse();
+
+    const res = await request(app).put(`${checklistUrl()}/reorder`).set('Authorization', user.auth).send({ itemIds: reversed });
+    expect(res.status).toBe(200);
+    expect(res.body.map(item => item.id)).toEqual(reversed);
+
+    const partial = await request(app)
+      .put(`${checklistUrl()}/reorder`)
+      .set('Authorization', user.auth)
+      .send({ itemIds: reversed.slice(1) });
+    expect(partial.status).toBe(400);
+  });
+
+  it('deletes an item and closes the gap', async () => {
+    const items = (await request(app).get(checklistUrl()).set('Authorization', user.auth)).body;
+
+    const res = await request(app).delete(`${checklistUrl()}/${items[0].id}`).set('Authorization', user.auth);
+    expect(res.status).toBe(200);
+
+    const remaining = (await request(app).get(checklistUrl()).set('Authorization', user.auth)).body;
+    expect(remaining.map(item => item.position)).toEqual([1, 2]);
+  });
+
+  it('only lets people who can edit the task change it', async () => {
+    const other = await createUser();
+    const res = await request(app).post(checklistUrl()).set('Authorization', other.auth).send({ content: 'Nope' });
+    expect(res.status).toBe(404);
+  });
+});
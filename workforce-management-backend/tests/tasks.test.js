@@ -0,0 +1,402 @@
+const { request, executeQuery, setupTestApp, teardownTestApp, createUser, createTeam } = require('./helpers');
+
+let app;
+let manager;
+let employee;
+let outsider;
+let board;
+
+beforeAll(async () => {
+  app = await setupTestApp();
+
+  manager = await createUser({ role: 'manager' });
+  employee = await createUser();
+  outsider = await createUser();
+
+  const team = await createTeam(manager, [employee], { name: 'Ops' });
+
+  const created = await request(app)
+    .post('/api/boards')
+    .set('Authorization', manager.auth)
+    .send({ name: 'Sprint', teamId: team.id });
+  board = created.body;
+});
+
+afterAll(teardownTestApp);
+
+function createTask(user, body) {
+  return request(app)
+    .post('/api/tasks')
+    .set('Authorization', user.auth)
+    .send({ boardId: board.id, columnId: board.columns[0].id, ...body });
+}
+
+describe('creating tasks', () => {
+  it('creates a task with defaults', async () => {
+    const res = await createTask(employee, { title: 'Restock shelves', tags: ['inventory', ' inventory '] });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      title: 'Restock shelves',
+      boardId: board.id,
+      createdBy: employee.id,
+      status: 'todo',
+      priority: 'medium',
+      tags: ['inventory']
+    });
+  });
+
+  it('requires a title', async () => {
+    const res = await createTask(employee, { description: 'No title' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ field: 'title', message: 'title is required' }]);
+  });
+
+  it('rejects invalid enums and unknown fields', async () => {
+    const badPriority = await createTask(employee, { title: 'x', priority: 'whenever' });
+    expect(badPriority.status).toBe(400);
+
+    const unknown = await createTask(employee, { title: 'x', estimated_hours: 3 });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown field: estimated_hours');
+  });
+
+  it('rejects a column from another board', async () => {
+    const other = await request(app).post('/api/boards').set('Authorization', employee.auth).send({ name: 'Mine' });
+    const res = await createTask(employee, { title: 'x', columnId: other.body.columns[0].id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Column does not belong to this board');
+  });
+
+  it('hides team boards from non-members', async () => {
+    const res = await createTask(outsider, { title: 'Sneaky' });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('reading tasks', () => {
+  let task;
+
+  beforeAll(async () => {
+    task = (await createTask(employee, { title: 'Quarterly inventory audit', priority: 'high' })).body;
+    await createTask(manager, { title: 'Team lunch', priority: 'low', assignedTo: employee.id });
+  });
+
+  it('gets a task by ID', async () => {
+    const res = await request(app).get(`/api/tasks/${task.id}`).set('Authorization', employee.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: task.id, title: 'Quarterly inventory audit' });
+  });
+
+  it('returns 404 for tasks outside the caller\'s teams', async () => {
+    const res = await request(app).get(`/api/tasks/${task.id}`).set('Authorization', outsider.auth);
+    expect(res.status).toBe(404);
+  });
+
+  it('filters, searches and sorts the list', async () => {
+    const high = await request(app).get('/api/tasks').query({ priority: 'high' }).set('Authorization', employee.auth);
+    expect(high.status).toBe(200);
+    expect(high.body.tasks.map(t => t.title)).toEqual(['Quarterly inventory audit']);
+
+    const search = await request(app).get('/api/tasks').query({ q: 'invent' }).set('Authorization', employee.auth);
+    expect(search.body.tasks.map(t => t.title)).toEqual(
+      expect.arrayContaining(['Quarterly inventory audit'])
+    );
+
+    const mine = await request(app).get('/api/tasks').query({ assignedTo: 'me' }).set('Authorization', employee.auth);
+    expect(mine.body.tasks.map(t => t.title)).toEqual(['Team lunch']);
+
+    const sorted = await request(app)
+      .get('/api/tasks')
+      .query({ sort: 'title', order: 'asc' })
+      .set('Authorization', employee.auth);
+    const titles = sorted.body.tasks.map(t => t.title.toLowerCase());
+    expect(titles).toEqual([...titles].sort());
+  });
+
+  it('paginates with a cursor', async () => {
+    const first = await request(app).get('/api/tasks').query({ limit: 1 }).set('Authorization', employee.auth);
+    expect(first.body.tasks).toHaveLength(1);
+    expect(first.body.pagination.nextCursor).toEqual(expect.any(String));
+
+    const second = await request(app)
+      .get('/api/tasks')
+      .query({ limit: 1, cursor: first.body.pagination.nextCursor })
+      .set('Authorization', employee.auth);
+    expect(second.body.tasks).toHaveLength(1);
+    expect(second.body.tasks[0].id).not.toBe(first.body.tasks[0].id);
+  });
+
+  it('rejects an invalid sort field', async () => {
+    const res = await request(app).get('/api/tasks').query({ sort: 'password' }).set('Authorization', employee.auth);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('updating tasks', () => {
+  let task;
+
+  beforeAll(async () => {
+    task = (await createTask(employee, { title: 'Fix the till', priority: 'medium' })).body;
+  });
+
+  it('patches some fields and records the diff', async () => {
+    const res = await request(app)
+      .patch(`/api/tasks/${task.id}`)
+      .set('Authorization', employee.auth)
+      .send({ status: 'review', assignedTo: employee.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'review', assignedTo: employee.id, title: 'Fix the till' });
+
+    const activity = await request(app).get(`/api/tasks/${task.id}/activity`).set('Authorization', employee.auth);
+    expect(activity.status).toBe(200);
+    expect(activity.body.activity[0]).toMatchObject({
+      action: 'updated',
+      actorId: employee.id,
+      changes: { status: { from: 'todo', to: 'review' }, assignedTo: { from: null, to: employee.id } }
+    });
+  });
+
+  it('resets omitted fields on PUT', async () => {
+    const res = await request(app)
+      .put(`/api/tasks/${task.id}`)
+      .set('Authorization', employee.auth)
+      .send({ title: 'Fix the till (again)', boardId: board.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ title: 'Fix the till (again)', status: 'todo', assignedTo: null, columnId: null });
+  });
+
+  it('pages through activity by cursor', async () => {
+    const url = `/api/tasks/${task.id}/activity`;
+    const first = await request(app).get(url).query({ limit: 1 }).set('Authorization', employee.auth);
+    expect(first.body.activity).toHaveLength(1);
+
+    const next = await request(app)
+      .get(url)
+      .query({ limit: 1, cursor: first.body.pagination.nextCursor })
+      .set('Authorization', employee.auth);
+    expect(next.body.activity[0].id).toBeLessThan(first.body.activity[0].id);
+
+    const invalid = await request(app).get(url).query({ cursor: 'abc' }).set('Authorization', employee.auth);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('rejects an empty PATCH', async () => {
+    const res = await request(app).patch(`/api/tasks/${task.id}`).set('Authorization', employee.auth).send({});
+    expect(res.status).toBe(400);
+  });
+
+  it('only lets the creator, assignee or a manager edit', async () => {
+    const other = await createUser();
+    const managerTask = (await createTask(manager, { title: 'Manager only' })).body;
+
+    const res = await request(app)
+      .patch(`/api/tasks/${managerTask.id}`)
+      .set('Authorization', employee.auth)
+      .send({ title: 'Hijacked' });
+    expect(res.status).toBe(403);
+
+    const stranger = await request(app)
+      .patch(`/api/tasks/${managerTask.id}`)
+      .set('Authorization', other.auth)
+      .send({ title: 'Hijacked' });
+    expect(stranger.status).toBe(404);
+  });
+});
+
+describe('deleting and restoring tasks', () => {
+  let task;
+
+  beforeAll(async () => {
+    task = (await createTask(employee, { title: 'Temporary' })).body;
+  });
+
+  it('moves the task to the board trash', async () => {
+    const res = await request(app).delete(`/api/tasks/${task.id}`).set('Authorization', employee.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.retentionDays).toEqual(expect.any(Number));
+
+    const gone = await request(app).get(`/api/tasks/${task.id}`).set('Authorization', employee.auth);
+    expect(gone.status).toBe(404);
+
+    const trash = await request(app).get(`/api/boards/${board.id}/trash`).set('Authorization', employee.auth);
+    expect(trash.body.map(t => t.id)).toContain(task.id);
+  });
+
+  it('restores it', async () => {
+    const res = await request(app).post(`/api/tasks/${task.id}/restore`).set('Authorization', employee.auth);
+    expect(res.status).toBe(200);
+
+    const back = await request(app).get(`/api/tasks/${task.id}`).set('Authorization', employee.auth);
+    expect(back.status).toBe(200);
+  });
+
+  it('returns 404 when restoring a task that is not in the trash', async () => {
+    const res = await request(app).post(`/api/tasks/${task.id}/restore`).set('Authorization', employee.auth);
+    expect(res.status).toBe(404);
+  });
+
+  it('trashes and logs the tasks of a column deleted with deleteTasks', async () => {
+    const column = (await request(app)
+      .post(`/api/boards/${board.id}/columns`)
+      .set('Authorization', manager.auth)
+      .send({ name: 'Scrap' })).body;
+    const scrapped = (await createTask(employee, { title: 'Scrapped', columnId: column.id })).body;
+
+    const res = await request(app)
+      .delete(`/api/boards/${board.id}/columns/${column.id}`)
+      .query({ deleteTasks: 'true' })
+      .set('Authorization', manager.auth);
+    expect(res.body.tasksAffected).toBe(1);
+
+    const trash = await request(app).get(`/api/boards/${board.id}/trash`).set('Authorization', employee.auth);
+    expect(trash.body.map(t => t.id)).toContain(scrapped.id);
+
+    const log = await executeQuery(
+      `SELECT actor_id FROM activity_log WHERE entity_type = 'task' AND entity_id = ? AND action = 'deleted'`,
+      [scrapped.id]
+    );
+    expect(log.rows.map(row => row.actor_id)).toEqual([manager.id]);
+  });
+});
+
+describe('moving tasks', () => {
+  let columns;
+  let todo;
+
+  beforeAll(async () => {
+    const created = await request(app).post('/api/boards').set('Authorization', employee.auth).send({ name: 'Moves' });
+    columns = created.body.columns;
+    todo = columns[0];
+  });
+
+  const move = (task, body) =>
+    request(app).post(`/api/tasks/${task.id}/move`).set('Authorization', employee.auth).send(body);
+
+  async function columnTitles(column) {
+    const res = await request(app)
+      .get('/api/tasks')
+      .query({ columnId: column.id, sort: 'position' })
+      .set('Authorization', employee.auth);
+    return res.body.tasks.map(t => t.title);
+  }
+
+  async function createInColumn(title) {
+    const res = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', employee.auth)
+      .send({ title, boardId: todo.boardId, columnId: todo.id });
+    return res.body;
+  }
+
+  it('appends new tasks to the end of their column', async () => {
+    const a = await createInColumn('A');
+    const b = await createInColumn('B');
+
+    expect(b.position).toBeGreaterThan(a.position);
+    expect(await columnTitles(todo)).toEqual(['A', 'B']);
+  });
+
+  it('reorders within a column by writing only the moved task', async () => {
+    const c = await createInColumn('C');
+
+    const res = await move(c, { columnId: todo.id, index: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('todo');
+    expect(await columnTitles(todo)).toEqual(['A', 'C', 'B']);
+  });
+
+  it('takes the status of the target column', async () => {
+    const [a] = (await request(app).get('/api/tasks').query({ columnId: todo.id, sort: 'position' })
+      .set('Authorization', employee.auth)).body.tasks;
+    const inProgress = columns.find(column => column.status === 'in_progress');
+
+    const res = await move(a, { columnId: inProgress.id, index: 0 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ columnId: inProgress.id, status: 'in_progress' });
+    expect(await columnTitles(todo)).toEqual(['C', 'B']);
+
+    const activity = await request(app).get(`/api/tasks/${a.id}/activity`).set('Authorization', employee.auth);
+    expect(activity.body.activity[0]).toMatchObject({
+      action: 'moved',
+      changes: { columnId: { from: todo.id, to: inProgress.id }, status: { from: 'todo', to: 'in_progress' } }
+    });
+  });
+
+  it('respaces the column when neighbours get too close', async () => {
+    const column = (await request(app)
+      .post(`/api/boards/${todo.boardId}/columns`)
+      .set('Authorization', employee.auth)
+      .send({ name: 'Tight' })).body;
+    expect(column.status).toBeNull();
+
+    const place = (title, position) => request(app)
+      .post('/api/tasks')
+      .set('Authorization', employee.auth)
+      .send({ title, boardId: todo.boardId, columnId: column.id, position });
+    await place('first', 1);
+    await place('second', 1.0000001);
+    const third = (await place('third', 5)).body;
+
+    const res = await move(third, { columnId: column.id, index: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('todo');
+    expect(await columnTitles(column)).toEqual(['first', 'third', 'second']);
+
+    const positions = (await request(app).get('/api/tasks').query({ columnId: column.id, sort: 'position' })
+      .set('Authorization', employee.auth)).body.tasks.map(t => t.position);
+    expect(positions).toEqual([1024, 2048, 3072]);
+  });
+
+  it('checks the target column and blockers', async () => {
+    const task = await createInColumn('Blocked');
+    const blocker = await createInColumn('Blocker');
+    await request(app)
+      .post(`/api/tasks/${task.id}/dependencies`)
+      .set('Authorization', employee.auth)
+      .send({ dependsOnId: blocker.id });
+
+    const done = columns.find(column => column.status === 'completed');
+    expect((await move(task, { columnId: done.id })).status).toBe(409);
+
+    const foreign = await request(app).post('/api/boards').set('Authorization', outsider.auth).send({ name: 'Theirs' });
+    expect((await move(task, { columnId: foreign.body.columns[0].id })).status).toBe(404);
+    expect((await move(task, { index: 0 })).status).toBe(400);
+  });
+
+  it('appends the tasks of a deleted column to the target column, with its status', async () => {
+    const board = (await request(app).post('/api/boards').set('Authorization', employee.auth).send({ name: 'Cleanup' })).body;
+    const [open] = board.columns;
+    const done = board.columns.find(column => column.status === 'completed');
+    const add = (title, column) => request(app)
+      .post('/api/tasks')
+      .set('Authorization', employee.auth)
+      .send({ title, boardId: board.id, columnId: column.id, status: column.status, position: 1 });
+    await add('Open', open);
+    const shipped = (await add('Shipped', done)).body;
+    await add('Released', done);
+    await request(app).patch(`/api/tasks/${shipped.id}`).set('Authorization', employee.auth).send({ position: 0.5 });
+
+    const res = await request(app)
+      .delete(`/api/boards/${board.id}/columns/${done.id}`)
+      .query({ moveTo: open.id })
+      .set('Authorization', employee.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.tasksAffected).toBe(2);
+
+    const tasks = (await request(app).get('/api/tasks').query({ columnId: open.id, sort: 'position' })
+      .set('Authorization', employee.auth)).body.tasks;
+    expect(tasks.map(task => [task.title, task.status])).toEqual([['Open', 'todo'], ['Shipped', 'todo'], ['Released', 'todo']]);
+
+    const activity = await request(app).get(`/api/tasks/${shipped.id}/activity`).set('Authorization', employee.auth);
+    expect(activity.body.activity[0]).toMatchObject({
+      action: 'moved',
+      changes: { columnId: { from: done.id, to: open.id }, status: { from: 'completed', to: 'todo' } }
+    });
+  });
+});
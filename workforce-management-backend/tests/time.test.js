@@ -0,0 +1,191 @@
+const { addDays, format, startOfWeek } = require('date-fns');
+const { request, setupTestApp, teardownTestApp, createUser, createTeam, executeQuery } = require('./helpers');
+const { purgeDeletedTasks } = require('../utils/trash');
+
+let app;
+let manager;
+let employee;
+let task;
+
+// Monday of last week, so every entry is in the past
+const lastWeek = addDays(startOfWeek(new Date(), { weekStartsOn: 1 }), -7);
+const day = offset => format(addDays(lastWeek, offset), 'yyyy-MM-dd');
+const weekStart = day(0);
+
+beforeAll(async () => {
+  app = await setupTestApp();
+  manager = await createUser({ role: 'manager' });
+  employee = await createUser();
+
+  const team = await createTeam(manager, [employee], { name: 'Floor' });
+
+  const board = await request(app)
+    .post('/api/boards')
+    .set('Authorization', manager.auth)
+    .send({ name: 'Floor work', teamId: team.id });
+  task = (await request(app)
+    .post('/api/tasks')
+    .set('Authorization', employee.auth)
+    .send({ title: 'Count stock', boardId: board.body.id })).body;
+});
+
+afterAll(teardownTestApp);
+
+const addEntry = (user, startedAt, endedAt, taskId = task.id) =>
+  request(app).post('/api/time/entries').set('Authorization', user.auth).send({ taskId, startedAt, endedAt });
+
+const actualHours = async () =>
+  (await request(app).get(`/api/tasks/${task.id}`).set('Authorization', employee.auth)).body.actualHours;
+
+describe('timer', () => {
+  it('runs one timer per user', async () => {
+    const start = await request(app).post('/api/time/timer/start').set('Authorization', employee.auth).send({ taskId: task.id });
+    expect(start.status).toBe(201);
+    expect(start.body).toMatchObject({ taskId: task.id, taskTitle: 'Count stock', running: true, minutes: null });
+
+    const again = await request(app).post('/api/time/timer/start').set('Authorization', employee.auth).send({ taskId: task.id });
+    expect(again.status).toBe(409);
+    expect(again.body.entry.id).toBe(start.body.id);
+
+    const current = await request(app).get('/api/time/timer').set('Authorization', employee.auth);
+    expect(current.body.id).toBe(start.body.id);
+  });
+
+  it('stops the running timer', async () => {
+    const stop = await request(app).post('/api/time/timer/stop').set('Authorization', employee.auth);
+    expect(stop.status).toBe(200);
+    expect(stop.body).toMatchObject({ running: false, minutes: 0 });
+
+    expect((await request(app).get('/api/time/timer').set('Authorization', employee.auth)).body).toBeNull();
+    expect((await request(app).post('/api/time/timer/stop').set('Authorization', employee.auth)).status).toBe(404);
+  });
+
+  it('only times visible tasks', async () => {
+    const res = await request(app).post('/api/time/timer/start').set('Authorization', (await createUser()).auth).send({ taskId: task.id });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('time entries', () => {
+  let entry;
+
+  it('adds entries and recomputes the task\'s actual hours', async () => {
+    const res = await addEntry(employee, `${day(0)}T09:00`, `${day(0)}T10:30`);
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ minutes: 90, startedAt: `${day(0)} 09:00:00`, running: false });
+    entry = res.body;
+    expect(await actualHours()).toBe(1.5);
+
+    await addEntry(employee, `${day(1)}T13:00`, `${day(1)}T13:30`);
+    expect(await actualHours()).toBe(2);
+  });
+
+  it('rejects overlapping and invalid entries', async () => {
+    expect((await addEntry(employee, `${day(0)}T10:00`, `${day(0)}T11:00`)).status).toBe(409);
+    expect((await addEntry(employee, `${day(0)}T12:00`, `${day(0)}T11:00`)).status).toBe(400);
+    expect((await addEntry(employee, `${day(20)}T12:00`, `${day(20)}T13:00`)).status).toBe(400);
+  });
+
+  it('edits and deletes entries', async () => {
+    const res = await request(app)
+      .patch(`/api/time/entries/${entry.id}`)
+      .set('Authorization', employee.auth)
+      .send({ endedAt: `${day(0)}T11:00`, notes: 'Back room too' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ minutes: 120, notes: 'Back room too' });
+    expect(await actualHours()).toBe(2.5);
+
+    const other = await request(app).delete(`/api/time/entries/${entry.id}`).set('Authorization', manager.auth);
+    expect(other.status).toBe(404);
+
+    const extra = (await addEntry(employee, `${day(2)}T08:00`, `${day(2)}T08:30`)).body;
+    await request(app).delete(`/api/time/entries/${extra.id}`).set('Authorization', employee.auth);
+    expect(await actualHours()).toBe(2.5);
+  });
+
+  it('does not let actualHours be overwritten once time is tracked', async () => {
+    const res = await request(app).patch(`/api/tasks/${task.id}`).set('Authorization', employee.auth).send({ actualHours: 40 });
+    expect(res.status).toBe(400);
+
+    const put = await request(app)
+      .put(`/api/tasks/${task.id}`)
+      .set('Authorization', employee.auth)
+      .send({ title: 'Count all stock', boardId: task.boardId });
+    expect(put.status).toBe(200);
+    expect(put.body.actualHours).toBe(2.5);
+  });
+
+  it('lets managers see their people\'s time, nobody else', async () => {
+    const own = await request(app).get('/api/time/entries').query({ from: day(0), to: day(6) }).set('Authorization', employee.auth);
+    expect(own.body.totalMinutes).toBe(150);
+
+    const managed = await request(app)
+      .get('/api/time/entries')
+      .query({ from: day(0), to: day(6), userId: employee.id })
+      .set('Authorization', manager.auth);
+    expect(managed.body.entries).toHaveLength(2);
+
+    const denied = await request(app).get('/api/time/entries').query({ userId: manager.id }).set('Authorization', employee.auth);
+    expect(denied.status).toBe(403);
+  });
+});
+
+describe('timesheets', () => {
+  let timesheetId;
+
+  const submit = () =>
+    request(app).post('/api/time/timesheets/submit').set('Authorization', employee.auth).send({ weekStart: day(3) });
+
+  it('summarises the week', async () => {
+    const res = await request(app).get('/api/time/timesheets').query({ weekStart: day(4) }).set('Authorization', employee.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ weekStart, status: 'open', totalMinutes: 150, totalHours: 2.5 });
+    expect(res.body.days.slice(0, 2)).toEqual([{ date: day(0), minutes: 120 }, { date: day(1), minutes: 30 }]);
+  });
+
+  it('locks the week once submitted', async () => {
+    const res = await submit();
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('submitted');
+    timesheetId = res.body.id;
+
+    expect((await addEntry(employee, `${day(5)}T09:00`, `${day(5)}T10:00`)).status).toBe(409);
+    expect((await submit()).status).toBe(409);
+  });
+
+  it('is reviewed by a manager of the user\'s team', async () => {
+    const pending = await request(app).get('/api/time/timesheets/pending').set('Authorization', manager.auth);
+    expect(pending.body).toEqual([expect.objectContaining({ id: timesheetId, totalMinutes: 150 })]);
+
+    const self = await request(app).post(`/api/time/timesheets/${timesheetId}/approve`).set('Authorization', employee.auth);
+    expect(self.status).toBe(404);
+
+    const rejected = await request(app)
+      .post(`/api/time/timesheets/${timesheetId}/reject`)
+      .set('Authorization', manager.auth)
+      .send({ note: 'Friday is missing' });
+    expect(rejected.body).toMatchObject({ status: 'rejected', reviewNote: 'Friday is missing', reviewedBy: manager.id });
+
+    expect((await addEntry(employee, `${day(4)}T09:00`, `${day(4)}T17:00`)).status).toBe(201);
+    expect((await submit()).body.totalMinutes).toBe(630);
+
+    const approved = await request(app).post(`/api/time/timesheets/${timesheetId}/approve`).set('Authorization', manager.auth);
+    expect(approved.body).toMatchObject({ status: 'approved', reviewNote: null });
+
+    const again = await request(app).post(`/api/time/timesheets/${timesheetId}/approve`).set('Authorization', manager.auth);
+    expect(again.status).toBe(409);
+  });
+});
+
+describe('purged tasks', () => {
+  it('keep their time in submitted and approved weeks', async () => {
+    await request(app).delete(`/api/tasks/${task.id}`).set('Authorization', employee.auth);
+    await executeQuery(`UPDATE tasks SET deleted_at = datetime('now', '-60 days') WHERE id = ?`, [task.id]);
+    expect(await purgeDeletedTasks()).toBe(1);
+
+    const res = await request(app).get('/api/time/timesheets').query({ weekStart }).set('Authorization', employee.auth);
+    expect(res.body).toMatchObject({ status: 'approved', totalMinutes: 630 });
+    expect(res.body.entries.every(entry => entry.taskId === null)).toBe(true);
+  });
+});
@@ -0,0 +1,152 @@
+// utils/activity.js
+const { executeQuery } = require('../config/database');
+const { toColumns } = require('../middleware/validate');
+
+/**
+ * Append-only audit trail (activity_log, see migrations/012_activity_log.sql).
+ *
+ * Each entry records who (actor) did what (action) to which entity, and for
+ * updates the field-level diff: { field: { from, to } } using the API field names.
+ */
+
+const ENTITY_TYPES = ['task', 'board', 'user'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Stored column value -> the value shown in a diff
+function readValue(def, value) {
+  if (value === null || value === undefined) return null;
+  if (def.type === 'boolean') return Boolean(value);
+  if (def.type === 'array') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return [];
+    }
+  }
+  return value;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * diffChanges(schema, before, data) -> { field: { from, to } } or null
+ * `before` is the DB row, `data` the validated camelCase values about to be
+ * written (see middleware/validate.js). Unchanged fields are left out.
+ */
+function diffChanges(schema, before, data) {
+  const columns = toColumns(schema, data);
+  const changes = {};
+
+  for (const field of Object.keys(data)) {
+    const def = schema[field];
+    if (!def || def.readOnly) continue;
+
+    const column = def.column || field;
+    const from = readValue(def, before[column]);
+    const to = readValue(def, columns[column]);
+    if (!sameValue(from, to)) changes[field] = { from, to };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * activityStatement(entry) -> { sql, args }, for recording an entry in the
+ * same executeBatch as the change itself
+ */
+function activityStatement({ entityType, entityId, action, actorId = null, changes = null }) {
+  return {
+    sql: `INSERT INTO activity_log (entity_type, entity_id, action, actor_id, changes)
+          VALUES (?, ?, ?, ?, ?)`,
+    args: [entityType, entityId, action, actorId, changes ? JSON.stringify(changes) : null]
+  };
+}
+
+/**
+ * recordActivity({ entityType, entityId, action, actorId, changes })
+ */
+async function recordActivity(entry) {
+  const { sql, args } = activityStatement(entry);
+  await executeQuery(sql, args);
+}
+
+/**
+ * Normalize an activity_log row (joined with the actor)
+ */
+function normalizeActivity(entry) {
+  let changes = null;
+  if (entry.changes) {
+    try {
+      changes = JSON.parse(entry.changes);
+    } catch (err) {
+      changes = null;
+    }
+  }
+
+  return {
+    id: entry.id,
+    entityType: entry.entity_type,
+    entityId: entry.entity_id,
+    action: entry.action,
+    actorId: entry.actor_id || null,
+    actor: entry.first_name ? `${entry.first_name} ${entry.last_name}` : null,
+    changes,
+    createdAt: entry.created_at
+  };
+}
+
+/**
+ * listActivity(filters, { limit, before })
+ * Newest first; `before` is the nextCursor (an entry ID) of the previous page.
+ * filters: entityType, entityId, actorId, action, from, to (dates, inclusive)
+ * Returns { activity, pagination: { limit, nextCursor } }
+ */
+async function listActivity(filters = {}, { limit, before } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const conditions = [];
+  const params = [];
+  const add = (sql, ...values) => {
+    conditions.push(sql);
+    params.push(...values);
+  };
+
+  if (filters.entityType) add('a.entity_type = ?', filters.entityType);
+  if (filters.entityId) add('a.entity_id = ?', filters.entityId);
+  if (filters.actorId) add('a.actor_id = ?', filters.actorId);
+  if (filters.action) add('a.action = ?', filters.action);
+  if (filters.from) add('date(a.created_at) >= ?', filters.from);
+  if (filters.to) add('date(a.created_at) <= ?', filters.to);
+  if (before) add('a.id < ?', before);
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await executeQuery(
+    `SELECT a.*, u.first_name, u.last_name
+     FROM activity_log a
+     LEFT JOIN users u ON u.id = a.actor_id
+     ${where}
+     ORDER BY a.id DESC
+     LIMIT ?`,
+    [...params, pageSize + 1]
+  );
+
+  const rows = result.rows.slice(0, pageSize);
+  return {
+    activity: rows.map(normalizeActivity),
+    pagination: {
+      limit: pageSize,
+      nextCursor: result.rows.length > pageSize ? rows[rows.length - 1].id : null
+    }
+  };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  diffChanges,
+  activityStatement,
+  recordActivity,
+  normalizeActivity,
+  listActivity
+};
@@ -0,0 +1,170 @@
+// utils/attendance.js
+const { executeQuery } = require('../config/database');
+const { parseDateTime, toDbDateTime } = require('./scheduling');
+
+/**
+ * Attendance is recorded against published shifts: one record per shift and
+ * person, holding a clock-in and (once they leave) a clock-out. Nothing is
+ * flagged in the table; each shift is graded when read, from its punches and
+ * its current times, so retiming a shift re-grades it:
+ *
+ *   late             clocked in more than GRACE_MINUTES after the start
+ *                    (or not clocked in yet, that long into the shift)
+ *   early_departure  clocked out more than GRACE_MINUTES before the end
+ *   overtime         worked more than GRACE_MINUTES beyond the shift's length
+ *   no_show          the shift ended without a clock-in
+ *
+ * Clocking in opens from CLOCK_IN_WINDOW_MINUTES before a shift until it ends.
+ */
+const GRACE_MINUTES = parseInt(process.env.ATTENDANCE_GRACE_MINUTES) || 5;
+const CLOCK_IN_WINDOW_MINUTES = parseInt(process.env.ATTENDANCE_CLOCK_IN_WINDOW_MINUTES) || 60;
+
+// Shifts with their assignee and attendance record (if any)
+const ATTENDANCE_SELECT = `
+  SELECT s.id AS shift_id, s.team_id, s.user_id, s.start_time, s.end_time, s.status AS shift_status,
+    u.first_name, u.last_name,
+    a.id AS record_id, a.clock_in_at, a.clock_out_at, a.notes, a.edited_by
+  FROM shifts s
+  JOIN users u ON u.id = s.user_id
+  LEFT JOIN attendance_records a ON a.shift_id = s.id AND a.user_id = s.user_id`;
+
+const minutesBetween = (start, end) => Math.round((end - start) / 60000);
+
+// Minutes past the grace period count in full; anything within it counts as 0
+const beyondGrace = minutes => (minutes > GRACE_MINUTES ? minutes : 0);
+
+/**
+ * assessAttendance(row, now) -> { status, flags, lateMinutes, earlyDepartureMinutes,
+ * overtimeMinutes, workedMinutes } for an ATTENDANCE_SELECT row.
+ *
+ * status is 'upcoming' (not clocked in, not late yet), 'missing' (late and not
+ * clocked in), 'no_show', 'clocked_in' or 'clocked_out'. An open punch counts
+ * worked time up to now.
+ */
+function assessAttendance(row, now = new Date()) {
+  const start = parseDateTime(row.start_time);
+  const end = parseDateTime(row.end_time);
+  const assessment = {
+    status: 'upcoming',
+    flags: [],
+    lateMinutes: 0,
+    earlyDepartureMinutes: 0,
+    overtimeMinutes: 0,
+    workedMinutes: 0
+  };
+
+  if (!row.clock_in_at) {
+    if (now >= end) {
+      assessment.status = 'no_show';
+      assessment.flags.push('no_show');
+    } else {
+      assessment.lateMinutes = beyondGrace(minutesBetween(start, now));
+      if (assessment.lateMinutes > 0) {
+        assessment.status = 'missing';
+        assessment.flags.push('late');
+      }
+    }
+    return assessment;
+  }
+
+  const clockIn = parseDateTime(row.clock_in_at);
+  const clockOut = row.clock_out_at ? parseDateTime(row.clock_out_at) : null;
+
+  assessment.status = clockOut ? 'clocked_out' : 'clocked_in';
+  assessment.workedMinutes = Math.max(minutesBetween(clockIn, clockOut || now), 0);
+  assessment.lateMinutes = beyondGrace(minutesBetween(start, clockIn));
+  assessment.earlyDepartureMinutes = clockOut ? beyondGrace(minutesBetween(clockOut, end)) : 0;
+  assessment.overtimeMinutes = beyondGrace(assessment.workedMinutes - minutesBetween(start, end));
+
+  if (assessment.lateMinutes > 0) assessment.flags.push('late');
+  if (assessment.earlyDepartureMinutes > 0) assessment.flags.push('early_departure');
+  if (assessment.overtimeMinutes > 0) assessment.flags.push('overtime');
+  return assessment;
+}
+
+/**
+ * Normalize an ATTENDANCE_SELECT row: the shift, its record (null before
+ * clocking in) and the assessment
+ */
+function normalizeAttendance(row, now = new Date()) {
+  return {
+    shiftId: row.shift_id,
+    teamId: row.team_id,
+    userId: row.user_id,
+    user: `${row.first_name} ${row.last_name}`,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    record: row.record_id
+      ? {
+          id: row.record_id,
+          clockInAt: row.clock_in_at,
+          clockOutAt: row.clock_out_at || null,
+          notes: row.notes || '',
+          editedBy: row.edited_by || null
+        }
+      : null,
+    ...assessAttendance(row, now)
+  };
+}
+
+/**
+ * Counts per status and flag over normalized attendance
+ */
+function summarizeAttendance(items) {
+  const count = predicate => items.filter(predicate).length;
+  return {
+    scheduled: items.length,
+    clockedIn: count(item => item.status === 'clocked_in'),
+    clockedOut: count(item => item.status === 'clocked_out'),
+    late: count(item => item.flags.includes('late')),
+    earlyDepartures: count(item => item.flags.includes('early_departure')),
+    overtime: count(item => item.flags.includes('overtime')),
+    noShows: count(item => item.flags.includes('no_show')),
+    workedMinutes: items.reduce((sum, item) => sum + item.workedMinutes, 0),
+    overtimeMinutes: items.reduce((sum, item) => sum + item.overtimeMinutes, 0)
+  };
+}
+
+async function findAttendance(shiftId) {
+  const result = await executeQuery(`${ATTENDANCE_SELECT} WHERE s.id = ?`, [shiftId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * The shift the user is clocked in to, or null
+ */
+async function findOpenAttendance(userId) {
+  const result = await executeQuery(
+    `${ATTENDANCE_SELECT} WHERE a.user_id = ? AND a.clock_out_at IS NULL`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The user's published shifts they can clock in to at `now`, earliest first,
+ * leaving out those they have already punched
+ */
+async function findClockInShifts(userId, now = new Date()) {
+  const opensBy = new Date(now.getTime() + CLOCK_IN_WINDOW_MINUTES * 60000);
+  const result = await executeQuery(
+    `${ATTENDANCE_SELECT}
+     WHERE s.user_id = ? AND s.status = 'published' AND a.id IS NULL
+       AND s.start_time <= ? AND s.end_time > ?
+     ORDER BY s.start_time`,
+    [userId, toDbDateTime(opensBy), toDbDateTime(now)]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  GRACE_MINUTES,
+  CLOCK_IN_WINDOW_MINUTES,
+  ATTENDANCE_SELECT,
+  assessAttendance,
+  normalizeAttendance,
+  summarizeAttendance,
+  findAttendance,
+  findOpenAttendance,
+  findClockInShifts
+};
@@ -0,0 +1,95 @@
+// utils/dependencies.js
+const { executeQuery } = require('../config/database');
+const { taskScope } = require('./teamScope');
+
+/**
+ * Task dependencies: a task is blocked by the tasks it depends on until each of
+ * them is completed or cancelled. Trashed tasks neither block nor are listed.
+ */
+
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+// Statuses a task cannot move to while it has unfinished blockers
+const BLOCKED_STATUSES = ['in_progress', 'completed'];
+
+const isFinished = status => FINISHED_STATUSES.includes(status);
+
+/**
+ * Normalize a task row into the short form used in dependency lists
+ */
+function normalizeDependency(task) {
+  return {
+    id: task.id,
+    boardId: task.board_id,
+    title: task.title,
+    status: task.status,
+    assignedTo: task.assigned_to || null,
+    dueDate: task.due_date || null,
+    finished: isFinished(task.status)
+  };
+}
+
+/**
+ * Tasks `taskId` depends on (blockers) and tasks that depend on it (dependents),
+ * limited to the ones `user` can see
+ */
+async function listDependencies(taskId, user) {
+  const scope = taskScope(user);
+  const select = (join, where) => executeQuery(
+    `SELECT t.* FROM task_dependencies d
+     JOIN tasks t ON t.id = d.${join}
+     WHERE d.${where} = ? AND ${scope.sql}
+     ORDER BY t.id`,
+    [taskId, ...scope.params]
+  );
+
+  const [blockers, dependents] = await Promise.all([
+    select('depends_on_id', 'task_id'),
+    select('task_id', 'depends_on_id')
+  ]);
+  return {
+    blockers: blockers.rows.map(normalizeDependency),
+    dependents: dependents.rows.map(normalizeDependency)
+  };
+}
+
+/**
+ * Number of unfinished tasks blocking `taskId`, whether or not the caller can see them
+ */
+async function countUnfinishedBlockers(taskId) {
+  const result = await executeQuery(
+    `SELECT COUNT(*) AS total FROM task_dependencies d
+     JOIN tasks t ON t.id = d.depends_on_id
+     WHERE d.task_id = ? AND t.deleted_at IS NULL
+       AND t.status NOT IN (${FINISHED_STATUSES.map(() => '?').join(', ')})`,
+    [taskId, ...FINISHED_STATUSES]
+  );
+  return Number(result.rows[0].total);
+}
+
+/**
+ * Would making `taskId` depend on `dependsOnId` close a cycle? True when `taskId`
+ * is already reachable from `dependsOnId` (trashed tasks included, since they
+ * can be restored).
+ */
+async function wouldCreateCycle(taskId, dependsOnId) {
+  const result = await executeQuery(
+    `WITH RECURSIVE upstream(id) AS (
+       SELECT ?
+       UNION
+       SELECT d.depends_on_id FROM task_dependencies d JOIN upstream u ON d.task_id = u.id
+     )
+     SELECT 1 FROM upstream WHERE id = ? LIMIT 1`,
+    [dependsOnId, taskId]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  BLOCKED_STATUSES,
+  isFinished,
+  listDependencies,
+  countUnfinishedBlockers,
+  wouldCreateCycle
+};
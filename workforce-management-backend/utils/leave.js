@@ -0,0 +1,217 @@
+// utils/leave.js
+const { addDays, differenceInCalendarDays, differenceInCalendarMonths, format, startOfMonth } = require('date-fns');
+const { executeQuery } = require('../config/database');
+const { parseDate, parseDateTime, toDbDate } = require('./scheduling');
+
+/**
+ * Time off. A request covers whole calendar days (start and end inclusive) and
+ * goes pending -> approved | rejected, or to cancelled by the requester.
+ * Approving takes the days off the user's balance for that leave type;
+ * cancelling approved leave gives them back. Approved leave blocks shift
+ * assignment on its dates (see findShiftConflicts in utils/scheduling.js).
+ *
+ * Balances accrue per leave_policies: accrual_days_per_month is credited on the
+ * 1st of every month since the user joined, up to max_balance. Accrual is caught
+ * up whenever balances are read. Types with requires_balance cannot be requested
+ * beyond what is available, i.e. the balance less the days of pending requests.
+ */
+
+// Matches the leave_type CHECK constraint (019_leave.sql)
+const LEAVE_TYPES = ['vacation', 'sick', 'personal'];
+
+/**
+ * Normalize a leave request row (optionally joined with the user's name)
+ */
+function normalizeLeaveRequest(request) {
+  return {
+    id: request.id,
+    userId: request.user_id,
+    ...(request.first_name !== undefined && { user: `${request.first_name} ${request.last_name}` }),
+    type: request.leave_type,
+    startDate: request.start_date,
+    endDate: request.end_date,
+    days: Number(request.days),
+    reason: request.reason || '',
+    status: request.status,
+    reviewedAt: request.reviewed_at || null,
+    reviewedBy: request.reviewed_by || null,
+    reviewNote: request.review_note || null,
+    createdAt: request.created_at,
+    updatedAt: request.updated_at
+  };
+}
+
+/**
+ * Normalize a leave policy row
+ */
+function normalizePolicy(policy) {
+  return {
+    type: policy.leave_type,
+    accrualDaysPerMonth: Number(policy.accrual_days_per_month),
+    maxBalance: policy.max_balance === null ? null : Number(policy.max_balance),
+    requiresBalance: Boolean(policy.requires_balance),
+    updatedBy: policy.updated_by || null,
+    updatedAt: policy.updated_at
+  };
+}
+
+const roundDays = days => Math.round(days * 100) / 100;
+
+/**
+ * Calendar days from `start` to `end`, both included
+ */
+function leaveDays(start, end) {
+  return differenceInCalendarDays(end, start) + 1;
+}
+
+async function listPolicies() {
+  const result = await executeQuery('SELECT * FROM leave_policies ORDER BY leave_type');
+  return result.rows;
+}
+
+/**
+ * `row` with the months since its accrued_through credited under `policy`
+ */
+function accrue(row, policy, now) {
+  const month = startOfMonth(now);
+  const months = differenceInCalendarMonths(month, parseDate(row.accrued_through));
+  if (months <= 0) return row;
+
+  // A balance already over the cap (e.g. after an adjustment) is left alone
+  let balance = Number(row.balance);
+  const cap = policy.max_balance === null ? Infinity : Number(policy.max_balance);
+  if (balance < cap) balance = Math.min(cap, balance + months * Number(policy.accrual_days_per_month));
+
+  return { ...row, balance: roundDays(balance), accrued_through: toDbDate(month) };
+}
+
+/**
+ * getBalances(userId) -> [{ type, balance, pending, available, accrualDaysPerMonth,
+ * maxBalance, requiresBalance }], one per leave type, with accrual caught up to
+ * this month. Returns null if the user does not exist.
+ */
+async function getBalances(userId, now = new Date()) {
+  const [user, policies, balances, pending] = await Promise.all([
+    executeQuery('SELECT created_at FROM users WHERE id = ?', [userId]),
+    listPolicies(),
+    executeQuery('SELECT * FROM leave_balances WHERE user_id = ?', [userId]),
+    executeQuery(
+      `SELECT leave_type, SUM(days) AS days FROM leave_requests
+       WHERE user_id = ? AND status = 'pending' GROUP BY leave_type`,
+      [userId]
+    )
+  ]);
+  if (user.rows.length === 0) return null;
+
+  const joined = startOfMonth(parseDateTime(user.rows[0].created_at) || now);
+  const balancesByType = new Map(balances.rows.map(row => [row.leave_type, row]));
+  const pendingByType = new Map(pending.rows.map(row => [row.leave_type, Number(row.days)]));
+
+  const result = [];
+  for (const policy of policies) {
+    const stored = balancesByType.get(policy.leave_type);
+    const row = stored || { balance: 0, accrued_through: toDbDate(joined) };
+    const current = accrue(row, policy, now);
+
+    if (!stored || current !== row) {
+      // Only the first writer for a month credits it
+      await executeQuery(
+        `INSERT INTO leave_balances (user_id, leave_type, balance, accrued_through) VALUES (?, ?, ?, ?)
+         ON CONFLICT (user_id, leave_type) DO UPDATE SET
+           balance = excluded.balance, accrued_through = excluded.accrued_through, updated_at = CURRENT_TIMESTAMP
+         WHERE leave_balances.accrued_through = ?`,
+        [userId, policy.leave_type, current.balance, current.accrued_through, row.accrued_through]
+      );
+    }
+
+    const balance = Number(current.balance);
+    const pendingDays = pendingByType.get(policy.leave_type) || 0;
+    result.push({
+      type: policy.leave_type,
+      balance,
+      pending: pendingDays,
+      available: roundDays(balance - pendingDays),
+      accrualDaysPerMonth: Number(policy.accrual_days_per_month),
+      maxBalance: policy.max_balance === null ? null : Number(policy.max_balance),
+      requiresBalance: Boolean(policy.requires_balance)
+    });
+  }
+  return result;
+}
+
+/**
+ * Statement moving a balance by `days` (negative to deduct). The balance row
+ * must exist, which getBalances guarantees. With `request` ({ id, status }) the
+ * balance only moves while that request still has that status: batch it before
+ * the request's own status change so a concurrent review or cancel moves it once.
+ */
+function balanceStatement(userId, type, days, request = null) {
+  return {
+    sql: `UPDATE leave_balances SET balance = ROUND(balance + ?, 2), updated_at = CURRENT_TIMESTAMP
+          WHERE user_id = ? AND leave_type = ?
+            AND (? IS NULL OR EXISTS (SELECT 1 FROM leave_requests WHERE id = ? AND status = ?))`,
+    args: [days, userId, type, request && request.id, request && request.id, request && request.status]
+  };
+}
+
+/**
+ * Pending or approved requests of a user overlapping the dates [startDate, endDate]
+ */
+async function findOverlappingLeave(userId, startDate, endDate, excludeRequestId = null) {
+  const result = await executeQuery(
+    `SELECT * FROM leave_requests
+     WHERE user_id = ? AND status IN ('pending', 'approved')
+       AND start_date <= ? AND end_date >= ?
+       AND (? IS NULL OR id != ?)
+     ORDER BY start_date`,
+    [userId, endDate, startDate, excludeRequestId, excludeRequestId]
+  );
+  return result.rows;
+}
+
+// iCalendar text values escape backslashes, commas, semicolons and newlines
+const icsText = value => String(value).replace(/([\\,;])/g, '\\$1').replace(/\n/g, '\\n');
+const icsDate = date => format(date, 'yyyyMMdd');
+
+/**
+ * toICalendar(name, events) -> an iCalendar (RFC 5545) feed of all-day events.
+ * `events` are normalized leave requests with `user`.
+ */
+function toICalendar(name, events) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//WorkFlow Pro//Leave calendar//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(name)}`
+  ];
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:leave-${event.id}@workflowpro`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(parseDate(event.startDate))}`,
+      // DTEND is exclusive for all-day events
+      `DTEND;VALUE=DATE:${icsDate(addDays(parseDate(event.endDate), 1))}`,
+      `SUMMARY:${icsText(`${event.user} - ${event.type ? `${event.type} leave` : 'away'}`)}`,
+      `STATUS:${event.status === 'approved' ? 'CONFIRMED' : 'TENTATIVE'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  LEAVE_TYPES,
+  normalizeLeaveRequest,
+  normalizePolicy,
+  leaveDays,
+  listPolicies,
+  getBalances,
+  balanceStatement,
+  findOverlappingLeave,
+  toICalendar
+};
@@ -0,0 +1,55 @@
+// utils/mentions.js
+const { executeQuery } = require('../config/database');
+const { findAccessibleTask } = require('./teamScope');
+
+/**
+ * @mentions in comments. A handle is either a full email address
+ * (@jane.doe@example.com) or the part before the @ (@jane.doe).
+ */
+
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+const MAX_MENTIONS = 20;
+
+/**
+ * Distinct lower-cased handles mentioned in `content`
+ */
+function parseMentions(content) {
+  const handles = new Set();
+  for (const match of String(content || '').matchAll(MENTION_PATTERN)) {
+    // Trailing punctuation ("thanks @jane.") is not part of the handle
+    const handle = match[2].replace(/[.-]+$/, '').toLowerCase();
+    if (handle) handles.add(handle);
+    if (handles.size >= MAX_MENTIONS) break;
+  }
+  return [...handles];
+}
+
+/**
+ * IDs of active users mentioned in `content` who can see the task.
+ * Unknown handles and users without access to the task are ignored.
+ */
+async function resolveMentions(content, taskId) {
+  const handles = parseMentions(content);
+  if (handles.length === 0) return [];
+
+  const conditions = handles.map(() => '(LOWER(email) = ? OR LOWER(email) LIKE ? ESCAPE \'\\\')').join(' OR ');
+  const params = handles.flatMap(handle => [handle, `${handle.replace(/[\\%_]/g, '\\$&')}@%`]);
+
+  const result = await executeQuery(
+    `SELECT id, role FROM users WHERE status = 'active' AND (${conditions})`,
+    params
+  );
+
+  const userIds = [];
+  for (const user of result.rows) {
+    if (await findAccessibleTask(taskId, { userId: user.id, role: user.role })) {
+      userIds.push(user.id);
+    }
+  }
+  return userIds;
+}
+
+module.exports = {
+  parseMentions,
+  resolveMentions
+};
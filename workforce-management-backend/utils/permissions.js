@@ -0,0 +1,49 @@
+// utils/permissions.js
+
+/**
+ * Permission policies keyed by action. Each policy receives the authenticated
+ * user (req.user) and the raw DB row it acts on, and returns true if allowed.
+ *
+ * Visibility (which rows a user can see at all) is handled by utils/teamScope.js;
+ * these policies only decide what a user may do with a row they can already see.
+ */
+
+const isAdmin = user => user.role === 'admin';
+const isManager = user => user.role === 'manager' || user.role === 'admin';
+const isSelf = (user, id) => id !== null && id !== undefined && Number(id) === Number(user.userId);
+
+const POLICIES = {
+  // Employees may only touch tasks they created or that are assigned to them
+  'task:update': (user, task) =>
+    isManager(user) || isSelf(user, task.assigned_to) || isSelf(user, task.created_by),
+  'task:delete': (user, task) => isManager(user) || isSelf(user, task.created_by),
+
+  // Team boards are managed by managers; personal boards by their creator
+  'board:create': (user, board) => (board.team_id ? isManager(user) : true),
+  'board:update': (user, board) => (board.team_id ? isManager(user) : isSelf(user, board.created_by)),
+
+  // Comments are edited or removed by their author, or moderated by a manager
+  'comment:update': (user, comment) => isManager(user) || isSelf(user, comment.user_id),
+  'comment:delete': (user, comment) => isManager(user) || isSelf(user, comment.user_id),
+  'attachment:delete': (user, attachment) => isManager(user) || isSelf(user, attachment.uploaded_by),
+
+  'team:create': user => isManager(user),
+  'team:manage': (user, team) => isAdmin(user) || isSelf(user, team.manager_id)
+};
+
+/**
+ * can(user, action, resource) -> boolean
+ */
+function can(user, action, resource = {}) {
+  const policy = POLICIES[action];
+  if (!policy) {
+    throw new Error(`Unknown permission: ${action}`);
+  }
+  return Boolean(user) && policy(user, resource);
+}
+
+module.exports = {
+  can,
+  isAdmin,
+  isManager
+};
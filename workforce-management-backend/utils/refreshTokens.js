@@ -0,0 +1,131 @@
+// utils/refreshTokens.js
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+
+/**
+ * Server-side refresh token store.
+ *
+ * Every refresh token is a signed JWT whose jti is a row in refresh_tokens.
+ * Using a token revokes it and issues a replacement in the same family; presenting
+ * an already-revoked token means it was stolen or replayed, so the whole family
+ * (that login session) is revoked.
+ */
+
+/**
+ * Issue a refresh token for a user, starting a new family unless one is given
+ */
+async function issueRefreshToken(user, familyId = uuidv4()) {
+  const tokenId = uuidv4();
+  const token = generateRefreshToken(user, { tokenId, familyId });
+  const { exp } = verifyRefreshToken(token);
+
+  await executeQuery(
+    `INSERT INTO refresh_tokens (id, user_id, family_id, expires_at)
+     VALUES (?, ?, ?, datetime(?, 'unixepoch'))`,
+    [tokenId, user.id, familyId, exp]
+  );
+
+  // Opportunistic cleanup of this user's expired tokens
+  await executeQuery(
+    'DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at < CURRENT_TIMESTAMP',
+    [user.id]
+  );
+
+  return token;
+}
+
+/**
+ * Verify a refresh token's signature and look up its row.
+ * Returns { decoded, record } or null if the token is invalid or unknown.
+ */
+async function findRefreshToken(token) {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(token);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.type !== 'refresh' || !decoded.jti) return null;
+
+  const result = await executeQuery('SELECT * FROM refresh_tokens WHERE id = ?', [decoded.jti]);
+  if (result.rows.length === 0) return null;
+
+  return { decoded, record: result.rows[0] };
+}
+
+async function revokeFamily(familyId) {
+  await executeQuery(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL',
+    [familyId]
+  );
+}
+
+/**
+ * Exchange a refresh token for a new one.
+ * Returns { user, refreshToken } or null if the token is invalid, expired, revoked or reused.
+ */
+async function rotateRefreshToken(token) {
+  const found = await findRefreshToken(token);
+  if (!found) return null;
+  const { record } = found;
+
+  // Revoked by logout rather than by rotation: simply refuse it
+  if (record.revoked_at && !record.replaced_by) return null;
+
+  // Claim the token; if someone already used it, this is a replay
+  const claimed = await executeQuery(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [record.id]
+  );
+  if (claimed.rowsAffected === 0) {
+    console.warn(`⚠️ Refresh token reuse detected for user ${record.user_id}, revoking family`);
+    await revokeFamily(record.family_id);
+    return null;
+  }
+
+  const userResult = await executeQuery(
+    'SELECT id, email, role, status FROM users WHERE id = ?',
+    [record.user_id]
+  );
+  const user = userResult.rows[0];
+  if (!user || user.status !== 'active') {
+    await revokeFamily(record.family_id);
+    return null;
+  }
+
+  const refreshToken = await issueRefreshToken(user, record.family_id);
+  const { jti } = verifyRefreshToken(refreshToken);
+  await executeQuery('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [jti, record.id]);
+
+  return { user, refreshToken };
+}
+
+/**
+ * Revoke the session (token family) a refresh token belongs to.
+ * Returns false if the token is not recognised.
+ */
+async function revokeRefreshToken(token) {
+  const found = await findRefreshToken(token);
+  if (!found) return false;
+  await revokeFamily(found.record.family_id);
+  return true;
+}
+
+/**
+ * Revoke every refresh token a user holds (log out all sessions)
+ */
+async function revokeAllRefreshTokens(userId) {
+  const result = await executeQuery(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  return result.rowsAffected;
+}
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+};
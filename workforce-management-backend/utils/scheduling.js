@@ -0,0 +1,222 @@
+// utils/scheduling.js
+const {
+  addDays,
+  differenceInMinutes,
+  format,
+  getDay,
+  isValid,
+  parseISO,
+  startOfWeek
+} = require('date-fns');
+const { executeQuery } = require('../config/database');
+
+/**
+ * Shared date/time handling and conflict checks for shifts.
+ *
+ * Shift times are wall-clock values in the team's local time, stored as
+ * 'YYYY-MM-DD HH:MM:SS' so they sort and compare as plain strings in SQL.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_SHIFT_MINUTES = 24 * 60;
+
+/**
+ * Parse 'YYYY-MM-DDTHH:MM[:SS]' / 'YYYY-MM-DD HH:MM[:SS]' into a Date, or null
+ */
+function parseDateTime(value) {
+  if (typeof value !== 'string') return null;
+  const date = parseISO(value);
+  return isValid(date) ? date : null;
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' date, or null
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  return parseDateTime(value);
+}
+
+function toDbDateTime(date) {
+  return format(date, 'yyyy-MM-dd HH:mm:ss');
+}
+
+function toDbDate(date) {
+  return format(date, 'yyyy-MM-dd');
+}
+
+function isValidTime(value) {
+  return typeof value === 'string' && TIME_PATTERN.test(value);
+}
+
+function timeToMinutes(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Monday of the week containing `date`
+ */
+function weekStartOf(date) {
+  return startOfWeek(date, { weekStartsOn: 1 });
+}
+
+/**
+ * Turn a template's HH:MM window into concrete start/end Dates on `date`
+ */
+function timesOnDate(date, startTime, endTime) {
+  const day = format(date, 'yyyy-MM-dd');
+  const start = parseISO(`${day}T${startTime}`);
+  let end = parseISO(`${day}T${endTime}`);
+  if (end <= start) end = addDays(end, 1);
+  return { start, end };
+}
+
+/**
+ * Validate a shift's start/end. Returns an error message or null.
+ */
+function validateShiftTimes(start, end) {
+  if (!start || !end) return 'startTime and endTime must be valid date-times (YYYY-MM-DDTHH:MM)';
+  if (end <= start) return 'endTime must be after startTime';
+  if (differenceInMinutes(end, start) > MAX_SHIFT_MINUTES) return 'Shifts cannot be longer than 24 hours';
+  return null;
+}
+
+/**
+ * Non-cancelled shifts of a user that overlap [start, end)
+ */
+async function findOverlappingShifts(userId, start, end, excludeShiftId = null) {
+  const result = await executeQuery(
+    `SELECT * FROM shifts
+     WHERE user_id = ? AND status != 'cancelled'
+       AND start_time < ? AND end_time > ?
+       AND (? IS NULL OR id != ?)
+     ORDER BY start_time`,
+    [userId, toDbDateTime(end), toDbDateTime(start), excludeShiftId, excludeShiftId]
+  );
+  return result.rows;
+}
+
+/**
+ * Whether [start, end) fits inside one of the user's availability windows
+ * for the shift's start day. Users without any windows are always available.
+ */
+async function isWithinAvailability(userId, start, end) {
+  const result = await executeQuery(
+    'SELECT day_of_week, start_time, end_time FROM employee_availability WHERE user_id = ?',
+    [userId]
+  );
+  if (result.rows.length === 0) return true;
+
+  const day = getDay(start);
+  const shiftStart = start.getHours() * 60 + start.getMinutes();
+  const shiftEnd = shiftStart + differenceInMinutes(end, start);
+
+  return result.rows.some(window => {
+    if (Number(window.day_of_week) !== day) return false;
+    const windowStart = timeToMinutes(window.start_time);
+    let windowEnd = timeToMinutes(window.end_time);
+    if (windowEnd <= windowStart) windowEnd += 24 * 60;
+    return windowStart <= shiftStart && shiftEnd <= windowEnd;
+  });
+}
+
+/**
+ * The user's approved leave (leave_requests, see utils/leave.js) on any date
+ * the shift [start, end) touches
+ */
+async function findApprovedLeave(userId, start, end) {
+  const lastMoment = new Date(end.getTime() - 1);
+  const result = await executeQuery(
+    `SELECT * FROM leave_requests
+     WHERE user_id = ? AND status = 'approved' AND start_date <= ? AND end_date >= ?
+     ORDER BY start_date`,
+    [userId, toDbDate(lastMoment), toDbDate(start)]
+  );
+  return result.rows;
+}
+
+/**
+ * Minutes of the user's non-cancelled shifts starting in the week of `date`
+ */
+async function weeklyShiftMinutes(userId, date, excludeShiftId = null) {
+  const weekStart = weekStartOf(date);
+  const result = await executeQuery(
+    `SELECT COALESCE(SUM((julianday(end_time) - julianday(start_time)) * 1440), 0) AS minutes
+     FROM shifts
+     WHERE user_id = ? AND status != 'cancelled' AND start_time >= ? AND start_time < ?
+       AND (? IS NULL OR id != ?)`,
+    [userId, toDbDate(weekStart), toDbDate(addDays(weekStart, 7)), excludeShiftId, excludeShiftId]
+  );
+  return Math.round(Number(result.rows[0].minutes));
+}
+
+/**
+ * All scheduling conflicts for giving `userId` a shift over [start, end).
+ * With `teamId`, the team's weekly hour limit (teams.max_weekly_hours) applies to
+ * the user's shifts across all teams in that week.
+ * Returns a list of { type, message, ... }; empty means the shift can be assigned.
+ */
+async function findShiftConflicts({ userId, start, end, excludeShiftId = null, teamId = null }) {
+  if (!userId) return [];
+  const conflicts = [];
+
+  const overlaps = await findOverlappingShifts(userId, start, end, excludeShiftId);
+  for (const shift of overlaps) {
+    conflicts.push({
+      type: 'overlap',
+      shiftId: shift.id,
+      message: `Overlaps shift ${shift.id} (${shift.start_time} - ${shift.end_time})`
+    });
+  }
+
+  const leave = await findApprovedLeave(userId, start, end);
+  for (const request of leave) {
+    conflicts.push({
+      type: 'leave',
+      leaveRequestId: request.id,
+      message: `Employee is on approved ${request.leave_type} leave (${request.start_date} - ${request.end_date})`
+    });
+  }
+
+  if (!(await isWithinAvailability(userId, start, end))) {
+    conflicts.push({
+      type: 'unavailable',
+      message: 'Shift is outside the employee\'s availability'
+    });
+  }
+
+  if (teamId) {
+    const team = await executeQuery('SELECT max_weekly_hours FROM teams WHERE id = ?', [teamId]);
+    const limit = team.rows.length > 0 ? team.rows[0].max_weekly_hours : null;
+    if (limit !== null && limit !== undefined) {
+      const minutes = (await weeklyShiftMinutes(userId, start, excludeShiftId)) + differenceInMinutes(end, start);
+      if (minutes > Number(limit) * 60) {
+        conflicts.push({
+          type: 'max_hours',
+          message: `Shift would bring the employee to ${Math.round((minutes / 60) * 100) / 100} hours ` +
+            `in the week of ${toDbDate(weekStartOf(start))} (limit ${Number(limit)})`
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+module.exports = {
+  parseDateTime,
+  parseDate,
+  toDbDateTime,
+  toDbDate,
+  isValidTime,
+  weekStartOf,
+  timesOnDate,
+  validateShiftTimes,
+  findOverlappingShifts,
+  isWithinAvailability,
+  findApprovedLeave,
+  weeklyShiftMinutes,
+  findShiftConflicts
+};
@@ -0,0 +1,134 @@
+// utils/shiftTrades.js
+const { executeQuery } = require('../config/database');
+const { findShiftConflicts, parseDateTime, toDbDateTime } = require('./scheduling');
+
+/**
+ * Shift trades let people hand published shifts to teammates:
+ *
+ *   swap    the offerer gives their shift and takes one of the claimer's in return
+ *   drop    the offerer gives their shift away
+ *   pickup  someone takes an open (unassigned) shift
+ *
+ * Swaps and drops are offered ('open') until a teammate claims them; pickups
+ * start out claimed. A claimed trade waits for the team's manager, and only
+ * on approval are the shifts reassigned. Whoever ends up with a shift must be
+ * able to work it: no overlap, no approved leave, within their availability and
+ * the team's weekly hour limit. That is checked on claim and again on approval.
+ * Only shifts that have not started, and that nobody has clocked in for yet, can
+ * be traded.
+ */
+
+const TRADE_TYPES = ['swap', 'drop', 'pickup'];
+const ACTIVE_STATUSES = ['open', 'claimed'];
+
+const TRADE_SELECT = `
+  SELECT tr.*,
+    s.start_time, s.end_time, s.user_id AS shift_user_id, s.status AS shift_status,
+    ss.start_time AS swap_start_time, ss.end_time AS swap_end_time,
+    o.first_name AS offered_first_name, o.last_name AS offered_last_name,
+    c.first_name AS claimed_first_name, c.last_name AS claimed_last_name
+  FROM shift_trades tr
+  JOIN shifts s ON s.id = tr.shift_id
+  LEFT JOIN shifts ss ON ss.id = tr.swap_shift_id
+  LEFT JOIN users o ON o.id = tr.offered_by
+  LEFT JOIN users c ON c.id = tr.claimed_by`;
+
+/**
+ * Normalize a TRADE_SELECT row
+ */
+function normalizeTrade(trade) {
+  return {
+    id: trade.id,
+    teamId: trade.team_id,
+    type: trade.type,
+    status: trade.status,
+    shift: { id: trade.shift_id, startTime: trade.start_time, endTime: trade.end_time },
+    swapShift: trade.swap_shift_id
+      ? { id: trade.swap_shift_id, startTime: trade.swap_start_time, endTime: trade.swap_end_time }
+      : null,
+    offeredBy: trade.offered_by || null,
+    offeredByName: trade.offered_by ? `${trade.offered_first_name} ${trade.offered_last_name}` : null,
+    claimedBy: trade.claimed_by || null,
+    claimedByName: trade.claimed_by ? `${trade.claimed_first_name} ${trade.claimed_last_name}` : null,
+    note: trade.note || '',
+    claimedAt: trade.claimed_at || null,
+    reviewedAt: trade.reviewed_at || null,
+    reviewedBy: trade.reviewed_by || null,
+    reviewNote: trade.review_note || null,
+    createdAt: trade.created_at,
+    updatedAt: trade.updated_at
+  };
+}
+
+async function findTrade(id) {
+  const result = await executeQuery(`${TRADE_SELECT} WHERE tr.id = ?`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * The open or claimed trade of a shift, or null
+ */
+async function findActiveTrade(shiftId) {
+  const result = await executeQuery(
+    `SELECT * FROM shift_trades WHERE shift_id = ? AND status IN ('open', 'claimed')`,
+    [shiftId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Why `shift` (a shifts row) cannot be traded, or null
+ */
+function untradeableReason(shift, now = new Date()) {
+  if (shift.status !== 'published') return 'Only published shifts can be traded';
+  if (shift.start_time <= toDbDateTime(now)) return 'Shifts that have started cannot be traded';
+  return null;
+}
+
+/**
+ * Whether attendance was recorded for any of `shiftIds` (clock-in opens before
+ * the start, and a punch stays with the shift's assignee)
+ */
+async function hasAttendance(...shiftIds) {
+  const result = await executeQuery(
+    'SELECT 1 FROM attendance_records WHERE shift_id IN (SELECT value FROM json_each(?)) LIMIT 1',
+    [JSON.stringify(shiftIds.filter(Boolean))]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Conflicts for `userId` taking over `shift`, giving up `givingUpShiftId` in return
+ */
+async function takeoverConflicts(userId, shift, givingUpShiftId = null) {
+  const conflicts = await findShiftConflicts({
+    userId,
+    start: parseDateTime(shift.start_time),
+    end: parseDateTime(shift.end_time),
+    excludeShiftId: givingUpShiftId,
+    teamId: shift.team_id
+  });
+  return conflicts.map(conflict => ({ userId: Number(userId), ...conflict }));
+}
+
+/**
+ * tradeConflicts({ shift, claimerId, swapShift, offererId }) -> conflicts of
+ * both sides of a trade, each tagged with the userId it applies to
+ */
+async function tradeConflicts({ shift, claimerId, swapShift = null, offererId = null }) {
+  const conflicts = await takeoverConflicts(claimerId, shift, swapShift ? swapShift.id : null);
+  if (swapShift) conflicts.push(...(await takeoverConflicts(offererId, swapShift, shift.id)));
+  return conflicts;
+}
+
+module.exports = {
+  TRADE_TYPES,
+  ACTIVE_STATUSES,
+  TRADE_SELECT,
+  normalizeTrade,
+  findTrade,
+  findActiveTrade,
+  untradeableReason,
+  hasAttendance,
+  tradeConflicts
+};
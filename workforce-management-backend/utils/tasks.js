@@ -0,0 +1,188 @@
+// utils/tasks.js
+const { executeQuery } = require('../config/database');
+
+// Matches the tasks.status CHECK constraint (013_task_status_enum.sql)
+const TASK_STATUSES = ['todo', 'in_progress', 'review', 'completed', 'cancelled'];
+
+/**
+ * Tasks are ordered within a column by a fractional `position`. A task dropped
+ * between two others takes the midpoint of their positions, so a move writes one
+ * row; appended tasks go POSITION_GAP after the last one. Only when neighbours get
+ * closer than MIN_POSITION_GAP is the whole column respaced.
+ */
+const POSITION_GAP = 1024;
+const MIN_POSITION_GAP = 1e-6;
+
+/**
+ * Normalize a task row from the DB
+ */
+function normalizeTask(task) {
+  return {
+    id: task.id,
+    boardId: task.board_id,
+    columnId: task.column_id,
+    parentId: task.parent_id || null,
+    title: task.title,
+    description: task.description || '',
+    assignedTo: task.assigned_to || null,
+    createdBy: task.created_by || null,
+    priority: task.priority || 'medium',
+    dueDate: task.due_date || null,
+    estimatedHours: task.estimated_hours || 0,
+    actualHours: task.actual_hours || 0,
+    status: task.status || 'todo',
+    position: task.position || 0,
+    tags: task.tags ? JSON.parse(task.tags) : [],
+    createdAt: task.created_at,
+    updatedAt: task.updated_at
+  };
+}
+
+/**
+ * Normalize a checklist item row from the DB
+ */
+function normalizeChecklistItem(item) {
+  return {
+    id: item.id,
+    taskId: item.task_id,
+    content: item.content,
+    position: item.position,
+    isCompleted: Boolean(item.is_completed),
+    completedAt: item.completed_at || null,
+    completedBy: item.completed_by || null,
+    createdBy: item.created_by || null,
+    createdAt: item.created_at,
+    updatedAt: item.updated_at
+  };
+}
+
+/**
+ * Checklist items of a task, in order
+ */
+async function listChecklist(taskId) {
+  const result = await executeQuery(
+    'SELECT * FROM task_checklist_items WHERE task_id = ? ORDER BY position, id',
+    [taskId]
+  );
+  return result.rows.map(normalizeChecklistItem);
+}
+
+/**
+ * placeAt(siblings, index) -> { position, positions }
+ * `siblings` are the other tasks of the column ({ id, position }, in order) and
+ * `index` where the task goes among them. `positions` is null unless the column
+ * needs respacing, in which case it maps every sibling ID to its new position.
+ */
+function placeAt(siblings, index) {
+  const at = Math.min(Math.max(index, 0), siblings.length);
+  const before = at > 0 ? Number(siblings[at - 1].position) || 0 : null;
+  const after = at < siblings.length ? Number(siblings[at].position) || 0 : null;
+
+  let position;
+  if (before === null && after === null) position = POSITION_GAP;
+  else if (before === null) position = after / 2;
+  else if (after === null) position = before + POSITION_GAP;
+  else position = (before + after) / 2;
+
+  const lower = before === null ? 0 : before;
+  if ((after === null || after - position >= MIN_POSITION_GAP) && position - lower >= MIN_POSITION_GAP) {
+    return { position, positions: null };
+  }
+
+  const positions = new Map();
+  siblings.forEach((sibling, i) => positions.set(Number(sibling.id), (i < at ? i + 1 : i + 2) * POSITION_GAP));
+  return { position: (at + 1) * POSITION_GAP, positions };
+}
+
+/**
+ * Position after the last task of a column
+ */
+async function endOfColumn(columnId) {
+  const result = await executeQuery(
+    'SELECT MAX(position) AS max_position FROM tasks WHERE column_id = ? AND deleted_at IS NULL',
+    [columnId]
+  );
+  return (Number(result.rows[0].max_position) || 0) + POSITION_GAP;
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+/**
+ * withProgress(tasks) -> the normalized tasks with two summaries added:
+ *
+ *   rollup     subtask counts, the task's own hours plus those of its subtasks, and
+ *              percentComplete (completed subtasks out of those not cancelled; for
+ *              a task without subtasks, 100 once it is completed)
+ *   checklist  { total, completed, percentComplete } of its checklist items
+ *
+ * Trashed subtasks are left out. Two queries, however many tasks are passed.
+ */
+async function withProgress(tasks) {
+  if (tasks.length === 0) return tasks;
+  const ids = JSON.stringify(tasks.map(task => task.id));
+
+  const [subtasks, checklists] = await Promise.all([
+    executeQuery(
+      `SELECT parent_id,
+         COUNT(*) AS total,
+         SUM(status = 'completed') AS completed,
+         SUM(status = 'cancelled') AS cancelled,
+         SUM(COALESCE(estimated_hours, 0)) AS estimated_hours,
+         SUM(COALESCE(actual_hours, 0)) AS actual_hours
+       FROM tasks
+       WHERE deleted_at IS NULL AND parent_id IN (SELECT value FROM json_each(?))
+       GROUP BY parent_id`,
+      [ids]
+    ),
+    executeQuery(
+      `SELECT task_id, COUNT(*) AS total, SUM(is_completed) AS completed
+       FROM task_checklist_items
+       WHERE task_id IN (SELECT value FROM json_each(?))
+       GROUP BY task_id`,
+      [ids]
+    )
+  ]);
+
+  const subtasksByTask = new Map(subtasks.rows.map(row => [Number(row.parent_id), row]));
+  const checklistsByTask = new Map(checklists.rows.map(row => [Number(row.task_id), row]));
+
+  return tasks.map(task => {
+    const sub = subtasksByTask.get(Number(task.id));
+    const list = checklistsByTask.get(Number(task.id));
+
+    const subtaskCount = sub ? Number(sub.total) : 0;
+    const completedSubtasks = sub ? Number(sub.completed) : 0;
+    const activeSubtasks = subtaskCount - (sub ? Number(sub.cancelled) : 0);
+    const checklistTotal = list ? Number(list.total) : 0;
+    const checklistCompleted = list ? Number(list.completed) : 0;
+
+    return {
+      ...task,
+      rollup: {
+        subtasks: subtaskCount,
+        completedSubtasks,
+        estimatedHours: task.estimatedHours + (sub ? Number(sub.estimated_hours) : 0),
+        actualHours: task.actualHours + (sub ? Number(sub.actual_hours) : 0),
+        percentComplete: activeSubtasks > 0
+          ? percent(completedSubtasks, activeSubtasks)
+          : (task.status === 'completed' ? 100 : 0)
+      },
+      checklist: {
+        total: checklistTotal,
+        completed: checklistCompleted,
+        percentComplete: percent(checklistCompleted, checklistTotal)
+      }
+    };
+  });
+}
+
+module.exports = {
+  TASK_STATUSES,
+  POSITION_GAP,
+  placeAt,
+  endOfColumn,
+  normalizeTask,
+  normalizeChecklistItem,
+  listChecklist,
+  withProgress
+};
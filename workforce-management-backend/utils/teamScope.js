@@ -0,0 +1,125 @@
+// utils/teamScope.js
+const { executeQuery } = require('../config/database');
+const { isAdmin } = require('./permissions');
+
+/**
+ * Team-based visibility rules shared by the routers.
+ *
+ * A board belongs to a team (visible to its members) or, with no team, to its creator.
+ * A task is visible through its board, or, with no board, to its creator and assignee.
+ * Team managers are always stored in team_members too, so membership is one lookup.
+ * Admins see everything.
+ */
+
+/**
+ * SQL condition limiting boards (aliased `alias`) to those the user can see
+ */
+function boardScope(user, alias = 'b') {
+  if (isAdmin(user)) return { sql: '1 = 1', params: [] };
+  const { userId } = user;
+  return {
+    sql: `(${alias}.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)
+      OR (${alias}.team_id IS NULL AND ${alias}.created_by = ?))`,
+    params: [userId, userId]
+  };
+}
+
+/**
+ * SQL condition limiting tasks (aliased `alias`) to those the user can see.
+ * Trashed tasks are excluded; pass { deleted: true } to select only those instead.
+ */
+function taskScope(user, alias = 't', { deleted = false } = {}) {
+  const trash = `${alias}.deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'}`;
+  if (isAdmin(user)) return { sql: trash, params: [] };
+  const { userId } = user;
+  const boards = boardScope(user, 'sb');
+  return {
+    sql: `(${trash} AND (${alias}.board_id IN (SELECT sb.id FROM boards sb WHERE ${boards.sql})
+      OR (${alias}.board_id IS NULL AND (${alias}.created_by = ? OR ${alias}.assigned_to = ?))))`,
+    params: [...boards.params, userId, userId]
+  };
+}
+
+/**
+ * SQL condition limiting shifts (aliased `alias`) to those the user can see:
+ * published shifts of their teams, plus drafts of teams they manage
+ */
+function shiftScope(user, alias = 's') {
+  if (isAdmin(user)) return { sql: '1 = 1', params: [] };
+  const { userId } = user;
+  return {
+    sql: `(${alias}.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)
+      AND (${alias}.status != 'draft' OR ${alias}.team_id IN (SELECT id FROM teams WHERE manager_id = ?)))`,
+    params: [userId, userId]
+  };
+}
+
+/**
+ * SQL condition limiting chat channels (aliased `alias`) to those the user belongs to.
+ * Chat is private to its participants, so admins get no bypass here.
+ */
+function channelScope(user, alias = 'c') {
+  const { userId } = user;
+  return {
+    sql: `((${alias}.type = 'team' AND ${alias}.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?))
+      OR (${alias}.type = 'direct' AND ${alias}.id IN (SELECT channel_id FROM channel_members WHERE user_id = ?)))`,
+    params: [userId, userId]
+  };
+}
+
+async function isTeamMember(userId, teamId) {
+  const result = await executeQuery(
+    'SELECT 1 FROM team_members WHERE team_id = ? AND user_id = ?',
+    [teamId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Whether `user` manages a team that `userId` belongs to (admins manage everyone)
+ */
+async function managesUser(user, userId) {
+  if (isAdmin(user)) return true;
+  const result = await executeQuery(
+    `SELECT 1 FROM teams t JOIN team_members tm ON tm.team_id = t.id
+     WHERE t.manager_id = ? AND tm.user_id = ? LIMIT 1`,
+    [user.userId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Fetch a board by ID if the user can see it, otherwise null
+ */
+async function findAccessibleBoard(boardId, user) {
+  const scope = boardScope(user);
+  const result = await executeQuery(
+    `SELECT b.* FROM boards b WHERE b.id = ? AND ${scope.sql}`,
+    [boardId, ...scope.params]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Fetch a task by ID if the user can see it, otherwise null.
+ * Options are passed to taskScope (e.g. { deleted: true } for the trash).
+ */
+async function findAccessibleTask(taskId, user, options = {}) {
+  const scope = taskScope(user, 't', options);
+  const result = await executeQuery(
+    `SELECT t.* FROM tasks t WHERE t.id = ? AND ${scope.sql}`,
+    [taskId, ...scope.params]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  boardScope,
+  taskScope,
+  shiftScope,
+  channelScope,
+  isTeamMember,
+  managesUser,
+  findAccessibleBoard,
+  findAccessibleTask
+};
@@ -0,0 +1,150 @@
+// utils/timeTracking.js
+const { executeQuery } = require('../config/database');
+const { parseDateTime, toDbDate, toDbDateTime, weekStartOf } = require('./scheduling');
+
+/**
+ * Time entries record who worked on which task and when. A running timer is an
+ * entry without ended_at (at most one per user). An entry belongs to the week
+ * its start falls in; once that week's timesheet is submitted or approved its
+ * entries are locked. A task's actual_hours is the total of its ended entries.
+ */
+
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+// Timesheet statuses that lock the week's entries
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+/**
+ * Normalize a time entry row (optionally joined with the task title)
+ */
+function normalizeTimeEntry(entry) {
+  return {
+    id: entry.id,
+    userId: entry.user_id,
+    taskId: entry.task_id,
+    taskTitle: entry.task_title || null,
+    startedAt: entry.started_at,
+    endedAt: entry.ended_at || null,
+    minutes: entry.minutes === null || entry.minutes === undefined ? null : Number(entry.minutes),
+    running: !entry.ended_at,
+    notes: entry.notes || '',
+    createdAt: entry.created_at,
+    updatedAt: entry.updated_at
+  };
+}
+
+/**
+ * Normalize a timesheet row. Weeks nobody has submitted have no row and are 'open'.
+ */
+function normalizeTimesheet(timesheet, userId, weekStart) {
+  return {
+    id: timesheet ? timesheet.id : null,
+    userId: timesheet ? timesheet.user_id : Number(userId),
+    weekStart: timesheet ? timesheet.week_start : weekStart,
+    status: timesheet ? timesheet.status : 'open',
+    submittedAt: (timesheet && timesheet.submitted_at) || null,
+    reviewedAt: (timesheet && timesheet.reviewed_at) || null,
+    reviewedBy: (timesheet && timesheet.reviewed_by) || null,
+    reviewNote: (timesheet && timesheet.review_note) || null
+  };
+}
+
+const nowDb = () => toDbDateTime(new Date());
+
+const minutesBetween = (start, end) => Math.round((end - start) / 60000);
+
+/**
+ * 'YYYY-MM-DD' Monday of the week a 'YYYY-MM-DD HH:MM:SS' value falls in
+ */
+function weekOf(dbDateTime) {
+  return toDbDate(weekStartOf(parseDateTime(dbDateTime)));
+}
+
+/**
+ * Validate an entry's start and end Dates (end null: a running timer).
+ * Returns an error message or null.
+ */
+function validateEntryTimes(start, end) {
+  const now = new Date();
+  if (start > now) return 'startedAt cannot be in the future';
+  if (end === null) return null;
+  if (end <= start) return 'endedAt must be after startedAt';
+  if (end > now) return 'endedAt cannot be in the future';
+  if (minutesBetween(start, end) > MAX_ENTRY_MINUTES) return 'Time entries cannot be longer than 24 hours';
+  return null;
+}
+
+/**
+ * Statement recomputing a task's actual_hours from its ended entries
+ */
+function actualHoursStatement(taskId) {
+  return {
+    sql: `UPDATE tasks SET actual_hours = (
+            SELECT ROUND(COALESCE(SUM(minutes), 0) / 60.0, 2) FROM time_entries
+            WHERE task_id = ? AND ended_at IS NOT NULL
+          ) WHERE id = ?`,
+    args: [taskId, taskId]
+  };
+}
+
+async function hasTimeEntries(taskId) {
+  const result = await executeQuery('SELECT 1 FROM time_entries WHERE task_id = ? LIMIT 1', [taskId]);
+  return result.rows.length > 0;
+}
+
+async function findRunningEntry(userId) {
+  const result = await executeQuery(
+    `SELECT e.*, t.title AS task_title FROM time_entries e
+     LEFT JOIN tasks t ON t.id = e.task_id
+     WHERE e.user_id = ? AND e.ended_at IS NULL`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Entries of a user overlapping [start, end); a running timer counts up to now
+ */
+async function findOverlappingEntries(userId, start, end, excludeEntryId = null) {
+  const result = await executeQuery(
+    `SELECT * FROM time_entries
+     WHERE user_id = ? AND started_at < ? AND COALESCE(ended_at, ?) > ?
+       AND (? IS NULL OR id != ?)
+     ORDER BY started_at`,
+    [userId, toDbDateTime(end || new Date()), nowDb(), toDbDateTime(start), excludeEntryId, excludeEntryId]
+  );
+  return result.rows;
+}
+
+async function findTimesheet(userId, weekStart) {
+  const result = await executeQuery(
+    'SELECT * FROM timesheets WHERE user_id = ? AND week_start = ?',
+    [userId, weekStart]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The submitted or approved timesheet locking `userId`'s week containing
+ * `dbDateTime`, or null if entries in that week can still change
+ */
+async function findLockingTimesheet(userId, dbDateTime) {
+  const timesheet = await findTimesheet(userId, weekOf(dbDateTime));
+  return timesheet && LOCKED_STATUSES.includes(timesheet.status) ? timesheet : null;
+}
+
+module.exports = {
+  MAX_ENTRY_MINUTES,
+  normalizeTimeEntry,
+  normalizeTimesheet,
+  nowDb,
+  minutesBetween,
+  weekOf,
+  validateEntryTimes,
+  actualHoursStatement,
+  hasTimeEntries,
+  findRunningEntry,
+  findOverlappingEntries,
+  findTimesheet,
+  findLockingTimesheet
+};
@@ -0,0 +1,112 @@
+// utils/trash.js
+const cron = require('node-cron');
+const { executeQuery, executeBatch } = require('../config/database');
+const { getStorage } = require('../config/storage');
+
+/**
+ * Deleted tasks stay in their board's trash for TRASH_RETENTION_DAYS (default 30)
+ * and are then purged for good, with their comments and attachments, by a job
+ * running on the TRASH_PURGE_CRON schedule (default daily at 03:00). Their time
+ * entries go too, except those in weeks whose timesheet is submitted or approved:
+ * those are kept, without a task, so the timesheet totals do not change.
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+function retentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * SQL expression for when a trashed task (aliased `alias`) will be purged
+ */
+function purgeAtSql(alias = 't') {
+  return `datetime(${alias}.deleted_at, '+${retentionDays()} days')`;
+}
+
+/**
+ * Permanently delete tasks trashed more than `days` ago.
+ * Returns the number of tasks purged.
+ */
+async function purgeDeletedTasks(days = retentionDays()) {
+  const expired = await executeQuery(
+    `SELECT id FROM tasks WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`,
+    [`-${days} days`]
+  );
+  if (expired.rows.length === 0) return 0;
+
+  const ids = JSON.stringify(expired.rows.map(row => row.id));
+  const files = await executeQuery(
+    'SELECT filename FROM task_attachments WHERE task_id IN (SELECT value FROM json_each(?))',
+    [ids]
+  );
+
+  // Dependents are removed explicitly rather than relying on ON DELETE CASCADE
+  await executeBatch([
+    {
+      sql: `DELETE FROM comment_mentions WHERE comment_id IN
+              (SELECT id FROM task_comments WHERE task_id IN (SELECT value FROM json_each(?)))`,
+      args: [ids]
+    },
+    { sql: 'DELETE FROM task_comments WHERE task_id IN (SELECT value FROM json_each(?))', args: [ids] },
+    { sql: 'DELETE FROM task_attachments WHERE task_id IN (SELECT value FROM json_each(?))', args: [ids] },
+    { sql: 'DELETE FROM task_checklist_items WHERE task_id IN (SELECT value FROM json_each(?))', args: [ids] },
+    {
+      // date(x, 'weekday 0', '-6 days') is the Monday of x's week
+      sql: `UPDATE time_entries SET task_id = NULL
+            WHERE task_id IN (SELECT value FROM json_each(?))
+              AND EXISTS (
+                SELECT 1 FROM timesheets ts
+                WHERE ts.user_id = time_entries.user_id
+                  AND ts.week_start = date(time_entries.started_at, 'weekday 0', '-6 days')
+                  AND ts.status IN ('submitted', 'approved'))`,
+      args: [ids]
+    },
+    { sql: 'DELETE FROM time_entries WHERE task_id IN (SELECT value FROM json_each(?))', args: [ids] },
+    { sql: 'UPDATE tasks SET parent_id = NULL WHERE parent_id IN (SELECT value FROM json_each(?))', args: [ids] },
+    {
+      sql: `DELETE FROM task_dependencies
+            WHERE task_id IN (SELECT value FROM json_each(?)) OR depends_on_id IN (SELECT value FROM json_each(?))`,
+      args: [ids, ids]
+    },
+    { sql: 'DELETE FROM tasks WHERE id IN (SELECT value FROM json_each(?))', args: [ids] }
+  ]);
+
+  const storage = getStorage();
+  for (const file of files.rows) {
+    try {
+      await storage.remove(file.filename);
+    } catch (err) {
+      console.error(`Error removing attachment file ${file.filename}:`, err);
+    }
+  }
+
+  return expired.rows.length;
+}
+
+/**
+ * Start the purge job. Returns the node-cron task.
+ */
+function scheduleTrashPurge() {
+  const schedule = process.env.TRASH_PURGE_CRON || '0 3 * * *';
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid TRASH_PURGE_CRON: ${schedule}`);
+  }
+
+  return cron.schedule(schedule, async () => {
+    try {
+      const purged = await purgeDeletedTasks();
+      if (purged > 0) console.log(`🗑️  Purged ${purged} task(s) from the trash`);
+    } catch (err) {
+      console.error('Error purging trash:', err);
+    }
+  });
+}
+
+module.exports = {
+  retentionDays,
+  purgeAtSql,
+  purgeDeletedTasks,
+  scheduleTrashPurge
+};
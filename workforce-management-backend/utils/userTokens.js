@@ -0,0 +1,56 @@
+// utils/userTokens.js
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+
+/**
+ * Single-use, expiring tokens for email verification and password reset.
+ * The raw token only ever leaves the server in an email; the DB keeps its hash.
+ */
+
+const TOKEN_TTL_MINUTES = {
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_MINUTES) || 24 * 60,
+  password_reset: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a token of the given type for a user. Earlier unused tokens of the
+ * same type are invalidated so only the latest email works.
+ */
+async function createUserToken(userId, type) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await executeQuery(
+    'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND type = ? AND used_at IS NULL',
+    [userId, type]
+  );
+  await executeQuery(
+    `INSERT INTO user_tokens (user_id, type, token_hash, expires_at)
+     VALUES (?, ?, ?, datetime('now', ?))`,
+    [userId, type, hashToken(token), `+${TOKEN_TTL_MINUTES[type]} minutes`]
+  );
+
+  return token;
+}
+
+/**
+ * Mark a token as used and return its user ID, or null if the token is
+ * unknown, of another type, already used or expired.
+ */
+async function consumeUserToken(token, type) {
+  const result = await executeQuery(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = ? AND type = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(String(token)), type]
+  );
+  return result.rows.length ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,43 @@
+// utils/users.js
+const { executeQuery } = require('../config/database');
+
+/**
+ * Normalize a user row from the DB (never exposes password_hash)
+ */
+function normalizeUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    role: user.role,
+    avatarUrl: user.avatar_url || null,
+    phone: user.phone || null,
+    timezone: user.timezone || 'UTC',
+    status: user.status,
+    emailVerified: Boolean(user.email_verified_at),
+    lastLogin: user.last_login || null,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at
+  };
+}
+
+async function findUserById(id) {
+  const result = await executeQuery('SELECT * FROM users WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {
+  normalizeUser,
+  findUserById,
+  isValidTimezone
+};